@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 import { program } from 'commander';
-import FeedbackResolver from '../src/index.js';
+import FeedbackResolver, { ProcessedLedger, SenderProfileStore, ReplyTemplateLibrary, ApiServer, DirectoryWatcher } from '../src/index.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -175,16 +175,35 @@ program
                 {
                     type: 'input',
                     name: 'maxResults',
-                    message: 'Maximum emails to process per run (recommended: 5-20):',
-                    default: '10',
+                    message: 'Maximum emails to process per run (1-500):',
+                    default: '20',
                     validate: (input) => {
                         const num = parseInt(input);
-                        if (isNaN(num) || num < 1 || num > 100) {
-                            return 'Please enter a number between 1 and 100';
+                        if (isNaN(num) || num < 1 || num > 500) {
+                            return 'Please enter a number between 1 and 500';
                         }
                         return true;
                     }
                 },
+                {
+                    type: 'checkbox',
+                    name: 'excludeCategories',
+                    message: 'Skip these inbox categories:',
+                    choices: ['promotions', 'social', 'updates', 'forums'],
+                    default: ['promotions', 'social']
+                },
+                {
+                    type: 'input',
+                    name: 'includeLabels',
+                    message: 'Only process mail with these labels (comma-separated, leave blank for all):',
+                    default: ''
+                },
+                {
+                    type: 'input',
+                    name: 'fromDeny',
+                    message: 'Ignore mail from these addresses or domains (comma-separated):',
+                    default: ''
+                },
                 {
                     type: 'confirm',
                     name: 'enableSlack',
@@ -267,6 +286,9 @@ FEEDBACK_RESOLVER_MODE="gmail"
 TARGET_EMAIL="${answers.targetEmail}"
 DAYS_TO_SEARCH="${answers.daysToSearch}"
 MAX_RESULTS="20"
+GMAIL_EXCLUDE_CATEGORIES="${answers.excludeCategories.join(',')}"
+${answers.includeLabels ? `GMAIL_INCLUDE_LABELS="${answers.includeLabels}"` : '# GMAIL_INCLUDE_LABELS=""'}
+${answers.fromDeny ? `GMAIL_FROM_DENY="${answers.fromDeny}"` : '# GMAIL_FROM_DENY=""'}
 
 # =============================================================================
 # SLACK INTEGRATION
@@ -341,7 +363,7 @@ program
 program
     .command('analyze')
     .description('Analyze feedback emails')
-    .option('--auto-reply', 'Enable auto-reply mode (Gmail only)')
+    .option('--auto-reply', 'Enable auto-reply mode (Gmail or SMTP)')
     .option('--dry-run', 'Dry run - show what would be sent without sending')
     .option('--no-slack', 'Disable Slack notifications for this run')
     .option('--no-file', 'Disable file output for this run')
@@ -367,8 +389,8 @@ program
             // Run analysis with or without auto-reply
             let result;
             if (options.autoReply || resolver.config.autoReply?.enabled) {
-                if (resolver.mode !== 'gmail') {
-                    console.error('❌ Auto-reply is only available in Gmail mode');
+                if (!resolver.replySender) {
+                    console.error('❌ Auto-reply requires Gmail mode or an SMTP server (SMTP_HOST)');
                     process.exit(1);
                 }
                 
@@ -479,52 +501,175 @@ program
 program
     .command('serve')
     .description('Start continuous feedback monitoring')
-    .option('-i, --interval <minutes>', 'Check interval in minutes', '30')
+    .option('-i, --interval <minutes>', 'Check interval in minutes (0 disables scheduled runs with --api)', '30')
+    .option('--api', 'Also start the HTTP API server')
+    .option('-p, --port <port>', 'API server port', process.env.API_PORT || '3100')
+    .option('--host <host>', 'API server host', process.env.API_HOST || '127.0.0.1')
+    .option('--send-interval <seconds>', 'How often approved replies from the review queue are sent', '60')
+    .option('--watch-dir <directory>', 'File mode: analyze new or modified files dropped into this directory (replaces scheduled runs)')
+    .option('--gmail-push', 'Gmail mode: sync new mail on Pub/Sub push notifications at POST /gmail/push (requires --api)')
     .action(async (options) => {
         console.log('🔄 Starting continuous feedback monitoring...\n');
         
         try {
-            const resolver = FeedbackResolver.fromEnv();
-            const interval = parseInt(options.interval) * 60 * 1000;
+            const minutes = Number(options.interval);
+            if (!options.watchDir && (!Number.isInteger(minutes) || minutes < 0)) {
+                console.error('❌ --interval must be a whole number of minutes');
+                process.exit(1);
+            }
+            
+            // Without scheduled runs, only the API server or a directory watch can start an analysis
+            if (!options.watchDir && minutes === 0 && !options.api) {
+                console.error('❌ --interval 0 disables scheduled runs; add --api or --watch-dir so there is something to run');
+                process.exit(1);
+            }
+            
+            // Push notifications only carry a history position, so --gmail-push needs history sync
+            const resolver = FeedbackResolver.fromEnv(options.gmailPush ? { gmail: { historySync: true } } : {});
+            const interval = options.watchDir ? 0 : minutes * 60 * 1000;
+            
+            if (options.watchDir && resolver.mode !== 'file') {
+                console.error('❌ --watch-dir is only available in file mode (FEEDBACK_RESOLVER_MODE=file)');
+                process.exit(1);
+            }
+            
+            if (options.gmailPush && (resolver.mode !== 'gmail' || !options.api || !process.env.GMAIL_PUSH_TOPIC || !process.env.GMAIL_PUSH_TOKEN)) {
+                console.error('❌ --gmail-push requires Gmail mode, --api, GMAIL_PUSH_TOPIC and GMAIL_PUSH_TOKEN');
+                process.exit(1);
+            }
             
             // Initial authentication for Gmail
             if (resolver.mode === 'gmail') {
                 await resolver.authenticate();
             }
             
-            console.log(`📊 Monitoring every ${options.interval} minutes`);
+            // Optional API server; scheduled runs then go through it so runs never overlap
+            let apiServer = null;
+            let apiUrl = null;
+            if (options.api) {
+                apiServer = new ApiServer(resolver, {
+                    port: parseInt(options.port),
+                    host: options.host,
+                    apiKey: process.env.API_KEY,
+                    ...(options.gmailPush && { gmailPushToken: process.env.GMAIL_PUSH_TOKEN })
+                });
+                ({ url: apiUrl } = await apiServer.start());
+                
+                if (!process.env.API_KEY) {
+                    console.log('⚠️  API_KEY not set - the API accepts unauthenticated requests');
+                }
+            }
+            
+            // Push notifications trigger incremental history syncs; scheduled runs remain as a fallback
+            let watchRenewalId = null;
+            if (options.gmailPush) {
+                const startWatch = async () => {
+                    try {
+                        await resolver.processor.watch(process.env.GMAIL_PUSH_TOPIC);
+                    } catch (error) {
+                        console.log(`❌ ${error.message}`);
+                    }
+                };
+                await startWatch();
+                // Gmail watches expire after 7 days; renew daily
+                watchRenewalId = setInterval(startWatch, 24 * 60 * 60 * 1000);
+                console.log(`📨 Receiving Gmail push notifications at ${apiUrl}/gmail/push?token=<GMAIL_PUSH_TOKEN>`);
+            }
+            
+            // Nobody is at the terminal to approve replies, so queue them for review instead
+            if (resolver.replyQueue && resolver._getApprovalMode() === 'interactive') {
+                resolver.config.autoReply.approvalMode = 'queue';
+            }
+            
+            let sendIntervalId = null;
+            if (resolver.replyQueue && resolver._getApprovalMode() === 'queue') {
+                console.log(apiUrl
+                    ? `📥 Replies are queued for review at ${apiUrl}/ui`
+                    : '📥 Replies are queued for review - start with --api to review them in the browser');
+                
+                // Delivery tick: send replies approved since the last tick
+                sendIntervalId = setInterval(async () => {
+                    try {
+                        await resolver.sendApprovedReplies();
+                    } catch (error) {
+                        console.log(`❌ Sending approved replies failed: ${error.message}`);
+                    }
+                }, parseInt(options.sendInterval) * 1000);
+            }
+            
+            if (interval > 0) {
+                console.log(`📊 Monitoring every ${options.interval} minutes`);
+            }
             console.log('Press Ctrl+C to stop\n');
             
-            // Analysis function
-            const runAnalysis = async () => {
+            // Analysis function; errors are logged, and rethrown when rethrow is set
+            const runAnalysis = async (trigger = 'schedule', { rethrow = false } = {}) => {
                 const timestamp = new Date().toLocaleTimeString();
                 console.log(`[${timestamp}] 🔍 Running analysis...`);
                 
                 try {
                     let result;
-                    if (resolver.config.autoReply?.enabled) {
+                    if (apiServer) {
+                        ({ result } = await apiServer.runAnalysis({ trigger }));
+                    } else if (resolver.config.autoReply?.enabled) {
                         result = await resolver.analyzeAndReply();
-                        const repliesInfo = result.sentReplies ? `, sent ${result.sentReplies.length} replies` : '';
-                        console.log(`[${timestamp}] ✅ Processed ${result.emails} emails, found ${result.analysis.summary.relevantEmails} relevant${repliesInfo}`);
                     } else {
                         result = await resolver.analyze();
-                        console.log(`[${timestamp}] ✅ Processed ${result.emails} emails, found ${result.analysis.summary.relevantEmails} relevant`);
                     }
+                    
+                    const repliesInfo = result.sentReplies?.length ? `, sent ${result.sentReplies.length} replies` : '';
+                    const queuedInfo = result.analysis.summary.queuedReplies ? `, queued ${result.analysis.summary.queuedReplies} replies for review` : '';
+                    console.log(`[${timestamp}] ✅ Processed ${result.emails} emails, found ${result.analysis.summary.relevantEmails} relevant${repliesInfo}${queuedInfo}`);
+                    return result;
                 } catch (error) {
                     console.log(`[${timestamp}] ❌ Analysis failed: ${error.message}`);
+                    if (rethrow) {
+                        throw error;
+                    }
                 }
             };
             
-            // Initial run
-            await runAnalysis();
+            // Directory watch: each batch of dropped files is one analysis run
+            let directoryWatcher = null;
+            if (options.watchDir) {
+                directoryWatcher = new DirectoryWatcher({
+                    directory: options.watchDir,
+                    ...(process.env.WATCH_STATE_PATH && { statePath: process.env.WATCH_STATE_PATH })
+                }, {
+                    onBatch: async (files) => {
+                        resolver.processor.queueFiles(files);
+                        try {
+                            return await runAnalysis('watch', { rethrow: true });
+                        } finally {
+                            // A run that failed before reading the files must not leave them for the next one
+                            resolver.processor.queueFiles(null);
+                        }
+                    }
+                });
+                await directoryWatcher.start();
+            }
             
-            // Set up interval
-            const intervalId = setInterval(runAnalysis, interval);
+            let intervalId = null;
+            if (interval > 0) {
+                // Initial run
+                await runAnalysis();
+                
+                // Set up interval
+                intervalId = setInterval(runAnalysis, interval);
+            }
             
             // Handle graceful shutdown
-            process.on('SIGINT', () => {
+            process.on('SIGINT', async () => {
                 console.log('\n🛑 Stopping monitoring...');
                 clearInterval(intervalId);
+                clearInterval(sendIntervalId);
+                clearInterval(watchRenewalId);
+                if (directoryWatcher) {
+                    await directoryWatcher.stop();
+                }
+                if (apiServer) {
+                    await apiServer.stop();
+                }
                 process.exit(0);
             });
             
@@ -534,6 +679,194 @@ program
         }
     });
 
+// Ledger command - inspect and reset the processed-message ledger
+const ledgerCommand = program
+    .command('ledger')
+    .description('Inspect or reset the processed-message ledger');
+
+ledgerCommand
+    .command('show', { isDefault: true })
+    .description('List processed emails and their triage verdicts')
+    .option('-n, --limit <count>', 'Number of entries to show', '20')
+    .option('-s, --status <replyStatus>', 'Only show entries with this reply status (none, pending, sent, failed, skipped, filtered)')
+    .action(async (options) => {
+        try {
+            const ledger = new ProcessedLedger({ ...(process.env.LEDGER_PATH && { path: process.env.LEDGER_PATH }) });
+            const stats = await ledger.getStats();
+            const entries = await ledger.list({
+                limit: parseInt(options.limit) || 20,
+                replyStatus: options.status
+            });
+            
+            console.log(`📒 Ledger: ${stats.path}`);
+            console.log(`• Processed emails: ${stats.total}`);
+            console.log(`• Relevant: ${stats.relevant}`);
+            Object.entries(stats.replyStatuses).forEach(([status, count]) => {
+                console.log(`• Reply ${status}: ${count}`);
+            });
+            
+            if (entries.length === 0) {
+                console.log('\n📭 No entries to show');
+                return;
+            }
+            
+            console.log('');
+            entries.forEach(entry => {
+                const verdict = entry.verdict.isRelevant ? `relevant${entry.verdict.category ? ` (${entry.verdict.category})` : ''}` : 'general';
+                console.log(`[${entry.processedAt}] ${entry.messageId} - ${verdict}, reply: ${entry.replyStatus}`);
+                console.log(`   From: ${entry.from || 'Unknown'} | Subject: ${entry.subject || 'No subject'}`);
+            });
+            
+        } catch (error) {
+            console.error('❌ Failed to read ledger:', error.message);
+            process.exit(1);
+        }
+    });
+
+ledgerCommand
+    .command('reset')
+    .description('Forget processed emails so they are analyzed again')
+    .option('--id <messageIds...>', 'Only forget these message IDs')
+    .option('--older-than <days>', 'Only forget entries processed more than N days ago')
+    .option('-y, --yes', 'Skip confirmation prompt')
+    .action(async (options) => {
+        try {
+            const ledger = new ProcessedLedger({ ...(process.env.LEDGER_PATH && { path: process.env.LEDGER_PATH }) });
+            
+            if (!options.yes && !options.id && !options.olderThan) {
+                const inquirer = (await import('inquirer')).default;
+                const { confirm } = await inquirer.prompt([{
+                    type: 'confirm',
+                    name: 'confirm',
+                    message: 'Clear the entire ledger? All matching emails will be analyzed again on the next run.',
+                    default: false
+                }]);
+                
+                if (!confirm) {
+                    console.log('🛑 Reset cancelled');
+                    return;
+                }
+            }
+            
+            const removed = await ledger.reset({
+                messageIds: options.id,
+                olderThanDays: options.olderThan ? parseInt(options.olderThan) : undefined
+            });
+            
+            console.log(`🗑️  Removed ${removed} entries from the ledger`);
+            
+        } catch (error) {
+            console.error('❌ Failed to reset ledger:', error.message);
+            process.exit(1);
+        }
+    });
+
+// Sender command - show what we know about a sender or domain
+program
+    .command('sender <address>')
+    .description('Show the feedback history of a sender (email address) or organization (domain)')
+    .option('-n, --limit <count>', 'Number of past emails to show', '10')
+    .option('--json', 'Print the profile as JSON')
+    .action(async (address, options) => {
+        try {
+            const store = new SenderProfileStore({ ...(process.env.SENDER_PROFILES_PATH && { path: process.env.SENDER_PROFILES_PATH }) });
+            const isDomain = !address.includes('@') || address.startsWith('@');
+            const profile = isDomain ? await store.getDomainProfile(address) : await store.getProfile(address);
+            
+            if (!profile) {
+                console.log(`📭 No history for ${address} in ${store.config.path}`);
+                if (process.env.SENDER_PROFILES_ENABLED !== 'true') {
+                    console.log('💡 Sender profiles are recorded when SENDER_PROFILES_ENABLED="true"');
+                }
+                return;
+            }
+            
+            if (options.json) {
+                console.log(JSON.stringify(profile, null, 2));
+                return;
+            }
+            
+            const counts = (values) => Object.entries(values)
+                .filter(([, count]) => count > 0)
+                .map(([name, count]) => `${name} ${count}`)
+                .join(', ') || 'none';
+            
+            console.log(isDomain ? `🏢 ${profile.domain} (${profile.senders.length} sender${profile.senders.length === 1 ? '' : 's'})` : `👤 ${profile.name ? `${profile.name} <${profile.address}>` : profile.address}`);
+            console.log(`• First seen: ${profile.firstSeen} | Last seen: ${profile.lastSeen}`);
+            console.log(`• Emails: ${profile.emailCount} (${profile.relevantCount} relevant) | Replies sent: ${profile.repliesSent}`);
+            console.log(`• Categories: ${counts(profile.categories)}`);
+            console.log(`• Sentiment: ${counts(profile.sentiment)}`);
+            
+            const history = profile.history.slice(0, parseInt(options.limit));
+            if (history.length > 0) {
+                console.log('');
+            }
+            history.forEach(entry => {
+                const details = [entry.category || (entry.relevant ? 'relevant' : 'general'), entry.sentiment].filter(Boolean).join(', ');
+                console.log(`[${entry.date}] ${entry.subject || 'No subject'} - ${details}${isDomain ? ` (${entry.from})` : ''}`);
+                if (entry.summary) {
+                    console.log(`   ${entry.summary.replace(/\s+/g, ' ')}`);
+                }
+                if (entry.reply) {
+                    console.log(`   ↩️  Replied ${entry.reply.sentAt}: ${entry.reply.excerpt.replace(/\s+/g, ' ')}`);
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Failed to read sender profiles:', error.message);
+            process.exit(1);
+        }
+    });
+
+// Templates command - list the approved reply templates
+program
+    .command('templates')
+    .description('List the reply templates the analyzer can choose from')
+    .option('-d, --dir <directory>', 'Template folder (default: REPLY_TEMPLATES_DIR)')
+    .option('--show <id>', 'Print the full text of one template')
+    .action(async (options) => {
+        const directory = options.dir || process.env.REPLY_TEMPLATES_DIR;
+        
+        if (!directory) {
+            console.error('❌ No template folder: set REPLY_TEMPLATES_DIR or pass --dir');
+            process.exit(1);
+        }
+        
+        try {
+            const library = new ReplyTemplateLibrary({ directory });
+            
+            if (options.show) {
+                const template = await library.getTemplate(options.show);
+                if (!template) {
+                    console.error(`❌ No template "${options.show}" in ${directory}`);
+                    process.exit(1);
+                }
+                console.log(template.body);
+                return;
+            }
+            
+            const templates = await library.load();
+            if (templates.length === 0) {
+                console.log(`📭 No templates in ${directory}`);
+                return;
+            }
+            
+            templates.forEach(template => {
+                console.log(`📝 ${template.id} (${template.file})${template.description ? ` - ${template.description}` : ''}`);
+                console.log(`   Categories: ${template.categories.join(', ') || 'any'}`);
+                console.log(`   Keywords: ${template.keywords.join(', ') || 'none'}`);
+                console.log(`   Variables: ${template.variables.map(variable => variable.required ? variable.name : `${variable.name}?`).join(', ') || 'none'}`);
+                if (template.keywords.length === 0 && template.categories.length === 0) {
+                    console.log('   ⚠️  No keywords or categories, so this template is never offered');
+                }
+            });
+            
+        } catch (error) {
+            console.error('❌ Failed to load reply templates:', error.message);
+            process.exit(1);
+        }
+    });
+
 // Info command - show current configuration
 program
     .command('info')
@@ -551,11 +884,27 @@ program
                 console.log(`Gmail Target: ${resolver.config.gmail.targetEmail || 'All emails'}`);
                 console.log(`Days to Search: ${resolver.config.gmail.daysToSearch}`);
                 console.log(`Max Results: ${resolver.config.gmail.maxResults}`);
+                console.log(`Search Query: ${resolver.processor.getSearchQuery()}`);
+                console.log(`History Sync: ${resolver.processor.config.historySync ? '✅ Enabled' : '❌ Disabled'}`);
+                console.log(`Mailbox Actions: ${resolver.processor.config.actions.enabled ? '✅ Enabled' : '❌ Disabled'}`);
+                console.log(`Processed Ledger: ${resolver.ledger ? resolver.ledger.config.path : '❌ Disabled'}`);
+                console.log(`Sender Profiles: ${resolver.senderProfiles ? resolver.senderProfiles.config.path : '❌ Disabled'}`);
+            } else if (resolver.mode === 'imap') {
+                console.log(`IMAP Mailbox: ${resolver.config.imap.auth?.user}@${resolver.config.imap.host}/${resolver.config.imap.mailbox || 'INBOX'}`);
+                console.log(`Days to Search: ${resolver.config.imap.daysToSearch}`);
+                console.log(`Max Results: ${resolver.config.imap.maxResults}`);
+                console.log(`Processed Ledger: ${resolver.ledger ? resolver.ledger.config.path : '❌ Disabled'}`);
             }
             
+            console.log(`Knowledge Base: ${resolver.knowledgeBase ? `${resolver.knowledgeBase.config.directory} (top ${resolver.knowledgeBase.config.topK})` : '❌ Disabled'}`);
+            console.log(`Reply Templates: ${resolver.replyTemplates ? resolver.replyTemplates.config.directory : '❌ Disabled'}`);
+            console.log(`Reply Style: ${resolver.replyStyle ? `${resolver.replyStyle.config.tone || 'default tone'}, ${resolver.replyStyle.config.signature.html ? 'HTML signature' : resolver.replyStyle.getSignature() ? 'plain signature' : 'no signature'}` : '❌ Disabled'}`);
+            
             console.log(`\nNotifications:`);
-            console.log(`  Slack: ${resolver.config.notifications.slack.enabled ? '✅ Enabled' : '❌ Disabled'}`);
-            console.log(`  File: ${resolver.config.notifications.file.enabled ? '✅ Enabled' : '❌ Disabled'}`);
+            for (const notifier of resolver.notifiers) {
+                const info = notifier.getConfig?.() || {};
+                console.log(`  ${info.type || notifier.constructor.name}: ${info.enabled !== false ? '✅ Enabled' : '❌ Disabled'}`);
+            }
             
             if (resolver.config.autoReply) {
                 console.log(`\nAuto-Reply:`);
@@ -1,21 +1,56 @@
-import { NeuroLink } from '@juspay/neurolink';
+import { createAIBackend } from './backends/index.js';
+import { TaskScheduler } from '../utils/task-scheduler.js';
+import { estimateTokens, getModelLimits, chunkByTokenBudget, truncateToTokens } from '../utils/token-budget.js';
+import {
+    REPORT_SCHEMA_VERSION,
+    REPORT_CATEGORIES,
+    createReportEntry,
+    createStructuredReport,
+    validateStructuredReport,
+    groupEntriesByCategory,
+    renderReportMarkdown
+} from './report-schema.js';
+
+// Expected response tokens per email in the consolidated stage (analysis + suggested reply)
+const OUTPUT_TOKENS_PER_EMAIL = 400;
+
+// Share of the context window used for prompts, leaving headroom for estimate error
+const CONTEXT_SAFETY_MARGIN = 0.9;
+
+// Longest single earlier message shown in a conversation context
+const THREAD_MESSAGE_TOKENS = 400;
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
 
 /**
- * AI-powered feedback analyzer using NeuroLink
+ * AI-powered feedback analyzer using NeuroLink (or an injected AI backend)
  * Handles email triage and consolidated analysis
  */
 export class AIAnalyzer {
-    constructor(config = {}) {
+    /**
+     * @param {Object} config - AI configuration
+     * @param {Object} options - { backend?: object with generate() } to inject a custom AI backend,
+     *   { knowledgeBase?: KnowledgeBase } to ground suggested replies in retrieved passages,
+     *   { templates?: ReplyTemplateLibrary } to answer common cases with approved wording,
+     *   { replyStyle?: ReplyStyle } to apply the brand voice and signature to suggested replies
+     */
+    constructor(config = {}, options = {}) {
         this.config = {
             provider: config.provider || 'vertex',
             model: config.model || null,
             timeout: config.timeout || '30000s',
             userName: config.userName || '',
             userDesignation: config.userDesignation || '',
+            // Budget for earlier conversation messages in each triage prompt
+            threadContextTokens: config.threadContextTokens || 1500,
             ...config
         };
         
-        this.neurolink = new NeuroLink();
+        this.backend = options.backend || createAIBackend(this.config);
+        this.knowledgeBase = options.knowledgeBase || null;
+        this.templates = options.templates || null;
+        this.replyStyle = options.replyStyle || null;
+        this.scheduler = TaskScheduler.fromAIConfig(this.config);
         console.log(`🤖 AI Analyzer initialized with ${this.config.provider} provider`);
         
         if (this.config.userName && this.config.userDesignation) {
@@ -25,8 +60,11 @@ export class AIAnalyzer {
 
     /**
      * Main analysis method - processes emails through AI pipeline
+     * @param {Array} emails - Array of email objects
+     * @param {Object} options - { onProgress?(event), onRetry?(event) } callbacks for triage progress,
+     *   { afterTriage?(triageResults) } to review or replace verdicts before the consolidated analysis
      */
-    async analyze(emails) {
+    async analyze(emails, options = {}) {
         console.log(`🔍 Starting AI analysis of ${emails.length} emails...`);
         
         if (emails.length === 0) {
@@ -36,7 +74,7 @@ export class AIAnalyzer {
         try {
             // Stage 1: Triage emails for relevance
             console.log('📋 Stage 1: Triaging emails for business relevance...');
-            const triageResults = await this._triageEmails(emails);
+            const triageResults = await this._afterTriage(await this._triageEmails(emails, options), options);
             
             // Separate relevant and non-relevant emails
             const relevantEmails = triageResults.filter(result => result.isRelevant);
@@ -49,6 +87,7 @@ export class AIAnalyzer {
 
             // Generate final report
             const report = this._generateReport(consolidatedAnalysis, relevantEmails.length, emails.length, nonRelevantEmails.length);
+            report.triage = this._summarizeTriage(triageResults);
             
             console.log('✅ AI analysis completed successfully');
             return report;
@@ -62,19 +101,20 @@ export class AIAnalyzer {
     /**
      * Analyze emails with reply detection - identifies which emails need responses
      * @param {Array} emails - Array of email objects
+     * @param {Object} options - { onProgress?(event), onRetry?(event), afterTriage?(triageResults) } as for analyze()
      * @returns {Object} Analysis with replyable emails identified
      */
-    async analyzeWithReplies(emails) {
+    async analyzeWithReplies(emails, options = {}) {
         console.log(`🔍 Starting AI analysis with reply detection for ${emails.length} emails...`);
         
         if (emails.length === 0) {
-            return this._generateEmptyReport();
+            return this._generateEmptyReplyReport();
         }
 
         try {
             // Stage 1: Triage emails for relevance AND reply detection
             console.log('📋 Stage 1: Triaging emails and detecting replyable messages...');
-            const triageResults = await this._triageEmailsWithReplyDetection(emails);
+            const triageResults = await this._afterTriage(await this._triageEmailsWithReplyDetection(emails, options), options);
             
             // Separate relevant, replyable, and non-relevant emails
             const relevantEmails = triageResults.filter(result => result.isRelevant);
@@ -89,6 +129,7 @@ export class AIAnalyzer {
 
             // Generate final report with reply information
             const report = this._generateReport(consolidatedAnalysis, relevantEmails.length, emails.length, nonRelevantEmails.length);
+            report.triage = this._summarizeTriage(triageResults);
             
             // Add replyable emails to the report
             report.replyableEmails = replyableEmails.map(result => ({
@@ -96,7 +137,10 @@ export class AIAnalyzer {
                 suggestedReply: result.suggestedReply,
                 replyReason: result.replyReason,
                 replyConfidence: result.replyConfidence,
-                isReplyable: result.isReplyable
+                isReplyable: result.isReplyable,
+                sources: result.sources || [],
+                templateId: result.templateId || null,
+                styleIssues: result.styleIssues || []
             }));
             
             report.summary.replyableEmails = replyableEmails.length;
@@ -114,33 +158,12 @@ export class AIAnalyzer {
      * Triage emails with reply detection
      * @private
      */
-    async _triageEmailsWithReplyDetection(emails) {
-        const results = [];
-        
-        for (let i = 0; i < emails.length; i++) {
-            const email = emails[i];
-            console.log(`📧 Analyzing email ${i + 1}/${emails.length} from: ${email.from}`);
-            
-            try {
-                const triageResult = await this._triageEmailWithReply(email);
-                results.push({
-                    ...triageResult,
-                    email: email
-                });
-            } catch (error) {
-                console.error(`⚠️  Analysis failed for email from ${email.from}:`, error.message);
-                // Default to not relevant and not replyable if analysis fails
-                results.push({
-                    isRelevant: false,
-                    isReplyable: false,
-                    cleanedMessage: email.body,
-                    email: email,
-                    error: error.message
-                });
-            }
-        }
-
-        return results;
+    async _triageEmailsWithReplyDetection(emails, options = {}) {
+        return await this._runTriage(emails, email => this._triageEmailWithReply(email), {
+            ...options,
+            label: 'Analyzing',
+            fallback: { isRelevant: false, isReplyable: false }
+        });
     }
 
     /**
@@ -148,16 +171,16 @@ export class AIAnalyzer {
      * @private
      */
     async _triageEmailWithReply(email) {
-        const prompt = this._buildTriageWithReplyPrompt(email);
+        const passages = await this._findPassages(email);
+        const templates = await this._findTemplates(email);
+        const prompt = this._buildTriageWithReplyPrompt(email, passages, templates);
         
-        const response = await this.neurolink.generate({
-            input: { text: prompt },
-            provider: this.config.provider,
-            timeout: this.config.timeout,
-            ...(this.config.model && { model: this.config.model })
+        const content = await this._generate(prompt, 'triage-reply', {
+            email,
+            isNoReply: this._isNoReplyAddress(email.from)
         });
 
-        const parsed = this._extractJsonFromResponse(response.content);
+        const parsed = this._extractJsonFromResponse(content);
         
         if (!parsed || typeof parsed.isRelevant !== 'boolean') {
             console.warn('Invalid triage response format, defaulting to not relevant');
@@ -169,30 +192,179 @@ export class AIAnalyzer {
             };
         }
 
+        const template = parsed.isReplyable ? this._fillTemplate(parsed, email, templates) : null;
+        const reply = template?.text || parsed.suggestedReply || null;
+        const language = typeof parsed.language === 'string' ? parsed.language.toLowerCase() : null;
+        const styled = reply && parsed.isReplyable && this.replyStyle ? this.replyStyle.apply(reply, { language }) : null;
+
+        if (styled?.issues.length > 0) {
+            console.warn(`⚠️  Suggested reply to ${email.from} needs review: ${styled.issues.map(issue => issue.message).join('; ')}`);
+        }
+
         return {
             isRelevant: parsed.isRelevant,
             isReplyable: parsed.isReplyable || false,
             cleanedMessage: (parsed.cleanedMessage || email.body).trim(),
-            suggestedReply: parsed.suggestedReply || null,
+            suggestedReply: styled?.text || reply,
+            templateId: template?.id || null,
+            language,
+            ...(styled && { styleIssues: styled.issues }),
             replyReason: parsed.replyReason || null,
             replyConfidence: parsed.replyConfidence || null,
             from: email.from,
             confidence: parsed.confidence || null,
-            category: parsed.category || null
+            category: parsed.category || null,
+            sentiment: SENTIMENTS.includes(parsed.sentiment) ? parsed.sentiment : null,
+            sources: parsed.isReplyable ? this._getCitedSources(parsed.sources, passages) : []
         };
     }
 
+    /**
+     * Retrieve knowledge base passages for an email, labeled KB1, KB2, ... for citations
+     * Retrieval problems are logged and the reply is generated without passages
+     * @private
+     */
+    async _findPassages(email) {
+        if (!this.knowledgeBase) {
+            return [];
+        }
+
+        try {
+            const passages = await this.knowledgeBase.searchForEmail(email);
+            return passages.map((passage, index) => ({ id: `KB${index + 1}`, ...passage }));
+        } catch (error) {
+            console.warn(`⚠️  Knowledge base search failed, replying without it: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Find reply templates that may fit an email
+     * Template problems are logged and the reply is generated without templates
+     * @private
+     */
+    async _findTemplates(email) {
+        if (!this.templates) {
+            return [];
+        }
+
+        try {
+            return await this.templates.findCandidates(email);
+        } catch (error) {
+            console.warn(`⚠️  Reply template lookup failed, replying without templates: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Fill in the template the model chose; null (keep the generated reply) when it
+     * is not one of the offered templates, does not fit the category or lacks variables
+     * @returns {Object|null} { id, text }
+     * @private
+     */
+    _fillTemplate(parsed, email, templates) {
+        if (!parsed.templateId) {
+            return null;
+        }
+
+        const template = templates.find(candidate => candidate.id === parsed.templateId);
+        if (!template) {
+            console.warn(`⚠️  Model chose unknown reply template "${parsed.templateId}", using generated reply`);
+            return null;
+        }
+
+        if (!this.templates.matchesCategory(template, parsed.category)) {
+            console.warn(`⚠️  Reply template "${template.id}" does not apply to category "${parsed.category}", using generated reply`);
+            return null;
+        }
+
+        const { text, missing } = this.templates.render(template, {
+            ...parsed.templateVariables,
+            ...(this.config.userName && { userName: this.config.userName }),
+            ...(this.config.userDesignation && { userDesignation: this.config.userDesignation })
+        }, email);
+
+        if (!text) {
+            console.warn(`⚠️  Reply template "${template.id}" is missing ${missing.join(', ')}, using generated reply`);
+            return null;
+        }
+
+        return { id: template.id, text };
+    }
+
+    /**
+     * Prompt section offering approved reply templates
+     * @private
+     */
+    _buildTemplateContext(templates) {
+        if (templates.length === 0) {
+            return '';
+        }
+
+        const describe = (template) => {
+            const details = [
+                template.description,
+                template.categories.length > 0 ? `categories: ${template.categories.join(', ')}` : null,
+                `variables: ${template.variables.map(variable => variable.required ? variable.name : `${variable.name} (optional)`).join(', ') || 'none'}`
+            ].filter(Boolean).join('; ');
+
+            return `[${template.id}] ${details}\n---\n${template.body}\n---`;
+        };
+
+        return `
+Approved reply templates (wording approved by our support team for common cases):
+${templates.map(describe).join('\n\n')}
+
+If one of these templates fully answers the email, set "templateId" to its id and "templateVariables" to values for its variables taken from the email; senderName, senderEmail and subject are filled in automatically. The template is sent with its exact wording. Still write "suggestedReply"; it is used when the template cannot be filled in.
+`;
+    }
+
+    /**
+     * Map the passage ids cited by the model to their sources, ignoring unknown ids
+     * @private
+     */
+    _getCitedSources(cited, passages) {
+        const ids = Array.isArray(cited) ? cited.map(id => String(id).replace(/[[\]]/g, '').toUpperCase()) : [];
+
+        return passages
+            .filter(passage => ids.includes(passage.id))
+            .map(({ id, source, title }) => ({ id, source, title }));
+    }
+
+    /**
+     * Prompt section with knowledge base passages for grounding the reply
+     * @private
+     */
+    _buildKnowledgeContext(passages) {
+        if (passages.length === 0) {
+            return '';
+        }
+
+        return `
+Knowledge base passages (our product documentation, most relevant first):
+${passages.map(passage => `[${passage.id}] ${passage.source} (${passage.title})\n${passage.text}`).join('\n\n')}
+
+Base product facts, steps and limits in the reply on these passages and cite the ones you use in "sources".
+If they do not answer the question, do not guess product details; say we will look into it and follow up.
+`;
+    }
+
     /**
      * Build triage prompt with reply detection
+     * @param {Array} passages - Knowledge base passages from _findPassages()
+     * @param {Array} templates - Candidate reply templates from _findTemplates()
      * @private
      */
-    _buildTriageWithReplyPrompt(email) {
+    _buildTriageWithReplyPrompt(email, passages = [], templates = []) {
         // Check if email is from a no-reply address
         const isNoReply = this._isNoReplyAddress(email.from);
         
+        // A configured signature is appended after generation instead of written by the model
+        const appendsSignature = !!this.replyStyle?.getSignature();
+        
         // Build personalization context
         const personalizationContext = this.config.userName && this.config.userDesignation
-            ? `\n**IMPORTANT: You are responding as ${this.config.userName}, ${this.config.userDesignation}. Sign all replies with this name and designation.**\n`
+            ? `\n**IMPORTANT: You are responding as ${this.config.userName}, ${this.config.userDesignation}.${appendsSignature ? '' : ' Sign all replies with this name and designation.'}**\n`
             : '';
         
         return `
@@ -216,23 +388,28 @@ If the email needs a reply AND the sender address is replyable, generate a profe
 - Provides helpful information or next steps
 - Maintains a professional and friendly tone
 - Is ready to send (complete sentences, proper formatting)
-${this.config.userName && this.config.userDesignation ? `- MUST end with a professional signature:\n\nBest regards,\n${this.config.userName}\n${this.config.userDesignation}` : '- Includes an appropriate professional closing'}
-
+${appendsSignature ? '- Ends with the last sentence of the message, without closing or signature' : this.config.userName && this.config.userDesignation ? `- MUST end with a professional signature:\n\nBest regards,\n${this.config.userName}\n${this.config.userDesignation}` : '- Includes an appropriate professional closing'}
+${this.replyStyle ? this.replyStyle.buildPromptSection() : ''}
 Return result as JSON with these fields:
 - "isRelevant" (boolean): true if business-relevant
 - "isReplyable" (boolean): true ONLY if this email needs a response AND the sender address is replyable (not no-reply/do-not-reply)
 - "cleanedMessage" (string): complete email content with subject line
-- "suggestedReply" (string): if isReplyable is true, provide a complete, ready-to-send reply with proper signature
+- "suggestedReply" (string): if isReplyable is true, provide a complete, ready-to-send reply${appendsSignature ? '' : ' with proper signature'}
 - "replyReason" (string): if isReplyable is true, brief explanation why it needs a reply
 - "replyConfidence" (number): if isReplyable is true, confidence score 0-1 for the suggested reply
 - "confidence" (number): confidence score 0-1 for relevance classification
 - "category" (string): brief category if relevant
-
+- "sentiment" (string): the sender's sentiment, one of "positive", "neutral", "negative"${this.replyStyle ? `
+- "language" (string): ISO 639-1 code of the language the email is written in, e.g. "en"` : ''}${passages.length > 0 ? `
+- "sources" (array of strings): ids of the knowledge base passages the reply relies on, e.g. ["KB1"]` : ''}${templates.length > 0 ? `
+- "templateId" (string or null): id of the approved template to reply with, or null when none fits
+- "templateVariables" (object): values for the chosen template's variables, e.g. {"orderNumber": "A-1042"}` : ''}
+${this._buildKnowledgeContext(passages)}${this._buildTemplateContext(templates)}${this._buildSenderContext(email)}${this._buildThreadContext(email)}
 Email to analyze:
 ---
 From: ${email.from}
 Subject: ${email.subject}
-Date: ${email.date}
+Date: ${email.date}${this._getMetadataLines(email).map(line => `\n${line}`).join('')}
 
 ${email.body}
 ---
@@ -269,32 +446,59 @@ JSON Response:`;
     /**
      * Triage individual emails for business relevance
      */
-    async _triageEmails(emails) {
-        const results = [];
-        
-        for (let i = 0; i < emails.length; i++) {
-            const email = emails[i];
-            console.log(`📧 Triaging email ${i + 1}/${emails.length} from: ${email.from}`);
-            
-            try {
-                const triageResult = await this._triageEmail(email);
-                results.push({
-                    ...triageResult,
-                    email: email
-                });
-            } catch (error) {
-                console.error(`⚠️  Triage failed for email from ${email.from}:`, error.message);
-                // Default to not relevant if triage fails
-                results.push({
-                    isRelevant: false,
-                    cleanedMessage: email.body,
-                    email: email,
-                    error: error.message
-                });
+    async _triageEmails(emails, options = {}) {
+        return await this._runTriage(emails, email => this._triageEmail(email), {
+            ...options,
+            label: 'Triaging',
+            fallback: { isRelevant: false }
+        });
+    }
+
+    /**
+     * Run a triage function over all emails with bounded concurrency and rate limiting
+     * Emails whose triage fails (after retries) default to the fallback verdict
+     * @private
+     */
+    async _runTriage(emails, triageFn, options) {
+        const settled = await this.scheduler.run(
+            emails,
+            (email, index) => {
+                console.log(`📧 ${options.label} email ${index + 1}/${emails.length} from: ${email.from}`);
+                return triageFn(email);
+            },
+            {
+                onProgress: event => options.onProgress?.({
+                    stage: 'triage',
+                    completed: event.completed,
+                    total: event.total,
+                    emailId: emails[event.index].id,
+                    success: event.success
+                }),
+                onRetry: event => options.onRetry?.({
+                    stage: 'triage',
+                    emailId: emails[event.index].id,
+                    attempt: event.attempt,
+                    delay: event.delay,
+                    error: event.error
+                })
+            }
+        );
+
+        return settled.map((outcome, index) => {
+            const email = emails[index];
+
+            if (outcome.status === 'fulfilled') {
+                return { ...outcome.value, email };
             }
-        }
 
-        return results;
+            console.error(`⚠️  ${options.label} failed for email from ${email.from}:`, outcome.reason.message);
+            return {
+                ...options.fallback,
+                cleanedMessage: email.body,
+                email,
+                error: outcome.reason.message
+            };
+        });
     }
 
     /**
@@ -303,14 +507,9 @@ JSON Response:`;
     async _triageEmail(email) {
         const prompt = this._buildTriagePrompt(email);
         
-        const response = await this.neurolink.generate({
-            input: { text: prompt },
-            provider: this.config.provider,
-            timeout: this.config.timeout,
-            ...(this.config.model && { model: this.config.model })
-        });
+        const content = await this._generate(prompt, 'triage', { email });
 
-        const parsed = this._extractJsonFromResponse(response.content);
+        const parsed = this._extractJsonFromResponse(content);
         
         if (!parsed || typeof parsed.isRelevant !== 'boolean') {
             console.warn('Invalid triage response format, defaulting to not relevant');
@@ -326,59 +525,325 @@ JSON Response:`;
             cleanedMessage: (parsed.cleanedMessage || email.body).trim(),
             from: email.from,
             confidence: parsed.confidence || null,
-            category: parsed.category || null
+            category: parsed.category || null,
+            sentiment: SENTIMENTS.includes(parsed.sentiment) ? parsed.sentiment : null
         };
     }
 
     /**
      * Perform consolidated analysis on all emails (relevant and non-relevant)
      * Processes in batches to avoid token limits
+     * @returns {Object} Structured report (see report-schema.js)
      */
     async _performConsolidatedAnalysis(allTriageResults) {
-        // Limit batch size to prevent token overflow
-        const BATCH_SIZE = 15; // Process max 15 emails at a time
+        const chunks = this._chunkTriageResults(allTriageResults);
         
-        if (allTriageResults.length <= BATCH_SIZE) {
-            // Small batch - process all at once
-            return await this._processBatch(allTriageResults);
+        if (chunks.length === 1) {
+            // Everything fits in one prompt
+            return await this._processBatch(chunks[0]);
         }
         
-        // Large batch - process in chunks and combine
-        console.log(`⚠️  Processing ${allTriageResults.length} emails in batches of ${BATCH_SIZE} to avoid token limits...`);
-        const batches = [];
+        // Too large for one prompt - analyze chunks, then merge the partial reports
+        console.log(`⚠️  Splitting ${allTriageResults.length} emails into ${chunks.length} chunks to fit the model context window...`);
         
-        for (let i = 0; i < allTriageResults.length; i += BATCH_SIZE) {
-            const batch = allTriageResults.slice(i, i + BATCH_SIZE);
-            console.log(`📦 Processing batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(allTriageResults.length / BATCH_SIZE)} (${batch.length} emails)...`);
-            const batchResult = await this._processBatch(batch);
-            batches.push(batchResult);
-        }
+        const results = await this.scheduler.run(chunks, (chunk, index) => {
+            console.log(`📦 Processing chunk ${index + 1}/${chunks.length} (${chunk.length} emails)...`);
+            return this._processBatch(chunk);
+        });
+        
+        const partialReports = results.map((result, index) => {
+            if (result.status === 'fulfilled') {
+                return result.value;
+            }
+            
+            console.warn(`⚠️  Chunk ${index + 1} failed (${result.reason.message}), using triage results for its emails`);
+            return this._buildStructuredReport(null, chunks[index]);
+        });
+        
+        return await this._mergePartialReports(partialReports);
+    }
+
+    /**
+     * Split triage results into chunks that fit the model's context window and output limit
+     * @private
+     */
+    _chunkTriageResults(triageResults) {
+        const budget = this._getConsolidatedBudget();
+        
+        return chunkByTokenBudget(
+            triageResults,
+            result => estimateTokens(this._formatBatchEntry(result, triageResults.length, budget.inputTokens)),
+            { maxTokens: budget.inputTokens, maxItems: budget.maxEmails }
+        );
+    }
+
+    /**
+     * Token budget for the messages in one consolidated prompt
+     * @private
+     * @returns {Object} { inputTokens, maxEmails }
+     */
+    _getConsolidatedBudget() {
+        const { contextWindow, maxOutputTokens } = getModelLimits(this.config);
+        const promptTokens = estimateTokens(this._buildConsolidatedPrompt(''));
         
-        // Combine all batch results
-        return batches.join('\n\n---\n\n## Next Batch\n\n');
+        return {
+            inputTokens: Math.max(Math.floor(contextWindow * CONTEXT_SAFETY_MARGIN) - promptTokens - maxOutputTokens, OUTPUT_TOKENS_PER_EMAIL),
+            maxEmails: Math.max(Math.floor(maxOutputTokens / OUTPUT_TOKENS_PER_EMAIL), 1)
+        };
+    }
+
+    /**
+     * Format one triage result for the consolidated prompt
+     * Messages too large for a prompt on their own are truncated
+     * @private
+     */
+    _formatBatchEntry(result, index, maxTokens) {
+        const history = this._formatThreadHistory(result.email, Math.min(this.config.threadContextTokens, Math.floor(maxTokens / 2)));
+        const context = history ? `\nEarlier in this conversation:\n${history}\nLatest message:` : '';
+        const message = truncateToTokens(result.cleanedMessage, maxTokens - 50 - estimateTokens(context));
+        const details = [`From: ${result.from}`, ...this._getMetadataLines(result.email)].join(', ');
+        return `[#${index}] (${details}) [${result.isRelevant ? 'RELEVANT' : 'GENERAL'}]${context}\n${message}`;
+    }
+
+    /**
+     * Prompt section with what we know about the sender from earlier emails (email.senderProfile)
+     * @private
+     */
+    _buildSenderContext(email) {
+        const profile = email?.senderProfile;
+
+        if (!profile) {
+            return '';
+        }
+
+        const counts = (values) => Object.entries(values)
+            .filter(([, count]) => count > 0)
+            .sort((a, b) => b[1] - a[1])
+            .map(([name, count]) => `${name} (${count})`)
+            .join(', ');
+        const lines = [
+            `- ${profile.emailCount} earlier email${profile.emailCount === 1 ? '' : 's'} since ${profile.firstSeen.substring(0, 10)}, we replied ${profile.repliesSent} time${profile.repliesSent === 1 ? '' : 's'}`
+        ];
+
+        if (counts(profile.categories)) lines.push(`- Topics: ${counts(profile.categories)}`);
+        if (counts(profile.sentiment)) lines.push(`- Sentiment: ${counts(profile.sentiment)}`);
+        if (profile.domain) lines.push(`- ${profile.domain.emailCount} emails from ${profile.domain.senders} people at ${profile.domain.name}`);
+
+        for (const entry of profile.recent) {
+            const summary = entry.summary ? `: ${truncateToTokens(entry.summary, 60).replace(/\s+/g, ' ')}` : '';
+            lines.push(`- ${entry.date.substring(0, 10)} "${entry.subject || 'No subject'}"${entry.category ? ` (${entry.category})` : ''}${summary}${entry.replied ? ' [we replied]' : ''}`);
+        }
+
+        return `
+What we know about this sender from earlier emails (use it for context, e.g. to acknowledge a recurring
+issue; do not mention that we keep this history):
+${lines.join('\n')}
+`;
+    }
+
+    /**
+     * Prompt section with the earlier messages of the email's conversation, if any
+     * @private
+     */
+    _buildThreadContext(email) {
+        const history = this._formatThreadHistory(email, this.config.threadContextTokens);
+
+        if (!history) {
+            return '';
+        }
+
+        return `
+This email continues an earlier conversation. Use it to understand follow-ups (e.g. "any update?" refers to
+the earlier request) and do not repeat or contradict what we already told the sender.
+
+Earlier messages in this conversation (oldest first):
+---
+${history}
+---
+`;
+    }
+
+    /**
+     * Earlier conversation messages, oldest first, within a token budget
+     * When the conversation does not fit, the oldest messages are left out
+     * @private
+     */
+    _formatThreadHistory(email, maxTokens) {
+        const history = email?.threadHistory || [];
+        const entries = [];
+        let used = 0;
+
+        for (const message of [...history].reverse()) {
+            const sender = message.fromUs ? `Us (${message.from})` : message.from;
+            const entry = `[${sender}, ${message.date}]\n${truncateToTokens(message.body, THREAD_MESSAGE_TOKENS) || '(no text)'}`;
+            const tokens = estimateTokens(entry);
+
+            if (used + tokens > maxTokens) {
+                break;
+            }
+
+            entries.unshift(entry);
+            used += tokens;
+        }
+
+        const omitted = history.length - entries.length;
+        if (omitted > 0) {
+            entries.unshift(`(${omitted} earlier message${omitted === 1 ? '' : 's'} not shown)`);
+        }
+
+        return history.length > 0 ? entries.join('\n\n') : '';
+    }
+
+    /**
+     * Header lines for imported feedback metadata (rating, source)
+     * @private
+     */
+    _getMetadataLines(email) {
+        const metadata = email?.metadata || {};
+        const lines = [];
+
+        if (metadata.rating !== undefined) lines.push(`Rating: ${metadata.rating}`);
+        if (metadata.source) lines.push(`Source: ${metadata.source}`);
+
+        return lines;
     }
     
     /**
-     * Process a single batch of emails
+     * Process a single batch of emails into a structured report
      * @private
      */
     async _processBatch(triageResults) {
+        const { inputTokens } = this._getConsolidatedBudget();
         const emailBatch = triageResults
-            .map(result => `(From: ${result.from}) [${result.isRelevant ? 'RELEVANT' : 'GENERAL'}]\n${result.cleanedMessage}`)
+            .map((result, index) => this._formatBatchEntry(result, index, inputTokens))
             .join('\n\n---\n\n');
 
         const prompt = this._buildConsolidatedPrompt(emailBatch);
 
-        const response = await this.neurolink.generate({
+        const content = await this._generate(prompt, 'consolidated', { triageResults });
+
+        return this._buildStructuredReport(this._extractJsonFromResponse(content), triageResults);
+    }
+
+    /**
+     * Merge per-chunk reports into one report
+     * Entries are concatenated in order; insights are re-synthesized across all chunks,
+     * falling back to the de-duplicated per-chunk insights if the merge request fails
+     * @private
+     */
+    async _mergePartialReports(partialReports) {
+        const entries = partialReports.flatMap(report => report.entries);
+        const partialInsights = [...new Set(partialReports.flatMap(report => report.insights))];
+        let insights = partialInsights;
+        
+        console.log(`🔗 Merging ${partialReports.length} partial reports...`);
+        
+        try {
+            const prompt = this._buildMergePrompt(entries, partialInsights);
+            const content = await this._generate(prompt, 'merge', { entries, partialInsights });
+            const parsed = this._extractJsonFromResponse(content);
+            const merged = Array.isArray(parsed?.insights)
+                ? parsed.insights.filter(insight => typeof insight === 'string' && insight.trim())
+                : [];
+            
+            if (merged.length > 0) {
+                insights = merged;
+            }
+        } catch (error) {
+            console.warn(`⚠️  Failed to merge insights (${error.message}), keeping per-chunk insights`);
+        }
+        
+        const report = createStructuredReport(entries, insights);
+        const validation = validateStructuredReport(report);
+        
+        if (!validation.valid) {
+            throw new Error(`Structured report failed validation: ${validation.errors.join('; ')}`);
+        }
+        
+        return report;
+    }
+
+    /**
+     * Let the caller review or replace triage verdicts
+     * @private
+     */
+    async _afterTriage(triageResults, options) {
+        if (!options.afterTriage) {
+            return triageResults;
+        }
+
+        return (await options.afterTriage(triageResults)) || triageResults;
+    }
+
+    /**
+     * Send a prompt to the AI backend
+     * @param {string} prompt - Prompt text
+     * @param {string} stage - Pipeline stage name, passed to the backend as a hint
+     * @param {Object} context - Structured data behind the prompt (used by local backends)
+     * @param {Object} overrides - Request option overrides (e.g. timeout)
+     * @returns {string} Response content
+     * @private
+     */
+    async _generate(prompt, stage, context = {}, overrides = {}) {
+        const response = await this.backend.generate({
             input: { text: prompt },
             provider: this.config.provider,
             timeout: this.config.timeout,
-            ...(this.config.model && { model: this.config.model })
+            ...(this.config.model && { model: this.config.model }),
+            stage,
+            context,
+            ...overrides
         });
 
         return response.content;
     }
 
+    /**
+     * Convert the model's consolidated JSON into a validated structured report
+     * Sender, subject and ids come from the triage results; emails the model
+     * skipped are filled in from their triage verdict so every email is represented
+     * @private
+     */
+    _buildStructuredReport(parsed, triageResults) {
+        const modelEntries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+        
+        if (!parsed) {
+            console.warn('Invalid consolidated analysis format, building report from triage results');
+        }
+
+        const entries = triageResults.map((result, index) => {
+            const modelEntry = modelEntries.find(entry => Number(entry.index) === index) || {};
+
+            return createReportEntry({
+                emailId: result.email?.id,
+                threadId: result.email?.threadId,
+                sender: result.from || result.email?.from,
+                subject: result.email?.subject,
+                category: modelEntry.category || result.category,
+                relevant: result.isRelevant,
+                analysis: modelEntry.analysis || result.cleanedMessage,
+                // Template wording and styled replies are kept as is
+                suggestedReply: result.templateId || result.styleIssues ? result.suggestedReply : (modelEntry.suggestedReply || result.suggestedReply),
+                templateId: result.templateId,
+                confidence: typeof modelEntry.confidence === 'number' ? modelEntry.confidence : result.confidence,
+                messageCount: (result.email?.threadHistory?.length || 0) + 1
+            });
+        });
+
+        const insights = Array.isArray(parsed?.insights)
+            ? parsed.insights.filter(insight => typeof insight === 'string' && insight.trim())
+            : [];
+
+        const report = createStructuredReport(entries, insights);
+        const validation = validateStructuredReport(report);
+        
+        if (!validation.valid) {
+            throw new Error(`Structured report failed validation: ${validation.errors.join('; ')}`);
+        }
+
+        return report;
+    }
+
     /**
      * Build triage prompt for individual email
      */
@@ -397,11 +862,12 @@ Return result as JSON with these fields:
 - "cleanedMessage" (string): complete email content with subject line, preserving all important details
 - "confidence" (number): confidence score 0-1 (optional)
 - "category" (string): brief category if relevant (optional)
-
+- "sentiment" (string): the sender's sentiment, one of "positive", "neutral", "negative" (optional)
+${this._buildThreadContext(email)}
 Email to analyze:
 ---
 From: ${email.from}
-Subject: ${email.subject}
+Subject: ${email.subject}${this._getMetadataLines(email).map(line => `\n${line}`).join('')}
 
 ${email.body}
 ---
@@ -413,82 +879,74 @@ JSON Response:`;
      * Build consolidated analysis prompt
      */
     _buildConsolidatedPrompt(emailBatch) {
+        const categoryList = REPORT_CATEGORIES
+            .map(category => `- "${category.id}": ${category.label}`)
+            .join('\n');
+
         return `
 Analyze the entire block of text below, which contains multiple cleaned email messages separated by "---". 
-Each message is tagged as [RELEVANT] or [GENERAL] to help with categorization.
-Your task is to read all messages and generate a comprehensive Markdown report with detailed analysis and intelligent replies.
-
-Every message should be represented in the final report with complete details and contextual responses.
-
-Use this structure for the report:
-
-**Consolidated Feedback Analysis Report**
-
-### Technical Queries & Issues
-For each email in this category, provide:
-**Email from [Sender Name/Company]**
-- **Subject:** [Full email subject]
-- **Analysis:** [Detailed explanation of the technical issue, including context, impact, and specifics]
-- **Suggested Reply:**
-\`\`\`
-[Generate a helpful, specific reply that addresses their technical concern with practical solutions, troubleshooting steps, or next actions. Make it professional and actionable.]
-\`\`\`
-
-### Feature & Implementation Requests  
-For each email in this category, provide:
-**Email from [Sender Name/Company]**
-- **Subject:** [Full email subject]
-- **Analysis:** [Detailed explanation of the feature request, business justification, and requirements]
-- **Suggested Reply:**
-\`\`\`
-[Generate a thoughtful response acknowledging their request, explaining feasibility, timeline considerations, or alternative solutions.]
-\`\`\`
-
-### Service & Billing Changes
-For each email in this category, provide:
-**Email from [Sender Name/Company]**
-- **Subject:** [Full email subject]
-- **Analysis:** [Detailed explanation of the service/billing request and business implications]
-- **Suggested Reply:**
-\`\`\`
-[Generate a helpful response with specific next steps, policy explanations, or account management guidance.]
-\`\`\`
-
-### Meeting & Scheduling Requests
-For each email in this category, provide:
-**Email from [Sender Name/Company]**
-- **Subject:** [Full email subject]
-- **Analysis:** [Detailed explanation of the meeting purpose, urgency, and context]
-- **Suggested Reply:**
-\`\`\`
-[Generate a professional response with availability, meeting logistics, or scheduling coordination.]
-\`\`\`
-
-### General Inquiries & Communications
-For each email in this category, provide:
-**Email from [Sender Name/Company]**
-- **Subject:** [Full email subject]
-- **Analysis:** [Detailed explanation of their inquiry or communication purpose]
-- **Suggested Reply:**
-\`\`\`
-[Generate a helpful, specific response that addresses their question or provides relevant information. Even for general emails, make it contextual and useful.]
-\`\`\`
+Each message starts with an index like [#0] and is tagged as [RELEVANT] or [GENERAL] to help with categorization.
+Your task is to read all messages and produce a detailed analysis and an intelligent reply for every message.
+
+Every message must be represented in the result exactly once, using its index.
+
+Categories (use the id):
+${categoryList}
+
+Return result as JSON with these fields:
+- "entries" (array): one object per message with:
+  - "index" (number): the message index from the [#N] tag
+  - "category" (string): one of the category ids above
+  - "analysis" (string): detailed explanation of the message, including context, impact, and specifics
+  - "suggestedReply" (string): a helpful, specific, ready-to-send reply that addresses the sender's needs
+  - "confidence" (number): confidence score 0-1 for the category and analysis
+- "insights" (array of strings): 2-5 key insights across all messages (trends, urgent issues, recurring requests)
 
 **Important Rules:**
 - Provide complete email analysis, not summaries or snippets
 - Generate intelligent, contextual replies that specifically address each sender's needs
-- Include all relevant details from the email content
 - Make suggested replies professional, helpful, and actionable
 - Do not use generic responses - tailor each reply to the specific email content
-- Include sender information clearly
 - If technical details are mentioned, address them specifically in the reply
+- Some messages include earlier messages of their conversation; keep replies consistent with what we already said
+- Respond with JSON only
 
 Messages to analyze:
 ---
 ${emailBatch}
 ---
 
-Consolidated Report:`;
+JSON Response:`;
+    }
+
+    /**
+     * Build prompt that merges insights from chunked consolidated analysis
+     */
+    _buildMergePrompt(entries, partialInsights) {
+        const categoryCounts = groupEntriesByCategory({ entries })
+            .map(group => `- ${group.label}: ${group.entries.length} messages`)
+            .join('\n');
+        const relevant = entries.filter(entry => entry.relevant).length;
+
+        return `
+A large set of email messages was analyzed in separate chunks. Combine the partial results below
+into one coherent set of insights for the whole set.
+
+Totals: ${entries.length} messages, ${relevant} business relevant
+
+Messages per category:
+${categoryCounts}
+
+Insights from each chunk:
+${partialInsights.map(insight => `- ${insight}`).join('\n')}
+
+Return result as JSON with this field:
+- "insights" (array of strings): 2-5 key insights across all messages (trends, urgent issues, recurring requests).
+  Combine duplicates and use whole-set numbers rather than per-chunk numbers.
+
+Respond with JSON only.
+
+JSON Response:`;
     }
 
     /**
@@ -518,10 +976,11 @@ Consolidated Report:`;
 
     /**
      * Generate final analysis report
+     * @param {Object} structuredReport - Structured report from the consolidated stage
      */
-    _generateReport(consolidatedAnalysis, relevantCount, totalCount, generalCount = 0) {
+    _generateReport(structuredReport, relevantCount, totalCount, generalCount = 0) {
         const timestamp = new Date().toISOString();
-        const summary = this._extractSummary(consolidatedAnalysis);
+        const summary = this._summarizeStructuredReport(structuredReport);
 
         return {
             timestamp,
@@ -532,7 +991,8 @@ Consolidated Report:`;
                 categories: summary.categories,
                 keyInsights: summary.insights
             },
-            analysis: consolidatedAnalysis,
+            analysis: renderReportMarkdown(structuredReport),
+            structured: structuredReport,
             metadata: {
                 aiProvider: this.config.provider,
                 model: this.config.model,
@@ -541,8 +1001,28 @@ Consolidated Report:`;
         };
     }
 
+    /**
+     * Summarize per-email triage verdicts for the report
+     * @private
+     */
+    _summarizeTriage(triageResults) {
+        return triageResults.map(result => ({
+            id: result.email.id,
+            threadId: result.email.threadId || null,
+            from: result.email.from,
+            subject: result.email.subject,
+            isRelevant: !!result.isRelevant,
+            isReplyable: !!result.isReplyable,
+            category: result.category || null,
+            sentiment: result.sentiment || null,
+            ...(result.email.messageIds && { messageIds: result.email.messageIds }),
+            ...(result.error && { error: result.error })
+        }));
+    }
+
     /**
      * Generate empty report when no emails found
+     * Same shape as _generateReport() so consumers need no special case
      */
     _generateEmptyReport(reason = 'No emails found to analyze.') {
         return {
@@ -550,10 +1030,13 @@ Consolidated Report:`;
             summary: {
                 totalEmails: 0,
                 relevantEmails: 0,
+                generalEmails: 0,
                 categories: [],
                 keyInsights: [reason]
             },
             analysis: `# Feedback Analysis Report - ${new Date().toLocaleDateString()}\n\n${reason}`,
+            structured: createStructuredReport([], [reason]),
+            triage: [],
             metadata: {
                 aiProvider: this.config.provider,
                 model: this.config.model,
@@ -563,36 +1046,28 @@ Consolidated Report:`;
     }
 
     /**
-     * Extract summary insights from consolidated analysis
+     * Generate empty report for analyzeWithReplies(), including the reply fields
      */
-    _extractSummary(analysisContent) {
-        const categories = [];
-        const insights = [];
-
-        // Extract categories from markdown headers
-        const categoryMatches = analysisContent.match(/### ([^#\n]+)/g);
-        if (categoryMatches) {
-            categories.push(...categoryMatches.map(match => match.replace('### ', '').trim()));
-        }
+    _generateEmptyReplyReport() {
+        const report = this._generateEmptyReport();
+        report.replyableEmails = [];
+        report.summary.replyableEmails = 0;
+        return report;
+    }
 
-        // Count items in each category
-        const bulletPoints = analysisContent.match(/^\s*\*\s+.+$/gm);
-        const itemCount = bulletPoints ? bulletPoints.length : 0;
+    /**
+     * Derive summary categories and insights from a structured report
+     */
+    _summarizeStructuredReport(structuredReport) {
+        const groups = groupEntriesByCategory(structuredReport);
+        const categories = groups.map(group => group.label);
+        const insights = [];
 
-        if (itemCount > 0) {
-            insights.push(`${itemCount} feedback items identified across ${categories.length} categories`);
+        if (structuredReport.entries.length > 0) {
+            insights.push(`${structuredReport.entries.length} feedback items identified across ${categories.length} categories`);
         }
 
-        // Extract key themes
-        if (analysisContent.includes('Technical')) {
-            insights.push('Technical issues and integration requests present');
-        }
-        if (analysisContent.includes('Feature')) {
-            insights.push('Feature enhancement requests identified');
-        }
-        if (analysisContent.includes('Meeting')) {
-            insights.push('Meeting and scheduling requests found');
-        }
+        insights.push(...structuredReport.insights);
 
         return { categories, insights };
     }
@@ -606,13 +1081,9 @@ Consolidated Report:`;
             
             const testPrompt = 'Respond with JSON: {"status": "connected", "provider": "' + this.config.provider + '"}';
             
-            const response = await this.neurolink.generate({
-                input: { text: testPrompt },
-                provider: this.config.provider,
-                timeout: '10000s'
-            });
+            const content = await this._generate(testPrompt, 'connection', {}, { timeout: '10000s' });
 
-            const parsed = this._extractJsonFromResponse(response.content);
+            const parsed = this._extractJsonFromResponse(content);
 
             return {
                 success: true,
@@ -655,13 +1126,9 @@ Respond with JSON:
   "insights": ["Key insight 1", "Key insight 2"]
 }`;
 
-            const response = await this.neurolink.generate({
-                input: { text: sentimentPrompt },
-                provider: this.config.provider,
-                timeout: this.config.timeout
-            });
+            const content = await this._generate(sentimentPrompt, 'sentiment', { count: emails.length });
 
-            return this._extractJsonFromResponse(response.content);
+            return this._extractJsonFromResponse(content);
         } catch (error) {
             console.error('Sentiment analysis failed:', error.message);
             return null;
@@ -680,8 +1147,13 @@ Respond with JSON:
                 triage: true,
                 consolidatedAnalysis: true,
                 sentimentAnalysis: true,
-                jsonParsing: true
-            }
+                jsonParsing: true,
+                structuredReports: true,
+                offline: this.config.provider === 'mock',
+                chunkedAnalysis: true
+            },
+            limits: getModelLimits(this.config),
+            reportSchemaVersion: REPORT_SCHEMA_VERSION
         };
     }
 }
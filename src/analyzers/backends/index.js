@@ -0,0 +1,26 @@
+/**
+ * AI Backends Module Exports
+ *
+ * An AI backend is any object with `generate(request) -> Promise<{ content }>`, where
+ * request is `{ input: { text }, provider, model, timeout, stage, context }`.
+ * `stage` names the pipeline step (triage, triage-reply, consolidated, merge,
+ * sentiment, connection) and `context` carries the structured data behind the prompt.
+ */
+
+import { NeuroLinkBackend } from './neurolink-backend.js';
+import { MockBackend } from './mock-backend.js';
+
+export { NeuroLinkBackend } from './neurolink-backend.js';
+export { MockBackend } from './mock-backend.js';
+export { ResponseRecorder } from './response-recorder.js';
+
+/**
+ * Create the AI backend for an analyzer config
+ */
+export function createAIBackend(aiConfig = {}) {
+    if (aiConfig.provider === 'mock') {
+        return new MockBackend(aiConfig.mock || {});
+    }
+
+    return new NeuroLinkBackend({ recordPath: aiConfig.recordPath || null });
+}
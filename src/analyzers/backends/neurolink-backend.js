@@ -0,0 +1,36 @@
+import { NeuroLink } from '@juspay/neurolink';
+import { ResponseRecorder } from './response-recorder.js';
+
+/**
+ * NeuroLink AI Backend
+ * Sends prompts to the configured NeuroLink provider, optionally recording
+ * responses so they can be replayed later by the mock backend
+ */
+export class NeuroLinkBackend {
+    constructor(config = {}) {
+        this.config = config;
+        this.neurolink = new NeuroLink();
+        this.recorder = config.recordPath ? new ResponseRecorder(config.recordPath) : null;
+
+        if (this.recorder) {
+            console.log(`📼 Recording AI responses to ${config.recordPath}`);
+        }
+    }
+
+    /**
+     * Generate a completion
+     * @param {Object} request - { input: { text }, provider, model, timeout, stage, context }
+     * @returns {Object} { content }
+     */
+    async generate(request) {
+        // stage and context are hints for local backends; NeuroLink only needs the prompt options
+        const { stage, context, ...options } = request;
+        const response = await this.neurolink.generate(options);
+
+        if (this.recorder) {
+            await this.recorder.record(request.input.text, response.content, stage);
+        }
+
+        return response;
+    }
+}
@@ -0,0 +1,79 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const RECORDING_VERSION = 1;
+
+/**
+ * Response Recorder
+ * Stores AI responses keyed by a hash of the prompt so runs can be replayed offline
+ */
+export class ResponseRecorder {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.responses = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Hash a prompt into a recording key
+     */
+    static keyFor(prompt) {
+        return createHash('sha256').update(prompt).digest('hex');
+    }
+
+    /**
+     * Load recorded responses (cached after first load)
+     */
+    async load() {
+        if (this.responses) {
+            return this.responses;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.responses = data.responses || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read AI recording ${this.filePath}: ${error.message}`);
+            }
+            this.responses = {};
+        }
+
+        return this.responses;
+    }
+
+    /**
+     * Look up a recorded response for a prompt
+     * @returns {string|null} Recorded content or null
+     */
+    async lookup(prompt) {
+        const responses = await this.load();
+        return responses[ResponseRecorder.keyFor(prompt)]?.content ?? null;
+    }
+
+    /**
+     * Record a response for a prompt
+     */
+    async record(prompt, content, stage = null) {
+        const responses = await this.load();
+        responses[ResponseRecorder.keyFor(prompt)] = {
+            stage,
+            content,
+            recordedAt: new Date().toISOString()
+        };
+
+        // Serialize writes so concurrent requests don't interleave on disk;
+        // a failed write rejects its own record() call but not the ones after it
+        const write = this.pendingWrite.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(this.filePath, JSON.stringify({
+                version: RECORDING_VERSION,
+                responses
+            }, null, 2));
+        });
+        this.pendingWrite = write.catch(() => {});
+
+        await write;
+    }
+}
@@ -0,0 +1,196 @@
+const DEFAULT_CLOSING = 'Best regards,';
+
+// Leftovers like "[Your Name]", "[insert date]" or "{{orderNumber}}" that must not be sent
+const PLACEHOLDER_PATTERN = /\[(?:your|insert|name|company|date|link)[^\]]*\]|\{\{[^}]*\}\}/i;
+
+/**
+ * Reply Style
+ * Brand voice profile for suggested replies: tone, per-language greetings, banned
+ * phrases, required disclaimers, length and the signature. The profile is described
+ * in the reply prompt; apply() then appends the signature and disclaimers and checks
+ * the reply against the profile so problems are flagged before approval.
+ */
+export class ReplyStyle {
+    /**
+     * @param {Object} config - { tone?, greetings?, defaultLanguage?, bannedPhrases?, disclaimers?, maxLength?,
+     *   closing?, signature?: { text?, html? }, company?: { name?, website?, phone?, address? }, userName?, userDesignation? }
+     */
+    constructor(config = {}) {
+        this.config = {
+            tone: config.tone || null,
+            // Greeting per ISO 639-1 language code; {name} is the sender's first name
+            greetings: config.greetings || {},
+            defaultLanguage: config.defaultLanguage || 'en',
+            bannedPhrases: config.bannedPhrases || [],
+            disclaimers: config.disclaimers || [],
+            maxLength: config.maxLength || null,
+            closing: config.closing || DEFAULT_CLOSING,
+            signature: config.signature || {},
+            company: config.company || {},
+            ...config
+        };
+    }
+
+    /**
+     * Plain text signature: the configured one, or one built from the closing, name, designation and company
+     * @returns {string|null}
+     */
+    getSignature() {
+        if (this.config.signature.text) {
+            return this.config.signature.text.trim();
+        }
+
+        const { company } = this.config;
+        const lines = [
+            this.config.userName,
+            this.config.userDesignation,
+            company.name,
+            [company.website, company.phone].filter(Boolean).join(' | '),
+            company.address
+        ].filter(Boolean);
+
+        return lines.length > 0 ? [this.config.closing, ...lines].join('\n') : null;
+    }
+
+    /**
+     * Greeting for a language, falling back to the default language
+     * @returns {string|null}
+     */
+    getGreeting(language) {
+        const { greetings } = this.config;
+        return greetings[String(language || '').toLowerCase()] || greetings[this.config.defaultLanguage] || null;
+    }
+
+    /**
+     * Style instructions for the reply prompt
+     */
+    buildPromptSection() {
+        const rules = [];
+        const greetings = Object.entries(this.config.greetings);
+
+        if (this.config.tone) {
+            rules.push(`- Tone: ${this.config.tone}`);
+        }
+        if (greetings.length > 0) {
+            rules.push(`- Start with the greeting for the email's language ({name} is the sender's first name): ${greetings.map(([language, greeting]) => `${language}: "${greeting}"`).join(', ')}; for other languages use the ${this.config.defaultLanguage} greeting`);
+        }
+        if (this.config.bannedPhrases.length > 0) {
+            rules.push(`- Never use these phrases: ${this.config.bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}`);
+        }
+        if (this.config.maxLength) {
+            rules.push(`- Keep the reply under ${this.config.maxLength} characters`);
+        }
+        if (this.getSignature()) {
+            rules.push('- Do not write a closing or signature; ours is appended automatically');
+        }
+        if (this.config.disclaimers.length > 0) {
+            rules.push('- Do not write legal disclaimers; the required ones are appended automatically');
+        }
+
+        return rules.length > 0 ? `\nReply style:\n${rules.join('\n')}\n` : '';
+    }
+
+    /**
+     * Append the signature and missing disclaimers, then check the reply
+     * @param {string} reply - Generated reply
+     * @param {Object} options - { language? } language of the email being answered
+     * @returns {Object} { text, issues }
+     */
+    apply(reply, options = {}) {
+        let text = reply.trim();
+        const signature = this.getSignature();
+
+        if (signature && !text.includes(signature)) {
+            text += `\n\n${signature}`;
+        }
+
+        for (const disclaimer of this.config.disclaimers) {
+            if (!text.includes(disclaimer.trim())) {
+                text += `\n\n${disclaimer.trim()}`;
+            }
+        }
+
+        return { text, issues: this.validate(text, options) };
+    }
+
+    /**
+     * Check a reply against the profile
+     * @param {string} text - Reply as it would be sent
+     * @param {Object} options - { language? }
+     * @returns {Array} [{ rule, message }]; empty when the reply follows the profile
+     */
+    validate(text = '', options = {}) {
+        const issues = [];
+        const lowerText = text.toLowerCase();
+
+        for (const phrase of this.config.bannedPhrases) {
+            if (lowerText.includes(phrase.toLowerCase())) {
+                issues.push({ rule: 'banned-phrase', message: `Uses banned phrase "${phrase}"` });
+            }
+        }
+
+        const greeting = this.getGreeting(options.language);
+        const greetingStart = greeting?.split('{name}')[0].trim();
+        if (greetingStart && !lowerText.trimStart().startsWith(greetingStart.toLowerCase())) {
+            issues.push({ rule: 'greeting', message: `Does not start with the greeting "${greeting}"` });
+        }
+
+        for (const disclaimer of this.config.disclaimers) {
+            if (!text.includes(disclaimer.trim())) {
+                issues.push({ rule: 'disclaimer', message: `Missing required disclaimer "${disclaimer.trim().substring(0, 60)}"` });
+            }
+        }
+
+        const placeholder = text.match(PLACEHOLDER_PATTERN);
+        if (placeholder) {
+            issues.push({ rule: 'placeholder', message: `Contains unfilled placeholder "${placeholder[0]}"` });
+        }
+
+        if (this.config.maxLength && text.length > this.config.maxLength + this._getAppendedLength()) {
+            issues.push({ rule: 'length', message: `Longer than ${this.config.maxLength} characters` });
+        }
+
+        return issues;
+    }
+
+    /**
+     * HTML version of a reply with the HTML signature in place of the plain one
+     * The HTML signature is appended when the text has no plain signature (e.g. edited out or none configured)
+     * @returns {string|null} null when no HTML signature is configured
+     */
+    toHtml(text = '') {
+        if (!this.config.signature.html) {
+            return null;
+        }
+
+        const signature = this.getSignature();
+        const index = signature ? text.indexOf(signature) : -1;
+
+        if (index < 0) {
+            return `<div>${toParagraphs(text)}\n${this.config.signature.html}</div>`;
+        }
+
+        const after = text.slice(index + signature.length);
+        return `<div>${toParagraphs(text.slice(0, index))}\n${this.config.signature.html}${after.trim() ? `\n${toParagraphs(after)}` : ''}</div>`;
+    }
+
+    /**
+     * Characters added by apply(), which do not count toward maxLength
+     * @private
+     */
+    _getAppendedLength() {
+        const signature = this.getSignature();
+        return (signature ? signature.length + 2 : 0)
+            + this.config.disclaimers.reduce((total, disclaimer) => total + disclaimer.trim().length + 2, 0);
+    }
+}
+
+/**
+ * Plain text paragraphs as escaped HTML paragraphs
+ * @private
+ */
+function toParagraphs(text) {
+    return text.trim().split(/\n\s*\n/).filter(Boolean)
+        .map(paragraph => `<p>${paragraph.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>')}</p>`)
+        .join('\n');
+}
@@ -0,0 +1,191 @@
+/**
+ * Structured Report Schema
+ * Versioned JSON shape produced by AIAnalyzer's consolidated stage. Notifiers and
+ * external dashboards consume these fields directly; Markdown is rendered from it.
+ * Fields added within a version are optional, so older reports of that version stay valid.
+ */
+
+export const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Report categories in display order
+ */
+export const REPORT_CATEGORIES = [
+    { id: 'technical', label: 'Technical Queries & Issues' },
+    { id: 'feature', label: 'Feature & Implementation Requests' },
+    { id: 'billing', label: 'Service & Billing Changes' },
+    { id: 'meeting', label: 'Meeting & Scheduling Requests' },
+    { id: 'general', label: 'General Inquiries & Communications' }
+];
+
+const CATEGORY_IDS = REPORT_CATEGORIES.map(category => category.id);
+
+/**
+ * Get the display label for a category id
+ */
+export function getCategoryLabel(categoryId) {
+    return REPORT_CATEGORIES.find(category => category.id === categoryId)?.label || categoryId;
+}
+
+/**
+ * Map a free-form category name (e.g. from triage) onto a schema category id
+ */
+export function normalizeCategory(category) {
+    if (!category || typeof category !== 'string') {
+        return 'general';
+    }
+
+    const value = category.toLowerCase();
+
+    if (CATEGORY_IDS.includes(value)) return value;
+    if (/technical|bug|issue|error|support|integration/.test(value)) return 'technical';
+    if (/meeting|schedul|call|demo|calendar/.test(value)) return 'meeting';
+    if (/billing|invoice|payment|refund|pricing|subscription|service/.test(value)) return 'billing';
+    if (/feature|enhancement|implementation|request/.test(value)) return 'feature';
+
+    return 'general';
+}
+
+/**
+ * Build a report entry, coercing fields into the schema types
+ */
+export function createReportEntry(fields = {}) {
+    const confidence = typeof fields.confidence === 'number'
+        ? Math.min(Math.max(fields.confidence, 0), 1)
+        : null;
+
+    return {
+        emailId: fields.emailId || null,
+        threadId: fields.threadId || null,
+        sender: fields.sender || 'Unknown',
+        subject: fields.subject || 'No subject',
+        category: normalizeCategory(fields.category),
+        relevant: !!fields.relevant,
+        analysis: typeof fields.analysis === 'string' ? fields.analysis.trim() : '',
+        suggestedReply: typeof fields.suggestedReply === 'string' && fields.suggestedReply.trim()
+            ? fields.suggestedReply.trim()
+            : null,
+        confidence,
+        // Reply template the suggested reply was filled in from
+        templateId: typeof fields.templateId === 'string' ? fields.templateId : null,
+        // Messages in the conversation this entry covers (the analyzed email and earlier thread messages)
+        messageCount: Number.isInteger(fields.messageCount) && fields.messageCount > 1 ? fields.messageCount : 1
+    };
+}
+
+/**
+ * Create a structured report from entries and insights
+ */
+export function createStructuredReport(entries = [], insights = []) {
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        entries,
+        insights
+    };
+}
+
+/**
+ * Validate a structured report
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateStructuredReport(report) {
+    const errors = [];
+
+    if (!report || typeof report !== 'object') {
+        return { valid: false, errors: ['Report must be an object'] };
+    }
+
+    if (report.schemaVersion !== REPORT_SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be ${REPORT_SCHEMA_VERSION}`);
+    }
+
+    if (!Array.isArray(report.entries)) {
+        errors.push('entries must be an array');
+    } else {
+        report.entries.forEach((entry, index) => {
+            if (!CATEGORY_IDS.includes(entry.category)) {
+                errors.push(`entries[${index}].category must be one of: ${CATEGORY_IDS.join(', ')}`);
+            }
+            if (typeof entry.sender !== 'string') {
+                errors.push(`entries[${index}].sender must be a string`);
+            }
+            if (typeof entry.subject !== 'string') {
+                errors.push(`entries[${index}].subject must be a string`);
+            }
+            if (typeof entry.analysis !== 'string') {
+                errors.push(`entries[${index}].analysis must be a string`);
+            }
+            if (entry.suggestedReply !== null && typeof entry.suggestedReply !== 'string') {
+                errors.push(`entries[${index}].suggestedReply must be a string or null`);
+            }
+            if (entry.confidence !== null && (typeof entry.confidence !== 'number' || entry.confidence < 0 || entry.confidence > 1)) {
+                errors.push(`entries[${index}].confidence must be a number between 0 and 1 or null`);
+            }
+            // Optional: added after version 1 was released
+            if (entry.templateId !== undefined && entry.templateId !== null && typeof entry.templateId !== 'string') {
+                errors.push(`entries[${index}].templateId must be a string or null`);
+            }
+            if (entry.messageCount !== undefined && (!Number.isInteger(entry.messageCount) || entry.messageCount < 1)) {
+                errors.push(`entries[${index}].messageCount must be a positive integer`);
+            }
+        });
+    }
+
+    if (!Array.isArray(report.insights)) {
+        errors.push('insights must be an array');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Group report entries by category, in display order, skipping empty categories
+ */
+export function groupEntriesByCategory(report) {
+    return REPORT_CATEGORIES
+        .map(category => ({
+            ...category,
+            entries: report.entries.filter(entry => entry.category === category.id)
+        }))
+        .filter(group => group.entries.length > 0);
+}
+
+/**
+ * Render a structured report as Markdown
+ */
+export function renderReportMarkdown(report) {
+    let markdown = `**Consolidated Feedback Analysis Report**\n\n`;
+
+    for (const group of groupEntriesByCategory(report)) {
+        markdown += `### ${group.label}\n\n`;
+
+        for (const entry of group.entries) {
+            markdown += `**Email from ${entry.sender}**\n`;
+            markdown += `- **Subject:** ${entry.subject}\n`;
+            if (entry.messageCount > 1) {
+                markdown += `- **Conversation:** ${entry.messageCount} messages\n`;
+            }
+            markdown += `- **Analysis:** ${entry.analysis || 'No analysis available.'}\n`;
+            if (entry.confidence !== null) {
+                markdown += `- **Confidence:** ${(entry.confidence * 100).toFixed(0)}%\n`;
+            }
+            if (entry.templateId) {
+                markdown += `- **Reply Template:** ${entry.templateId}\n`;
+            }
+            if (entry.suggestedReply) {
+                markdown += `- **Suggested Reply:**\n\`\`\`\n${entry.suggestedReply}\n\`\`\`\n`;
+            }
+            markdown += '\n';
+        }
+    }
+
+    if (report.insights.length > 0) {
+        markdown += `### Key Insights\n\n`;
+        report.insights.forEach(insight => {
+            markdown += `- ${insight}\n`;
+        });
+    }
+
+    return markdown.trim();
+}
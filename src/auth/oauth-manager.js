@@ -19,7 +19,9 @@ export class OAuthManager {
         this.redirectUri = config.redirectUri || 'http://localhost:3000/oauth2callback';
         this.scopes = config.scopes || [
             'https://www.googleapis.com/auth/gmail.readonly',
-            'https://www.googleapis.com/auth/gmail.send'
+            'https://www.googleapis.com/auth/gmail.send',
+            // Labeling, archiving and marking as read after processing
+            ...(config.actions?.enabled ? ['https://www.googleapis.com/auth/gmail.modify'] : [])
         ];
         this.port = config.port || 3000;
         
@@ -45,7 +47,9 @@ export class OAuthManager {
 
         // Try to load existing tokens first
         const existingTokens = await this._loadTokens();
-        if (existingTokens) {
+        if (existingTokens && !this._hasScopes(existingTokens)) {
+            console.log('⚠️  Saved authorization is missing required permissions, starting new OAuth flow...');
+        } else if (existingTokens) {
             console.log('📄 Found existing tokens, validating...');
             try {
                 this.oAuth2Client.setCredentials(existingTokens);
@@ -68,6 +72,19 @@ export class OAuthManager {
         return await this._performOAuthFlow();
     }
 
+    /**
+     * Whether saved tokens were granted all configured scopes
+     * Tokens saved without a scope list are assumed to match
+     */
+    _hasScopes(tokens) {
+        if (!tokens.scope) {
+            return true;
+        }
+
+        const granted = tokens.scope.split(' ');
+        return this.scopes.every(scope => granted.includes(scope));
+    }
+
     /**
      * Get a valid access token (refreshing if necessary)
      */
@@ -1,18 +1,86 @@
 import { OAuthManager } from './auth/oauth-manager.js';
-import { GmailProcessor } from './processors/gmail-processor.js';
-import { FileProcessor } from './processors/file-processor.js';
-import { SlackNotifier } from './notifiers/slack-notifier.js';
-import { FileNotifier } from './notifiers/file-notifier.js';
-import { AIAnalyzer } from './analyzers/ai-analyzer.js';
-import { GmailReplySender } from './senders/gmail-reply-sender.js';
 import { ReplyApprovalWorkflow } from './workflows/reply-approval.js';
+import { SlackApprovalWorkflow } from './workflows/slack-approval.js';
 import { ConfigValidator } from './utils/config-validator.js';
+import { ProcessedLedger } from './storage/processed-ledger.js';
+import { ReplyQueue } from './storage/reply-queue.js';
+import { SenderProfileStore } from './storage/sender-profiles.js';
+import { KnowledgeBase } from './knowledge/knowledge-base.js';
+import { ReplyTemplateLibrary } from './knowledge/reply-templates.js';
+import { ReplyStyle } from './analyzers/reply-style.js';
+import { registry } from './registry/index.js';
+import { PluginManager } from './plugins/plugin-manager.js';
 import dotenv from 'dotenv';
 import { EventEmitter } from 'events';
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Split a comma-separated environment variable into its entries
+ */
+function envList(name) {
+    return process.env[name].split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a "key=value;key=value" environment variable into an object
+ */
+function envMap(name) {
+    return Object.fromEntries(process.env[name].split(';')
+        .map(entry => entry.split('='))
+        .filter(([key, ...value]) => key.trim() && value.length > 0)
+        .map(([key, ...value]) => [key.trim(), value.join('=').trim()]));
+}
+
+/**
+ * Parse an environment variable holding a JSON object
+ */
+function envJsonObject(name) {
+    let value;
+
+    try {
+        value = JSON.parse(process.env[name]);
+    } catch {
+        value = null;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${name} must be a JSON object`);
+    }
+
+    return value;
+}
+
+/**
+ * Brand voice settings from the environment; null when none are set
+ */
+function envReplyStyle() {
+    const company = {
+        ...(process.env.COMPANY_NAME && { name: process.env.COMPANY_NAME }),
+        ...(process.env.COMPANY_WEBSITE && { website: process.env.COMPANY_WEBSITE }),
+        ...(process.env.COMPANY_PHONE && { phone: process.env.COMPANY_PHONE }),
+        ...(process.env.COMPANY_ADDRESS && { address: process.env.COMPANY_ADDRESS })
+    };
+    const signature = {
+        ...(process.env.REPLY_SIGNATURE && { text: process.env.REPLY_SIGNATURE }),
+        ...(process.env.REPLY_SIGNATURE_HTML && { html: process.env.REPLY_SIGNATURE_HTML })
+    };
+    const style = {
+        ...(process.env.REPLY_TONE && { tone: process.env.REPLY_TONE }),
+        ...(process.env.REPLY_GREETINGS && { greetings: envMap('REPLY_GREETINGS') }),
+        ...(process.env.REPLY_DEFAULT_LANGUAGE && { defaultLanguage: process.env.REPLY_DEFAULT_LANGUAGE }),
+        ...(process.env.REPLY_BANNED_PHRASES && { bannedPhrases: envList('REPLY_BANNED_PHRASES') }),
+        ...(process.env.REPLY_DISCLAIMER && { disclaimers: [process.env.REPLY_DISCLAIMER] }),
+        ...(process.env.REPLY_MAX_LENGTH && { maxLength: parseInt(process.env.REPLY_MAX_LENGTH) }),
+        ...(process.env.REPLY_CLOSING && { closing: process.env.REPLY_CLOSING }),
+        ...(Object.keys(signature).length > 0 && { signature }),
+        ...(Object.keys(company).length > 0 && { company })
+    };
+
+    return Object.keys(style).length > 0 ? style : null;
+}
+
 /**
  * FeedbackResolver - AI-powered email feedback analysis system
  */
@@ -23,9 +91,12 @@ export default class FeedbackResolver extends EventEmitter {
         this.mode = options.mode || 'gmail';
         this.config = this._mergeConfig(options.config || {});
         this.authenticated = false;
+        this.aiBackend = options.aiBackend || null;
+        this.registry = options.registry || registry;
+        this.plugins = new PluginManager();
         
         // Validate configuration
-        ConfigValidator.validate(this.mode, this.config);
+        ConfigValidator.validate(this.mode, this.config, { modes: this.registry.list('processor') });
         
         // Initialize components
         this._initializeComponents();
@@ -35,8 +106,10 @@ export default class FeedbackResolver extends EventEmitter {
 
     /**
      * Create FeedbackResolver from environment variables
+     * @param {Object} overrides - Settings from CLI flags that take precedence over the environment: { gmail?: { historySync? } }
      */
-    static fromEnv() {
+    static fromEnv(overrides = {}) {
+        const replyStyle = envReplyStyle();
         const config = {
             user: {
                 name: process.env.USER_NAME || '',
@@ -47,25 +120,121 @@ export default class FeedbackResolver extends EventEmitter {
                 clientSecret: process.env.GOOGLE_CLIENT_SECRET,
                 targetEmail: process.env.TARGET_EMAIL,
                 daysToSearch: parseInt(process.env.DAYS_TO_SEARCH) || 10,
+                maxResults: parseInt(process.env.MAX_RESULTS) || 20,
+                historySync: overrides.gmail?.historySync ?? process.env.GMAIL_HISTORY_SYNC === 'true',
+                ...(process.env.GMAIL_HISTORY_PATH && { historyPath: process.env.GMAIL_HISTORY_PATH }),
+                filters: {
+                    ...(process.env.GMAIL_UNREAD_ONLY && { unreadOnly: process.env.GMAIL_UNREAD_ONLY !== 'false' }),
+                    ...(process.env.GMAIL_INCLUDE_LABELS && { includeLabels: envList('GMAIL_INCLUDE_LABELS') }),
+                    ...(process.env.GMAIL_EXCLUDE_LABELS && { excludeLabels: envList('GMAIL_EXCLUDE_LABELS') }),
+                    ...(process.env.GMAIL_INCLUDE_CATEGORIES && { includeCategories: envList('GMAIL_INCLUDE_CATEGORIES') }),
+                    ...(process.env.GMAIL_EXCLUDE_CATEGORIES && { excludeCategories: envList('GMAIL_EXCLUDE_CATEGORIES') }),
+                    ...(process.env.GMAIL_FROM_ALLOW && { fromAllow: envList('GMAIL_FROM_ALLOW') }),
+                    ...(process.env.GMAIL_FROM_DENY && { fromDeny: envList('GMAIL_FROM_DENY') }),
+                    ...(process.env.GMAIL_SUBJECT_KEYWORDS && { subjectKeywords: envList('GMAIL_SUBJECT_KEYWORDS') })
+                },
+                ...(process.env.GMAIL_RAW_QUERY && { rawQuery: process.env.GMAIL_RAW_QUERY }),
+                threadContext: process.env.GMAIL_THREAD_CONTEXT === 'true',
+                ...(process.env.GMAIL_THREAD_HISTORY_LIMIT && { threadHistoryLimit: parseInt(process.env.GMAIL_THREAD_HISTORY_LIMIT) }),
+                actions: {
+                    enabled: process.env.GMAIL_ACTIONS_ENABLED === 'true',
+                    labels: {
+                        ...(process.env.GMAIL_LABEL_RELEVANT !== undefined && { relevant: process.env.GMAIL_LABEL_RELEVANT || null }),
+                        ...(process.env.GMAIL_LABEL_REPLIED !== undefined && { replied: process.env.GMAIL_LABEL_REPLIED || null }),
+                        ...(process.env.GMAIL_LABEL_NEEDS_HUMAN !== undefined && { needsHuman: process.env.GMAIL_LABEL_NEEDS_HUMAN || null })
+                    },
+                    archiveIrrelevant: process.env.GMAIL_ARCHIVE_IRRELEVANT === 'true',
+                    markAsRead: process.env.GMAIL_MARK_AS_READ === 'true'
+                }
+            },
+            imap: {
+                host: process.env.IMAP_HOST,
+                port: parseInt(process.env.IMAP_PORT) || 993,
+                secure: process.env.IMAP_SECURE !== 'false',
+                auth: {
+                    user: process.env.IMAP_USER,
+                    pass: process.env.IMAP_PASSWORD
+                },
+                mailbox: process.env.IMAP_MAILBOX || 'INBOX',
+                markSeen: process.env.IMAP_MARK_SEEN === 'true',
+                targetEmail: process.env.TARGET_EMAIL,
+                daysToSearch: parseInt(process.env.DAYS_TO_SEARCH) || 10,
                 maxResults: parseInt(process.env.MAX_RESULTS) || 20
             },
             ai: {
                 provider: process.env.NEUROLINK_DEFAULT_PROVIDER || 'vertex',
                 model: process.env.NEUROLINK_DEFAULT_MODEL,
                 userName: process.env.USER_NAME || '',
-                userDesignation: process.env.USER_DESIGNATION || ''
+                userDesignation: process.env.USER_DESIGNATION || '',
+                ...(process.env.AI_CONCURRENCY && { concurrency: parseInt(process.env.AI_CONCURRENCY) }),
+                ...(process.env.AI_REQUESTS_PER_MINUTE && { requestsPerMinute: parseInt(process.env.AI_REQUESTS_PER_MINUTE) }),
+                ...(process.env.AI_MAX_RETRIES && { maxRetries: parseInt(process.env.AI_MAX_RETRIES) }),
+                ...(process.env.AI_CONTEXT_WINDOW && { contextWindow: parseInt(process.env.AI_CONTEXT_WINDOW) }),
+                ...(process.env.AI_MAX_OUTPUT_TOKENS && { maxOutputTokens: parseInt(process.env.AI_MAX_OUTPUT_TOKENS) }),
+                ...(process.env.AI_THREAD_CONTEXT_TOKENS && { threadContextTokens: parseInt(process.env.AI_THREAD_CONTEXT_TOKENS) }),
+                ...(process.env.AI_RECORD_PATH && { recordPath: process.env.AI_RECORD_PATH }),
+                ...(process.env.AI_MOCK_FIXTURES && { mock: { fixtures: process.env.AI_MOCK_FIXTURES } })
             },
             autoReply: {
                 enabled: process.env.AUTO_REPLY_ENABLED === 'true',
                 requireApproval: process.env.AUTO_REPLY_REQUIRE_APPROVAL !== 'false',
                 confidenceThreshold: parseFloat(process.env.AUTO_REPLY_CONFIDENCE_THRESHOLD) || 0.7,
-                maxRepliesPerRun: parseInt(process.env.AUTO_REPLY_MAX_PER_RUN) || 10
+                maxRepliesPerRun: parseInt(process.env.AUTO_REPLY_MAX_PER_RUN) || 10,
+                ...(process.env.AUTO_REPLY_APPROVAL_MODE && { approvalMode: process.env.AUTO_REPLY_APPROVAL_MODE }),
+                ...(process.env.AUTO_REPLY_SENDER && { sender: process.env.AUTO_REPLY_SENDER }),
+                ...(process.env.REPLY_QUEUE_PATH && { queue: { path: process.env.REPLY_QUEUE_PATH } })
             },
             notifications: {
                 slack: {
                     webhookUrl: process.env.SLACK_WEBHOOK_URL,
-                    enabled: process.env.SLACK_ENABLED === 'true'
+                    enabled: process.env.SLACK_ENABLED === 'true',
+                    interactiveApprovals: process.env.SLACK_INTERACTIVE_APPROVALS === 'true',
+                    ...(process.env.SLACK_BOT_TOKEN && { botToken: process.env.SLACK_BOT_TOKEN }),
+                    ...(process.env.SLACK_SIGNING_SECRET && { signingSecret: process.env.SLACK_SIGNING_SECRET }),
+                    ...(process.env.SLACK_CHANNEL && { channel: process.env.SLACK_CHANNEL }),
+                    ...(process.env.SLACK_FORMAT && { format: process.env.SLACK_FORMAT })
+                },
+                teams: {
+                    webhookUrl: process.env.TEAMS_WEBHOOK_URL,
+                    enabled: process.env.TEAMS_ENABLED === 'true'
+                },
+                webhook: {
+                    url: process.env.WEBHOOK_URL,
+                    enabled: process.env.WEBHOOK_ENABLED === 'true',
+                    ...(process.env.WEBHOOK_SECRET && { secret: process.env.WEBHOOK_SECRET }),
+                    ...(process.env.WEBHOOK_HEADERS && { headers: envJsonObject('WEBHOOK_HEADERS') })
+                }
+            },
+            ...(process.env.SMTP_HOST && {
+                smtp: {
+                    host: process.env.SMTP_HOST,
+                    ...(process.env.SMTP_PORT && { port: parseInt(process.env.SMTP_PORT) }),
+                    ...(process.env.SMTP_SECURE && { secure: process.env.SMTP_SECURE === 'true' }),
+                    ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } }),
+                    ...(process.env.SMTP_FROM && { from: process.env.SMTP_FROM })
+                }
+            }),
+            ledger: {
+                enabled: process.env.LEDGER_ENABLED !== 'false',
+                ...(process.env.LEDGER_PATH && { path: process.env.LEDGER_PATH })
+            },
+            ...(process.env.KNOWLEDGE_BASE_DIR && {
+                knowledgeBase: {
+                    directory: process.env.KNOWLEDGE_BASE_DIR,
+                    ...(process.env.KNOWLEDGE_BASE_TOP_K && { topK: parseInt(process.env.KNOWLEDGE_BASE_TOP_K) }),
+                    ...(process.env.KNOWLEDGE_BASE_MAX_TOKENS && { maxTokens: parseInt(process.env.KNOWLEDGE_BASE_MAX_TOKENS) })
+                }
+            }),
+            ...(replyStyle && { replyStyle }),
+            ...(process.env.REPLY_TEMPLATES_DIR && {
+                replyTemplates: {
+                    directory: process.env.REPLY_TEMPLATES_DIR,
+                    ...(process.env.REPLY_TEMPLATES_MAX_CANDIDATES && { maxCandidates: parseInt(process.env.REPLY_TEMPLATES_MAX_CANDIDATES) })
                 }
+            }),
+            senderProfiles: {
+                enabled: process.env.SENDER_PROFILES_ENABLED === 'true',
+                ...(process.env.SENDER_PROFILES_PATH && { path: process.env.SENDER_PROFILES_PATH })
             }
         };
 
@@ -168,6 +337,14 @@ export default class FeedbackResolver extends EventEmitter {
                 this.authenticated = true;
                 this.emit('authenticationCompleted', { mode: this.mode });
                 console.log('✅ Gmail authentication successful');
+            } else if (this.mode === 'imap') {
+                const connection = await this.processor.testConnection();
+                if (!connection.success) {
+                    throw new Error(connection.message);
+                }
+                this.authenticated = true;
+                this.emit('authenticationCompleted', { mode: this.mode });
+                console.log('✅ IMAP login successful');
             } else {
                 this.authenticated = true;
                 this.emit('authenticationCompleted', { mode: this.mode });
@@ -191,21 +368,27 @@ export default class FeedbackResolver extends EventEmitter {
 
         try {
             // Process emails/content based on mode
-            let emails;
-            if (this.mode === 'gmail') {
-                emails = await this.processor.process();
-            } else if (this.mode === 'file') {
-                emails = await this.processor.process(input);
-            } else {
+            if (!this.processor) {
                 throw new Error(`Unsupported mode: ${this.mode}`);
             }
+            const context = this._createPluginContext({ autoReply: false });
+            const emails = await this._fetchEmails(input, context);
 
             this.emit('emailsProcessed', { count: emails.length });
 
             // Analyze with AI
-            const analysis = await this.analyzer.analyze(emails);
+            let analysis = await this.analyzer.analyze(await this._beforeTriage(emails, context), this._getAnalyzerCallbacks(context));
             this.emit('analysisCompleted', { analysis });
 
+            // Remember analyzed emails so the next run skips them
+            if (await this._recordProcessed(analysis)) {
+                await this._markSeen(emails, analysis);
+            }
+            await this._recordSenderHistory(analysis);
+            await this._applyMailboxActions(analysis);
+
+            analysis = await this.plugins.run('beforeReport', analysis, context);
+
             // Send notifications
             const notifications = await this._sendNotifications(analysis);
             this.emit('notificationsSent', { notifications });
@@ -228,7 +411,7 @@ export default class FeedbackResolver extends EventEmitter {
 
     /**
      * Analyze feedback with automated reply capability
-     * @param {Object} options - Analysis options
+     * @param {Object} options - { dryRun?: boolean, approvalMode?: 'interactive' | 'auto' | 'queue', input?: file mode input }
      * @returns {Object} Analysis result with sent replies
      */
     async analyzeAndReply(options = {}) {
@@ -236,22 +419,23 @@ export default class FeedbackResolver extends EventEmitter {
             throw new Error('Not authenticated. Call authenticate() first.');
         }
 
-        if (this.mode !== 'gmail') {
-            throw new Error('Auto-reply is only supported in Gmail mode');
+        if (this.mode !== 'gmail' && !this.replySender) {
+            throw new Error('Auto-reply requires Gmail mode or an SMTP reply sender (config.smtp)');
         }
 
         this.emit('analysisStarted', { mode: this.mode, autoReply: true });
 
         try {
             // Process emails
-            const emails = await this.processor.process();
+            const context = this._createPluginContext({ autoReply: true, dryRun: !!options.dryRun });
+            const emails = await this._fetchEmails(options.input ?? null, context);
             this.emit('emailsProcessed', { count: emails.length });
 
             if (emails.length === 0) {
                 console.log('📭 No emails to process');
                 return {
                     emails: 0,
-                    analysis: this.analyzer._generateEmptyReport(),
+                    analysis: this.analyzer._generateEmptyReplyReport(),
                     sentReplies: [],
                     timestamp: new Date().toISOString()
                 };
@@ -259,13 +443,28 @@ export default class FeedbackResolver extends EventEmitter {
 
             // Analyze with reply detection
             console.log('🤖 Analyzing emails with reply detection...');
-            const analysis = await this.analyzer.analyzeWithReplies(emails);
+            let analysis = await this.analyzer.analyzeWithReplies(await this._beforeTriage(emails, context), this._getAnalyzerCallbacks(context));
             this.emit('analysisCompleted', { analysis });
 
             const replyableEmails = analysis.replyableEmails || [];
             console.log(`📧 Found ${replyableEmails.length} emails that may need replies`);
 
+            // Dry runs only preview, so leave the emails unprocessed for the real run
+            if (!options.dryRun) {
+                if (await this._recordProcessed(analysis)) {
+                    await this._markSeen(emails, analysis);
+                }
+                await this._recordSenderHistory(analysis);
+            }
+
             let sentReplies = [];
+            let queuedReplies = [];
+            let approvalMode = this._getApprovalMode(options);
+
+            if (approvalMode === 'interactive' && !process.stdin.isTTY) {
+                console.warn('⚠️  No interactive terminal available, queueing replies for review instead');
+                approvalMode = 'queue';
+            }
 
             if (replyableEmails.length > 0 && this.config.autoReply?.enabled) {
                 this.emit('repliesGenerated', { count: replyableEmails.length });
@@ -276,7 +475,16 @@ export default class FeedbackResolver extends EventEmitter {
                 if (options.dryRun) {
                     // Dry run mode - just show what would be sent
                     this.approvalWorkflow.dryRun(replyableEmails);
-                } else if (this.config.autoReply.requireApproval !== false) {
+                } else if (approvalMode === 'queue') {
+                    // Queue for review through the API server instead of prompting
+                    queuedReplies = await this.replyQueue.enqueue(replyableEmails);
+                    console.log(`📥 Queued ${queuedReplies.length} replies for review`);
+                    this.emit('repliesQueued', { count: queuedReplies.length });
+
+                    if (this.slackApproval && queuedReplies.length > 0) {
+                        await this.slackApproval.postApprovalRequests(queuedReplies);
+                    }
+                } else if (approvalMode === 'interactive') {
                     // Interactive approval
                     console.log('\n📋 Starting reply approval process...\n');
                     approvedReplies = await this.approvalWorkflow.promptForApproval(replyableEmails);
@@ -286,18 +494,26 @@ export default class FeedbackResolver extends EventEmitter {
                     approvedReplies = this.approvalWorkflow.autoApprove(replyableEmails, threshold);
                 }
 
+                // Plugins may veto or rewrite replies before they are sent
+                let vetoedReplies = [];
+                if (approvedReplies.length > 0 && !options.dryRun) {
+                    ({ allowed: approvedReplies, vetoed: vetoedReplies } = await this.plugins.filterReplies(approvedReplies, context));
+                    this._emitVetoes(vetoedReplies);
+                }
+
                 // Send approved replies
                 if (approvedReplies.length > 0 && !options.dryRun) {
                     console.log(`\n📤 Sending ${approvedReplies.length} approved replies...`);
                     this.emit('repliesSending', { count: approvedReplies.length });
 
-                    const sendResults = await this.replySender.sendBatch(approvedReplies);
+                    const sendResults = await this.replySender.sendBatch(this._withHtmlBodies(approvedReplies));
                     
                     // Add reply content to sent replies for reporting
                     sentReplies = sendResults.sent.map(sent => ({
                         ...sent,
                         replyContent: approvedReplies.find(a => a.email.id === sent.originalEmail.id)?.replyContent
                     }));
+                    await this._recordSenderReplies(sentReplies.map(sent => ({ email: sent.originalEmail, replyContent: sent.replyContent })));
 
                     this.emit('repliesSent', {
                         sent: sendResults.sent.length,
@@ -307,12 +523,35 @@ export default class FeedbackResolver extends EventEmitter {
                     if (sendResults.failed.length > 0) {
                         console.warn(`⚠️  ${sendResults.failed.length} replies failed to send`);
                     }
+
+                    await this._recordReplyStatus(sendResults.sent.map(sent => sent.originalEmail.id), 'sent');
+                    await this._recordReplyStatus(sendResults.failed.map(failed => failed.originalEmail.id), 'failed');
+                    await this.plugins.run('afterSend', { ...sendResults, vetoed: vetoedReplies }, context);
+                } else if (vetoedReplies.length > 0) {
+                    // Every approved reply was vetoed; plugins still see the send phase
+                    await this.plugins.run('afterSend', { sent: [], failed: [], total: 0, vetoed: vetoedReplies }, context);
+                }
+
+                // Queued replies stay pending until they are reviewed
+                if (!options.dryRun && approvalMode !== 'queue') {
+                    const approvedIds = new Set(approvedReplies.map(approved => approved.email.id));
+                    const skippedIds = replyableEmails
+                        .map(item => item.email.id)
+                        .filter(id => !approvedIds.has(id));
+                    await this._recordReplyStatus(skippedIds, 'skipped');
                 }
             }
 
+            if (!options.dryRun) {
+                await this._applyMailboxActions(analysis, this._threadMessageIds(sentReplies.map(sent => sent.originalEmail)));
+            }
+
             // Add sent replies to analysis
             analysis.sentReplies = sentReplies;
             analysis.summary.sentReplies = sentReplies.length;
+            analysis.summary.queuedReplies = queuedReplies.length;
+
+            analysis = await this.plugins.run('beforeReport', analysis, context);
 
             // Send notifications with reply information
             const notifications = await this._sendNotifications(analysis);
@@ -335,6 +574,181 @@ export default class FeedbackResolver extends EventEmitter {
         }
     }
 
+    /**
+     * List replies in the review queue
+     * @param {Object} options - { status?: string, limit?: number }
+     */
+    async getQueuedReplies(options = {}) {
+        this._requireReplyQueue();
+        return await this.replyQueue.list(options);
+    }
+
+    /**
+     * Approve a queued reply; it is sent by the next sendApprovedReplies() tick
+     * @param {string} id - Queue item id (the original email id)
+     * @param {Object} options - { replyContent?: string } to send an edited reply
+     * @returns {Object} Updated queue item
+     */
+    async approveReply(id, options = {}) {
+        this._requireReplyQueue();
+        const item = await this.replyQueue.approve(id, options);
+        this.emit('replyApproved', { id });
+        return item;
+    }
+
+    /**
+     * Replace the content of a queued reply that is still pending review
+     * @param {string} id - Queue item id (the original email id)
+     * @param {string} replyContent - New reply text
+     * @returns {Object} Updated queue item
+     */
+    async editReply(id, replyContent) {
+        this._requireReplyQueue();
+        return await this.replyQueue.edit(id, replyContent);
+    }
+
+    /**
+     * Skip a queued reply without sending anything
+     * @param {string} id - Queue item id (the original email id)
+     * @returns {Object} Updated queue item
+     */
+    async skipReply(id) {
+        this._requireReplyQueue();
+        const item = await this.replyQueue.skip(id);
+        await this._recordReplyStatus([id], 'skipped');
+        return item;
+    }
+
+    /**
+     * Reject a queued reply
+     * @param {string} id - Queue item id (the original email id)
+     * @param {Object} options - { reason?: string }
+     * @returns {Object} Updated queue item
+     */
+    async rejectReply(id, options = {}) {
+        this._requireReplyQueue();
+        const item = await this.replyQueue.reject(id, options);
+        await this._recordReplyStatus([id], 'skipped');
+        this.emit('replyRejected', { id, reason: item.reason });
+        return item;
+    }
+
+    /**
+     * Send approved replies from the review queue
+     * Called on each delivery tick in serve mode; sends at most autoReply.maxRepliesPerRun replies
+     * @returns {Object} { sent, failed, total } from GmailReplySender.sendBatch
+     */
+    async sendApprovedReplies() {
+        this._requireReplyQueue();
+
+        // Overlapping ticks share one delivery so no reply is sent twice
+        if (!this.pendingDelivery) {
+            this.pendingDelivery = this._deliverApprovedReplies().finally(() => {
+                this.pendingDelivery = null;
+            });
+        }
+
+        return await this.pendingDelivery;
+    }
+
+    /**
+     * Send one approved reply from the review queue right away (e.g. approved from Slack)
+     * Waits for a running delivery first so the reply is never sent twice; plugins can still veto it
+     * @param {string} id - Queue item id
+     * @returns {Object} { sent, failed, total, vetoed }; empty when the item is no longer approved
+     */
+    async sendApprovedReply(id) {
+        this._requireReplyQueue();
+
+        while (this.pendingDelivery) {
+            await this.pendingDelivery.catch(() => {});
+        }
+
+        this.pendingDelivery = (async () => {
+            const item = await this.replyQueue.get(id);
+            return item?.status === 'approved'
+                ? await this._deliverReplies([item])
+                : { sent: [], failed: [], total: 0, vetoed: [] };
+        })().finally(() => {
+            this.pendingDelivery = null;
+        });
+
+        return await this.pendingDelivery;
+    }
+
+    /**
+     * Add an HTML body with the HTML signature to replies when the reply style has one
+     * @private
+     */
+    _withHtmlBodies(replies) {
+        return replies.map(reply => {
+            const replyHtml = this.replyStyle?.toHtml(reply.replyContent);
+            return replyHtml ? { ...reply, replyHtml } : reply;
+        });
+    }
+
+    /**
+     * Send the approved queue items, up to maxRepliesPerRun
+     */
+    async _deliverApprovedReplies() {
+        const approved = await this.replyQueue.list({
+            status: 'approved',
+            limit: this.config.autoReply.maxRepliesPerRun
+        });
+
+        if (approved.length === 0) {
+            return { sent: [], failed: [], total: 0 };
+        }
+
+        return await this._deliverReplies(approved);
+    }
+
+    /**
+     * Send approved queue items after the plugin veto and record the outcomes
+     * @private
+     */
+    async _deliverReplies(approved) {
+        const context = this._createPluginContext({ autoReply: true, dryRun: false });
+        const { allowed, vetoed } = await this.plugins.filterReplies(approved.map(item => ({
+            email: item.email,
+            replyContent: item.replyContent || item.suggestedReply
+        })), context);
+
+        for (const { reply, plugin } of vetoed) {
+            await this.replyQueue.cancelApproved(reply.email.id, { reason: `Vetoed by plugin ${plugin}` });
+        }
+        await this._recordReplyStatus(vetoed.map(({ reply }) => reply.email.id), 'skipped');
+        this._emitVetoes(vetoed);
+
+        if (allowed.length === 0) {
+            const emptyResults = { sent: [], failed: [], total: 0, vetoed };
+            await this.plugins.run('afterSend', emptyResults, context);
+            return emptyResults;
+        }
+
+        console.log(`📤 Sending ${allowed.length} approved replies from the queue...`);
+        this.emit('repliesSending', { count: allowed.length });
+
+        const sendResults = await this.replySender.sendBatch(this._withHtmlBodies(allowed));
+
+        for (const { originalEmail, ...result } of [...sendResults.sent, ...sendResults.failed]) {
+            await this.replyQueue.recordSendResult(originalEmail.id, result);
+        }
+
+        await this._recordReplyStatus(sendResults.sent.map(sent => sent.originalEmail.id), 'sent');
+        await this._recordReplyStatus(sendResults.failed.map(failed => failed.originalEmail.id), 'failed');
+        await this._applyMailboxActions(null, this._threadMessageIds(sendResults.sent.map(sent => sent.originalEmail)));
+        await this._recordSenderReplies(sendResults.sent.map(sent => allowed.find(reply => reply.email.id === sent.originalEmail.id)).filter(Boolean));
+
+        this.emit('repliesSent', {
+            sent: sendResults.sent.length,
+            failed: sendResults.failed.length
+        });
+
+        await this.plugins.run('afterSend', { ...sendResults, vetoed }, context);
+        return { ...sendResults, vetoed };
+    }
+
     /**
      * Analyze multiple sources in batch
      */
@@ -352,15 +766,78 @@ export default class FeedbackResolver extends EventEmitter {
     }
 
     /**
-     * Add custom plugin
+     * Add custom plugin implementing one or more lifecycle hooks (see PLUGIN_HOOKS)
      */
     use(plugin) {
-        if (typeof plugin.process === 'function') {
-            this.plugins = this.plugins || [];
-            this.plugins.push(plugin);
-            console.log(`Added plugin: ${plugin.constructor.name}`);
-        } else {
-            throw new Error('Plugin must have a process() method');
+        this.plugins.add(plugin);
+        return this;
+    }
+
+    /**
+     * Create the context passed to every plugin hook of one run
+     * `state` is shared between hooks so plugins can carry data through the run
+     */
+    _createPluginContext(fields = {}) {
+        return {
+            resolver: this,
+            mode: this.mode,
+            state: {},
+            ...fields
+        };
+    }
+
+    /**
+     * Fetch emails through the processor, applying the fetch hooks
+     */
+    async _fetchEmails(input, context) {
+        const fetchInput = await this.plugins.run('beforeFetch', input, context);
+        const emails = await this.processor.process(fetchInput);
+        const kept = await this.plugins.run('afterFetch', emails, context);
+
+        // Emails a plugin dropped are never analyzed, so remember them to avoid fetching them again
+        if (!context.dryRun) {
+            const keptIds = new Set(kept.map(email => email.id));
+            await this._recordFiltered(emails.filter(email => !keptIds.has(email.id)));
+        }
+
+        return kept;
+    }
+
+    /**
+     * Attach sender profiles and apply the beforeTriage hook when there are emails to analyze
+     */
+    async _beforeTriage(emails, context) {
+        return emails.length > 0 ? await this.plugins.run('beforeTriage', await this._attachSenderProfiles(emails), context) : emails;
+    }
+
+    /**
+     * Add what we know about each sender (email.senderProfile) for the triage prompts
+     */
+    async _attachSenderProfiles(emails) {
+        if (!this.senderProfiles) {
+            return emails;
+        }
+
+        try {
+            return await Promise.all(emails.map(async (email) => {
+                const senderProfile = await this.senderProfiles.getContext(email.from);
+                return senderProfile ? { ...email, senderProfile } : email;
+            }));
+        } catch (error) {
+            console.error('⚠️  Failed to load sender profiles:', error.message);
+            return emails;
+        }
+    }
+
+    /**
+     * Report replies vetoed by plugins
+     */
+    _emitVetoes(vetoed) {
+        if (vetoed.length > 0) {
+            this.emit('repliesVetoed', {
+                count: vetoed.length,
+                vetoed: vetoed.map(({ reply, plugin }) => ({ id: reply.email.id, plugin }))
+            });
         }
     }
 
@@ -373,32 +850,105 @@ export default class FeedbackResolver extends EventEmitter {
             this.oauthManager = new OAuthManager(this.config.gmail);
         }
 
-        // Initialize processor based on mode
-        if (this.mode === 'gmail') {
-            this.processor = new GmailProcessor(this.config.gmail, this.oauthManager);
-        } else if (this.mode === 'file') {
-            this.processor = new FileProcessor(this.config.file || {});
+        // Initialize processed-message ledger for mailbox modes
+        if (['gmail', 'imap'].includes(this.mode) && this.config.ledger?.enabled !== false) {
+            this.ledger = new ProcessedLedger(this.config.ledger);
         }
 
-        // Initialize AI analyzer
-        this.analyzer = new AIAnalyzer(this.config.ai);
+        // Initialize per-sender history (opt-in, it keeps customer data)
+        if (this.config.senderProfiles?.enabled) {
+            this.senderProfiles = new SenderProfileStore(this.config.senderProfiles);
+        }
+
+        // Initialize the processor registered for this mode
+        if (this.mode !== 'test') {
+            this.processor = this.registry.create('processor', this.mode, this.config[this.mode] || {}, this);
+        }
 
-        // Initialize reply sender and approval workflow for Gmail mode
-        if (this.mode === 'gmail' && this.config.autoReply?.enabled) {
-            this.replySender = new GmailReplySender(this.oauthManager);
+        // Initialize the knowledge base used to ground suggested replies
+        if (this.config.knowledgeBase?.directory) {
+            this.knowledgeBase = new KnowledgeBase(this.config.knowledgeBase);
+        }
+
+        // Initialize the approved reply templates the analyzer can fill in
+        if (this.config.replyTemplates?.directory) {
+            this.replyTemplates = new ReplyTemplateLibrary(this.config.replyTemplates);
+        }
+
+        // Initialize the brand voice and signature applied to suggested replies
+        if (this.config.replyStyle) {
+            this.replyStyle = new ReplyStyle({
+                userName: this.config.ai?.userName,
+                userDesignation: this.config.ai?.userDesignation,
+                ...this.config.replyStyle
+            });
+        }
+
+        // Initialize analyzer
+        this.analyzer = this.registry.create('analyzer', this.config.analyzer, this.config.ai, this);
+
+        // Initialize reply sender and approval workflow
+        const senderType = this._getReplySenderType();
+        if (senderType && this.config.autoReply?.enabled) {
+            this.replySender = this.registry.create('sender', senderType, this.config[senderType] || {}, this);
             this.approvalWorkflow = new ReplyApprovalWorkflow(this.config.autoReply);
-            console.log('📤 Auto-reply functionality enabled');
+            this.replyQueue = new ReplyQueue(this.config.autoReply.queue || {});
+
+            const slackConfig = this._getNotifierConfig('slack');
+            if (slackConfig?.interactiveApprovals) {
+                this.slackApproval = new SlackApprovalWorkflow(slackConfig, this);
+            }
+            console.log(`📤 Auto-reply functionality enabled (${senderType})`);
         }
 
         // Initialize notifiers
-        this.notifiers = [];
-        
-        if (this.config.notifications?.slack?.enabled) {
-            this.notifiers.push(new SlackNotifier(this.config.notifications.slack));
+        this.notifiers = this._getNotifierConfigs()
+            .map(({ type, ...config }) => this.registry.create('notifier', type, config, this));
+    }
+
+    /**
+     * Resolve the reply sender: autoReply.sender, else Gmail in Gmail mode, else SMTP when configured
+     */
+    _getReplySenderType() {
+        if (this.config.autoReply?.sender) {
+            return this.config.autoReply.sender;
         }
-        
-        // Always add file notifier as backup
-        this.notifiers.push(new FileNotifier(this.config.notifications?.file || {}));
+
+        if (this.mode === 'gmail') {
+            return 'gmail';
+        }
+
+        return this.config.smtp?.host ? 'smtp' : null;
+    }
+
+    /**
+     * List the notifiers to create as { type, ...config }
+     * notifications may be an array of typed entries, or an object keyed by type
+     */
+    _getNotifierConfigs() {
+        const notifications = this.config.notifications || {};
+
+        if (Array.isArray(notifications)) {
+            return notifications.filter(entry => entry.enabled !== false);
+        }
+
+        // Object form: the file notifier is always added as a backup
+        return Object.entries(notifications)
+            .filter(([type, config]) => type === 'file' || config?.enabled)
+            .map(([type, config]) => ({ type, ...config }));
+    }
+
+    /**
+     * Get the config for a notifier type, in either notifications form
+     */
+    _getNotifierConfig(type) {
+        const notifications = this.config.notifications || {};
+
+        if (Array.isArray(notifications)) {
+            return notifications.find(entry => entry.type === type) || null;
+        }
+
+        return notifications[type] || null;
     }
 
     /**
@@ -414,6 +964,7 @@ export default class FeedbackResolver extends EventEmitter {
                 provider: 'vertex',
                 timeout: '30000s'
             },
+            analyzer: 'ai',
             autoReply: {
                 enabled: false,
                 requireApproval: true,
@@ -422,7 +973,12 @@ export default class FeedbackResolver extends EventEmitter {
             },
             notifications: {
                 slack: { enabled: false },
+                teams: { enabled: false },
+                webhook: { enabled: false },
                 file: { enabled: true }
+            },
+            ledger: {
+                enabled: true
             }
         };
 
@@ -446,6 +1002,174 @@ export default class FeedbackResolver extends EventEmitter {
         return result;
     }
 
+    /**
+     * Resolve how replies are approved: interactive prompts, confidence-based auto approval, or a review queue
+     */
+    _getApprovalMode(options = {}) {
+        if (options.approvalMode || this.config.autoReply?.approvalMode) {
+            return options.approvalMode || this.config.autoReply.approvalMode;
+        }
+
+        // Slack buttons act on the review queue
+        if (this.slackApproval && this.config.autoReply?.requireApproval !== false) {
+            return 'queue';
+        }
+
+        return this.config.autoReply?.requireApproval !== false ? 'interactive' : 'auto';
+    }
+
+    /**
+     * Ensure the reply queue is available
+     */
+    _requireReplyQueue() {
+        if (!this.replyQueue) {
+            const error = new Error('Reply queue is only available when auto-reply is enabled with a reply sender');
+            error.status = 409;
+            throw error;
+        }
+    }
+
+    /**
+     * Build analyzer callbacks that re-emit triage progress and retries as events
+     * and run the afterTriage plugin hook
+     */
+    _getAnalyzerCallbacks(context = {}) {
+        return {
+            onProgress: (progress) => this.emit('triageProgress', progress),
+            onRetry: (retry) => this.emit('aiRetry', retry),
+            ...(this.plugins.has('afterTriage') && {
+                afterTriage: (triageResults) => this.plugins.run('afterTriage', triageResults, context)
+            })
+        };
+    }
+
+    /**
+     * Record triage verdicts in the processed-message ledger
+     * @returns {boolean} false when the ledger could not be written
+     */
+    async _recordProcessed(analysis) {
+        if (!this.ledger || !analysis.triage) {
+            return true;
+        }
+
+        try {
+            const recorded = await this.ledger.recordTriage(analysis.triage);
+            this.emit('ledgerUpdated', { recorded });
+            return true;
+        } catch (error) {
+            console.error('⚠️  Failed to update processed-message ledger:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Record emails dropped by afterFetch plugins in the processed-message ledger
+     */
+    async _recordFiltered(emails) {
+        if (!this.ledger || emails.length === 0) {
+            return;
+        }
+
+        try {
+            const recorded = await this.ledger.recordFiltered(emails);
+            this.emit('ledgerUpdated', { recorded });
+        } catch (error) {
+            console.error('⚠️  Failed to update processed-message ledger:', error.message);
+        }
+    }
+
+    /**
+     * Flag analyzed IMAP messages as seen (imap.markSeen) once their triage is recorded;
+     * messages whose triage failed stay unseen so the next run fetches them again
+     */
+    async _markSeen(emails, analysis) {
+        if (!this.processor?.config?.markSeen || typeof this.processor.markAsSeen !== 'function') {
+            return;
+        }
+
+        const triagedIds = new Set((analysis.triage || []).filter(item => item.id && !item.error).map(item => item.id));
+
+        try {
+            await this.processor.markAsSeen(emails.filter(email => triagedIds.has(email.id)));
+        } catch (error) {
+            console.error('⚠️  Failed to flag emails as seen:', error.message);
+        }
+    }
+
+    /**
+     * Apply the processor's post-processing actions (e.g. Gmail labels) for triaged emails
+     * and replies sent; without an analysis only the replied emails are updated
+     */
+    async _applyMailboxActions(analysis, repliedIds = []) {
+        if (typeof this.processor?.applyTriageActions !== 'function') {
+            return;
+        }
+
+        try {
+            const { modified } = analysis
+                ? await this.processor.applyTriageActions(analysis.triage || [], { replied: repliedIds })
+                : await this.processor.applyReplyActions(repliedIds);
+
+            if (modified > 0) {
+                this.emit('mailboxUpdated', { modified });
+            }
+        } catch (error) {
+            console.error('⚠️  Failed to apply mailbox actions:', error.message);
+        }
+    }
+
+    /**
+     * Ids of every fetched email the given emails stand for; a grouped conversation covers all its messages
+     */
+    _threadMessageIds(emails) {
+        return emails.flatMap(email => email.messageIds || [email.id]);
+    }
+
+    /**
+     * Record analyzed emails in the sender profiles
+     */
+    async _recordSenderHistory(analysis) {
+        if (!this.senderProfiles || !analysis.triage) {
+            return;
+        }
+
+        try {
+            await this.senderProfiles.recordAnalysis(analysis.triage, analysis.structured?.entries || []);
+        } catch (error) {
+            console.error('⚠️  Failed to update sender profiles:', error.message);
+        }
+    }
+
+    /**
+     * Record sent replies ({ email, replyContent }) in the sender profiles
+     */
+    async _recordSenderReplies(replies) {
+        if (!this.senderProfiles || replies.length === 0) {
+            return;
+        }
+
+        try {
+            await this.senderProfiles.recordReplies(replies);
+        } catch (error) {
+            console.error('⚠️  Failed to record replies in sender profiles:', error.message);
+        }
+    }
+
+    /**
+     * Record reply outcomes in the processed-message ledger
+     */
+    async _recordReplyStatus(messageIds, status) {
+        if (!this.ledger || messageIds.length === 0) {
+            return;
+        }
+
+        try {
+            await this.ledger.updateReplyStatus(messageIds, status);
+        } catch (error) {
+            console.error('⚠️  Failed to update reply status in ledger:', error.message);
+        }
+    }
+
     /**
      * Send notifications through all configured channels
      */
@@ -478,9 +1202,32 @@ export default class FeedbackResolver extends EventEmitter {
 export { OAuthManager } from './auth/oauth-manager.js';
 export { GmailProcessor } from './processors/gmail-processor.js';
 export { FileProcessor } from './processors/file-processor.js';
+export { ImapProcessor } from './processors/imap-processor.js';
 export { SlackNotifier } from './notifiers/slack-notifier.js';
 export { FileNotifier } from './notifiers/file-notifier.js';
+export { TeamsNotifier } from './notifiers/teams-notifier.js';
+export { GenericWebhookNotifier } from './notifiers/webhook-notifier.js';
 export { AIAnalyzer } from './analyzers/ai-analyzer.js';
+export { NeuroLinkBackend, MockBackend, ResponseRecorder } from './analyzers/backends/index.js';
 export { GmailReplySender } from './senders/gmail-reply-sender.js';
+export { SmtpReplySender } from './senders/smtp-reply-sender.js';
 export { ReplyApprovalWorkflow } from './workflows/reply-approval.js';
+export { SlackApprovalWorkflow } from './workflows/slack-approval.js';
+export { ComponentRegistry, registry, createDefaultRegistry } from './registry/index.js';
+export { PluginManager, PLUGIN_HOOKS } from './plugins/plugin-manager.js';
 export { ConfigValidator } from './utils/config-validator.js';
+export { DirectoryWatcher } from './utils/directory-watcher.js';
+export { ProcessedLedger } from './storage/processed-ledger.js';
+export { ReplyQueue } from './storage/reply-queue.js';
+export { SenderProfileStore } from './storage/sender-profiles.js';
+export { KnowledgeBase } from './knowledge/knowledge-base.js';
+export { ReplyTemplateLibrary } from './knowledge/reply-templates.js';
+export { ReplyStyle } from './analyzers/reply-style.js';
+export { ReportStore } from './storage/report-store.js';
+export { ApiServer } from './server/api-server.js';
+export {
+    REPORT_SCHEMA_VERSION,
+    REPORT_CATEGORIES,
+    validateStructuredReport,
+    renderReportMarkdown
+} from './analyzers/report-schema.js';
@@ -0,0 +1,87 @@
+// Common English words that carry no meaning for retrieval
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+    'hi', 'hello', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+    'please', 'so', 'that', 'the', 'their', 'there', 'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where',
+    'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your', 'thanks', 'thank', 'regards'
+]);
+
+/**
+ * Split text into lowercase terms without stop words, with light suffix stemming
+ * so that e.g. "exports", "exporting" and "exported" match "export"
+ */
+export function tokenize(text = '') {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+        .map(term => term.length > 4 ? term.replace(/(ing|ed|es|s)$/, '') : term);
+}
+
+/**
+ * In-memory BM25 index
+ * Ranks documents by term frequency, inverse document frequency and document length
+ */
+export class Bm25Index {
+    /**
+     * @param {Object} options - { k1?: term frequency saturation, b?: length normalization }
+     */
+    constructor(options = {}) {
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+        this.documents = [];
+        this.documentFrequency = new Map();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Add a document
+     * @param {string} id - Document id returned by search()
+     * @param {string} text - Text to index
+     */
+    add(id, text) {
+        const terms = tokenize(text);
+        const frequencies = new Map();
+
+        for (const term of terms) {
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+        for (const term of frequencies.keys()) {
+            this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+        }
+
+        this.documents.push({ id, frequencies, length: terms.length });
+        this.totalLength += terms.length;
+    }
+
+    /**
+     * Find the documents matching a query best
+     * @returns {Array} [{ id, score }] with a positive score, best first
+     */
+    search(query, limit = 5) {
+        const terms = [...new Set(tokenize(query))];
+        const count = this.documents.length;
+        const averageLength = this.totalLength / count || 1;
+        const results = [];
+
+        for (const document of this.documents) {
+            let score = 0;
+
+            for (const term of terms) {
+                const frequency = document.frequencies.get(term);
+                if (!frequency) {
+                    continue;
+                }
+
+                const documentFrequency = this.documentFrequency.get(term);
+                const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+                const normalization = this.k1 * (1 - this.b + this.b * document.length / averageLength);
+                score += idf * frequency * (this.k1 + 1) / (frequency + normalization);
+            }
+
+            if (score > 0) {
+                results.push({ id: document.id, score });
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+}
@@ -0,0 +1,90 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+/**
+ * List document files in a folder (recursively, skipping dotfiles) with their size
+ * and modification time, in a stable order
+ * @param {string} directory - Folder to scan
+ * @param {Array} extensions - Lowercase extensions to include, e.g. ['.md']
+ * @returns {Array} [{ path, relativePath, size, mtimeMs }]
+ */
+export async function listDocuments(directory, extensions, relativeDir = '') {
+    const entries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const relativePath = path.join(relativeDir, entry.name);
+
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+
+        if (entry.isDirectory()) {
+            files.push(...await listDocuments(directory, extensions, relativePath));
+        } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+            const stats = await fs.stat(path.join(directory, relativePath));
+            files.push({ path: path.join(directory, relativePath), relativePath, size: stats.size, mtimeMs: stats.mtimeMs });
+        }
+    }
+
+    return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+/**
+ * Fingerprint of a file listing; changes when files are added, removed or modified
+ */
+export function fingerprintDocuments(files) {
+    return files.map(file => `${file.relativePath}:${file.size}:${file.mtimeMs}`).join('|');
+}
+
+/**
+ * Split a document into its front matter and body
+ * Supports the simple YAML used in docs headers: `key: value`, `key: [a, b]` and `- item` lists
+ * @returns {Object} { attributes, body }
+ */
+export function parseFrontMatter(content = '') {
+    const match = content.match(FRONT_MATTER);
+
+    if (!match) {
+        return { attributes: {}, body: content };
+    }
+
+    const attributes = {};
+    let listKey = null;
+
+    for (const line of match[1].split(/\r?\n/)) {
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) {
+            attributes[listKey].push(unquote(item[1]));
+            continue;
+        }
+
+        const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!pair) {
+            continue;
+        }
+
+        const [, key, value] = pair;
+        listKey = null;
+
+        if (value === '') {
+            attributes[key] = [];
+            listKey = key;
+        } else if (value.startsWith('[') && value.endsWith(']')) {
+            attributes[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+        } else {
+            attributes[key] = unquote(value);
+        }
+    }
+
+    return { attributes, body: content.slice(match[0].length) };
+}
+
+/**
+ * @private
+ */
+function unquote(value) {
+    return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
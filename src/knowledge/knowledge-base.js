@@ -0,0 +1,226 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { Bm25Index } from './bm25-index.js';
+import { listDocuments, fingerprintDocuments, parseFrontMatter } from './documents.js';
+import { estimateTokens, truncateToTokens } from '../utils/token-budget.js';
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Knowledge Base
+ * Indexes a folder of Markdown/FAQ/text documents for retrieval. Markdown is split into
+ * passages at headings (long sections at paragraphs); passages are ranked with BM25.
+ * The index is built on first use and rebuilt when files change.
+ */
+export class KnowledgeBase {
+    /**
+     * @param {Object} config - { directory, extensions?, topK?, maxTokens?, chunkTokens?, refreshInterval? }
+     */
+    constructor(config = {}) {
+        this.config = {
+            directory: config.directory,
+            extensions: config.extensions || ['.md', '.markdown', '.mdx', '.txt'],
+            topK: config.topK || 3,
+            // Token budget for all passages retrieved for one email
+            maxTokens: config.maxTokens || 1200,
+            chunkTokens: config.chunkTokens || 350,
+            // How often to check the folder for changed files
+            refreshInterval: config.refreshInterval ?? 60000,
+            ...config
+        };
+        this.index = null;
+        this.passages = new Map();
+        this.fingerprint = null;
+        this.checkedAt = 0;
+        this.loading = null;
+
+        if (!this.config.directory) {
+            throw new Error('Directory is required for KnowledgeBase');
+        }
+    }
+
+    /**
+     * Build the index, or rebuild it when files were added, changed or removed
+     * @returns {Object} { documents, passages } counts
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this._refresh().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        return await this.loading;
+    }
+
+    /**
+     * Find the passages most relevant to a query, within topK and the token budget
+     * @param {string} query - Search text (e.g. email subject and body)
+     * @param {Object} options - { topK?, maxTokens? }
+     * @returns {Array} [{ source, file, title, text, score }] best first
+     */
+    async search(query, options = {}) {
+        await this.load();
+
+        const topK = options.topK || this.config.topK;
+        const maxTokens = options.maxTokens || this.config.maxTokens;
+        const results = [];
+        let used = 0;
+
+        for (const { id, score } of this.index.search(query, topK)) {
+            // Not worth including a passage cut down to a few words
+            if (maxTokens - used < 50) {
+                break;
+            }
+
+            const passage = this.passages.get(id);
+            const text = truncateToTokens(passage.text, maxTokens - used);
+            const tokens = estimateTokens(text);
+
+            results.push({ ...passage, text, score: Math.round(score * 100) / 100 });
+            used += tokens;
+        }
+
+        return results;
+    }
+
+    /**
+     * Retrieve passages for an email from its subject and body
+     */
+    async searchForEmail(email, options = {}) {
+        const query = `${email.subject || ''}\n${truncateToTokens(email.body || '', 1000)}`;
+        return await this.search(query, options);
+    }
+
+    /**
+     * Rebuild the index if the folder changed since the last check
+     * @private
+     */
+    async _refresh() {
+        if (this.index && Date.now() - this.checkedAt < this.config.refreshInterval) {
+            return this._getStats();
+        }
+
+        const directory = path.resolve(this.config.directory);
+        const files = await listDocuments(directory, this.config.extensions).catch(error => {
+            throw new Error(`Knowledge base directory not readable: ${this.config.directory} (${error.message})`);
+        });
+        const fingerprint = fingerprintDocuments(files);
+        this.checkedAt = Date.now();
+
+        if (this.index && fingerprint === this.fingerprint) {
+            return this._getStats();
+        }
+
+        const index = new Bm25Index();
+        const passages = new Map();
+
+        for (const file of files) {
+            const content = await fs.readFile(file.path, 'utf8');
+
+            for (const passage of this._chunkDocument(file.relativePath, content)) {
+                const id = String(passages.size);
+                passages.set(id, passage);
+                index.add(id, `${passage.title}\n${passage.text}`);
+            }
+        }
+
+        this.index = index;
+        this.passages = passages;
+        this.fingerprint = fingerprint;
+        this.documentCount = files.length;
+
+        console.log(`📚 Indexed ${passages.size} passages from ${files.length} knowledge base documents`);
+        return this._getStats();
+    }
+
+    /**
+     * @private
+     */
+    _getStats() {
+        return { documents: this.documentCount, passages: this.passages.size };
+    }
+
+    /**
+     * Split a document into passages at headings, then at paragraphs to stay within chunkTokens
+     * @returns {Array} [{ source, file, title, text }]
+     * @private
+     */
+    _chunkDocument(relativePath, content) {
+        const file = relativePath.split(path.sep).join('/');
+        const lines = parseFrontMatter(content).body.replace(/\r\n/g, '\n').split('\n');
+        const headings = [];
+        const sections = [];
+        let current = { headings: [], lines: [] };
+        let inFence = false;
+
+        for (const line of lines) {
+            if (FENCE.test(line)) {
+                inFence = !inFence;
+            }
+
+            const heading = !inFence && line.match(HEADING);
+            if (heading) {
+                sections.push(current);
+                headings.length = heading[1].length - 1;
+                headings[heading[1].length - 1] = heading[2];
+                current = { headings: headings.filter(Boolean), lines: [] };
+            } else {
+                current.lines.push(line);
+            }
+        }
+        sections.push(current);
+
+        const passages = [];
+        for (const section of sections) {
+            const title = section.headings.length > 0 ? section.headings.join(' › ') : path.basename(file);
+            const anchor = section.headings.length > 0 ? `#${this._slugify(section.headings.at(-1))}` : '';
+
+            for (const text of this._splitParagraphs(section.lines.join('\n').trim())) {
+                passages.push({ source: `${file}${anchor}`, file, title, text });
+            }
+        }
+
+        return passages;
+    }
+
+    /**
+     * Group paragraphs into chunks of at most chunkTokens
+     * @private
+     */
+    _splitParagraphs(text) {
+        if (!text) {
+            return [];
+        }
+
+        if (estimateTokens(text) <= this.config.chunkTokens) {
+            return [text];
+        }
+
+        const chunks = [];
+        let chunk = '';
+
+        for (const paragraph of text.split(/\n\s*\n/)) {
+            const candidate = chunk ? `${chunk}\n\n${paragraph}` : paragraph;
+
+            if (chunk && estimateTokens(candidate) > this.config.chunkTokens) {
+                chunks.push(chunk);
+                chunk = paragraph;
+            } else {
+                chunk = candidate;
+            }
+        }
+        chunks.push(chunk);
+
+        return chunks.map(item => truncateToTokens(item.trim(), this.config.chunkTokens)).filter(Boolean);
+    }
+
+    /**
+     * Heading anchor as generated by common Markdown renderers
+     * @private
+     */
+    _slugify(heading) {
+        return heading.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
+    }
+}
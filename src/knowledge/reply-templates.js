@@ -0,0 +1,218 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { tokenize } from './bm25-index.js';
+import { listDocuments, fingerprintDocuments, parseFrontMatter } from './documents.js';
+import { normalizeCategory } from '../analyzers/report-schema.js';
+import { parseSender } from '../storage/sender-profiles.js';
+
+// {{name}} or {{name|default value}}
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Reply Template Library
+ * Loads approved reply wording from a folder of template files. Each file has front
+ * matter describing when it applies and a body with {{variable}} placeholders:
+ *
+ *   ---
+ *   id: refund-policy
+ *   categories: [billing]
+ *   keywords: [refund, money back]
+ *   description: Refund requests for orders in the last 30 days
+ *   ---
+ *   Hi {{senderName}},
+ *   ... order {{orderNumber}} ... {{eta|within 5 business days}} ...
+ *
+ * Variables without a default must be filled in when the template is used; senderName,
+ * senderEmail and subject are filled in from the email.
+ */
+export class ReplyTemplateLibrary {
+    /**
+     * @param {Object} config - { directory, extensions?, maxCandidates?, refreshInterval? }
+     */
+    constructor(config = {}) {
+        this.config = {
+            directory: config.directory,
+            extensions: config.extensions || ['.md', '.txt'],
+            // Templates offered to the model per email, best keyword match first
+            maxCandidates: config.maxCandidates || 3,
+            refreshInterval: config.refreshInterval ?? 60000,
+            ...config
+        };
+        this.templates = new Map();
+        this.fingerprint = null;
+        this.checkedAt = 0;
+        this.loading = null;
+
+        if (!this.config.directory) {
+            throw new Error('Directory is required for ReplyTemplateLibrary');
+        }
+    }
+
+    /**
+     * Load templates, or reload them when files were added, changed or removed
+     * @returns {Array} Loaded templates
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this._refresh().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        return await this.loading;
+    }
+
+    /**
+     * Get a template by id
+     * @returns {Object|null}
+     */
+    async getTemplate(id) {
+        await this.load();
+        return this.templates.get(id) || null;
+    }
+
+    /**
+     * Find templates whose keywords or categories appear in an email
+     * @returns {Array} Templates ranked by the number of matching keywords
+     */
+    async findCandidates(email) {
+        await this.load();
+
+        const terms = new Set(tokenize(`${email.subject || ''}\n${email.body || ''}`));
+        const matches = (phrase) => {
+            const phraseTerms = tokenize(phrase);
+            return phraseTerms.length > 0 && phraseTerms.every(term => terms.has(term));
+        };
+
+        return [...this.templates.values()]
+            .map(template => ({
+                template,
+                score: template.keywords.filter(matches).length * 2 + template.categories.filter(matches).length
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.config.maxCandidates)
+            .map(({ template }) => template);
+    }
+
+    /**
+     * Check whether a template may be used for an email of the given category
+     * Templates without categories apply to any category
+     */
+    matchesCategory(template, category) {
+        if (template.categories.length === 0) {
+            return true;
+        }
+
+        const values = [String(category || '').toLowerCase(), normalizeCategory(category)];
+        return template.categories.some(name => values.includes(name.toLowerCase()));
+    }
+
+    /**
+     * Fill a template's placeholders
+     * @param {Object} template - Template from this library
+     * @param {Object} variables - Extracted variable values
+     * @param {Object} email - Email being answered, for the built-in variables
+     * @returns {Object} { text, missing } where missing lists variables without a value (text is null then)
+     */
+    render(template, variables = {}, email = {}) {
+        const sender = parseSender(email.from);
+        const values = {
+            senderName: sender?.name?.split(/\s+/)[0] || null,
+            senderEmail: sender?.address || null,
+            subject: email.subject || null,
+            ...this._cleanVariables(variables)
+        };
+        const missing = new Set();
+
+        const text = template.body.replace(PLACEHOLDER, (placeholder, name, fallback) => {
+            const value = values[name] ?? fallback?.trim();
+
+            if (value === undefined || value === null || value === '') {
+                missing.add(name);
+                return placeholder;
+            }
+
+            return value;
+        });
+
+        return missing.size > 0 ? { text: null, missing: [...missing] } : { text: text.trim(), missing: [] };
+    }
+
+    /**
+     * Reload templates if the folder changed since the last check
+     * @private
+     */
+    async _refresh() {
+        if (this.fingerprint !== null && Date.now() - this.checkedAt < this.config.refreshInterval) {
+            return [...this.templates.values()];
+        }
+
+        const directory = path.resolve(this.config.directory);
+        const files = await listDocuments(directory, this.config.extensions).catch(error => {
+            throw new Error(`Reply template directory not readable: ${this.config.directory} (${error.message})`);
+        });
+        const fingerprint = fingerprintDocuments(files);
+        this.checkedAt = Date.now();
+
+        if (fingerprint === this.fingerprint) {
+            return [...this.templates.values()];
+        }
+
+        const templates = new Map();
+        for (const file of files) {
+            const template = this._parseTemplate(file.relativePath, await fs.readFile(file.path, 'utf8'));
+
+            if (templates.has(template.id)) {
+                console.warn(`⚠️  Duplicate reply template id "${template.id}" in ${template.file}, skipping`);
+                continue;
+            }
+            templates.set(template.id, template);
+        }
+
+        this.templates = templates;
+        this.fingerprint = fingerprint;
+
+        console.log(`📝 Loaded ${templates.size} reply template${templates.size === 1 ? '' : 's'}`);
+        return [...templates.values()];
+    }
+
+    /**
+     * Parse a template file into { id, file, description, categories, keywords, variables, body }
+     * @private
+     */
+    _parseTemplate(relativePath, content) {
+        const { attributes, body } = parseFrontMatter(content);
+        const file = relativePath.split(path.sep).join('/');
+        const list = (value) => (Array.isArray(value) ? value : value ? [value] : []).map(String).filter(Boolean);
+        const variables = [];
+
+        for (const [, name, fallback] of body.matchAll(PLACEHOLDER)) {
+            if (!variables.some(variable => variable.name === name)) {
+                variables.push({ name, required: fallback === undefined });
+            }
+        }
+
+        return {
+            id: attributes.id || file.replace(/\.[^.]+$/, ''),
+            file,
+            description: attributes.description || null,
+            categories: list(attributes.categories),
+            keywords: list(attributes.keywords),
+            variables,
+            body: body.trim()
+        };
+    }
+
+    /**
+     * Keep only string and number values; models sometimes return nested objects
+     * @private
+     */
+    _cleanVariables(variables) {
+        return Object.fromEntries(
+            Object.entries(variables && typeof variables === 'object' ? variables : {})
+                .filter(([, value]) => typeof value === 'string' || typeof value === 'number')
+                .map(([name, value]) => [name, String(value).trim()])
+        );
+    }
+}
@@ -156,6 +156,15 @@ export class FileNotifier {
                     if (item.replyReason) {
                         content += `- **Reason:** ${item.replyReason}\n`;
                     }
+                    if (item.sources?.length > 0) {
+                        content += `- **Sources:** ${item.sources.map(source => source.source).join(', ')}\n`;
+                    }
+                    if (item.templateId) {
+                        content += `- **Template:** ${item.templateId}\n`;
+                    }
+                    if (item.styleIssues?.length > 0) {
+                        content += `- **Style Issues:** ${item.styleIssues.map(issue => issue.message).join('; ')}\n`;
+                    }
                     content += `\n**Suggested Reply:**\n\`\`\`\n${item.suggestedReply}\n\`\`\`\n\n`;
                     content += `---\n\n`;
                 });
@@ -6,9 +6,13 @@
 
 export { SlackNotifier } from './slack-notifier.js';
 export { FileNotifier } from './file-notifier.js';
+export { TeamsNotifier } from './teams-notifier.js';
+export { GenericWebhookNotifier } from './webhook-notifier.js';
 
 // Re-export for convenience
 export default {
     SlackNotifier: () => import('./slack-notifier.js').then(m => m.SlackNotifier),
-    FileNotifier: () => import('./file-notifier.js').then(m => m.FileNotifier)
+    FileNotifier: () => import('./file-notifier.js').then(m => m.FileNotifier),
+    TeamsNotifier: () => import('./teams-notifier.js').then(m => m.TeamsNotifier),
+    GenericWebhookNotifier: () => import('./webhook-notifier.js').then(m => m.GenericWebhookNotifier)
 };
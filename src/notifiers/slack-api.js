@@ -0,0 +1,100 @@
+import axios from 'axios';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const SLACK_API_URL = 'https://slack.com/api';
+
+// Reject interaction requests older than this to prevent replay attacks
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+/**
+ * Slack Web API Client
+ * Minimal wrapper for the Web API methods that need a bot token
+ * (posting, updating and threading messages, opening modals)
+ */
+export class SlackApiClient {
+    constructor(config = {}) {
+        this.config = {
+            botToken: config.botToken,
+            timeout: config.timeout || 10000
+        };
+
+        if (!this.config.botToken) {
+            throw new Error('Slack bot token is required for SlackApiClient');
+        }
+    }
+
+    /**
+     * Call a Slack Web API method
+     * @param {string} method - API method, e.g. 'chat.postMessage'
+     * @param {Object} body - Method arguments
+     * @returns {Object} Slack response data
+     */
+    async call(method, body = {}) {
+        const response = await axios.post(`${SLACK_API_URL}/${method}`, body, {
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                Authorization: `Bearer ${this.config.botToken}`
+            },
+            timeout: this.config.timeout
+        });
+
+        if (!response.data?.ok) {
+            throw new Error(`Slack API ${method} failed: ${response.data?.error || 'unknown error'}`);
+        }
+
+        return response.data;
+    }
+
+    /**
+     * Post a message
+     * @returns {Object} Slack response with `channel` and `ts`
+     */
+    async postMessage(message) {
+        return this.call('chat.postMessage', message);
+    }
+
+    /**
+     * Replace an existing message
+     */
+    async updateMessage(message) {
+        return this.call('chat.update', message);
+    }
+
+    /**
+     * Open a modal view
+     */
+    async openView(triggerId, view) {
+        return this.call('views.open', { trigger_id: triggerId, view });
+    }
+}
+
+/**
+ * Post a message to an interaction's response_url (no bot token needed)
+ */
+export async function postToResponseUrl(responseUrl, message) {
+    await axios.post(responseUrl, message, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000
+    });
+}
+
+/**
+ * Verify a Slack request signature (X-Slack-Signature / X-Slack-Request-Timestamp)
+ * @param {Object} params - { signingSecret, timestamp, signature, rawBody, now? }
+ * @returns {boolean} True when the request came from Slack
+ */
+export function verifySlackSignature({ signingSecret, timestamp, signature, rawBody, now = Date.now() }) {
+    if (!signingSecret || !timestamp || !signature) {
+        return false;
+    }
+
+    const age = Math.abs(Math.floor(now / 1000) - Number(timestamp));
+    if (!Number.isFinite(age) || age > MAX_REQUEST_AGE_SECONDS) {
+        return false;
+    }
+
+    const expected = Buffer.from(`v0=${createHmac('sha256', signingSecret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`);
+    const actual = Buffer.from(signature);
+
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
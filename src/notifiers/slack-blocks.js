@@ -0,0 +1,207 @@
+import { groupEntriesByCategory } from '../analyzers/report-schema.js';
+
+/**
+ * Slack Block Kit limits
+ * https://api.slack.com/reference/block-kit/blocks
+ */
+export const SLACK_LIMITS = {
+    blocksPerMessage: 50,
+    sectionText: 3000,
+    headerText: 150,
+    contextElements: 10,
+    fallbackText: 3000
+};
+
+/**
+ * Build the Block Kit messages for an analysis report
+ * The summary is posted first; category and reply messages are meant to be threaded under it
+ * @param {Object} analysisResult - Report from AIAnalyzer (with `structured`)
+ * @returns {Object} { summary: message, thread: message[] } where message is { text, blocks }
+ */
+export function buildReportMessages(analysisResult) {
+    const summary = buildSummaryMessage(analysisResult);
+    const thread = [];
+
+    if (!analysisResult.structured || analysisResult.summary.relevantEmails === 0) {
+        return { summary, thread };
+    }
+
+    for (const group of groupEntriesByCategory(analysisResult.structured)) {
+        thread.push(...buildCategoryMessages(group));
+
+        for (const entry of group.entries) {
+            if (entry.suggestedReply) {
+                thread.push(...buildReplyMessages(entry));
+            }
+        }
+    }
+
+    return { summary, thread };
+}
+
+/**
+ * Build the summary header message
+ */
+export function buildSummaryMessage(analysisResult) {
+    const { summary, timestamp } = analysisResult;
+    const date = new Date(timestamp || Date.now());
+    const isEmpty = !summary.relevantEmails;
+
+    const blocks = [
+        {
+            type: 'header',
+            text: { type: 'plain_text', text: isEmpty ? '📭 Feedback Analysis Report' : '🔔 Feedback Analysis Report', emoji: true }
+        },
+        {
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: `📅 ${date.toLocaleDateString()} at ${date.toLocaleTimeString()}` }]
+        }
+    ];
+
+    if (isEmpty) {
+        blocks.push(section(summary.totalEmails > 0
+            ? `✨ No new relevant feedback found.\n📧 Processed ${summary.totalEmails} email(s), but none contained business-relevant feedback.`
+            : '✨ No new relevant feedback found.\n📪 No new emails found to analyze.'));
+        return { text: 'Feedback Analysis Report: no new relevant feedback', blocks };
+    }
+
+    const fields = [
+        `*Emails processed:*\n${summary.totalEmails}`,
+        `*Relevant:*\n${summary.relevantEmails}`,
+        `*Categories:*\n${(summary.categories || []).length}`,
+        ...(summary.replyableEmails !== undefined ? [`*Need replies:*\n${summary.replyableEmails}`] : [])
+    ];
+    blocks.push({ type: 'section', fields: fields.map(text => ({ type: 'mrkdwn', text })) });
+
+    if (summary.keyInsights?.length > 0) {
+        const insights = summary.keyInsights.map(insight => `• ${escapeMrkdwn(insight)}`).join('\n');
+        blocks.push(...splitText(`💡 *Key Insights*\n${insights}`, SLACK_LIMITS.sectionText).map(section));
+    }
+
+    blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: '🧵 Details by category and suggested replies are in the thread' }]
+    });
+
+    return {
+        text: `Feedback Analysis Report: ${summary.relevantEmails} relevant of ${summary.totalEmails} emails`,
+        blocks: blocks.slice(0, SLACK_LIMITS.blocksPerMessage)
+    };
+}
+
+/**
+ * Build the messages for one category, split so each stays within the block limit
+ * @param {Object} group - Category group from groupEntriesByCategory()
+ */
+export function buildCategoryMessages(group) {
+    const blocks = [
+        {
+            type: 'header',
+            text: { type: 'plain_text', text: truncate(`${group.label} (${group.entries.length})`, SLACK_LIMITS.headerText), emoji: true }
+        }
+    ];
+
+    for (const entry of group.entries) {
+        const details = [
+            `*Email from ${escapeMrkdwn(entry.sender)}*`,
+            `*Subject:* ${escapeMrkdwn(entry.subject)}`,
+            escapeMrkdwn(entry.analysis || 'No analysis available.')
+        ].join('\n');
+
+        blocks.push(...splitText(details, SLACK_LIMITS.sectionText).map(section));
+
+        if (entry.confidence !== null && entry.confidence !== undefined) {
+            blocks.push({
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: `Confidence: ${Math.round(entry.confidence * 100)}%` }]
+            });
+        }
+    }
+
+    return chunkBlocks(blocks).map((chunk, index) => ({
+        text: truncate(`${group.label}${index > 0 ? ' (continued)' : ''}`, SLACK_LIMITS.fallbackText),
+        blocks: chunk
+    }));
+}
+
+/**
+ * Build the message(s) carrying one email's suggested reply
+ */
+export function buildReplyMessages(entry) {
+    const blocks = [
+        {
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: truncate(`✉️ Suggested reply to *${escapeMrkdwn(entry.sender)}* — ${escapeMrkdwn(entry.subject)}`, SLACK_LIMITS.sectionText) }]
+        },
+        // Leave room for the code fence around each piece
+        ...splitText(escapeMrkdwn(entry.suggestedReply), SLACK_LIMITS.sectionText - 6).map(text => section(`\`\`\`${text}\`\`\``))
+    ];
+
+    return chunkBlocks(blocks).map(chunk => ({
+        text: truncate(`Suggested reply to ${entry.sender}`, SLACK_LIMITS.fallbackText),
+        blocks: chunk
+    }));
+}
+
+/**
+ * Split text into pieces no longer than maxLength, preferring line breaks
+ */
+export function splitText(text, maxLength) {
+    const pieces = [];
+    let remaining = text || '';
+
+    while (remaining.length > maxLength) {
+        let cut = remaining.lastIndexOf('\n', maxLength);
+        if (cut <= 0) {
+            cut = maxLength;
+        }
+
+        pieces.push(remaining.slice(0, cut));
+        remaining = remaining.slice(cut).replace(/^\n/, '');
+    }
+
+    if (remaining.length > 0 || pieces.length === 0) {
+        pieces.push(remaining);
+    }
+
+    return pieces;
+}
+
+/**
+ * Split blocks into groups that fit in one message
+ */
+export function chunkBlocks(blocks, size = SLACK_LIMITS.blocksPerMessage) {
+    const chunks = [];
+
+    for (let i = 0; i < blocks.length; i += size) {
+        chunks.push(blocks.slice(i, i + size));
+    }
+
+    return chunks;
+}
+
+/**
+ * Escape characters Slack treats as control sequences in mrkdwn
+ */
+export function escapeMrkdwn(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Build a mrkdwn section block
+ * @private
+ */
+function section(text) {
+    return { type: 'section', text: { type: 'mrkdwn', text } };
+}
+
+/**
+ * Truncate text to a maximum length
+ * @private
+ */
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
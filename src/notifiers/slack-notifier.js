@@ -1,4 +1,7 @@
 import axios from 'axios';
+import { groupEntriesByCategory } from '../analyzers/report-schema.js';
+import { buildReportMessages } from './slack-blocks.js';
+import { SlackApiClient } from './slack-api.js';
 
 /**
  * Slack Notifier
@@ -12,13 +15,23 @@ export class SlackNotifier {
             channel: config.channel || null,
             username: config.username || 'FeedbackResolver',
             iconEmoji: config.iconEmoji || ':email:',
+            botToken: config.botToken || null,
+            // Threaded Block Kit reports need a bot token; webhooks keep the text report unless asked
+            format: config.format || (config.botToken ? 'blocks' : 'text'),
+            postInterval: config.postInterval ?? 1000,
             ...config
         };
 
-        if (!this.config.webhookUrl) {
-            throw new Error('Slack webhook URL is required for SlackNotifier');
+        if (!this.config.webhookUrl && !this.config.botToken) {
+            throw new Error('Slack webhook URL or bot token is required for SlackNotifier');
         }
 
+        if (this.config.botToken && !this.config.channel) {
+            throw new Error('Slack channel is required when using a bot token');
+        }
+
+        this.client = this.config.botToken ? new SlackApiClient({ botToken: this.config.botToken }) : null;
+
         console.log('📱 Slack notifier initialized');
     }
 
@@ -33,26 +46,69 @@ export class SlackNotifier {
 
         console.log('📤 Sending notification to Slack...');
 
+        if (this.config.format === 'blocks') {
+            return this._sendBlocks(analysisResult);
+        }
+
         try {
             const message = this._formatMessage(analysisResult);
-            const payload = this._buildSlackPayload(message);
-            
-            const response = await axios.post(this.config.webhookUrl, payload, {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: 10000 // 10 second timeout
-            });
 
-            if (response.status === 200) {
-                console.log('✅ Slack notification sent successfully');
-                return {
-                    success: true,
-                    message: 'Slack notification sent successfully',
-                    timestamp: new Date().toISOString()
-                };
+            if (this.client) {
+                await this._postMessage({ text: message });
             } else {
-                throw new Error(`Unexpected response status: ${response.status}`);
+                const payload = this._buildSlackPayload(message);
+                
+                const response = await axios.post(this.config.webhookUrl, payload, {
+                    headers: { 'Content-Type': 'application/json' },
+                    timeout: 10000 // 10 second timeout
+                });
+
+                if (response.status !== 200) {
+                    throw new Error(`Unexpected response status: ${response.status}`);
+                }
             }
 
+            console.log('✅ Slack notification sent successfully');
+            return {
+                success: true,
+                message: 'Slack notification sent successfully',
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('❌ Slack notification failed:', error.message);
+            return {
+                success: false,
+                message: `Slack notification failed: ${error.message}`,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Send the report as Block Kit messages: a summary, then categories and replies in its thread
+     * Without a bot token the messages are posted one after another through the webhook
+     * @private
+     */
+    async _sendBlocks(analysisResult) {
+        try {
+            const { summary, thread } = buildReportMessages(analysisResult);
+            const root = await this._postMessage(summary);
+
+            for (const message of thread) {
+                await this._delay(this.config.postInterval);
+                await this._postMessage(root?.ts ? { ...message, thread_ts: root.ts } : message);
+            }
+
+            console.log(`✅ Slack report sent (${thread.length + 1} messages)`);
+            return {
+                success: true,
+                message: 'Slack notification sent successfully',
+                messages: thread.length + 1,
+                ...(root?.ts && { threadTs: root.ts, channel: root.channel }),
+                timestamp: new Date().toISOString()
+            };
         } catch (error) {
             console.error('❌ Slack notification failed:', error.message);
             return {
@@ -64,6 +120,35 @@ export class SlackNotifier {
         }
     }
 
+    /**
+     * Post a Block Kit message with the bot token (returns channel and ts) or the webhook
+     * @private
+     */
+    async _postMessage(message) {
+        if (this.client) {
+            return this.client.postMessage({
+                channel: this.config.channel,
+                username: this.config.username,
+                icon_emoji: this.config.iconEmoji,
+                ...message
+            });
+        }
+
+        await axios.post(this.config.webhookUrl, this._buildSlackPayload(message.text, message), {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 10000
+        });
+        return null;
+    }
+
+    /**
+     * Delay helper
+     * @private
+     */
+    _delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
     /**
      * Format analysis result into Slack message
      */
@@ -102,8 +187,10 @@ export class SlackNotifier {
             message += '\n';
         }
 
-        // Detailed analysis content with replies
-        const detailedAnalysis = this._formatDetailedAnalysis(analysis);
+        // Detailed analysis content with replies (structured reports first, legacy Markdown otherwise)
+        const detailedAnalysis = analysisResult.structured
+            ? this._formatStructuredAnalysis(analysisResult.structured)
+            : this._formatDetailedAnalysis(analysis);
         if (detailedAnalysis) {
             message += `📋 *Detailed Feedback Analysis*\n`;
             message += detailedAnalysis;
@@ -139,7 +226,31 @@ export class SlackNotifier {
     }
 
     /**
-     * Format detailed analysis with email summaries and replies for Slack
+     * Format structured report entries with replies for Slack
+     */
+    _formatStructuredAnalysis(structuredReport) {
+        let formatted = '';
+
+        for (const group of groupEntriesByCategory(structuredReport)) {
+            formatted += `\n*${group.label}*\n`;
+
+            for (const entry of group.entries) {
+                formatted += `\n_Email from ${entry.sender}_\n`;
+                formatted += `- _Subject:_ ${entry.subject}\n`;
+                formatted += `- _Analysis:_ ${entry.analysis}\n`;
+                if (entry.suggestedReply) {
+                    formatted += `- _Suggested Reply:_\n`;
+                    formatted += `\`\`\`${entry.suggestedReply}\`\`\`\n`;
+                }
+            }
+        }
+
+        return formatted.trim() || null;
+    }
+
+    /**
+     * Format detailed Markdown analysis with email summaries and replies for Slack
+     * Used for reports produced before structured reports existed
      */
     _formatDetailedAnalysis(analysis) {
         if (!analysis || typeof analysis !== 'string') {
@@ -246,11 +357,12 @@ export class SlackNotifier {
     /**
      * Build Slack webhook payload
      */
-    _buildSlackPayload(message) {
+    _buildSlackPayload(message, extra = {}) {
         const payload = {
             text: message,
             username: this.config.username,
-            icon_emoji: this.config.iconEmoji
+            icon_emoji: this.config.iconEmoji,
+            ...(extra.blocks && { blocks: extra.blocks })
         };
 
         if (this.config.channel) {
@@ -272,6 +384,15 @@ export class SlackNotifier {
             `This is a test message to verify your Slack webhook configuration.`;
 
         try {
+            if (this.client) {
+                await this._postMessage({ text: testMessage });
+                console.log('✅ Test message sent successfully');
+                return {
+                    success: true,
+                    message: 'Test message sent to Slack successfully'
+                };
+            }
+
             const payload = this._buildSlackPayload(testMessage);
             const response = await axios.post(this.config.webhookUrl, payload, {
                 headers: { 'Content-Type': 'application/json' },
@@ -302,6 +423,25 @@ export class SlackNotifier {
      * Validate Slack webhook URL and connection
      */
     async testConnection() {
+        if (this.client) {
+            console.log('🔗 Testing Slack bot token...');
+
+            try {
+                const auth = await this.client.call('auth.test');
+                return {
+                    success: true,
+                    message: `Slack bot token is valid for workspace ${auth.team}`,
+                    responseTime: new Date().toISOString()
+                };
+            } catch (error) {
+                return {
+                    success: false,
+                    message: `Slack connection test failed: ${error.message}`,
+                    error: error.message
+                };
+            }
+        }
+
         console.log('🔗 Testing Slack webhook connection...');
 
         try {
@@ -405,6 +545,8 @@ export class SlackNotifier {
             type: 'slack',
             enabled: this.config.enabled,
             hasWebhookUrl: !!this.config.webhookUrl,
+            hasBotToken: !!this.config.botToken,
+            format: this.config.format,
             username: this.config.username,
             iconEmoji: this.config.iconEmoji,
             channel: this.config.channel || 'default'
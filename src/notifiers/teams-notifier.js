@@ -0,0 +1,249 @@
+import axios from 'axios';
+import { groupEntriesByCategory } from '../analyzers/report-schema.js';
+
+// Teams rejects message payloads larger than ~28 KB
+const MAX_PAYLOAD_BYTES = 27 * 1024;
+
+/**
+ * Microsoft Teams Notifier
+ * Posts the analysis report as an Adaptive Card to a Teams incoming webhook or Workflows URL
+ */
+export class TeamsNotifier {
+    constructor(config = {}) {
+        this.config = {
+            webhookUrl: config.webhookUrl,
+            enabled: config.enabled !== false,
+            title: config.title || 'Feedback Analysis Report',
+            includeReplies: config.includeReplies !== false,
+            maxTextLength: config.maxTextLength || 600,
+            ...config
+        };
+
+        if (!this.config.webhookUrl) {
+            throw new Error('Teams webhook URL is required for TeamsNotifier');
+        }
+
+        console.log('💬 Teams notifier initialized');
+    }
+
+    /**
+     * Send analysis report to Teams
+     */
+    async send(analysisResult) {
+        if (!this.config.enabled) {
+            console.log('💬 Teams notifications disabled, skipping...');
+            return { success: true, message: 'Notifications disabled' };
+        }
+
+        console.log('📤 Sending notification to Teams...');
+
+        try {
+            const payload = this._buildPayload(this._buildCard(analysisResult));
+
+            await axios.post(this.config.webhookUrl, payload, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 10000
+            });
+
+            console.log('✅ Teams notification sent successfully');
+            return {
+                success: true,
+                message: 'Teams notification sent successfully',
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('❌ Teams notification failed:', error.message);
+            return {
+                success: false,
+                message: `Teams notification failed: ${error.message}`,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Build the Adaptive Card for a report
+     * Entries are dropped from the end (with a note) if the card would exceed the Teams size limit
+     * @private
+     */
+    _buildCard(analysisResult) {
+        const { summary, timestamp } = analysisResult;
+        const entries = analysisResult.structured?.entries || [];
+        const date = new Date(timestamp || Date.now());
+
+        const header = [
+            { type: 'TextBlock', text: `🔔 ${this.config.title}`, weight: 'Bolder', size: 'Large', wrap: true },
+            { type: 'TextBlock', text: `📅 ${date.toLocaleDateString()} at ${date.toLocaleTimeString()}`, isSubtle: true, spacing: 'None' },
+            {
+                type: 'FactSet',
+                facts: [
+                    { title: 'Emails processed', value: String(summary.totalEmails ?? 0) },
+                    { title: 'Relevant', value: String(summary.relevantEmails ?? 0) },
+                    { title: 'Categories', value: String((summary.categories || []).length) },
+                    ...(summary.replyableEmails !== undefined ? [{ title: 'Need replies', value: String(summary.replyableEmails) }] : [])
+                ]
+            }
+        ];
+
+        if (summary.keyInsights?.length > 0) {
+            header.push(
+                { type: 'TextBlock', text: '💡 Key Insights', weight: 'Bolder', spacing: 'Medium' },
+                { type: 'TextBlock', text: summary.keyInsights.map(insight => `- ${insight}`).join('\n'), wrap: true }
+            );
+        }
+
+        if (!summary.relevantEmails) {
+            header.push({ type: 'TextBlock', text: '✨ No new relevant feedback found.', wrap: true });
+            return this._card(header);
+        }
+
+        let included = entries.length;
+        let card = this._card([...header, ...this._buildCategoryContainers(entries)]);
+
+        while (this._payloadSize(card) > MAX_PAYLOAD_BYTES && included > 0) {
+            included = Math.floor(included * 0.8);
+            card = this._card([
+                ...header,
+                ...this._buildCategoryContainers(entries.slice(0, included)),
+                { type: 'TextBlock', text: `…and ${entries.length - included} more emails (see the full report)`, isSubtle: true, wrap: true }
+            ]);
+        }
+
+        return card;
+    }
+
+    /**
+     * Build one Container per category
+     * @private
+     */
+    _buildCategoryContainers(entries) {
+        return groupEntriesByCategory({ entries }).map(group => ({
+            type: 'Container',
+            separator: true,
+            spacing: 'Medium',
+            items: [
+                { type: 'TextBlock', text: `${group.label} (${group.entries.length})`, weight: 'Bolder', size: 'Medium', wrap: true },
+                ...group.entries.flatMap(entry => this._buildEntryItems(entry))
+            ]
+        }));
+    }
+
+    /**
+     * Build card elements for one report entry
+     * @private
+     */
+    _buildEntryItems(entry) {
+        const items = [
+            { type: 'TextBlock', text: `**${entry.sender}** — ${entry.subject}`, wrap: true, spacing: 'Medium' },
+            { type: 'TextBlock', text: this._truncate(entry.analysis || 'No analysis available.'), wrap: true, isSubtle: true, spacing: 'None' }
+        ];
+
+        if (this.config.includeReplies && entry.suggestedReply) {
+            items.push({
+                type: 'TextBlock',
+                text: `✉️ Suggested reply: ${this._truncate(entry.suggestedReply)}`,
+                wrap: true,
+                fontType: 'Monospace',
+                size: 'Small'
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Wrap body elements in an Adaptive Card
+     * @private
+     */
+    _card(body) {
+        return {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            msteams: { width: 'Full' },
+            body
+        };
+    }
+
+    /**
+     * Build the webhook message carrying the card
+     * @private
+     */
+    _buildPayload(card) {
+        return {
+            type: 'message',
+            attachments: [{
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                contentUrl: null,
+                content: card
+            }]
+        };
+    }
+
+    /**
+     * Size of the webhook payload for a card in bytes
+     * @private
+     */
+    _payloadSize(card) {
+        return Buffer.byteLength(JSON.stringify(this._buildPayload(card)));
+    }
+
+    /**
+     * Truncate long text for the card
+     * @private
+     */
+    _truncate(text) {
+        const max = this.config.maxTextLength;
+        return text.length > max ? `${text.substring(0, max - 3)}...` : text;
+    }
+
+    /**
+     * Validate Teams webhook URL and connection
+     */
+    async testConnection() {
+        console.log('🔗 Testing Teams webhook connection...');
+
+        try {
+            await axios.post(this.config.webhookUrl, this._buildPayload(this._card([
+                { type: 'TextBlock', text: '🔗 Connection test from FeedbackResolver', wrap: true }
+            ])), {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 5000
+            });
+
+            return {
+                success: true,
+                message: 'Teams webhook is accessible and responding',
+                responseTime: new Date().toISOString()
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Teams connection test failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get notifier configuration info
+     */
+    getConfig() {
+        return {
+            type: 'teams',
+            enabled: this.config.enabled,
+            hasWebhookUrl: !!this.config.webhookUrl,
+            title: this.config.title,
+            includeReplies: this.config.includeReplies
+        };
+    }
+
+    /**
+     * Enable or disable notifications
+     */
+    setEnabled(enabled) {
+        this.config.enabled = enabled;
+        console.log(`💬 Teams notifications ${enabled ? 'enabled' : 'disabled'}`);
+    }
+}
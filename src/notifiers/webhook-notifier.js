@@ -0,0 +1,174 @@
+import axios from 'axios';
+import { createHmac } from 'crypto';
+
+export const WEBHOOK_EVENT = 'analysis.completed';
+
+/**
+ * Generic Webhook Notifier
+ * POSTs the report as JSON to any URL, optionally signed with HMAC-SHA256.
+ *
+ * Signed requests carry `X-FeedbackResolver-Timestamp` and
+ * `X-FeedbackResolver-Signature: sha256=<hex>`, where the digest is
+ * HMAC-SHA256(secret, `${timestamp}.${rawBody}`).
+ */
+export class GenericWebhookNotifier {
+    constructor(config = {}) {
+        this.config = {
+            url: config.url,
+            enabled: config.enabled !== false,
+            method: (config.method || 'POST').toUpperCase(),
+            headers: config.headers || {},
+            secret: config.secret || null,
+            signatureHeader: config.signatureHeader || 'X-FeedbackResolver-Signature',
+            timestampHeader: config.timestampHeader || 'X-FeedbackResolver-Timestamp',
+            includeMarkdown: config.includeMarkdown || false,
+            timeout: config.timeout || 10000,
+            ...config
+        };
+
+        if (!this.config.url) {
+            throw new Error('Webhook URL is required for GenericWebhookNotifier');
+        }
+
+        console.log('🪝 Webhook notifier initialized');
+    }
+
+    /**
+     * Send analysis report to the webhook
+     */
+    async send(analysisResult) {
+        if (!this.config.enabled) {
+            console.log('🪝 Webhook notifications disabled, skipping...');
+            return { success: true, message: 'Notifications disabled' };
+        }
+
+        console.log(`📤 Sending report to webhook ${this._displayUrl()}...`);
+
+        try {
+            const response = await this._deliver(this._buildPayload(analysisResult));
+
+            console.log('✅ Webhook notification sent successfully');
+            return {
+                success: true,
+                message: 'Webhook notification sent successfully',
+                status: response.status,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            const status = error.response?.status;
+            console.error('❌ Webhook notification failed:', error.message);
+            return {
+                success: false,
+                message: `Webhook notification failed: ${status ? `HTTP ${status}` : error.message}`,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Build the JSON body for a report
+     * @private
+     */
+    _buildPayload(analysisResult) {
+        return {
+            event: WEBHOOK_EVENT,
+            timestamp: analysisResult.timestamp || new Date().toISOString(),
+            summary: analysisResult.summary,
+            report: analysisResult.structured || null,
+            ...(analysisResult.sentReplies && { sentReplies: analysisResult.sentReplies.length }),
+            ...(this.config.includeMarkdown && { markdown: analysisResult.analysis }),
+            metadata: analysisResult.metadata || {}
+        };
+    }
+
+    /**
+     * Compute the signature headers for a raw body
+     */
+    sign(rawBody, timestamp = Math.floor(Date.now() / 1000).toString()) {
+        const digest = createHmac('sha256', this.config.secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+        return {
+            [this.config.timestampHeader]: timestamp,
+            [this.config.signatureHeader]: `sha256=${digest}`
+        };
+    }
+
+    /**
+     * Send a payload with configured and signature headers
+     * @private
+     */
+    async _deliver(payload) {
+        // Sign the exact bytes that are sent
+        const rawBody = JSON.stringify(payload);
+
+        return axios.request({
+            url: this.config.url,
+            method: this.config.method,
+            data: rawBody,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'FeedbackResolver-Webhook',
+                ...this.config.headers,
+                ...(this.config.secret && this.sign(rawBody))
+            },
+            timeout: this.config.timeout
+        });
+    }
+
+    /**
+     * URL without query string, for logs (may contain tokens)
+     * @private
+     */
+    _displayUrl() {
+        return this.config.url.split('?')[0];
+    }
+
+    /**
+     * Validate webhook URL and connection
+     */
+    async testConnection() {
+        console.log('🔗 Testing webhook connection...');
+
+        try {
+            const response = await this._deliver({
+                event: 'connection.test',
+                timestamp: new Date().toISOString()
+            });
+
+            return {
+                success: true,
+                message: `Webhook responded with HTTP ${response.status}`,
+                responseTime: new Date().toISOString()
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Webhook connection test failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get notifier configuration info
+     */
+    getConfig() {
+        return {
+            type: 'webhook',
+            enabled: this.config.enabled,
+            url: this._displayUrl(),
+            method: this.config.method,
+            signed: !!this.config.secret,
+            headers: Object.keys(this.config.headers)
+        };
+    }
+
+    /**
+     * Enable or disable notifications
+     */
+    setEnabled(enabled) {
+        this.config.enabled = enabled;
+        console.log(`🪝 Webhook notifications ${enabled ? 'enabled' : 'disabled'}`);
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * Lifecycle hooks a plugin may implement, in pipeline order.
+ * Each receives (value, context); returning anything other than undefined replaces the value.
+ *
+ * - beforeFetch(input)        Input passed to the processor (file content, etc.)
+ * - afterFetch(emails)        Fetched emails: filter, redact or enrich them
+ * - beforeTriage(emails)      Emails about to be analyzed (not called when there are none)
+ * - afterTriage(triageResults) Per-email triage verdicts, before the consolidated report
+ * - beforeReport(analysis)    Final analysis, before notifications are sent
+ * - beforeSend(reply)         Each approved reply { email, replyContent }; return false to veto it
+ * - afterSend(sendResults)    Results of a send batch { sent, failed, vetoed }
+ */
+export const PLUGIN_HOOKS = ['beforeFetch', 'afterFetch', 'beforeTriage', 'afterTriage', 'beforeReport', 'beforeSend', 'afterSend'];
+
+/**
+ * Plugin Manager
+ * Runs plugin lifecycle hooks in registration order
+ */
+export class PluginManager {
+    constructor() {
+        this.plugins = [];
+    }
+
+    /**
+     * Register a plugin
+     * A legacy process(emails) method is treated as afterFetch
+     */
+    add(plugin) {
+        if (!plugin || ![...PLUGIN_HOOKS, 'process'].some(hook => typeof plugin[hook] === 'function')) {
+            throw new Error(`Plugin must implement at least one hook: ${PLUGIN_HOOKS.join(', ')}`);
+        }
+
+        this.plugins.push(plugin);
+        console.log(`🧩 Added plugin: ${this.getName(plugin)}`);
+    }
+
+    /**
+     * Check whether any plugin implements a hook
+     */
+    has(hook) {
+        return this.plugins.some(plugin => this._getHook(plugin, hook));
+    }
+
+    /**
+     * Run a hook through every plugin, passing each result to the next
+     * A failing hook aborts the run, so a broken filter or redaction never lets content through
+     * @param {string} hook - Hook name from PLUGIN_HOOKS
+     * @param {*} value - Value the hook may replace
+     * @param {Object} context - Run context shared by all hooks
+     */
+    async run(hook, value, context = {}) {
+        for (const plugin of this.plugins) {
+            const fn = this._getHook(plugin, hook);
+            if (!fn) {
+                continue;
+            }
+
+            let result;
+            try {
+                result = await fn.call(plugin, value, context);
+            } catch (error) {
+                throw new Error(`Plugin ${this.getName(plugin)} failed in ${hook}: ${error.message}`);
+            }
+
+            if (result !== undefined) {
+                value = result;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Run beforeSend for each reply
+     * @param {Array} replies - Approved replies { email, replyContent }
+     * @param {Object} context - Run context
+     * @returns {Object} { allowed: replies to send, vetoed: [{ reply, plugin }] }
+     */
+    async filterReplies(replies, context = {}) {
+        const allowed = [];
+        const vetoed = [];
+
+        for (let reply of replies) {
+            let vetoedBy = null;
+
+            for (const plugin of this.plugins) {
+                const fn = this._getHook(plugin, 'beforeSend');
+                if (!fn) {
+                    continue;
+                }
+
+                let result;
+                try {
+                    result = await fn.call(plugin, reply, context);
+                } catch (error) {
+                    throw new Error(`Plugin ${this.getName(plugin)} failed in beforeSend: ${error.message}`);
+                }
+
+                if (result === false) {
+                    vetoedBy = this.getName(plugin);
+                    break;
+                }
+
+                if (result !== undefined) {
+                    reply = result;
+                }
+            }
+
+            if (vetoedBy) {
+                console.log(`🛑 Reply to ${reply.email.from} vetoed by plugin ${vetoedBy}`);
+                vetoed.push({ reply, plugin: vetoedBy });
+            } else {
+                allowed.push(reply);
+            }
+        }
+
+        return { allowed, vetoed };
+    }
+
+    /**
+     * Display name of a plugin
+     */
+    getName(plugin) {
+        if (typeof plugin.name === 'string' && plugin.name) {
+            return plugin.name;
+        }
+
+        return plugin.constructor?.name && plugin.constructor.name !== 'Object' ? plugin.constructor.name : 'anonymous';
+    }
+
+    /**
+     * Get a plugin's implementation of a hook
+     * @private
+     */
+    _getHook(plugin, hook) {
+        if (typeof plugin[hook] === 'function') {
+            return plugin[hook];
+        }
+
+        if (hook === 'afterFetch' && typeof plugin.process === 'function') {
+            return plugin.process;
+        }
+
+        return null;
+    }
+}
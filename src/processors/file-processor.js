@@ -1,5 +1,20 @@
 import { promises as fs } from 'fs';
 import path from 'path';
+import { simpleParser } from 'mailparser';
+import { parseCsvRecords } from '../utils/csv-parser.js';
+
+const MAILBOX_EXTENSIONS = ['.mbox', '.mbx'];
+const MESSAGE_EXTENSIONS = ['.eml'];
+const CSV_EXTENSIONS = ['.csv', '.tsv'];
+const JSON_EXTENSIONS = ['.json'];
+
+export const FILE_FORMATS = ['text', 'csv', 'json', 'mbox', 'eml'];
+
+// Record fields read from CSV columns / JSON properties; each defaults to the column of the same name
+export const RECORD_FIELDS = ['id', 'from', 'subject', 'body', 'date', 'rating', 'source', 'threadId'];
+
+// mbox "From_" separator line: "From sender@example.com Tue Jan  2 10:00:00 2024"
+const MBOX_SEPARATOR = /^From \S+\s+.*\b\d{1,2}:\d{2}(?::\d{2})?\b/;
 
 /**
  * File-based Email/Feedback Processor
@@ -10,26 +25,46 @@ export class FileProcessor {
         this.config = {
             encoding: config.encoding || 'utf8',
             path: config.path || null,
-            ...config
+            format: config.format || null,
+            delimiter: config.delimiter || null,
+            recordsPath: config.recordsPath || null,
+            ...config,
+            fields: {
+                ...Object.fromEntries(RECORD_FIELDS.map(field => [field, field])),
+                ...config.fields
+            }
         };
+        this.queuedFiles = null;
     }
 
     /**
      * Process feedback from file or direct input
-     * @param {string|null} input - Direct text input or null to use file path
+     * @param {string|Array|Object|null} input - Direct text input, JSON records, or null to use file path
      */
     async process(input = null) {
         console.log('📄 Processing file-based feedback...');
 
+        if (!input && this.queuedFiles) {
+            const files = this.queuedFiles;
+            this.queuedFiles = null;
+            return await this.processMultipleFiles(files);
+        }
+
         let content = '';
+        let format = this.config.format;
+        let source = null;
         
         if (input) {
-            // Direct text input provided
+            // Direct text input provided; objects and arrays are JSON records
             content = typeof input === 'string' ? input : JSON.stringify(input);
+            format = format || (typeof input === 'string' ? this._detectFormat(content) : 'json');
+            source = Buffer.from(content);
             console.log(`📝 Processing direct text input (${content.length} characters)`);
         } else if (this.config.path) {
-            // Read from file path
-            content = await this._readFromFile(this.config.path);
+            // Read raw bytes: email files declare their charsets per MIME part
+            source = await this._readFromFile(this.config.path, null);
+            format = format || this._getFormatFromPath(this.config.path) || this._detectFormat(source.toString('latin1'));
+            content = source.toString(this._isMailFormat(format) ? 'latin1' : this.config.encoding);
             console.log(`📁 Read content from file: ${this.config.path}`);
         } else {
             throw new Error('No input provided and no file path configured. Please provide either direct input or configure a file path.');
@@ -41,7 +76,14 @@ export class FileProcessor {
         }
 
         // Parse content into email-like structures
-        const emails = this._parseContent(content);
+        let emails;
+        if (this._isMailFormat(format)) {
+            emails = await this._parseMailMessages(source, format);
+        } else if (format === 'csv' || format === 'json') {
+            emails = this._parseRecords(typeof input === 'object' && input !== null ? input : content, format);
+        } else {
+            emails = this._parseContent(content);
+        }
         
         console.log(`✅ Successfully processed ${emails.length} feedback item(s)`);
         return emails;
@@ -49,8 +91,9 @@ export class FileProcessor {
 
     /**
      * Read content from file
+     * @param {string|null} encoding - Text encoding, or null for a Buffer
      */
-    async _readFromFile(filePath) {
+    async _readFromFile(filePath, encoding = this.config.encoding) {
         try {
             // Resolve relative paths
             const resolvedPath = path.resolve(filePath);
@@ -59,7 +102,7 @@ export class FileProcessor {
             await fs.access(resolvedPath);
             
             // Read file content
-            const content = await fs.readFile(resolvedPath, this.config.encoding);
+            const content = await fs.readFile(resolvedPath, encoding);
             return content;
         } catch (error) {
             if (error.code === 'ENOENT') {
@@ -72,6 +115,260 @@ export class FileProcessor {
         }
     }
 
+    /**
+     * Format for a file extension: 'mbox', 'eml', 'csv', 'json' or null for free text
+     */
+    _getFormatFromPath(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+
+        if (MAILBOX_EXTENSIONS.includes(extension)) return 'mbox';
+        if (MESSAGE_EXTENSIONS.includes(extension)) return 'eml';
+        if (CSV_EXTENSIONS.includes(extension)) return 'csv';
+        if (JSON_EXTENSIONS.includes(extension)) return 'json';
+        return null;
+    }
+
+    /**
+     * Whether a format is parsed as raw email
+     */
+    _isMailFormat(format) {
+        return format === 'mbox' || format === 'eml';
+    }
+
+    /**
+     * Sniff whether content is an mbox mailbox or a single RFC 5322 message
+     */
+    _detectFormat(content) {
+        if (MBOX_SEPARATOR.test(content.split(/\r?\n/, 1)[0])) {
+            return 'mbox';
+        }
+
+        // A message starts with a header block: unfolded "Name: value" lines up to the first blank line
+        const headerBlock = content.split(/\r?\n\r?\n/, 1)[0];
+        const lines = headerBlock.split(/\r?\n/);
+        const isHeaderBlock = lines.every(line => /^[!-9;-~]+:/.test(line) || /^[ \t]/.test(line));
+        const hasMessageHeaders = /^from:/im.test(headerBlock) && /^(message-id|date|received|mime-version):/im.test(headerBlock);
+
+        return isHeaderBlock && hasMessageHeaders ? 'eml' : null;
+    }
+
+    /**
+     * Split an mbox mailbox into raw messages
+     * Handles mboxo/mboxrd ">From " quoting
+     */
+    _splitMbox(content) {
+        const messages = [];
+        let current = null;
+
+        for (const line of content.split(/\n/)) {
+            if (MBOX_SEPARATOR.test(line.replace(/\r$/, ''))) {
+                if (current) messages.push(current);
+                current = [];
+            } else if (current) {
+                current.push(line.replace(/^>(>*From )/, '$1'));
+            }
+        }
+
+        if (current) messages.push(current);
+
+        return messages
+            .map(lines => lines.join('\n'))
+            .filter(message => message.trim().length > 0);
+    }
+
+    /**
+     * Parse mbox or .eml content with a MIME parser
+     * Headers, multipart bodies, transfer encodings and charsets are decoded
+     * @param {Buffer} source - Raw file bytes
+     * @param {string} format - 'mbox' or 'eml'
+     */
+    async _parseMailMessages(source, format) {
+        // latin1 maps bytes 1:1, so messages can be split as text and turned back into bytes
+        const raw = source.toString('latin1');
+        const messages = format === 'mbox' ? this._splitMbox(raw) : [raw];
+        const emails = [];
+
+        console.log(`📬 Parsing ${messages.length} message(s) from ${format === 'mbox' ? 'mbox mailbox' : 'email file'}`);
+
+        for (const [index, message] of messages.entries()) {
+            try {
+                emails.push(await this._parseMailMessage(Buffer.from(message, 'latin1'), index));
+            } catch (error) {
+                console.error(`⚠️  Failed to parse message ${index + 1}:`, error.message);
+                // Continue processing other messages
+            }
+        }
+
+        return emails;
+    }
+
+    /**
+     * Normalize one parsed message to the processor email shape
+     */
+    async _parseMailMessage(message, index) {
+        const parsed = await simpleParser(message);
+        // mailparser derives text from the HTML part when there is no text part
+        const body = this._cleanMailBody(parsed.text || '');
+        const references = [].concat(parsed.references || []);
+        const id = parsed.messageId || `file_${Date.now()}_${index}`;
+
+        return {
+            id,
+            from: parsed.from?.text || 'Unknown',
+            subject: parsed.subject || `Feedback Item ${index + 1}`,
+            date: parsed.date ? parsed.date.toISOString() : new Date().toISOString(),
+            body,
+            snippet: body.replace(/\s+/g, ' ').substring(0, 150),
+            // The first reference is the thread root; a new conversation is its own thread
+            threadId: references[0] || parsed.inReplyTo || parsed.messageId || `file_thread_${index}`,
+            messageId: parsed.messageId || null,
+            references,
+            ...(parsed.to?.text && { to: parsed.to.text }),
+            ...(parsed.attachments?.length > 0 && { attachments: parsed.attachments.map(attachment => attachment.filename || attachment.contentType) })
+        };
+    }
+
+    /**
+     * Map CSV rows or JSON records to feedback items using config.fields
+     * @param {string|Array|Object} data - CSV/JSON text, or already parsed JSON
+     * @param {string} format - 'csv' or 'json'
+     */
+    _parseRecords(data, format) {
+        const records = format === 'csv'
+            ? parseCsvRecords(data, { delimiter: this._getDelimiter() })
+            : this._getJsonRecords(typeof data === 'string' ? this._parseJson(data) : data);
+
+        const { body: bodyField } = this.config.fields;
+        if (records.length > 0 && !records.some(record => this._getField(record, bodyField) !== undefined)) {
+            throw new Error(`No "${bodyField}" field found in ${format.toUpperCase()} records. Set file.fields.body to the column that holds the feedback text.`);
+        }
+
+        const emails = records
+            .map((record, index) => this._recordToEmail(record, index))
+            .filter(email => email.body.length > 0);
+
+        const skipped = records.length - emails.length;
+        console.log(`📊 Imported ${emails.length} ${format.toUpperCase()} record(s)${skipped > 0 ? `, skipped ${skipped} without feedback text` : ''}`);
+
+        return emails;
+    }
+
+    /**
+     * Normalize one record to the processor email shape
+     * rating and source, and the record itself, are kept as metadata for the analyzer
+     * @private
+     */
+    _recordToEmail(record, index) {
+        const value = (field) => {
+            const fieldValue = this._getField(record, this.config.fields[field]);
+            return fieldValue === undefined || fieldValue === null ? '' : String(fieldValue).trim();
+        };
+        const body = this._cleanMailBody(value('body'));
+        const rating = value('rating');
+
+        return {
+            id: value('id') || `file_${Date.now()}_${index}`,
+            from: value('from') || 'File Input',
+            subject: value('subject') || `Feedback Item ${index + 1}`,
+            date: this._normalizeDate(value('date')),
+            body,
+            snippet: body.replace(/\s+/g, ' ').substring(0, 150),
+            threadId: value('threadId') || `file_thread_${index}`,
+            metadata: {
+                ...(rating && { rating: isNaN(Number(rating)) ? rating : Number(rating) }),
+                ...(value('source') && { source: value('source') }),
+                record
+            }
+        };
+    }
+
+    /**
+     * Read a field from a record by column name, or by dotted path for nested JSON
+     * @private
+     */
+    _getField(record, key) {
+        if (!key || record === null || typeof record !== 'object') {
+            return undefined;
+        }
+
+        if (key in record) {
+            return record[key];
+        }
+
+        return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), record);
+    }
+
+    /**
+     * Find the array of records in parsed JSON
+     * Uses config.recordsPath, else a top-level array, else the only array property (e.g. { reviews: [...] })
+     * @private
+     */
+    _getJsonRecords(data) {
+        const target = this.config.recordsPath ? this._getField(data, this.config.recordsPath) : data;
+
+        if (Array.isArray(target)) {
+            return target;
+        }
+
+        if (this.config.recordsPath) {
+            throw new Error(`JSON recordsPath "${this.config.recordsPath}" does not point to an array`);
+        }
+
+        const arrays = Object.values(target || {}).filter(Array.isArray);
+        return arrays.length === 1 ? arrays[0] : [target];
+    }
+
+    /**
+     * Parse JSON text with a readable error
+     * @private
+     */
+    _parseJson(text) {
+        try {
+            return JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Invalid JSON feedback: ${error.message}`);
+        }
+    }
+
+    /**
+     * CSV delimiter: config.delimiter, else tab for .tsv files, else comma
+     * @private
+     */
+    _getDelimiter() {
+        if (this.config.delimiter) {
+            return this.config.delimiter;
+        }
+
+        return this.config.path && path.extname(this.config.path).toLowerCase() === '.tsv' ? '\t' : ',';
+    }
+
+    /**
+     * Normalize a record date to ISO, keeping unparseable values as given
+     * @private
+     */
+    _normalizeDate(value) {
+        if (!value) {
+            return new Date().toISOString();
+        }
+
+        // Unix timestamps in seconds or milliseconds
+        const timestamp = /^\d{10}(\d{3})?$/.test(value) ? Number(value) * (value.length === 10 ? 1000 : 1) : value;
+        const date = new Date(timestamp);
+
+        return isNaN(date.getTime()) ? value : date.toISOString();
+    }
+
+    /**
+     * Normalize whitespace in a decoded message body
+     */
+    _cleanMailBody(body) {
+        return body
+            .replace(/\r\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .replace(/[ \t]+/g, ' ')
+            .trim();
+    }
+
     /**
      * Parse content into email-like structures
      */
@@ -215,6 +512,15 @@ export class FileProcessor {
         return cleaned.substring(0, maxLength - 3) + '...';
     }
 
+    /**
+     * Read these files on the next process() call without input, instead of config.path
+     * Used by directory watching to analyze a batch of dropped files in one run
+     * @param {Array<string>|null} filePaths - Files to read, or null to clear the queue
+     */
+    queueFiles(filePaths) {
+        this.queuedFiles = filePaths?.length ? [...filePaths] : null;
+    }
+
     /**
      * Process multiple files
      */
@@ -327,16 +633,16 @@ export class FileProcessor {
     static getSupportedFormats() {
         return {
             text: {
-                extensions: ['.txt', '.md', '.csv'],
+                extensions: ['.txt', '.md'],
                 description: 'Plain text files with feedback content'
             },
             structured: {
-                extensions: ['.json'],
-                description: 'JSON files with structured feedback data'
+                extensions: [...CSV_EXTENSIONS, ...JSON_EXTENSIONS],
+                description: 'CSV/TSV rows or JSON records, mapped to feedback items with file.fields'
             },
             email: {
-                extensions: ['.eml', '.msg'],
-                description: 'Email files (basic support)'
+                extensions: [...MESSAGE_EXTENSIONS, ...MAILBOX_EXTENSIONS],
+                description: 'RFC 5322 messages and mbox mailboxes (MIME parts, transfer encodings and charsets are decoded)'
             }
         };
     }
@@ -1,21 +1,84 @@
 import { google } from 'googleapis';
 import { promises as fs } from 'fs';
 import path from 'path';
+import { cleanEmailBody } from '../utils/email-body.js';
+
+const HISTORY_STATE_VERSION = 1;
+
+// Inbox category tabs and their system label ids
+export const GMAIL_CATEGORIES = {
+    primary: 'CATEGORY_PERSONAL',
+    social: 'CATEGORY_SOCIAL',
+    promotions: 'CATEGORY_PROMOTIONS',
+    updates: 'CATEGORY_UPDATES',
+    forums: 'CATEGORY_FORUMS'
+};
+
+export const DEFAULT_GMAIL_FILTERS = {
+    unreadOnly: true,
+    includeLabels: [],
+    excludeLabels: [],
+    includeCategories: [],
+    excludeCategories: [],
+    fromAllow: [],
+    fromDeny: [],
+    subjectKeywords: []
+};
+
+// Post-processing actions driven by triage results; labels set to null are not applied
+export const DEFAULT_GMAIL_ACTIONS = {
+    enabled: false,
+    labels: {
+        relevant: 'feedback/relevant',
+        replied: 'feedback/replied',
+        needsHuman: 'feedback/needs-human'
+    },
+    archiveIrrelevant: false,
+    markAsRead: false
+};
+
+// Gmail batchModify accepts up to 1000 ids per request
+const BATCH_MODIFY_LIMIT = 1000;
+
+// System labels changed by the actions, used by id
+const SYSTEM_LABELS = new Set(['INBOX', 'UNREAD']);
 
 /**
  * Gmail Email Processor
  * Handles fetching and processing emails from Gmail API
  */
 export class GmailProcessor {
-    constructor(config, oauthManager) {
+    constructor(config, oauthManager, ledger = null) {
         this.config = {
             targetEmail: config.targetEmail || null,
             daysToSearch: config.daysToSearch || 10,
             maxResults: config.maxResults || 20,
-            ...config
+            // Incremental sync from the mailbox history instead of re-listing the search window
+            historySync: config.historySync || false,
+            historyPath: config.historyPath || path.join(process.cwd(), '.feedback-gmail-history.json'),
+            maxPending: config.maxPending || 500,
+            // Analyze one email per thread, with the earlier thread messages as context
+            threadContext: config.threadContext === true,
+            threadHistoryLimit: config.threadHistoryLimit || 10,
+            // Replaces the generated query (targetEmail, daysToSearch and filters) when set
+            rawQuery: config.rawQuery || null,
+            ...config,
+            filters: { ...DEFAULT_GMAIL_FILTERS, ...config.filters },
+            actions: {
+                ...DEFAULT_GMAIL_ACTIONS,
+                ...config.actions,
+                labels: { ...DEFAULT_GMAIL_ACTIONS.labels, ...config.actions?.labels }
+            }
         };
         this.oauthManager = oauthManager;
+        this.ledger = ledger;
         this.gmail = null;
+        this.labelIds = null;
+
+        // History sync cannot evaluate a search query, so later runs would analyze mail rawQuery excludes
+        if (this.config.historySync && this.config.rawQuery) {
+            throw new Error('Gmail rawQuery cannot be used with historySync; use filters instead');
+        }
     }
 
     /**
@@ -36,58 +99,345 @@ export class GmailProcessor {
         await this._initializeGmail();
         
         console.log(`📥 Fetching emails from Gmail...`);
-        console.log(`⚙️  Limiting to ${this.config.maxResults} emails to prevent token overflow`);
+        console.log(`⚙️  Fetching up to ${this.config.maxResults} emails`);
+        
+        if (this.config.historySync) {
+            return await this._processHistory();
+        }
         
         // Build Gmail query
         const query = this._buildQuery();
         console.log(`🔍 Gmail query: ${query}`);
         
-        // Fetch email list (limited by maxResults)
+        // Fetch email list (limited by maxResults, skipping already processed messages)
         const messages = await this._fetchEmailList(query);
         
         if (messages.length === 0) {
-            console.log(`📭 No emails found matching the query`);
+            console.log(this.ledger ? `📭 No new emails found matching the query` : `📭 No emails found matching the query`);
             return [];
         }
         
         console.log(`📬 Found ${messages.length} emails (limited to ${this.config.maxResults} max)`);
         
         // Fetch full email details
-        const emails = await this._fetchEmailDetails(messages);
+        const emails = await this._groupByThread(await this._fetchEmailDetails(messages));
         
         console.log(`✅ Successfully processed ${emails.length} emails`);
         return emails;
     }
 
+    /**
+     * Search query used to list messages, as configured
+     */
+    getSearchQuery() {
+        return this._buildQuery();
+    }
+
     /**
      * Build Gmail search query
      */
     _buildQuery() {
-        let query = 'is:unread';
+        if (this.config.rawQuery) {
+            return this.config.rawQuery;
+        }
+        
+        const filters = this.config.filters;
+        const terms = [];
+        
+        if (filters.unreadOnly) {
+            terms.push('is:unread');
+        }
         
         // Add target email filter if specified
         if (this.config.targetEmail) {
-            query += ` to:${this.config.targetEmail}`;
+            terms.push(`to:${this.config.targetEmail}`);
         }
         
+        // Include lists match any entry, exclusions each rule one out
+        terms.push(
+            ...filters.includeLabels.map(label => `label:${this._quoteTerm(label)}`),
+            ...filters.excludeLabels.map(label => `-label:${this._quoteTerm(label)}`),
+            this._anyOf('category', filters.includeCategories),
+            ...filters.excludeCategories.map(category => `-category:${category}`),
+            this._anyOf('from', filters.fromAllow),
+            ...filters.fromDeny.map(sender => `-from:${this._quoteTerm(sender)}`),
+            this._anyOf('subject', filters.subjectKeywords)
+        );
+        
         // Add date filter
-        query += ` newer_than:${this.config.daysToSearch}d`;
+        terms.push(`newer_than:${this.config.daysToSearch}d`);
         
-        return query;
+        return terms.filter(Boolean).join(' ');
     }
 
     /**
-     * Fetch list of emails matching query
+     * Search term matching any of the values, e.g. {from:a from:b}
+     * @private
      */
-    async _fetchEmailList(query) {
-        try {
-            const response = await this.gmail.users.messages.list({
+    _anyOf(operator, values) {
+        if (values.length === 0) {
+            return null;
+        }
+        
+        const terms = values.map(value => `${operator}:${this._quoteTerm(value)}`);
+        return terms.length === 1 ? terms[0] : `{${terms.join(' ')}}`;
+    }
+
+    /**
+     * Quote a search value containing spaces
+     * @private
+     */
+    _quoteTerm(value) {
+        return /\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    }
+
+    /**
+     * Fetch new emails incrementally from the mailbox history
+     * Without a stored historyId (first run, or expired after about a week) a full
+     * query sync runs instead. Messages over maxResults, and messages whose analysis
+     * has not been recorded in the ledger yet, stay pending for the next run.
+     * @private
+     */
+    async _processHistory() {
+        const state = await this._loadHistoryState();
+        let candidates = null;
+        let historyId = null;
+
+        if (state.historyId) {
+            try {
+                const changes = await this._listHistory(state.historyId);
+                historyId = changes.historyId;
+                candidates = [...state.pending, ...changes.messages];
+                console.log(`🕒 ${changes.messages.length} new emails since history ${state.historyId}${state.pending.length ? `, ${state.pending.length} pending` : ''}`);
+            } catch (error) {
+                if ((error.code ?? error.response?.status) !== 404) {
+                    console.error('❌ Failed to fetch mailbox history:', error.message);
+                    throw new Error(`Gmail API error: ${error.message}`);
+                }
+                console.log('⚠️  Stored Gmail history is too old, running a full sync');
+            }
+        }
+
+        if (!candidates) {
+            // Read the history position first so mail arriving during the sync is picked up next time
+            historyId = (await this.getAccountInfo()).historyId;
+            const query = this._buildQuery();
+            console.log(`🔍 Gmail query: ${query}`);
+            candidates = await this._fetchEmailList(query, this.config.maxPending);
+        }
+
+        const unique = [...new Map(candidates.map(message => [message.id, message])).values()];
+        const unprocessed = this.ledger ? await this.ledger.filterUnprocessed(unique) : unique;
+        const selected = unprocessed.slice(0, this.config.maxResults);
+
+        const fetched = selected.length > 0 ? await this._fetchEmailDetails(selected) : [];
+        const emails = await this._groupByThread(fetched.filter(email => this._matchesMessageFilters(email)));
+
+        // Keep what was not analyzed yet; drop messages that failed to load or were filtered out
+        const returnedIds = new Set(emails.flatMap(email => email.messageIds || [email.id]));
+        const remaining = this.ledger
+            ? unprocessed.filter(message => !selected.includes(message) || returnedIds.has(message.id))
+            : unprocessed.slice(this.config.maxResults);
+        await this._saveHistoryState({ historyId, pending: remaining.slice(0, this.config.maxPending) });
+
+        if (emails.length === 0) {
+            console.log('📭 No new emails found in the mailbox history');
+            return [];
+        }
+
+        console.log(`✅ Successfully processed ${emails.length} emails`);
+        return emails;
+    }
+
+    /**
+     * List messages added to the inbox since a history id
+     * @returns {Object} { messages: [{ id, threadId }], historyId } with the latest history id
+     * @private
+     */
+    async _listHistory(startHistoryId) {
+        const messages = [];
+        let historyId = startHistoryId;
+        let pageToken;
+
+        do {
+            const response = await this.gmail.users.history.list({
                 userId: 'me',
-                q: query,
-                maxResults: this.config.maxResults
+                startHistoryId,
+                historyTypes: ['messageAdded'],
+                ...(pageToken && { pageToken })
             });
+
+            for (const record of response.data.history || []) {
+                for (const { message } of record.messagesAdded || []) {
+                    if (await this._matchesLabelFilters(message.labelIds || [])) {
+                        messages.push({ id: message.id, threadId: message.threadId });
+                    }
+                }
+            }
+
+            historyId = response.data.historyId || historyId;
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return { messages, historyId };
+    }
+
+    /**
+     * Apply the label, category and unread filters to a message from the history
+     * Limited to incoming mail, like the search query
+     * @private
+     */
+    async _matchesLabelFilters(labels) {
+        const filters = this.config.filters;
+
+        if (!labels.includes('INBOX') || (filters.unreadOnly && !labels.includes('UNREAD'))) {
+            return false;
+        }
+
+        const categoryIds = (categories) => categories.map(category => GMAIL_CATEGORIES[category]);
+        if (filters.includeCategories.length > 0 && !categoryIds(filters.includeCategories).some(id => labels.includes(id))) {
+            return false;
+        }
+        if (categoryIds(filters.excludeCategories).some(id => labels.includes(id))) {
+            return false;
+        }
+
+        if (filters.includeLabels.length > 0 || filters.excludeLabels.length > 0) {
+            const labelIds = await this._getLabelIds();
+            const ids = (names) => names.map(name => labelIds.get(this._normalizeLabelName(name)));
+
+            if (filters.includeLabels.length > 0 && !ids(filters.includeLabels).some(id => labels.includes(id))) {
+                return false;
+            }
+            if (ids(filters.excludeLabels).some(id => labels.includes(id))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether an email passes the target, sender and subject filters
+     * The search query filters on the server, history sync filters here
+     * @private
+     */
+    _matchesMessageFilters(email) {
+        const filters = this.config.filters;
+        const sender = (email.from.match(/<(.+?)>/)?.[1] || email.from).toLowerCase();
+        const subject = (email.subject || '').toLowerCase();
+        const matchesSender = (entry) => {
+            const value = entry.toLowerCase().replace(/^@/, '');
+            return value.includes('@') ? sender === value : sender.endsWith(`@${value}`) || sender.endsWith(`.${value}`);
+        };
+
+        if (this.config.targetEmail && !(email.to || '').toLowerCase().includes(this.config.targetEmail.toLowerCase())) {
+            return false;
+        }
+        if (filters.fromAllow.length > 0 && !filters.fromAllow.some(matchesSender)) {
+            return false;
+        }
+        if (filters.fromDeny.some(matchesSender)) {
+            return false;
+        }
+        if (filters.subjectKeywords.length > 0 && !filters.subjectKeywords.some(keyword => subject.includes(keyword.toLowerCase()))) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Map of normalized label names (and ids) to label ids, loaded once
+     * @private
+     */
+    async _getLabelIds() {
+        if (!this.labelIds) {
+            const response = await this.gmail.users.labels.list({ userId: 'me' });
+            this.labelIds = new Map();
+
+            for (const label of response.data.labels || []) {
+                this.labelIds.set(this._normalizeLabelName(label.name), label.id);
+                this.labelIds.set(this._normalizeLabelName(label.id), label.id);
+            }
+        }
+
+        return this.labelIds;
+    }
+
+    /**
+     * Label names as written in search queries: case-insensitive, spaces and slashes as hyphens
+     * @private
+     */
+    _normalizeLabelName(name) {
+        return name.toLowerCase().replace(/[\s/]+/g, '-');
+    }
+
+    /**
+     * Load the stored history position and pending messages
+     * @private
+     */
+    async _loadHistoryState() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.config.historyPath, 'utf8'));
+            return { historyId: data.historyId || null, pending: data.pending || [] };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️  Failed to read Gmail history state ${this.config.historyPath}:`, error.message);
+            }
+            return { historyId: null, pending: [] };
+        }
+    }
+
+    /**
+     * Store the history position and pending messages
+     * @private
+     */
+    async _saveHistoryState({ historyId, pending }) {
+        const data = {
+            version: HISTORY_STATE_VERSION,
+            updatedAt: new Date().toISOString(),
+            historyId,
+            pending
+        };
+
+        await fs.mkdir(path.dirname(this.config.historyPath), { recursive: true });
+        await fs.writeFile(this.config.historyPath, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Fetch list of emails matching query
+     * When a processed-message ledger is attached, pages through results until
+     * limit unprocessed messages are found or the query is exhausted
+     * @param {number} limit - Maximum messages to return (default: maxResults)
+     */
+    async _fetchEmailList(query, limit = this.config.maxResults) {
+        try {
+            const messages = [];
+            let skipped = 0;
+            let pageToken;
+
+            do {
+                const response = await this.gmail.users.messages.list({
+                    userId: 'me',
+                    q: query,
+                    maxResults: Math.min(limit, 500),
+                    ...(pageToken && { pageToken })
+                });
+
+                const page = response.data.messages || [];
+                const unprocessed = this.ledger ? await this.ledger.filterUnprocessed(page) : page;
+                skipped += page.length - unprocessed.length;
+                messages.push(...unprocessed);
+
+                pageToken = this.ledger || limit > this.config.maxResults ? response.data.nextPageToken : null;
+            } while (pageToken && messages.length < limit);
+
+            if (skipped > 0) {
+                console.log(`⏭️  Skipped ${skipped} already processed emails`);
+            }
             
-            return response.data.messages || [];
+            return messages.slice(0, limit);
         } catch (error) {
             console.error('❌ Failed to fetch email list:', error.message);
             throw new Error(`Gmail API error: ${error.message}`);
@@ -115,6 +465,79 @@ export class GmailProcessor {
         return emails;
     }
 
+    /**
+     * Collapse emails of the same thread into one conversation
+     * The latest email of each thread is analyzed; `messageIds` lists every fetched email it
+     * stands for and `threadHistory` the earlier thread messages (including our own replies),
+     * oldest first. Without threadContext emails are returned unchanged.
+     * @private
+     */
+    async _groupByThread(emails) {
+        if (!this.config.threadContext) {
+            return emails;
+        }
+
+        const threads = new Map();
+        for (const email of emails) {
+            const key = email.threadId || email.id;
+            threads.set(key, [...(threads.get(key) || []), email]);
+        }
+
+        const conversations = [];
+        for (const group of threads.values()) {
+            group.sort((a, b) => (Date.parse(a.date) || 0) - (Date.parse(b.date) || 0));
+            const latest = group[group.length - 1];
+            const history = latest.threadId ? await this._getThreadHistory(latest) : null;
+
+            conversations.push({
+                ...latest,
+                messageIds: group.map(email => email.id),
+                threadHistory: history ?? group.slice(0, -1).map(email => this._toHistoryEntry(email))
+            });
+        }
+
+        if (conversations.length < emails.length) {
+            console.log(`🧵 Grouped ${emails.length} emails into ${conversations.length} conversations`);
+        }
+
+        return conversations;
+    }
+
+    /**
+     * Load the thread messages before an email, most recent threadHistoryLimit only
+     * @returns {Array|null} History entries, or null when the thread could not be loaded
+     * @private
+     */
+    async _getThreadHistory(email) {
+        try {
+            const thread = await this.getThread(email.threadId);
+            const messages = (thread.messages || []).filter(message => !(message.labelIds || []).includes('DRAFT'));
+            const index = messages.findIndex(message => message.id === email.id);
+            const earlier = index === -1 ? [] : messages.slice(0, index);
+
+            return earlier
+                .slice(-this.config.threadHistoryLimit)
+                .map(message => this._toHistoryEntry(this._parseMessage(message), message.labelIds));
+        } catch (error) {
+            console.warn(`⚠️  Failed to load thread ${email.threadId}, analyzing without earlier messages:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Condense a thread message for the analysis context, without quoted earlier messages
+     * @private
+     */
+    _toHistoryEntry(email, labelIds = []) {
+        return {
+            id: email.id,
+            from: email.from,
+            date: email.date,
+            body: email.body.split('\n').filter(line => !line.trimStart().startsWith('>')).join('\n').trim(),
+            fromUs: labelIds.includes('SENT')
+        };
+    }
+
     /**
      * Fetch detailed content for a single email
      */
@@ -124,7 +547,14 @@ export class GmailProcessor {
             id: messageId
         });
         
-        const message = response.data;
+        return this._parseMessage(response.data);
+    }
+
+    /**
+     * Convert a Gmail API message (format full) into an email object
+     * @private
+     */
+    _parseMessage(message) {
         const payload = message.payload;
         
         // Extract headers
@@ -132,18 +562,20 @@ export class GmailProcessor {
         const fromHeader = headers.find(h => h.name === 'From')?.value || 'Unknown';
         const subjectHeader = headers.find(h => h.name === 'Subject')?.value || 'No subject';
         const dateHeader = headers.find(h => h.name === 'Date')?.value || 'Unknown date';
+        const recipients = headers.filter(h => h.name === 'To' || h.name === 'Cc').map(h => h.value).join(', ');
         
         // Extract body content
         const body = this._extractEmailBody(payload);
         
         return {
-            id: messageId,
+            id: message.id,
             from: fromHeader,
             subject: subjectHeader,
             date: dateHeader,
             body: body.trim(),
             snippet: message.snippet || '',
-            threadId: message.threadId
+            threadId: message.threadId,
+            to: recipients
         };
     }
 
@@ -171,33 +603,7 @@ export class GmailProcessor {
         }
         
         // Clean up common email artifacts
-        return this._cleanEmailBody(body);
-    }
-
-    /**
-     * Clean up email body content
-     */
-    _cleanEmailBody(body) {
-        if (!body) return '';
-        
-        // Remove common email signatures and footers
-        const cleanPatterns = [
-            /--\s*\r?\n.*$/s, // Signature separator
-            /^\s*On .* wrote:\s*$/m, // Reply headers
-            /^\s*From:\s*.*$/m, // Forward headers
-            /^\s*Sent:\s*.*$/m, // Outlook headers
-        ];
-        
-        let cleaned = body;
-        for (const pattern of cleanPatterns) {
-            cleaned = cleaned.replace(pattern, '');
-        }
-        
-        // Remove excessive whitespace
-        cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
-        cleaned = cleaned.replace(/[ \t]+/g, ' ');
-        
-        return cleaned.trim();
+        return cleanEmailBody(body);
     }
 
     /**
@@ -219,6 +625,43 @@ export class GmailProcessor {
         }
     }
 
+    /**
+     * Ask Gmail to publish mailbox changes to a Cloud Pub/Sub topic
+     * The watch expires after 7 days; call again (daily is recommended) to renew it
+     * @param {string} topicName - projects/<project>/topics/<topic>, with gmail-api-push@system.gserviceaccount.com as publisher
+     * @returns {Object} { historyId, expiration }
+     */
+    async watch(topicName, labelIds = ['INBOX']) {
+        await this._initializeGmail();
+
+        try {
+            const response = await this.gmail.users.watch({
+                userId: 'me',
+                requestBody: { topicName, labelIds, labelFilterBehavior: 'INCLUDE' }
+            });
+
+            const expiration = new Date(Number(response.data.expiration)).toISOString();
+            console.log(`📡 Gmail push notifications active until ${expiration}`);
+            return { historyId: response.data.historyId, expiration };
+        } catch (error) {
+            throw new Error(`Failed to start Gmail push notifications: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop Gmail push notifications
+     */
+    async stopWatch() {
+        await this._initializeGmail();
+
+        try {
+            await this.gmail.users.stop({ userId: 'me' });
+            console.log('📡 Gmail push notifications stopped');
+        } catch (error) {
+            throw new Error(`Failed to stop Gmail push notifications: ${error.message}`);
+        }
+    }
+
     /**
      * Mark emails as read (optional functionality)
      */
@@ -245,6 +688,156 @@ export class GmailProcessor {
         }
     }
 
+    /**
+     * Label, archive and mark triaged emails according to config.actions
+     * Relevant emails get the relevant label; replyable emails get the replied label when
+     * a reply was sent in this run, otherwise the needs-human label. Emails whose triage
+     * failed are left untouched so they look unprocessed.
+     * @param {Array} triage - Triage results ({ id, isRelevant, isReplyable, error? })
+     * @param {Object} outcome - { replied?: string[] } ids of emails answered in this run
+     * @returns {Object} { modified } number of emails changed
+     */
+    async applyTriageActions(triage = [], outcome = {}) {
+        const actions = this.config.actions;
+        if (!actions.enabled) {
+            return { modified: 0 };
+        }
+
+        const replied = new Set(outcome.replied || []);
+        const changes = [];
+
+        for (const item of triage) {
+            if (!item.id || item.error) {
+                continue;
+            }
+
+            const add = [];
+            const remove = [];
+
+            if (item.isRelevant) {
+                add.push(actions.labels.relevant);
+            } else if (actions.archiveIrrelevant) {
+                remove.push('INBOX');
+            }
+
+            if (replied.has(item.id)) {
+                add.push(actions.labels.replied);
+            } else if (item.isReplyable) {
+                add.push(actions.labels.needsHuman);
+            }
+
+            if (actions.markAsRead) {
+                remove.push('UNREAD');
+            }
+
+            // Grouped conversations stand for every email fetched from the thread
+            changes.push(...(item.messageIds || [item.id]).map(id => ({ id, add, remove })));
+        }
+
+        return { modified: await this._modifyLabels(changes) };
+    }
+
+    /**
+     * Move emails answered later (e.g. approved from the review queue) from needs-human to replied
+     * @param {Array<string>} messageIds - Ids of the answered emails, including every message of grouped conversations
+     * @returns {Object} { modified } number of emails changed
+     */
+    async applyReplyActions(messageIds = []) {
+        const actions = this.config.actions;
+        if (!actions.enabled) {
+            return { modified: 0 };
+        }
+
+        const changes = messageIds.map(id => ({ id, add: [actions.labels.replied], remove: [actions.labels.needsHuman] }));
+        return { modified: await this._modifyLabels(changes) };
+    }
+
+    /**
+     * Apply label changes, batching emails that receive the same change
+     * @param {Array} changes - [{ id, add: string[], remove: string[] }] with label names or system label ids
+     * @returns {number} Number of emails changed
+     * @private
+     */
+    async _modifyLabels(changes) {
+        await this._initializeGmail();
+
+        const batches = new Map();
+        for (const change of changes) {
+            const addLabelIds = await this._resolveLabelIds(change.add, { create: true });
+            const removeLabelIds = await this._resolveLabelIds(change.remove, { create: false });
+
+            if (addLabelIds.length === 0 && removeLabelIds.length === 0) {
+                continue;
+            }
+
+            const key = JSON.stringify([addLabelIds, removeLabelIds]);
+            if (!batches.has(key)) {
+                batches.set(key, { ids: [], addLabelIds, removeLabelIds });
+            }
+            batches.get(key).ids.push(change.id);
+        }
+
+        let modified = 0;
+        for (const { ids, addLabelIds, removeLabelIds } of batches.values()) {
+            for (let i = 0; i < ids.length; i += BATCH_MODIFY_LIMIT) {
+                const chunk = ids.slice(i, i + BATCH_MODIFY_LIMIT);
+
+                try {
+                    await this.gmail.users.messages.batchModify({
+                        userId: 'me',
+                        requestBody: { ids: chunk, addLabelIds, removeLabelIds }
+                    });
+                    modified += chunk.length;
+                } catch (error) {
+                    throw new Error(`Failed to update Gmail labels: ${error.message}${this._isScopeError(error) ? ' (re-run authentication to grant the gmail.modify scope)' : ''}`);
+                }
+            }
+        }
+
+        if (modified > 0) {
+            console.log(`🏷️  Updated labels on ${modified} emails`);
+        }
+
+        return modified;
+    }
+
+    /**
+     * Resolve label names to ids, optionally creating missing user labels
+     * @private
+     */
+    async _resolveLabelIds(names, options = {}) {
+        const labelIds = await this._getLabelIds();
+        const ids = [];
+
+        for (const name of names.filter(Boolean)) {
+            let id = SYSTEM_LABELS.has(name) ? name : labelIds.get(this._normalizeLabelName(name));
+
+            if (!id && options.create) {
+                const response = await this.gmail.users.labels.create({
+                    userId: 'me',
+                    requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }
+                });
+                id = response.data.id;
+                labelIds.set(this._normalizeLabelName(name), id);
+                console.log(`🏷️  Created Gmail label ${name}`);
+            }
+
+            if (id) {
+                ids.push(id);
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Whether a Gmail API error is caused by missing OAuth scopes
+     * @private
+     */
+    _isScopeError(error) {
+        return (error.code ?? error.response?.status) === 403 && /insufficient/i.test(error.message);
+    }
+
     /**
      * Search emails with custom query
      */
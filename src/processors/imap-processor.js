@@ -0,0 +1,251 @@
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { cleanEmailBody } from '../utils/email-body.js';
+
+/**
+ * IMAP Email Processor
+ * Fetches unseen messages from an IMAP folder (Outlook, Fastmail, self-hosted mail, ...)
+ * and normalizes them to the same shape as GmailProcessor
+ */
+export class ImapProcessor {
+    /**
+     * @param {Object} config - { host, port?, secure?, auth: { user, pass }, mailbox?, maxResults?, daysToSearch?, targetEmail?, markSeen? }
+     * @param {ProcessedLedger} ledger - Optional ledger used to skip already processed messages
+     * @param {Object} options - { createClient?(clientConfig) } to connect through a different IMAP client
+     */
+    constructor(config = {}, ledger = null, options = {}) {
+        this.config = {
+            host: config.host,
+            port: config.port || 993,
+            secure: config.secure !== false,
+            auth: config.auth || {},
+            mailbox: config.mailbox || 'INBOX',
+            targetEmail: config.targetEmail || null,
+            daysToSearch: config.daysToSearch || 10,
+            maxResults: config.maxResults || 20,
+            markSeen: config.markSeen || false,
+            ...config
+        };
+        this.ledger = ledger;
+        this.createClient = options.createClient || ((clientConfig) => new ImapFlow(clientConfig));
+
+        if (!this.config.host) {
+            throw new Error('IMAP host is required for ImapProcessor');
+        }
+    }
+
+    /**
+     * Process unseen emails from the configured mailbox
+     */
+    async process() {
+        console.log(`📥 Fetching emails from IMAP ${this.config.host}/${this.config.mailbox}...`);
+        console.log(`⚙️  Fetching up to ${this.config.maxResults} emails`);
+
+        return await this._withMailbox(async (client) => {
+            const uids = await client.search(this._buildSearch(), { uid: true });
+
+            if (!uids || uids.length === 0) {
+                console.log('📭 No unseen emails found in the mailbox');
+                return [];
+            }
+
+            const candidates = await this._selectUnprocessed(client, uids);
+
+            if (candidates.length === 0) {
+                console.log('📭 No new emails found in the mailbox');
+                return [];
+            }
+
+            console.log(`📬 Found ${candidates.length} emails (limited to ${this.config.maxResults} max)`);
+
+            const emails = await this._fetchEmailDetails(client, candidates);
+
+            console.log(`✅ Successfully processed ${emails.length} emails`);
+            return emails;
+        });
+    }
+
+    /**
+     * Flag messages as seen
+     * With markSeen, FeedbackResolver calls this after the fetched emails are analyzed and recorded
+     * @param {Array} emails - Emails returned by process(), or their IMAP UIDs
+     */
+    async markAsSeen(emails) {
+        const uids = (emails || []).map(email => typeof email === 'object' ? email.uid : email).filter(Boolean);
+
+        if (uids.length === 0) {
+            return;
+        }
+
+        await this._withMailbox(async (client) => {
+            await client.messageFlagsAdd(uids, ['\\Seen'], { uid: true });
+        });
+
+        console.log(`✅ Marked ${uids.length} emails as seen`);
+    }
+
+    /**
+     * Check that the server accepts the credentials and the mailbox exists
+     */
+    async testConnection() {
+        try {
+            const status = await this._withMailbox(async (client) => ({
+                mailbox: this.config.mailbox,
+                messages: client.mailbox?.exists ?? null
+            }));
+
+            return {
+                success: true,
+                message: `Connected to ${this.config.host} (${status.mailbox}: ${status.messages ?? 'unknown'} messages)`,
+                ...status
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `IMAP connection failed: ${error.message}`,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Build the IMAP SEARCH criteria
+     */
+    _buildSearch() {
+        const since = new Date();
+        since.setDate(since.getDate() - this.config.daysToSearch);
+
+        return {
+            seen: false,
+            since,
+            ...(this.config.targetEmail && { to: this.config.targetEmail })
+        };
+    }
+
+    /**
+     * Pick the newest messages that are not in the ledger yet
+     * Envelopes are fetched a page at a time so message ids are known before downloading bodies
+     * @private
+     */
+    async _selectUnprocessed(client, uids) {
+        const newestFirst = [...uids].sort((a, b) => b - a);
+        const selected = [];
+        let skipped = 0;
+
+        for (let i = 0; i < newestFirst.length && selected.length < this.config.maxResults; i += this.config.maxResults) {
+            const page = [];
+            for await (const message of client.fetch(newestFirst.slice(i, i + this.config.maxResults), { uid: true, envelope: true }, { uid: true })) {
+                page.push({ id: this._getMessageId(message.envelope?.messageId, message.uid, client), uid: message.uid });
+            }
+
+            // Keep newest-first order regardless of the order the server returns
+            page.sort((a, b) => b.uid - a.uid);
+
+            const unprocessed = this.ledger ? await this.ledger.filterUnprocessed(page) : page;
+            skipped += page.length - unprocessed.length;
+            selected.push(...unprocessed);
+        }
+
+        if (skipped > 0) {
+            console.log(`⏭️  Skipped ${skipped} already processed emails`);
+        }
+
+        return selected.slice(0, this.config.maxResults);
+    }
+
+    /**
+     * Download and parse the selected messages
+     * @private
+     */
+    async _fetchEmailDetails(client, candidates) {
+        const idsByUid = new Map(candidates.map(candidate => [candidate.uid, candidate.id]));
+        const emails = [];
+
+        console.log(`📄 Fetching details for ${candidates.length} emails...`);
+
+        for await (const message of client.fetch(candidates.map(candidate => candidate.uid), { uid: true, source: true, internalDate: true }, { uid: true })) {
+            try {
+                emails.push(await this._parseMessage(message, idsByUid.get(message.uid)));
+            } catch (error) {
+                console.error(`⚠️  Failed to parse email ${message.uid}:`, error.message);
+                // Continue processing other emails
+            }
+        }
+
+        return emails.sort((a, b) => b.uid - a.uid);
+    }
+
+    /**
+     * Normalize a fetched message to the processor email shape
+     * @private
+     */
+    async _parseMessage(message, id) {
+        const parsed = await simpleParser(message.source);
+        // mailparser derives text from the HTML part when there is no text part
+        const body = cleanEmailBody(parsed.text || '');
+        const references = [].concat(parsed.references || []);
+        const date = parsed.date || message.internalDate;
+
+        return {
+            id,
+            from: parsed.from?.text || 'Unknown',
+            subject: parsed.subject || 'No subject',
+            date: date ? new Date(date).toUTCString() : 'Unknown date',
+            body,
+            snippet: body.replace(/\s+/g, ' ').substring(0, 200),
+            // The first reference is the thread root; a new conversation is its own thread
+            threadId: references[0] || parsed.inReplyTo || parsed.messageId || id,
+            uid: message.uid,
+            mailbox: this.config.mailbox,
+            messageId: parsed.messageId || null,
+            references
+        };
+    }
+
+    /**
+     * Stable id for a message: its Message-ID header, else the mailbox UID
+     * @private
+     */
+    _getMessageId(messageId, uid, client) {
+        if (messageId) {
+            return messageId;
+        }
+
+        return `imap-${this.config.mailbox}-${client.mailbox?.uidValidity ?? 0}-${uid}`;
+    }
+
+    /**
+     * Connect, lock the mailbox, run fn and always disconnect
+     * @private
+     */
+    async _withMailbox(fn) {
+        const client = this.createClient({
+            host: this.config.host,
+            port: this.config.port,
+            secure: this.config.secure,
+            auth: this.config.auth,
+            ...(this.config.tls && { tls: this.config.tls }),
+            logger: false
+        });
+
+        try {
+            await client.connect();
+        } catch (error) {
+            throw new Error(`IMAP error: ${error.message}`);
+        }
+
+        try {
+            const lock = await client.getMailboxLock(this.config.mailbox);
+            try {
+                return await fn(client);
+            } finally {
+                lock.release();
+            }
+        } catch (error) {
+            console.error('❌ IMAP request failed:', error.message);
+            throw new Error(`IMAP error: ${error.message}`);
+        } finally {
+            await client.logout().catch(() => {});
+        }
+    }
+}
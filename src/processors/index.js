@@ -6,9 +6,11 @@
 
 export { GmailProcessor } from './gmail-processor.js';
 export { FileProcessor } from './file-processor.js';
+export { ImapProcessor } from './imap-processor.js';
 
 // Re-export for convenience
 export default {
     GmailProcessor: () => import('./gmail-processor.js').then(m => m.GmailProcessor),
-    FileProcessor: () => import('./file-processor.js').then(m => m.FileProcessor)
+    FileProcessor: () => import('./file-processor.js').then(m => m.FileProcessor),
+    ImapProcessor: () => import('./imap-processor.js').then(m => m.ImapProcessor)
 };
@@ -0,0 +1,131 @@
+/**
+ * Methods each component kind must implement
+ */
+export const COMPONENT_KINDS = {
+    notifier: ['send'],
+    processor: ['process'],
+    analyzer: ['analyze'],
+    sender: ['sendBatch']
+};
+
+/**
+ * Component Registry
+ * Maps type names to factories for notifiers, processors, analyzers and reply senders so they can be
+ * instantiated from config. A factory is `(config, resolver) => instance`.
+ */
+export class ComponentRegistry {
+    constructor() {
+        this.factories = Object.fromEntries(Object.keys(COMPONENT_KINDS).map(kind => [kind, new Map()]));
+    }
+
+    /**
+     * Register a component factory
+     * @param {string} kind - 'notifier', 'processor', 'analyzer' or 'sender'
+     * @param {string} type - Name used in config, e.g. 'slack'
+     * @param {Function} factory - (config, resolver) => instance
+     * @param {Object} options - { override: true } to replace an existing registration
+     */
+    register(kind, type, factory, options = {}) {
+        this._getFactories(kind);
+
+        if (typeof type !== 'string' || type.trim() === '') {
+            throw new Error(`${kind} type must be a non-empty string`);
+        }
+
+        if (typeof factory !== 'function') {
+            throw new Error(`${kind} "${type}" factory must be a function`);
+        }
+
+        if (this.has(kind, type) && !options.override) {
+            throw new Error(`${kind} "${type}" is already registered (pass { override: true } to replace it)`);
+        }
+
+        this.factories[kind].set(type, factory);
+        return this;
+    }
+
+    /**
+     * Register a notifier factory
+     */
+    registerNotifier(type, factory, options) {
+        return this.register('notifier', type, factory, options);
+    }
+
+    /**
+     * Register a processor factory; its type is used as the resolver mode
+     */
+    registerProcessor(type, factory, options) {
+        return this.register('processor', type, factory, options);
+    }
+
+    /**
+     * Register an analyzer factory
+     */
+    registerAnalyzer(type, factory, options) {
+        return this.register('analyzer', type, factory, options);
+    }
+
+    /**
+     * Register a reply sender factory
+     */
+    registerSender(type, factory, options) {
+        return this.register('sender', type, factory, options);
+    }
+
+    /**
+     * Remove a registration
+     */
+    unregister(kind, type) {
+        return this._getFactories(kind).delete(type);
+    }
+
+    /**
+     * Check whether a type is registered
+     */
+    has(kind, type) {
+        return this._getFactories(kind).has(type);
+    }
+
+    /**
+     * List registered type names for a kind
+     */
+    list(kind) {
+        return [...this._getFactories(kind).keys()];
+    }
+
+    /**
+     * Instantiate a registered component
+     * @param {string} kind - Component kind
+     * @param {string} type - Registered type name
+     * @param {Object} config - Component config
+     * @param {FeedbackResolver} resolver - Resolver the component belongs to
+     */
+    create(kind, type, config = {}, resolver = null) {
+        const factory = this._getFactories(kind).get(type);
+
+        if (!factory) {
+            throw new Error(`Unknown ${kind} type: ${type}. Registered: ${this.list(kind).join(', ') || 'none'}`);
+        }
+
+        const instance = factory(config, resolver);
+        const missing = COMPONENT_KINDS[kind].filter(method => typeof instance?.[method] !== 'function');
+
+        if (missing.length > 0) {
+            throw new Error(`${kind} "${type}" must implement ${missing.map(method => `${method}()`).join(', ')}`);
+        }
+
+        return instance;
+    }
+
+    /**
+     * Get the factories for a kind
+     * @private
+     */
+    _getFactories(kind) {
+        if (!this.factories[kind]) {
+            throw new Error(`Unknown component kind: ${kind}. Supported: ${Object.keys(COMPONENT_KINDS).join(', ')}`);
+        }
+
+        return this.factories[kind];
+    }
+}
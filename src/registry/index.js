@@ -0,0 +1,50 @@
+/**
+ * Component Registry Exports
+ *
+ * Built-in notifiers, processors, analyzers and reply senders are registered on `registry`.
+ * Third-party packages register their own before creating a FeedbackResolver:
+ *
+ *   registry.registerNotifier('discord', (config) => new DiscordNotifier(config));
+ *   new FeedbackResolver({ config: { notifications: [{ type: 'discord', webhookUrl }] } });
+ */
+
+import { ComponentRegistry } from './component-registry.js';
+import { GmailProcessor } from '../processors/gmail-processor.js';
+import { FileProcessor } from '../processors/file-processor.js';
+import { ImapProcessor } from '../processors/imap-processor.js';
+import { SlackNotifier } from '../notifiers/slack-notifier.js';
+import { FileNotifier } from '../notifiers/file-notifier.js';
+import { TeamsNotifier } from '../notifiers/teams-notifier.js';
+import { GenericWebhookNotifier } from '../notifiers/webhook-notifier.js';
+import { AIAnalyzer } from '../analyzers/ai-analyzer.js';
+import { GmailReplySender } from '../senders/gmail-reply-sender.js';
+import { SmtpReplySender } from '../senders/smtp-reply-sender.js';
+
+export { ComponentRegistry, COMPONENT_KINDS } from './component-registry.js';
+
+/**
+ * Create a registry with the built-in components
+ */
+export function createDefaultRegistry() {
+    return new ComponentRegistry()
+        .registerProcessor('gmail', (config, resolver) => new GmailProcessor(config, resolver.oauthManager, resolver.ledger || null))
+        .registerProcessor('file', (config) => new FileProcessor(config))
+        .registerProcessor('imap', (config, resolver) => new ImapProcessor(config, resolver.ledger || null))
+        .registerAnalyzer('ai', (config, resolver) => new AIAnalyzer(config, {
+            backend: resolver?.aiBackend || null,
+            knowledgeBase: resolver?.knowledgeBase || null,
+            templates: resolver?.replyTemplates || null,
+            replyStyle: resolver?.replyStyle || null
+        }))
+        .registerNotifier('slack', (config) => new SlackNotifier(config))
+        .registerNotifier('teams', (config) => new TeamsNotifier(config))
+        .registerNotifier('webhook', (config) => new GenericWebhookNotifier(config))
+        .registerNotifier('file', (config) => new FileNotifier(config))
+        .registerSender('gmail', (config, resolver) => new GmailReplySender(resolver.oauthManager))
+        .registerSender('smtp', (config) => new SmtpReplySender(config));
+}
+
+/**
+ * Shared registry used by FeedbackResolver unless one is passed in
+ */
+export const registry = createDefaultRegistry();
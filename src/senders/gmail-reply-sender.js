@@ -25,7 +25,7 @@ export class GmailReplySender {
      * Send a reply to an email
      * @param {Object} originalEmail - The original email object
      * @param {string} replyContent - The reply message content
-     * @param {Object} options - Additional options
+     * @param {Object} options - { html? } HTML version of the reply, sent alongside the plain text
      * @returns {Object} Result with success status and details
      */
     async sendReply(originalEmail, replyContent, options = {}) {
@@ -43,6 +43,7 @@ export class GmailReplySender {
                 to: toEmail,
                 subject: subject,
                 body: replyContent,
+                html: options.html,
                 threadId: originalEmail.threadId,
                 messageId: originalEmail.id,
                 inReplyTo: originalEmail.id
@@ -81,7 +82,7 @@ export class GmailReplySender {
 
     /**
      * Send multiple replies in batch
-     * @param {Array} repliesData - Array of {email, replyContent} objects
+     * @param {Array} repliesData - Array of {email, replyContent, replyHtml?} objects
      * @returns {Object} Results summary
      */
     async sendBatch(repliesData) {
@@ -93,8 +94,8 @@ export class GmailReplySender {
 
         console.log(`📤 Sending ${repliesData.length} email replies...`);
 
-        for (const { email, replyContent } of repliesData) {
-            const result = await this.sendReply(email, replyContent);
+        for (const { email, replyContent, replyHtml } of repliesData) {
+            const result = await this.sendReply(email, replyContent, { html: replyHtml });
             
             if (result.success) {
                 results.sent.push({
@@ -120,13 +121,16 @@ export class GmailReplySender {
      * Create RFC 2822 formatted email message
      * @private
      */
-    _createRawMessage({ to, subject, body, threadId, messageId, inReplyTo }) {
+    _createRawMessage({ to, subject, body, html, threadId, messageId, inReplyTo }) {
+        // With an HTML version the plain text and HTML bodies are sent as alternatives
+        const boundary = html ? `reply-${Date.now().toString(36)}` : null;
         const messageParts = [
             `To: ${to}`,
             `Subject: ${subject}`,
             'MIME-Version: 1.0',
-            'Content-Type: text/plain; charset=utf-8',
-            'Content-Transfer-Encoding: 7bit'
+            ...(boundary
+                ? [`Content-Type: multipart/alternative; boundary="${boundary}"`]
+                : ['Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: 7bit'])
         ];
 
         // Add threading headers for proper Gmail conversation threading
@@ -137,7 +141,15 @@ export class GmailReplySender {
 
         // Add empty line between headers and body
         messageParts.push('');
-        messageParts.push(body);
+        if (boundary) {
+            messageParts.push(
+                `--${boundary}`, 'Content-Type: text/plain; charset=utf-8', '', body,
+                `--${boundary}`, 'Content-Type: text/html; charset=utf-8', '', html,
+                `--${boundary}--`
+            );
+        } else {
+            messageParts.push(body);
+        }
 
         const message = messageParts.join('\r\n');
 
@@ -1 +1,2 @@
-export { GmailReplySender } from './gmail-reply-sender.js';
\ No newline at end of file
+export { GmailReplySender } from './gmail-reply-sender.js';
+export { SmtpReplySender } from './smtp-reply-sender.js';
@@ -0,0 +1,220 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP Reply Sender
+ * Sends email replies through any SMTP server, threading them with In-Reply-To/References
+ */
+export class SmtpReplySender {
+    /**
+     * @param {Object} config - { host, port?, secure?, auth?: { user, pass }, from?, replyTo?, tls?, delay? }
+     * @param {Object} options - { transport?: nodemailer transport or transport options } to send through another transport
+     */
+    constructor(config = {}, options = {}) {
+        const port = config.port || 587;
+
+        this.config = {
+            host: config.host,
+            port,
+            // Port 465 uses implicit TLS; other ports upgrade with STARTTLS
+            secure: config.secure ?? port === 465,
+            auth: config.auth || null,
+            from: config.from || config.auth?.user,
+            replyTo: config.replyTo || null,
+            delay: config.delay ?? 500,
+            ...config
+        };
+
+        if (!options.transport && !this.config.host) {
+            throw new Error('SMTP host is required for SmtpReplySender');
+        }
+
+        if (!this.config.from) {
+            throw new Error('SMTP from address (or auth.user) is required for SmtpReplySender');
+        }
+
+        this.transporter = nodemailer.createTransport(options.transport || {
+            host: this.config.host,
+            port: this.config.port,
+            secure: this.config.secure,
+            ...(this.config.auth && { auth: this.config.auth }),
+            ...(this.config.tls && { tls: this.config.tls })
+        });
+
+        console.log(`📤 SMTP Reply Sender initialized (${this.config.host || 'custom transport'})`);
+    }
+
+    /**
+     * Send a reply to an email
+     * @param {Object} originalEmail - The original email object
+     * @param {string} replyContent - The reply message content
+     * @param {Object} options - Additional options
+     * @returns {Object} Result with success status and details
+     */
+    async sendReply(originalEmail, replyContent, options = {}) {
+        const toEmail = this._extractEmail(originalEmail.from);
+        const subject = /^re:/i.test(originalEmail.subject || '')
+            ? originalEmail.subject
+            : `Re: ${originalEmail.subject || ''}`.trim();
+
+        try {
+            const info = await this.transporter.sendMail({
+                from: this.config.from,
+                to: toEmail,
+                subject,
+                text: replyContent,
+                ...(options.html && { html: options.html }),
+                ...(this.config.replyTo && { replyTo: this.config.replyTo }),
+                ...this._getThreadingHeaders(originalEmail)
+            });
+
+            console.log(`✅ Reply sent successfully to ${toEmail}`);
+
+            return {
+                success: true,
+                messageId: info.messageId,
+                threadId: originalEmail.threadId || null,
+                to: toEmail,
+                subject,
+                sentAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error(`❌ Failed to send reply to ${originalEmail.from}:`, error.message);
+            return {
+                success: false,
+                error: error.message,
+                to: toEmail,
+                subject: originalEmail.subject
+            };
+        }
+    }
+
+    /**
+     * Send multiple replies in batch
+     * @param {Array} repliesData - Array of {email, replyContent, replyHtml?} objects
+     * @returns {Object} Results summary
+     */
+    async sendBatch(repliesData) {
+        const results = {
+            sent: [],
+            failed: [],
+            total: repliesData.length
+        };
+
+        console.log(`📤 Sending ${repliesData.length} email replies...`);
+
+        for (const [index, { email, replyContent, replyHtml }] of repliesData.entries()) {
+            const result = await this.sendReply(email, replyContent, { html: replyHtml });
+
+            if (result.success) {
+                results.sent.push({
+                    ...result,
+                    originalEmail: email
+                });
+            } else {
+                results.failed.push({
+                    ...result,
+                    originalEmail: email
+                });
+            }
+
+            // Small delay to stay under provider sending limits
+            if (index < repliesData.length - 1) {
+                await this._delay(this.config.delay);
+            }
+        }
+
+        console.log(`✅ Batch send complete: ${results.sent.length} sent, ${results.failed.length} failed`);
+        return results;
+    }
+
+    /**
+     * Build In-Reply-To/References from the original message
+     * Only real Message-IDs are used (IMAP, mbox and .eml inputs have them; plain text files do not)
+     * @private
+     */
+    _getThreadingHeaders(email) {
+        const messageId = email.messageId || (/^<[^<>\s]+>$/.test(email.id || '') ? email.id : null);
+
+        if (!messageId) {
+            return {};
+        }
+
+        const references = [...new Set([...(email.references || []), messageId])];
+
+        return {
+            inReplyTo: messageId,
+            references: references.join(' ')
+        };
+    }
+
+    /**
+     * Extract email address from "Name <email@domain.com>" format
+     * @private
+     */
+    _extractEmail(fromHeader) {
+        const emailMatch = (fromHeader || '').match(/<(.+?)>/);
+        return emailMatch ? emailMatch[1] : fromHeader;
+    }
+
+    /**
+     * Delay helper for rate limiting
+     * @private
+     */
+    _delay(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    /**
+     * Test the SMTP connection and credentials
+     */
+    async testConnection() {
+        try {
+            await this.transporter.verify();
+
+            return {
+                success: true,
+                message: `Reply sender ready for ${this.config.from}`,
+                email: this.config.from
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Reply sender connection failed: ${error.message}`,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Send a test email to the from address
+     */
+    async sendTestEmail() {
+        try {
+            const info = await this.transporter.sendMail({
+                from: this.config.from,
+                to: this.config.from,
+                subject: 'FeedbackResolver Test Email',
+                text: 'This is a test email from FeedbackResolver to verify email sending capability.\n\nIf you received this, the reply sender is working correctly!'
+            });
+
+            return {
+                success: true,
+                message: `Test email sent to ${this._extractEmail(this.config.from)}`,
+                messageId: info.messageId
+            };
+        } catch (error) {
+            return {
+                success: false,
+                message: `Test email failed: ${error.message}`,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Close pooled SMTP connections
+     */
+    close() {
+        this.transporter.close();
+    }
+}
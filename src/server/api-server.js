@@ -0,0 +1,383 @@
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import { ReportStore } from '../storage/report-store.js';
+import { renderReviewPage } from './review-page.js';
+
+/**
+ * API Server
+ * Local HTTP API wrapping a FeedbackResolver so other tools can trigger analysis,
+ * browse stored reports and review queued replies
+ */
+export class ApiServer {
+    /**
+     * @param {FeedbackResolver} resolver - Configured resolver instance
+     * @param {Object} config - { port, host, apiKey, reportsDir, gmailPushToken }
+     */
+    constructor(resolver, config = {}) {
+        this.resolver = resolver;
+        this.config = {
+            port: config.port ?? 3100,
+            host: config.host || '127.0.0.1',
+            apiKey: config.apiKey || null,
+            reportsDir: config.reportsDir || null,
+            // Shared secret for POST /gmail/push?token=..., the Pub/Sub push subscription endpoint
+            gmailPushToken: config.gmailPushToken || null
+        };
+        this.reportStore = config.reportStore || new ReportStore(this.config.reportsDir ? { dir: this.config.reportsDir } : {});
+        this.app = this._createApp();
+        this.server = null;
+        this.currentRun = null;
+        this.pushSync = null;
+        this.pushPending = false;
+        this.startedAt = null;
+    }
+
+    /**
+     * Start listening for requests
+     * @returns {Object} { url, port }
+     */
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.config.port, this.config.host, resolve);
+            this.server.once('error', reject);
+        });
+
+        this.startedAt = new Date();
+        const { port } = this.server.address();
+        const url = `http://${this.config.host}:${port}`;
+        console.log(`🌐 API server listening on ${url}`);
+
+        return { url, port };
+    }
+
+    /**
+     * Stop the server
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+        console.log('🛑 API server stopped');
+    }
+
+    /**
+     * Run an analysis and store the report
+     * Only one run happens at a time; concurrent calls are rejected
+     * @param {Object} options - { input?, autoReply?, dryRun?, trigger? }
+     * @returns {Object} { report, result }
+     */
+    async runAnalysis(options = {}) {
+        if (this.currentRun) {
+            const error = new Error('An analysis is already running');
+            error.status = 409;
+            throw error;
+        }
+
+        this.currentRun = this._executeRun(options);
+
+        try {
+            return await this.currentRun;
+        } finally {
+            this.currentRun = null;
+        }
+    }
+
+    /**
+     * Run the resolver and persist the result
+     * @private
+     */
+    async _executeRun(options) {
+        const autoReply = options.autoReply ?? this.resolver.config.autoReply?.enabled;
+
+        // Replies go to the review queue; there is no terminal to prompt in
+        const result = autoReply && this.resolver.replySender
+            ? await this.resolver.analyzeAndReply({ dryRun: !!options.dryRun, approvalMode: this._getApprovalMode(), input: options.input || null })
+            : await this.resolver.analyze(options.input || null);
+
+        const report = await this.reportStore.save(result, {
+            mode: this.resolver.mode,
+            trigger: options.trigger || 'api'
+        });
+
+        return { report, result };
+    }
+
+    /**
+     * Run an incremental sync for a Gmail push notification
+     * Notifications arriving during a sync are coalesced into one follow-up run
+     * @returns {Promise} Resolves when no push is left to sync
+     */
+    async syncFromPush() {
+        if (this.pushSync) {
+            this.pushPending = true;
+            return this.pushSync;
+        }
+
+        this.pushSync = (async () => {
+            do {
+                this.pushPending = false;
+                // Let a scheduled or API run finish first instead of rejecting the push
+                await this.currentRun?.catch(() => {});
+
+                try {
+                    const { result } = await this.runAnalysis({ trigger: 'push' });
+                    console.log(`📨 Push sync processed ${result.emails} emails`);
+                } catch (error) {
+                    console.error('❌ Push sync failed:', error.message);
+                }
+            } while (this.pushPending);
+        })();
+
+        try {
+            await this.pushSync;
+        } finally {
+            this.pushSync = null;
+        }
+    }
+
+    /**
+     * Decode the Gmail notification in a Pub/Sub push body
+     * @returns {Object|null} { emailAddress, historyId }, or null if the body is not a push message
+     * @private
+     */
+    _decodePushMessage(body) {
+        const data = body?.message?.data;
+
+        if (typeof data !== 'string') {
+            return null;
+        }
+
+        try {
+            const notification = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+            return notification.historyId ? notification : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Interactive approval is not possible in server mode, so fall back to the queue
+     * @private
+     */
+    _getApprovalMode() {
+        const mode = this.resolver._getApprovalMode();
+        return mode === 'interactive' ? 'queue' : mode;
+    }
+
+    /**
+     * Build the Express app with all routes
+     * @private
+     */
+    _createApp() {
+        const app = express();
+        // Slack interactions are verified with the signing secret, which needs the raw body
+        app.post('/slack/interactions', express.raw({ type: 'application/x-www-form-urlencoded' }), this._route(async (req, res) => {
+            const workflow = this.resolver.slackApproval;
+
+            if (!workflow) {
+                return res.status(404).json({ error: 'Slack interactive approvals are not enabled' });
+            }
+
+            const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+            if (!workflow.verifyRequest(req.headers, rawBody)) {
+                return res.status(401).json({ error: 'Invalid Slack signature' });
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(new URLSearchParams(rawBody).get('payload') || '{}');
+            } catch {
+                return res.status(400).json({ error: 'Slack payload must be valid JSON' });
+            }
+
+            await workflow.handleInteraction(payload);
+            res.status(200).send('');
+        }));
+
+        app.use(express.json({ limit: '5mb' }));
+        app.use(express.text({ type: 'text/plain', limit: '5mb' }));
+
+        app.get('/health', (req, res) => {
+            res.json({
+                status: 'ok',
+                mode: this.resolver.mode,
+                authenticated: !!this.resolver.authenticated,
+                analysisRunning: !!this.currentRun,
+                uptime: this.startedAt ? Math.round((Date.now() - this.startedAt.getTime()) / 1000) : 0
+            });
+        });
+
+        // The review page holds no data itself; it calls the authenticated API
+        app.get('/ui', (req, res) => {
+            res.type('html').send(renderReviewPage());
+        });
+
+        // Pub/Sub cannot send the API key, so push requests carry their own token
+        app.post('/gmail/push', this._route(async (req, res) => {
+            if (!this.config.gmailPushToken || this.resolver.mode !== 'gmail') {
+                return res.status(404).json({ error: 'Gmail push notifications are not enabled' });
+            }
+
+            if (!this._matchesSecret(req.query.token, this.config.gmailPushToken)) {
+                return res.status(401).json({ error: 'Invalid push token' });
+            }
+
+            const notification = this._decodePushMessage(req.body);
+            if (!notification) {
+                return res.status(400).json({ error: 'Request body must be a Pub/Sub push message' });
+            }
+
+            console.log(`📨 Gmail push for ${notification.emailAddress || 'mailbox'} (history ${notification.historyId})`);
+
+            // Acknowledge right away; Pub/Sub redelivers slow or failed acknowledgements
+            res.status(204).end();
+            this.syncFromPush();
+        }));
+
+        app.use(this._authenticate.bind(this));
+
+        app.post('/analyze', this._route(async (req, res) => {
+            const body = typeof req.body === 'string' ? { input: req.body } : (req.body || {});
+
+            if (this.resolver.mode === 'file' && !body.input && !this.resolver.config.file?.path) {
+                return res.status(400).json({ error: 'Request body must include "input" text in file mode' });
+            }
+
+            const { report, result } = await this.runAnalysis({
+                input: body.input,
+                autoReply: body.autoReply,
+                dryRun: body.dryRun
+            });
+
+            res.status(201).json({
+                report,
+                summary: result.analysis.summary,
+                queuedReplies: result.analysis.summary.queuedReplies || 0
+            });
+        }));
+
+        app.get('/reports', this._route(async (req, res) => {
+            const limit = parseInt(req.query.limit) || 20;
+            res.json({ reports: await this.reportStore.list({ limit }) });
+        }));
+
+        app.get('/reports/:id', this._route(async (req, res) => {
+            const report = await this.reportStore.get(req.params.id);
+
+            if (!report) {
+                return res.status(404).json({ error: `Report not found: ${req.params.id}` });
+            }
+
+            res.json(report);
+        }));
+
+        app.get('/pending-replies', this._route(async (req, res) => {
+            const status = req.query.status || 'pending';
+            const replies = await this.resolver.getQueuedReplies({ status: status === 'all' ? undefined : status });
+            res.json({ replies, stats: await this.resolver.replyQueue.getStats() });
+        }));
+
+        app.post('/pending-replies/send', this._route(async (req, res) => {
+            const results = await this.resolver.sendApprovedReplies();
+            res.json({ sent: results.sent.length, failed: results.failed.length });
+        }));
+
+        app.put('/pending-replies/:id', this._route(async (req, res) => {
+            if (typeof req.body?.replyContent !== 'string') {
+                return res.status(400).json({ error: 'Request body must include "replyContent" as a string' });
+            }
+
+            const item = await this.resolver.editReply(req.params.id, req.body.replyContent);
+            res.json({ reply: item });
+        }));
+
+        app.post('/pending-replies/:id/skip', this._route(async (req, res) => {
+            const item = await this.resolver.skipReply(req.params.id);
+            res.json({ reply: item });
+        }));
+
+        app.post('/pending-replies/:id/approve', this._route(async (req, res) => {
+            if (req.body?.replyContent !== undefined && typeof req.body.replyContent !== 'string') {
+                return res.status(400).json({ error: '"replyContent" must be a string' });
+            }
+
+            const item = await this.resolver.approveReply(req.params.id, {
+                replyContent: req.body?.replyContent
+            });
+            res.json({ reply: item });
+        }));
+
+        app.post('/pending-replies/:id/reject', this._route(async (req, res) => {
+            const item = await this.resolver.rejectReply(req.params.id, {
+                reason: req.body?.reason
+            });
+            res.json({ reply: item });
+        }));
+
+        app.use((req, res) => {
+            res.status(404).json({ error: `Not found: ${req.method} ${req.path}` });
+        });
+
+        // Body parser failures (malformed JSON, oversized bodies) come with a status of their own
+        app.use((error, req, res, next) => {
+            if (res.headersSent) {
+                return next(error);
+            }
+
+            const status = error.status || 500;
+            console.error(`❌ API ${req.method} ${req.path} failed:`, error.message);
+            res.status(status).json({ error: error.type === 'entity.parse.failed' ? 'Request body must be valid JSON' : error.message });
+        });
+
+        return app;
+    }
+
+    /**
+     * Require the API key (if configured) as a Bearer token or x-api-key header
+     * @private
+     */
+    _authenticate(req, res, next) {
+        if (!this.config.apiKey) {
+            return next();
+        }
+
+        const header = req.get('authorization') || '';
+        const provided = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : req.get('x-api-key') || '';
+
+        if (!this._matchesSecret(provided, this.config.apiKey)) {
+            return res.status(401).json({ error: 'Invalid or missing API key' });
+        }
+
+        next();
+    }
+
+    /**
+     * Constant-time comparison of a provided secret
+     * @private
+     */
+    _matchesSecret(provided, expected) {
+        const actual = Buffer.from(typeof provided === 'string' ? provided : '');
+        const secret = Buffer.from(expected);
+
+        return actual.length === secret.length && timingSafeEqual(actual, secret);
+    }
+
+    /**
+     * Wrap an async route handler and map errors to JSON responses
+     * Errors carrying a status (queue lookups, invalid input, busy runs) keep it; others are 500s
+     * @private
+     */
+    _route(handler) {
+        return async (req, res) => {
+            try {
+                await handler(req, res);
+            } catch (error) {
+                console.error(`❌ API ${req.method} ${req.path} failed:`, error.message);
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        };
+    }
+}
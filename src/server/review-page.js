@@ -0,0 +1,143 @@
+/**
+ * Render the reply review page served at /ui
+ * A single self-contained page that talks to the /pending-replies API
+ */
+export function renderReviewPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>FeedbackResolver - Reply Review</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 960px; margin: 0 auto; padding: 20px; color: #222; }
+        h1 { font-size: 22px; }
+        .stats span { margin-right: 16px; }
+        .card { border: 1px solid #ddd; border-radius: 6px; padding: 16px; margin: 16px 0; }
+        .meta { color: #666; font-size: 13px; margin-bottom: 8px; }
+        .body { white-space: pre-wrap; background: #f7f7f7; padding: 8px; max-height: 160px; overflow: auto; font-size: 13px; }
+        textarea { width: 100%; min-height: 140px; font-family: inherit; font-size: 14px; margin: 8px 0; box-sizing: border-box; }
+        button { margin-right: 8px; padding: 6px 12px; cursor: pointer; }
+        .approve { background: #2e7d32; color: #fff; border: none; }
+        .reject { background: #c62828; color: #fff; border: none; }
+        .status { font-weight: bold; text-transform: uppercase; font-size: 12px; }
+        #message { color: #c62828; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+    </style>
+</head>
+<body>
+    <h1>📧 Reply Review</h1>
+    <div class="stats" id="stats"></div>
+    <p>
+        <button id="refresh">🔄 Refresh</button>
+        <button id="send">📤 Send approved now</button>
+    </p>
+    <p id="message"></p>
+    <div id="pending"></div>
+    <h2>Recently reviewed</h2>
+    <table><thead><tr><th>Status</th><th>To</th><th>Subject</th><th>Reason</th></tr></thead><tbody id="history"></tbody></table>
+
+    <script>
+        const messageEl = document.getElementById('message');
+
+        async function api(path, options = {}) {
+            const key = localStorage.getItem('feedbackResolverApiKey');
+            const response = await fetch(path, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(key && { Authorization: 'Bearer ' + key })
+                }
+            });
+
+            if (response.status === 401) {
+                const entered = prompt('API key:');
+                if (entered) {
+                    localStorage.setItem('feedbackResolverApiKey', entered);
+                    return api(path, options);
+                }
+            }
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || response.statusText);
+            }
+            return data;
+        }
+
+        function el(tag, props = {}, children = []) {
+            const node = Object.assign(document.createElement(tag), props);
+            children.forEach(child => node.append(child));
+            return node;
+        }
+
+        async function act(path, body, method = 'POST') {
+            messageEl.textContent = '';
+            try {
+                await api(path, { method, body: JSON.stringify(body || {}) });
+                await load();
+            } catch (error) {
+                messageEl.textContent = error.message;
+            }
+        }
+
+        function renderCard(item) {
+            const reply = el('textarea', { value: item.replyContent || item.suggestedReply || '' });
+            const base = '/pending-replies/' + encodeURIComponent(item.id);
+            const confidence = typeof item.replyConfidence === 'number' ? ' · confidence ' + Math.round(item.replyConfidence * 100) + '%' : '';
+            const template = item.templateId ? ' · template ' + item.templateId : '';
+
+            return el('div', { className: 'card' }, [
+                el('div', { className: 'meta', textContent: item.email.from + ' · ' + (item.email.date || item.queuedAt) + confidence + template }),
+                el('strong', { textContent: item.email.subject || '(no subject)' }),
+                el('div', { className: 'meta', textContent: item.replyReason || '' }),
+                el('div', { className: 'meta', textContent: (item.sources || []).length ? 'Sources: ' + item.sources.map(source => source.source).join(', ') : '' }),
+                el('div', { className: 'meta', textContent: (item.styleIssues || []).length ? '⚠️ Style: ' + item.styleIssues.map(issue => issue.message).join('; ') : '' }),
+                el('div', { className: 'body', textContent: item.email.body || '' }),
+                reply,
+                el('button', { className: 'approve', textContent: '✅ Approve', onclick: () => act(base + '/approve', { replyContent: reply.value }) }),
+                el('button', { textContent: '💾 Save edit', onclick: () => act(base, { replyContent: reply.value }, 'PUT') }),
+                el('button', { textContent: '⏭️ Skip', onclick: () => act(base + '/skip') }),
+                el('button', {
+                    className: 'reject',
+                    textContent: '🚫 Reject',
+                    onclick: () => {
+                        const reason = prompt('Reason for rejecting this reply:');
+                        if (reason !== null) {
+                            act(base + '/reject', { reason });
+                        }
+                    }
+                })
+            ]);
+        }
+
+        async function load() {
+            try {
+                const { replies, stats } = await api('/pending-replies?status=all');
+                const pending = replies.filter(item => item.status === 'pending');
+                const reviewed = replies.filter(item => item.status !== 'pending').reverse().slice(0, 50);
+
+                document.getElementById('stats').replaceChildren(
+                    ...Object.entries(stats).map(([status, count]) => el('span', { textContent: status + ': ' + count }))
+                );
+                document.getElementById('pending').replaceChildren(
+                    ...(pending.length ? pending.map(renderCard) : [el('p', { textContent: '📭 No replies waiting for review' })])
+                );
+                document.getElementById('history').replaceChildren(...reviewed.map(item => el('tr', {}, [
+                    el('td', {}, [el('span', { className: 'status', textContent: item.status })]),
+                    el('td', { textContent: item.email.from }),
+                    el('td', { textContent: item.email.subject || '' }),
+                    el('td', { textContent: item.reason || (item.result && item.result.error) || '' })
+                ])));
+            } catch (error) {
+                messageEl.textContent = error.message;
+            }
+        }
+
+        document.getElementById('refresh').onclick = load;
+        document.getElementById('send').onclick = () => act('/pending-replies/send');
+        load();
+    </script>
+</body>
+</html>`;
+}
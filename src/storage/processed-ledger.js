@@ -0,0 +1,222 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const LEDGER_VERSION = 1;
+
+/**
+ * Processed Message Ledger
+ * Persists which emails have already been analyzed so repeated runs skip them
+ */
+export class ProcessedLedger {
+    constructor(config = {}) {
+        this.config = {
+            path: config.path || path.join(process.cwd(), '.feedback-ledger.json'),
+            ...config
+        };
+        this.entries = null;
+    }
+
+    /**
+     * Load ledger entries from disk (cached after first load)
+     */
+    async load() {
+        if (this.entries) {
+            return this.entries;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.config.path, 'utf8'));
+            this.entries = data.messages || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️  Failed to read ledger ${this.config.path}:`, error.message);
+            }
+            this.entries = {};
+        }
+
+        return this.entries;
+    }
+
+    /**
+     * Write ledger entries to disk
+     */
+    async save() {
+        const entries = await this.load();
+        const data = {
+            version: LEDGER_VERSION,
+            updatedAt: new Date().toISOString(),
+            messages: entries
+        };
+
+        await fs.mkdir(path.dirname(this.config.path), { recursive: true });
+        await fs.writeFile(this.config.path, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Check whether a message has already been processed
+     */
+    async has(messageId) {
+        const entries = await this.load();
+        return Object.prototype.hasOwnProperty.call(entries, messageId);
+    }
+
+    /**
+     * Filter out message ids that are already in the ledger
+     * @param {Array} messages - Objects with an `id` field
+     * @returns {Array} Messages not yet processed
+     */
+    async filterUnprocessed(messages) {
+        const entries = await this.load();
+        return messages.filter(message => !Object.prototype.hasOwnProperty.call(entries, message.id));
+    }
+
+    /**
+     * Record triage verdicts for analyzed emails
+     * Emails whose triage failed are left out so they are retried on the next run
+     * @param {Array} triage - Per-email triage entries from the analysis report
+     */
+    async recordTriage(triage = []) {
+        const entries = await this.load();
+        const processedAt = new Date().toISOString();
+        let recorded = 0;
+
+        for (const item of triage) {
+            if (!item.id || item.error) {
+                continue;
+            }
+
+            // A conversation verdict covers every message grouped into it; replies go to the latest (item.id)
+            for (const messageId of item.messageIds || [item.id]) {
+                entries[messageId] = {
+                    messageId,
+                    threadId: item.threadId || null,
+                    from: item.from || null,
+                    subject: item.subject || null,
+                    processedAt,
+                    verdict: {
+                        isRelevant: !!item.isRelevant,
+                        isReplyable: !!item.isReplyable,
+                        category: item.category || null
+                    },
+                    replyStatus: item.isReplyable && messageId === item.id ? 'pending' : 'none'
+                };
+                recorded++;
+            }
+        }
+
+        await this.save();
+        return recorded;
+    }
+
+    /**
+     * Record emails a plugin filtered out before analysis so they are not fetched again
+     * @param {Array} emails - Fetched emails; a grouped conversation covers every message in it
+     */
+    async recordFiltered(emails = []) {
+        const entries = await this.load();
+        const processedAt = new Date().toISOString();
+        let recorded = 0;
+
+        for (const email of emails) {
+            for (const messageId of email.messageIds || [email.id]) {
+                entries[messageId] = {
+                    messageId,
+                    threadId: email.threadId || null,
+                    from: email.from || null,
+                    subject: email.subject || null,
+                    processedAt,
+                    verdict: {
+                        isRelevant: false,
+                        isReplyable: false,
+                        category: null
+                    },
+                    replyStatus: 'filtered'
+                };
+                recorded++;
+            }
+        }
+
+        await this.save();
+        return recorded;
+    }
+
+    /**
+     * Update the reply status of processed messages
+     * @param {Array<string>} messageIds - Message ids to update
+     * @param {string} status - One of: pending, sent, failed, skipped
+     */
+    async updateReplyStatus(messageIds, status) {
+        const entries = await this.load();
+        const updatedAt = new Date().toISOString();
+
+        for (const id of messageIds) {
+            if (entries[id]) {
+                entries[id].replyStatus = status;
+                entries[id].replyUpdatedAt = updatedAt;
+            }
+        }
+
+        await this.save();
+    }
+
+    /**
+     * List ledger entries, newest first
+     */
+    async list(options = {}) {
+        const entries = Object.values(await this.load());
+        entries.sort((a, b) => b.processedAt.localeCompare(a.processedAt));
+
+        const filtered = options.replyStatus
+            ? entries.filter(entry => entry.replyStatus === options.replyStatus)
+            : entries;
+
+        return options.limit ? filtered.slice(0, options.limit) : filtered;
+    }
+
+    /**
+     * Get ledger statistics
+     */
+    async getStats() {
+        const entries = Object.values(await this.load());
+        const replyStatuses = {};
+
+        for (const entry of entries) {
+            replyStatuses[entry.replyStatus] = (replyStatuses[entry.replyStatus] || 0) + 1;
+        }
+
+        return {
+            total: entries.length,
+            relevant: entries.filter(entry => entry.verdict.isRelevant).length,
+            replyStatuses,
+            path: this.config.path
+        };
+    }
+
+    /**
+     * Remove entries from the ledger
+     * @param {Object} options - { messageIds?: string[], olderThanDays?: number }; no options clears everything
+     * @returns {number} Number of removed entries
+     */
+    async reset(options = {}) {
+        const entries = await this.load();
+        const before = Object.keys(entries).length;
+
+        if (options.messageIds) {
+            for (const id of options.messageIds) {
+                delete entries[id];
+            }
+        } else if (options.olderThanDays) {
+            const cutoff = Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000;
+            for (const [id, entry] of Object.entries(entries)) {
+                if (new Date(entry.processedAt).getTime() < cutoff) {
+                    delete entries[id];
+                }
+            }
+        } else {
+            this.entries = {};
+        }
+
+        await this.save();
+        return before - Object.keys(this.entries).length;
+    }
+}
@@ -0,0 +1,269 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const QUEUE_VERSION = 1;
+
+/**
+ * Reply statuses: pending (awaiting review), approved (ready to send on the next
+ * delivery tick), skipped, rejected, sent, failed
+ */
+export const REPLY_QUEUE_STATUSES = ['pending', 'approved', 'skipped', 'rejected', 'sent', 'failed'];
+
+/**
+ * Reply Queue
+ * Persists suggested replies so they can be reviewed outside an interactive terminal session
+ */
+export class ReplyQueue {
+    constructor(config = {}) {
+        this.config = {
+            path: config.path || path.join(process.cwd(), '.feedback-reply-queue.json'),
+            ...config
+        };
+        this.items = null;
+    }
+
+    /**
+     * Load queued replies from disk (cached after first load)
+     */
+    async load() {
+        if (this.items) {
+            return this.items;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.config.path, 'utf8'));
+            this.items = data.replies || {};
+        } catch (error) {
+            // Starting over from an unreadable file would overwrite it on the next save
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read reply queue ${this.config.path}: ${error.message}`);
+            }
+            this.items = {};
+        }
+
+        return this.items;
+    }
+
+    /**
+     * Write queued replies to disk
+     */
+    async save() {
+        const items = await this.load();
+        const data = {
+            version: QUEUE_VERSION,
+            updatedAt: new Date().toISOString(),
+            replies: items
+        };
+
+        // Write a temp file and rename it into place, so an interrupted save never truncates the file
+        const tempPath = `${this.config.path}.${randomUUID().slice(0, 8)}.tmp`;
+        await fs.mkdir(path.dirname(this.config.path), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, this.config.path);
+    }
+
+    /**
+     * Queue replyable emails for review
+     * Emails that are already queued keep their existing entry and decision
+     * @param {Array} replyableEmails - Items from analysis.replyableEmails
+     * @returns {Array} Newly queued items
+     */
+    async enqueue(replyableEmails = []) {
+        const items = await this.load();
+        const queuedAt = new Date().toISOString();
+        const queued = [];
+
+        for (const item of replyableEmails) {
+            if (!item.email?.id || items[item.email.id]) {
+                continue;
+            }
+
+            items[item.email.id] = {
+                id: item.email.id,
+                email: item.email,
+                suggestedReply: item.suggestedReply,
+                replyReason: item.replyReason || null,
+                replyConfidence: item.replyConfidence ?? null,
+                sources: item.sources || [],
+                templateId: item.templateId || null,
+                styleIssues: item.styleIssues || [],
+                replyContent: null,
+                status: 'pending',
+                queuedAt,
+                decidedAt: null,
+                reason: null,
+                result: null
+            };
+            queued.push(items[item.email.id]);
+        }
+
+        await this.save();
+        return queued;
+    }
+
+    /**
+     * Get a queued reply by id
+     */
+    async get(id) {
+        const items = await this.load();
+        return items[id] || null;
+    }
+
+    /**
+     * List queued replies, oldest first
+     * @param {Object} options - { status?: string, limit?: number }
+     */
+    async list(options = {}) {
+        const items = Object.values(await this.load());
+        items.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+        const filtered = options.status
+            ? items.filter(item => item.status === options.status)
+            : items;
+
+        return options.limit ? filtered.slice(0, options.limit) : filtered;
+    }
+
+    /**
+     * Approve a pending reply, optionally replacing its content
+     * Approved replies are sent on the next delivery tick
+     */
+    async approve(id, options = {}) {
+        return this._decide(id, 'approved', options.replyContent ? { replyContent: options.replyContent } : {});
+    }
+
+    /**
+     * Replace the reply content of a pending reply without deciding on it
+     */
+    async edit(id, replyContent) {
+        if (typeof replyContent !== 'string' || replyContent.trim() === '') {
+            throw queueError('Reply content must be a non-empty string', 400);
+        }
+
+        const item = await this._getPending(id);
+        item.replyContent = replyContent;
+        item.editedAt = new Date().toISOString();
+
+        await this.save();
+        return item;
+    }
+
+    /**
+     * Skip a pending reply (no reply will be sent)
+     */
+    async skip(id) {
+        return this._decide(id, 'skipped', {});
+    }
+
+    /**
+     * Reject a pending reply
+     */
+    async reject(id, options = {}) {
+        return this._decide(id, 'rejected', {
+            reason: options.reason || null
+        });
+    }
+
+    /**
+     * Reject an approved reply before it is sent (e.g. vetoed by a plugin)
+     */
+    async cancelApproved(id, options = {}) {
+        const items = await this.load();
+        const item = items[id];
+
+        if (!item) {
+            throw queueError(`Reply not found in queue: ${id}`, 404);
+        }
+
+        if (item.status !== 'approved') {
+            throw queueError(`Reply ${id} is ${item.status}, only approved replies can be cancelled`, 409);
+        }
+
+        Object.assign(item, {
+            status: 'rejected',
+            reason: options.reason || null,
+            decidedAt: new Date().toISOString()
+        });
+
+        await this.save();
+        return item;
+    }
+
+    /**
+     * Record the outcome of sending an approved reply
+     * @param {string} id - Queue item id
+     * @param {Object} result - Result from GmailReplySender.sendReply
+     */
+    async recordSendResult(id, result) {
+        const items = await this.load();
+        const item = items[id];
+
+        if (!item) {
+            throw queueError(`Reply not found in queue: ${id}`, 404);
+        }
+
+        item.status = result.success ? 'sent' : 'failed';
+        item.result = result;
+        await this.save();
+        return item;
+    }
+
+    /**
+     * Get queue counts by status
+     */
+    async getStats() {
+        const counts = Object.fromEntries(REPLY_QUEUE_STATUSES.map(status => [status, 0]));
+
+        for (const item of Object.values(await this.load())) {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+        }
+
+        return counts;
+    }
+
+    /**
+     * Apply a review decision to a pending reply
+     * @private
+     */
+    async _decide(id, status, fields) {
+        const item = await this._getPending(id);
+
+        Object.assign(item, fields, {
+            status,
+            decidedAt: new Date().toISOString()
+        });
+
+        await this.save();
+        return item;
+    }
+
+    /**
+     * Get a queue item that is still awaiting review
+     * @private
+     */
+    async _getPending(id) {
+        const items = await this.load();
+        const item = items[id];
+
+        if (!item) {
+            throw queueError(`Reply not found in queue: ${id}`, 404);
+        }
+
+        if (item.status !== 'pending') {
+            throw queueError(`Reply ${id} is already ${item.status}`, 409);
+        }
+
+        return item;
+    }
+}
+
+/**
+ * Error with the HTTP status the API server responds with
+ * @private
+ */
+function queueError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
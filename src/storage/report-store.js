@@ -0,0 +1,117 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Report Store
+ * Keeps analysis results as one JSON file per run so they can be listed and fetched later
+ */
+export class ReportStore {
+    constructor(config = {}) {
+        this.config = {
+            dir: config.dir || path.join(process.cwd(), '.feedback-reports'),
+            ...config
+        };
+    }
+
+    /**
+     * Save an analysis result
+     * @param {Object} result - Result from FeedbackResolver.analyze() or analyzeAndReply()
+     * @param {Object} metadata - Extra fields stored with the report (e.g. mode, trigger)
+     * @returns {Object} Report summary with its id
+     */
+    async save(result, metadata = {}) {
+        const createdAt = new Date().toISOString();
+        // Timestamp prefix keeps ids sortable by creation time
+        const id = `${createdAt.replace(/[:.]/g, '-')}-${randomUUID().slice(0, 8)}`;
+
+        const report = {
+            id,
+            createdAt,
+            ...metadata,
+            emails: result.emails,
+            summary: result.analysis?.summary || {},
+            analysis: result.analysis,
+            sentReplies: result.sentReplies || [],
+            notifications: result.notifications || []
+        };
+
+        await fs.mkdir(this.config.dir, { recursive: true });
+        await fs.writeFile(this._reportPath(id), JSON.stringify(report, null, 2));
+
+        return this._summarize(report);
+    }
+
+    /**
+     * Get a stored report by id
+     * @returns {Object|null} Full report or null when not found
+     */
+    async get(id) {
+        // Ids are generated by save(); reject anything that could escape the directory
+        if (!/^[\w-]+$/.test(id)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(await fs.readFile(this._reportPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Failed to read report ${id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * List stored reports, newest first
+     * @param {Object} options - { limit?: number }
+     * @returns {Array} Report summaries
+     */
+    async list(options = {}) {
+        let files;
+
+        try {
+            files = await fs.readdir(this.config.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const ids = files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .sort()
+            .reverse()
+            .slice(0, options.limit || undefined);
+
+        const reports = await Promise.all(ids.map(id => this.get(id)));
+        return reports.filter(Boolean).map(report => this._summarize(report));
+    }
+
+    /**
+     * Build a lightweight report summary for listings
+     * @private
+     */
+    _summarize(report) {
+        return {
+            id: report.id,
+            createdAt: report.createdAt,
+            ...(report.mode && { mode: report.mode }),
+            ...(report.trigger && { trigger: report.trigger }),
+            emails: report.emails,
+            relevantEmails: report.summary.relevantEmails || 0,
+            replyableEmails: report.summary.replyableEmails || 0,
+            sentReplies: report.sentReplies.length
+        };
+    }
+
+    /**
+     * Path of a report file
+     * @private
+     */
+    _reportPath(id) {
+        return path.join(this.config.dir, `${id}.json`);
+    }
+}
@@ -0,0 +1,275 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const PROFILES_VERSION = 1;
+
+// Shared mailbox providers; senders on these domains are not treated as one organization
+const FREE_MAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'live.com',
+    'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com'
+]);
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+/**
+ * Parse a From header into { address, name, domain }
+ * @returns {Object|null} null when the header has no email address
+ */
+export function parseSender(from = '') {
+    const match = from.match(/<([^<>\s]+@[^<>\s]+)>/) || from.match(/([^\s<>"]+@[^\s<>"]+)/);
+
+    if (!match) {
+        return null;
+    }
+
+    const address = match[1].toLowerCase();
+    const name = from.replace(match[0], '').replace(/["<>]/g, '').trim();
+
+    return { address, name: name || null, domain: address.split('@')[1] };
+}
+
+/**
+ * Sender Profile Store
+ * Accumulates what each sender has written to us (categories, sentiment, summaries)
+ * and the replies we sent, keyed by sender address. Domain views aggregate the
+ * profiles of every address on a domain.
+ */
+export class SenderProfileStore {
+    constructor(config = {}) {
+        this.config = {
+            path: config.path || path.join(process.cwd(), '.feedback-senders.json'),
+            // Interactions kept per sender, most recent first
+            maxHistory: config.maxHistory || 20,
+            ...config
+        };
+        this.profiles = null;
+    }
+
+    /**
+     * Load profiles from disk (cached after first load)
+     */
+    async load() {
+        if (this.profiles) {
+            return this.profiles;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.config.path, 'utf8'));
+            this.profiles = data.senders || {};
+        } catch (error) {
+            // Keep an unreadable file intact instead of replacing every profile with an empty store
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read sender profiles ${this.config.path}: ${error.message}`);
+            }
+            this.profiles = {};
+        }
+
+        return this.profiles;
+    }
+
+    /**
+     * Write profiles to disk
+     */
+    async save() {
+        const data = {
+            version: PROFILES_VERSION,
+            updatedAt: new Date().toISOString(),
+            senders: await this.load()
+        };
+
+        // Rename into place so readers never see a half-written file
+        const tempPath = `${this.config.path}.${randomUUID().slice(0, 8)}.tmp`;
+        await fs.mkdir(path.dirname(this.config.path), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, this.config.path);
+    }
+
+    /**
+     * Record analyzed emails in their senders' profiles
+     * Emails already recorded (same message id) and emails whose triage failed are skipped
+     * @param {Array} triage - Per-email triage entries from the analysis report
+     * @param {Array} entries - Structured report entries, for the normalized category and analysis
+     * @returns {number} Number of recorded emails
+     */
+    async recordAnalysis(triage = [], entries = []) {
+        const profiles = await this.load();
+        const now = new Date().toISOString();
+        let recorded = 0;
+
+        for (const item of triage) {
+            const sender = parseSender(item.from);
+            if (!sender || !item.id || item.error) {
+                continue;
+            }
+
+            const profile = profiles[sender.address] || this._createProfile(sender, now);
+            if (profile.history.some(entry => entry.messageId === item.id)) {
+                continue;
+            }
+
+            const entry = entries.find(reportEntry => reportEntry.emailId === item.id) || {};
+            const category = entry.category || item.category || null;
+
+            profile.name = sender.name || profile.name;
+            profile.lastSeen = now;
+            profile.emailCount++;
+            if (item.isRelevant) {
+                profile.relevantCount++;
+            }
+            if (category) {
+                profile.categories[category] = (profile.categories[category] || 0) + 1;
+            }
+            if (SENTIMENTS.includes(item.sentiment)) {
+                profile.sentiment[item.sentiment]++;
+            }
+
+            profile.history.unshift({
+                messageId: item.id,
+                threadId: item.threadId || null,
+                date: now,
+                subject: item.subject || null,
+                category,
+                relevant: !!item.isRelevant,
+                sentiment: SENTIMENTS.includes(item.sentiment) ? item.sentiment : null,
+                summary: (entry.analysis || '').substring(0, 300) || null,
+                reply: null
+            });
+            profile.history.length = Math.min(profile.history.length, this.config.maxHistory);
+
+            profiles[sender.address] = profile;
+            recorded++;
+        }
+
+        await this.save();
+        return recorded;
+    }
+
+    /**
+     * Record replies sent to senders
+     * @param {Array} replies - [{ email, replyContent }] for each sent reply
+     */
+    async recordReplies(replies = []) {
+        const profiles = await this.load();
+        const sentAt = new Date().toISOString();
+
+        for (const { email, replyContent } of replies) {
+            const sender = parseSender(email?.from);
+            const profile = sender && profiles[sender.address];
+            if (!profile) {
+                continue;
+            }
+
+            profile.repliesSent++;
+            profile.lastReplyAt = sentAt;
+
+            const entry = profile.history.find(item => item.messageId === email.id);
+            if (entry) {
+                entry.reply = { sentAt, excerpt: (replyContent || '').substring(0, 300) };
+            }
+        }
+
+        await this.save();
+    }
+
+    /**
+     * Get the profile of one sender address
+     * @returns {Object|null}
+     */
+    async getProfile(address) {
+        const profiles = await this.load();
+        return profiles[address.toLowerCase()] || null;
+    }
+
+    /**
+     * Aggregate the profiles of every sender on a domain
+     * @returns {Object|null} { domain, senders, emailCount, relevantCount, repliesSent, categories, sentiment, firstSeen, lastSeen, history }
+     */
+    async getDomainProfile(domain) {
+        const name = domain.toLowerCase().replace(/^@/, '');
+        const profiles = Object.values(await this.load()).filter(profile => profile.domain === name);
+
+        if (profiles.length === 0) {
+            return null;
+        }
+
+        const sum = (field) => profiles.reduce((total, profile) => total + profile[field], 0);
+        const merge = (field) => profiles.reduce((merged, profile) => {
+            for (const [key, count] of Object.entries(profile[field])) {
+                merged[key] = (merged[key] || 0) + count;
+            }
+            return merged;
+        }, {});
+
+        return {
+            domain: name,
+            senders: profiles.map(profile => profile.address),
+            emailCount: sum('emailCount'),
+            relevantCount: sum('relevantCount'),
+            repliesSent: sum('repliesSent'),
+            categories: merge('categories'),
+            sentiment: merge('sentiment'),
+            firstSeen: profiles.map(profile => profile.firstSeen).sort()[0],
+            lastSeen: profiles.map(profile => profile.lastSeen).sort().at(-1),
+            history: profiles
+                .flatMap(profile => profile.history.map(entry => ({ ...entry, from: profile.address })))
+                .sort((a, b) => b.date.localeCompare(a.date))
+        };
+    }
+
+    /**
+     * Compact view of a sender for analysis prompts
+     * @param {string} from - From header of the email
+     * @returns {Object|null} null for senders we have not heard from
+     */
+    async getContext(from, options = {}) {
+        const sender = parseSender(from);
+        const profile = sender && await this.getProfile(sender.address);
+
+        if (!profile) {
+            return null;
+        }
+
+        const domain = FREE_MAIL_DOMAINS.has(sender.domain) ? null : await this.getDomainProfile(sender.domain);
+
+        return {
+            address: profile.address,
+            emailCount: profile.emailCount,
+            firstSeen: profile.firstSeen,
+            repliesSent: profile.repliesSent,
+            categories: profile.categories,
+            sentiment: profile.sentiment,
+            recent: profile.history.slice(0, options.recent || 3).map(entry => ({
+                date: entry.date,
+                subject: entry.subject,
+                category: entry.category,
+                summary: entry.summary,
+                replied: !!entry.reply
+            })),
+            ...(domain && domain.senders.length > 1 && {
+                domain: { name: domain.domain, senders: domain.senders.length, emailCount: domain.emailCount }
+            })
+        };
+    }
+
+    /**
+     * Create an empty profile
+     * @private
+     */
+    _createProfile(sender, now) {
+        return {
+            address: sender.address,
+            name: sender.name,
+            domain: sender.domain,
+            firstSeen: now,
+            lastSeen: now,
+            emailCount: 0,
+            relevantCount: 0,
+            repliesSent: 0,
+            lastReplyAt: null,
+            categories: {},
+            sentiment: { positive: 0, neutral: 0, negative: 0 },
+            history: []
+        };
+    }
+}
@@ -1,3 +1,6 @@
+import { FILE_FORMATS, RECORD_FIELDS } from '../processors/file-processor.js';
+import { GMAIL_CATEGORIES, DEFAULT_GMAIL_FILTERS, DEFAULT_GMAIL_ACTIONS } from '../processors/gmail-processor.js';
+
 /**
  * Configuration validator for FeedbackResolver
  * Validates configuration based on mode and provides helpful error messages
@@ -6,8 +9,9 @@ export class ConfigValidator {
     
     /**
      * Validate configuration for the given mode
+     * @param {Object} options - { modes?: processor types registered in addition to the built-ins }
      */
-    static validate(mode, config) {
+    static validate(mode, config, options = {}) {
         console.log(`🔍 Validating configuration for ${mode} mode...`);
         
         const errors = [];
@@ -19,11 +23,18 @@ export class ConfigValidator {
             case 'file':
                 this._validateFileConfig(config.file || {}, errors);
                 break;
+            case 'imap':
+                this._validateImapConfig(config.imap || {}, errors);
+                break;
             case 'test':
                 // Test mode has minimal requirements
                 break;
             default:
-                errors.push(`Unsupported mode: ${mode}. Supported modes: gmail, file, test`);
+                // Modes provided by registered third-party processors validate their own config
+                if (!options.modes?.includes(mode)) {
+                    const supported = [...new Set(['gmail', 'file', 'imap', 'test', ...(options.modes || [])])];
+                    errors.push(`Unsupported mode: ${mode}. Supported modes: ${supported.join(', ')}`);
+                }
         }
         
         // Validate AI config (required for all modes except test)
@@ -31,6 +42,10 @@ export class ConfigValidator {
             this._validateAIConfig(config.ai || {}, errors);
         }
         
+        if (config.analyzer !== undefined && (typeof config.analyzer !== 'string' || config.analyzer.trim() === '')) {
+            errors.push('Analyzer must be the name of a registered analyzer type');
+        }
+        
         // Validate notifications config (optional but validate if provided)
         if (config.notifications) {
             this._validateNotificationsConfig(config.notifications, errors);
@@ -39,6 +54,36 @@ export class ConfigValidator {
         // Validate auto-reply config (optional but validate if provided)
         if (config.autoReply) {
             this._validateAutoReplyConfig(config.autoReply, errors);
+            
+            if (config.autoReply.enabled) {
+                this._validateReplySender(mode, config, errors);
+            }
+        }
+        
+        // Validate SMTP config (optional but validate if provided)
+        if (config.smtp) {
+            this._validateSmtpConfig(config.smtp, errors);
+        }
+        
+        // Validate ledger config (optional but validate if provided)
+        if (config.ledger) {
+            this._validateLedgerConfig(config.ledger, errors);
+        }
+        
+        if (config.senderProfiles) {
+            this._validateSenderProfilesConfig(config.senderProfiles, errors);
+        }
+        
+        if (config.knowledgeBase) {
+            this._validateKnowledgeBaseConfig(config.knowledgeBase, errors);
+        }
+        
+        if (config.replyTemplates) {
+            this._validateReplyTemplatesConfig(config.replyTemplates, errors);
+        }
+        
+        if (config.replyStyle) {
+            this._validateReplyStyleConfig(config.replyStyle, errors);
         }
         
         if (errors.length > 0) {
@@ -78,6 +123,126 @@ export class ConfigValidator {
         if (gmailConfig.targetEmail && !this._isValidEmail(gmailConfig.targetEmail)) {
             errors.push('Gmail config: targetEmail must be a valid email address');
         }
+        
+        if (gmailConfig.historySync !== undefined && typeof gmailConfig.historySync !== 'boolean') {
+            errors.push('Gmail config: historySync must be a boolean');
+        }
+        
+        if (gmailConfig.historyPath !== undefined && typeof gmailConfig.historyPath !== 'string') {
+            errors.push('Gmail config: historyPath must be a file path string');
+        }
+        
+        if (gmailConfig.threadContext !== undefined && typeof gmailConfig.threadContext !== 'boolean') {
+            errors.push('Gmail config: threadContext must be a boolean');
+        }
+        
+        if (gmailConfig.threadHistoryLimit !== undefined && (!Number.isInteger(gmailConfig.threadHistoryLimit) || gmailConfig.threadHistoryLimit < 1 || gmailConfig.threadHistoryLimit > 100)) {
+            errors.push('Gmail config: threadHistoryLimit must be an integer between 1 and 100');
+        }
+        
+        if (gmailConfig.filters !== undefined) {
+            this._validateGmailFilters(gmailConfig.filters, errors);
+        }
+        
+        if (gmailConfig.actions !== undefined) {
+            this._validateGmailActions(gmailConfig.actions, errors);
+        }
+        
+        if (gmailConfig.rawQuery !== undefined && gmailConfig.rawQuery !== null) {
+            if (typeof gmailConfig.rawQuery !== 'string' || gmailConfig.rawQuery.trim() === '') {
+                errors.push('Gmail config: rawQuery must be a non-empty search query string');
+            } else if (gmailConfig.historySync) {
+                errors.push('Gmail config: rawQuery cannot be used with historySync; use filters instead');
+            } else if (Object.keys(gmailConfig.filters || {}).length > 0) {
+                errors.push('Gmail config: rawQuery replaces the generated query; remove filters or rawQuery');
+            }
+        }
+    }
+    
+    /**
+     * Validate Gmail post-processing actions
+     */
+    static _validateGmailActions(actions, errors) {
+        if (typeof actions !== 'object' || actions === null || Array.isArray(actions)) {
+            errors.push('Gmail config: actions must be an object');
+            return;
+        }
+        
+        for (const field of ['enabled', 'archiveIrrelevant', 'markAsRead']) {
+            if (actions[field] !== undefined && typeof actions[field] !== 'boolean') {
+                errors.push(`Gmail config: actions.${field} must be a boolean`);
+            }
+        }
+        
+        for (const [key, label] of Object.entries(actions.labels || {})) {
+            if (!(key in DEFAULT_GMAIL_ACTIONS.labels)) {
+                errors.push(`Gmail config: unknown actions label ${key} (use one of: ${Object.keys(DEFAULT_GMAIL_ACTIONS.labels).join(', ')})`);
+            } else if (label !== null && (typeof label !== 'string' || label.trim() === '')) {
+                errors.push(`Gmail config: actions.labels.${key} must be a label name, or null to skip it`);
+            }
+        }
+    }
+    
+    /**
+     * Validate Gmail search filters
+     */
+    static _validateGmailFilters(filters, errors) {
+        if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+            errors.push('Gmail config: filters must be an object');
+            return;
+        }
+        
+        for (const [key, value] of Object.entries(filters)) {
+            if (!(key in DEFAULT_GMAIL_FILTERS)) {
+                errors.push(`Gmail config: unknown filter ${key} (use one of: ${Object.keys(DEFAULT_GMAIL_FILTERS).join(', ')})`);
+            } else if (key === 'unreadOnly') {
+                if (typeof value !== 'boolean') {
+                    errors.push('Gmail config: filters.unreadOnly must be a boolean');
+                }
+            } else if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || entry.trim() === '')) {
+                errors.push(`Gmail config: filters.${key} must be an array of non-empty strings`);
+            }
+        }
+        
+        for (const key of ['includeCategories', 'excludeCategories']) {
+            const unknown = Array.isArray(filters[key]) ? filters[key].filter(category => !(category in GMAIL_CATEGORIES)) : [];
+            if (unknown.length > 0) {
+                errors.push(`Gmail config: filters.${key} has unknown categories ${unknown.join(', ')} (use: ${Object.keys(GMAIL_CATEGORIES).join(', ')})`);
+            }
+        }
+    }
+    
+    /**
+     * Validate IMAP configuration
+     */
+    static _validateImapConfig(imapConfig, errors) {
+        if (!imapConfig.host || imapConfig.host.trim() === '') {
+            errors.push('IMAP config missing required field: host');
+        }
+        
+        if (!imapConfig.auth?.user) {
+            errors.push('IMAP config missing required field: auth.user');
+        }
+        
+        if (!imapConfig.auth?.pass && !imapConfig.auth?.accessToken) {
+            errors.push('IMAP config missing required field: auth.pass (or auth.accessToken)');
+        }
+        
+        if (imapConfig.port && (isNaN(imapConfig.port) || imapConfig.port < 1 || imapConfig.port > 65535)) {
+            errors.push('IMAP config: port must be between 1 and 65535');
+        }
+        
+        if (imapConfig.daysToSearch && (isNaN(imapConfig.daysToSearch) || imapConfig.daysToSearch < 1 || imapConfig.daysToSearch > 365)) {
+            errors.push('IMAP config: daysToSearch must be between 1 and 365');
+        }
+        
+        if (imapConfig.maxResults && (isNaN(imapConfig.maxResults) || imapConfig.maxResults < 1 || imapConfig.maxResults > 500)) {
+            errors.push('IMAP config: maxResults must be between 1 and 500');
+        }
+        
+        if (imapConfig.targetEmail && !this._isValidEmail(imapConfig.targetEmail)) {
+            errors.push('IMAP config: targetEmail must be a valid email address');
+        }
     }
     
     /**
@@ -92,13 +257,35 @@ export class ConfigValidator {
         if (fileConfig.encoding && !['utf8', 'ascii', 'base64'].includes(fileConfig.encoding)) {
             errors.push('File config: encoding must be utf8, ascii, or base64');
         }
+        
+        if (fileConfig.format && !FILE_FORMATS.includes(fileConfig.format)) {
+            errors.push(`File config: format must be one of: ${FILE_FORMATS.join(', ')}`);
+        }
+        
+        if (fileConfig.delimiter !== undefined && (typeof fileConfig.delimiter !== 'string' || fileConfig.delimiter.length === 0)) {
+            errors.push('File config: delimiter must be a non-empty string');
+        }
+        
+        if (fileConfig.fields !== undefined) {
+            if (typeof fileConfig.fields !== 'object' || fileConfig.fields === null || Array.isArray(fileConfig.fields)) {
+                errors.push('File config: fields must be an object mapping feedback fields to columns');
+            } else {
+                for (const [field, column] of Object.entries(fileConfig.fields)) {
+                    if (!RECORD_FIELDS.includes(field)) {
+                        errors.push(`File config: unknown field "${field}" (supported: ${RECORD_FIELDS.join(', ')})`);
+                    } else if (typeof column !== 'string' || column.trim() === '') {
+                        errors.push(`File config: fields.${field} must be a column name`);
+                    }
+                }
+            }
+        }
     }
     
     /**
      * Validate AI configuration
      */
     static _validateAIConfig(aiConfig, errors) {
-        const supportedProviders = ['vertex', 'anthropic', 'openai', 'google-ai', 'azure', 'bedrock'];
+        const supportedProviders = ['vertex', 'anthropic', 'openai', 'google-ai', 'azure', 'bedrock', 'mock'];
         
         if (!aiConfig.provider) {
             errors.push('AI config missing required field: provider');
@@ -150,26 +337,152 @@ export class ConfigValidator {
                 errors.push('Anthropic requires ANTHROPIC_API_KEY environment variable or apiKey in config');
             }
         }
+        
+        if (aiConfig.concurrency !== undefined && (!Number.isInteger(aiConfig.concurrency) || aiConfig.concurrency < 1 || aiConfig.concurrency > 32)) {
+            errors.push('AI config: concurrency must be an integer between 1 and 32');
+        }
+        
+        if (aiConfig.requestsPerMinute !== undefined && aiConfig.requestsPerMinute !== null
+            && (isNaN(aiConfig.requestsPerMinute) || aiConfig.requestsPerMinute < 1)) {
+            errors.push('AI config: requestsPerMinute must be a positive number or null for no limit');
+        }
+        
+        if (aiConfig.maxRetries !== undefined && (!Number.isInteger(aiConfig.maxRetries) || aiConfig.maxRetries < 0 || aiConfig.maxRetries > 10)) {
+            errors.push('AI config: maxRetries must be an integer between 0 and 10');
+        }
+        
+        if (aiConfig.threadContextTokens !== undefined && (!Number.isInteger(aiConfig.threadContextTokens) || aiConfig.threadContextTokens < 100)) {
+            errors.push('AI config: threadContextTokens must be an integer of at least 100 tokens');
+        }
+        
+        for (const field of ['contextWindow', 'maxOutputTokens']) {
+            if (aiConfig[field] !== undefined && (!Number.isInteger(aiConfig[field]) || aiConfig[field] < 1000)) {
+                errors.push(`AI config: ${field} must be an integer of at least 1000 tokens`);
+            }
+        }
+        
+        if (aiConfig.recordPath !== undefined && typeof aiConfig.recordPath !== 'string') {
+            errors.push('AI config: recordPath must be a string');
+        }
+        
+        // Mock provider needs no credentials, only well-formed fixtures/rules
+        if (aiConfig.provider === 'mock' && aiConfig.mock) {
+            if (aiConfig.mock.fixtures !== undefined && typeof aiConfig.mock.fixtures !== 'string') {
+                errors.push('AI config: mock.fixtures must be a file path string');
+            }
+            if (aiConfig.mock.rules !== undefined) {
+                if (!Array.isArray(aiConfig.mock.rules)) {
+                    errors.push('AI config: mock.rules must be an array');
+                } else if (aiConfig.mock.rules.some(rule => rule.response === undefined)) {
+                    errors.push('AI config: every mock rule needs a response');
+                }
+            }
+            if (aiConfig.mock.record !== undefined && typeof aiConfig.mock.record !== 'boolean') {
+                errors.push('AI config: mock.record must be a boolean');
+            }
+        }
     }
     
     /**
      * Validate notifications configuration
+     * Accepts an array of { type, ...config } entries or an object keyed by notifier type
      */
     static _validateNotificationsConfig(notificationsConfig, errors) {
-        if (notificationsConfig.slack) {
-            const slackConfig = notificationsConfig.slack;
+        if (!Array.isArray(notificationsConfig)) {
+            for (const [type, config] of Object.entries(notificationsConfig)) {
+                if (config) {
+                    this._validateNotifierConfig(type, config, errors);
+                }
+            }
+            return;
+        }
+        
+        notificationsConfig.forEach((entry, index) => {
+            if (!entry || typeof entry.type !== 'string' || entry.type.trim() === '') {
+                errors.push(`Notification entry ${index} must have a type`);
+                return;
+            }
+            
+            // Array entries are enabled unless explicitly disabled
+            this._validateNotifierConfig(entry.type, { ...entry, enabled: entry.enabled !== false }, errors);
+        });
+    }
+    
+    /**
+     * Validate the config of a built-in notifier type (registered third-party types are not checked)
+     */
+    static _validateNotifierConfig(type, config, errors) {
+        if (type === 'slack') {
+            const slackConfig = config;
+            
+            if (slackConfig.enabled && !slackConfig.webhookUrl && !slackConfig.botToken) {
+                errors.push('Slack notifications enabled but webhookUrl (or botToken) is missing');
+            }
+            
+            if (slackConfig.enabled && slackConfig.botToken && !slackConfig.channel) {
+                errors.push('Slack notifications with botToken require channel');
+            }
             
-            if (slackConfig.enabled && !slackConfig.webhookUrl) {
-                errors.push('Slack notifications enabled but webhookUrl is missing');
+            if (slackConfig.format !== undefined && !['text', 'blocks'].includes(slackConfig.format)) {
+                errors.push('Slack format must be "text" or "blocks"');
             }
             
             if (slackConfig.webhookUrl && !this._isValidUrl(slackConfig.webhookUrl)) {
                 errors.push('Slack webhookUrl must be a valid URL');
             }
+            
+            if (slackConfig.interactiveApprovals) {
+                if (!slackConfig.signingSecret) {
+                    errors.push('Slack interactive approvals require signingSecret');
+                }
+                if (!slackConfig.botToken && !slackConfig.webhookUrl) {
+                    errors.push('Slack interactive approvals require botToken or webhookUrl');
+                }
+                if (slackConfig.botToken && !slackConfig.channel) {
+                    errors.push('Slack interactive approvals with botToken require channel');
+                }
+            }
         }
         
-        if (notificationsConfig.file) {
-            const fileConfig = notificationsConfig.file;
+        if (type === 'teams') {
+            const teamsConfig = config;
+            
+            if (teamsConfig.enabled && !teamsConfig.webhookUrl) {
+                errors.push('Teams notifications enabled but webhookUrl is missing');
+            }
+            
+            if (teamsConfig.webhookUrl && !this._isValidUrl(teamsConfig.webhookUrl)) {
+                errors.push('Teams webhookUrl must be a valid URL');
+            }
+        }
+        
+        if (type === 'webhook') {
+            const webhookConfig = config;
+            
+            if (webhookConfig.enabled && !webhookConfig.url) {
+                errors.push('Webhook notifications enabled but url is missing');
+            }
+            
+            if (webhookConfig.url && !this._isValidUrl(webhookConfig.url)) {
+                errors.push('Webhook url must be a valid URL');
+            }
+            
+            if (webhookConfig.method !== undefined && !['POST', 'PUT'].includes(String(webhookConfig.method).toUpperCase())) {
+                errors.push('Webhook method must be POST or PUT');
+            }
+            
+            if (webhookConfig.headers !== undefined && (typeof webhookConfig.headers !== 'object' || Array.isArray(webhookConfig.headers) ||
+                Object.values(webhookConfig.headers).some(value => typeof value !== 'string'))) {
+                errors.push('Webhook headers must be an object of string values');
+            }
+            
+            if (webhookConfig.secret !== undefined && (typeof webhookConfig.secret !== 'string' || webhookConfig.secret.length === 0)) {
+                errors.push('Webhook secret must be a non-empty string');
+            }
+        }
+        
+        if (type === 'file') {
+            const fileConfig = config;
             
             if (fileConfig.path && typeof fileConfig.path !== 'string') {
                 errors.push('File notification path must be a string');
@@ -206,6 +519,175 @@ export class ConfigValidator {
         if (autoReplyConfig.dryRun !== undefined && typeof autoReplyConfig.dryRun !== 'boolean') {
             errors.push('Auto-reply config: dryRun must be a boolean');
         }
+        
+        if (autoReplyConfig.approvalMode !== undefined && !['interactive', 'auto', 'queue'].includes(autoReplyConfig.approvalMode)) {
+            errors.push('Auto-reply config: approvalMode must be one of: interactive, auto, queue');
+        }
+        
+        if (autoReplyConfig.queue?.path !== undefined && (typeof autoReplyConfig.queue.path !== 'string' || autoReplyConfig.queue.path.trim() === '')) {
+            errors.push('Auto-reply config: queue.path must be a non-empty string');
+        }
+    }
+    
+    /**
+     * Validate that the configured reply sender can work in this mode
+     */
+    static _validateReplySender(mode, config, errors) {
+        const sender = config.autoReply.sender;
+        
+        if (sender === 'gmail' && mode !== 'gmail') {
+            errors.push('Auto-reply config: the gmail sender is only available in gmail mode');
+        }
+        
+        if (sender === 'smtp' && !config.smtp?.host) {
+            errors.push('Auto-reply config: the smtp sender requires smtp.host');
+        }
+    }
+    
+    /**
+     * Validate SMTP configuration
+     */
+    static _validateSmtpConfig(smtpConfig, errors) {
+        if (!smtpConfig.host || smtpConfig.host.trim() === '') {
+            errors.push('SMTP config missing required field: host');
+        }
+        
+        if (smtpConfig.port && (isNaN(smtpConfig.port) || smtpConfig.port < 1 || smtpConfig.port > 65535)) {
+            errors.push('SMTP config: port must be between 1 and 65535');
+        }
+        
+        if (smtpConfig.auth && !smtpConfig.auth.user) {
+            errors.push('SMTP config: auth.user is required when auth is set');
+        }
+        
+        const from = smtpConfig.from || smtpConfig.auth?.user;
+        if (!from) {
+            errors.push('SMTP config: from (or auth.user) is required');
+        } else if (!this._isValidEmail(from.match(/<(.+?)>/)?.[1] || from)) {
+            errors.push('SMTP config: from must be a valid email address');
+        }
+    }
+    
+    /**
+     * Validate processed-message ledger configuration
+     */
+    static _validateLedgerConfig(ledgerConfig, errors) {
+        if (ledgerConfig.enabled !== undefined && typeof ledgerConfig.enabled !== 'boolean') {
+            errors.push('Ledger config: enabled must be a boolean');
+        }
+        
+        if (ledgerConfig.path !== undefined && (typeof ledgerConfig.path !== 'string' || ledgerConfig.path.trim() === '')) {
+            errors.push('Ledger config: path must be a non-empty string');
+        }
+    }
+    
+    /**
+     * Validate sender profile store configuration
+     */
+    static _validateSenderProfilesConfig(profilesConfig, errors) {
+        if (profilesConfig.enabled !== undefined && typeof profilesConfig.enabled !== 'boolean') {
+            errors.push('Sender profiles config: enabled must be a boolean');
+        }
+        
+        if (profilesConfig.path !== undefined && (typeof profilesConfig.path !== 'string' || profilesConfig.path.trim() === '')) {
+            errors.push('Sender profiles config: path must be a non-empty string');
+        }
+        
+        if (profilesConfig.maxHistory !== undefined && (!Number.isInteger(profilesConfig.maxHistory) || profilesConfig.maxHistory < 1 || profilesConfig.maxHistory > 500)) {
+            errors.push('Sender profiles config: maxHistory must be an integer between 1 and 500');
+        }
+    }
+    
+    /**
+     * Validate knowledge base configuration
+     */
+    static _validateKnowledgeBaseConfig(kbConfig, errors) {
+        if (typeof kbConfig.directory !== 'string' || kbConfig.directory.trim() === '') {
+            errors.push('Knowledge base config: directory must be a non-empty string');
+        }
+        
+        if (kbConfig.topK !== undefined && (!Number.isInteger(kbConfig.topK) || kbConfig.topK < 1 || kbConfig.topK > 20)) {
+            errors.push('Knowledge base config: topK must be an integer between 1 and 20');
+        }
+        
+        if (kbConfig.maxTokens !== undefined && (isNaN(kbConfig.maxTokens) || kbConfig.maxTokens < 100)) {
+            errors.push('Knowledge base config: maxTokens must be at least 100');
+        }
+        
+        if (kbConfig.chunkTokens !== undefined && (isNaN(kbConfig.chunkTokens) || kbConfig.chunkTokens < 50 || kbConfig.chunkTokens > 2000)) {
+            errors.push('Knowledge base config: chunkTokens must be between 50 and 2000');
+        }
+        
+        if (kbConfig.extensions !== undefined && (!Array.isArray(kbConfig.extensions) || kbConfig.extensions.some(ext => typeof ext !== 'string' || !ext.startsWith('.')))) {
+            errors.push('Knowledge base config: extensions must be an array of file extensions like ".md"');
+        }
+    }
+    
+    /**
+     * Validate reply template library configuration
+     */
+    static _validateReplyTemplatesConfig(templatesConfig, errors) {
+        if (typeof templatesConfig.directory !== 'string' || templatesConfig.directory.trim() === '') {
+            errors.push('Reply templates config: directory must be a non-empty string');
+        }
+        
+        if (templatesConfig.maxCandidates !== undefined && (!Number.isInteger(templatesConfig.maxCandidates) || templatesConfig.maxCandidates < 1 || templatesConfig.maxCandidates > 10)) {
+            errors.push('Reply templates config: maxCandidates must be an integer between 1 and 10');
+        }
+        
+        if (templatesConfig.extensions !== undefined && (!Array.isArray(templatesConfig.extensions) || templatesConfig.extensions.some(ext => typeof ext !== 'string' || !ext.startsWith('.')))) {
+            errors.push('Reply templates config: extensions must be an array of file extensions like ".md"');
+        }
+    }
+    
+    /**
+     * Validate reply style (brand voice) configuration
+     */
+    static _validateReplyStyleConfig(styleConfig, errors) {
+        const isStringList = (value) => Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim() !== '');
+        
+        for (const field of ['tone', 'closing', 'defaultLanguage']) {
+            if (styleConfig[field] !== undefined && typeof styleConfig[field] !== 'string') {
+                errors.push(`Reply style config: ${field} must be a string`);
+            }
+        }
+        
+        for (const field of ['bannedPhrases', 'disclaimers']) {
+            if (styleConfig[field] !== undefined && !isStringList(styleConfig[field])) {
+                errors.push(`Reply style config: ${field} must be an array of non-empty strings`);
+            }
+        }
+        
+        if (styleConfig.greetings !== undefined) {
+            const greetings = styleConfig.greetings;
+            if (!greetings || typeof greetings !== 'object' || Array.isArray(greetings)) {
+                errors.push('Reply style config: greetings must be an object of language code to greeting');
+            } else {
+                for (const [language, greeting] of Object.entries(greetings)) {
+                    if (!/^[a-z]{2,3}$/.test(language)) {
+                        errors.push(`Reply style config: greeting language "${language}" must be a lowercase ISO 639-1 code like "en"`);
+                    }
+                    if (typeof greeting !== 'string' || greeting.trim() === '') {
+                        errors.push(`Reply style config: greeting for "${language}" must be a non-empty string`);
+                    }
+                }
+            }
+        }
+        
+        if (styleConfig.maxLength !== undefined && (!Number.isInteger(styleConfig.maxLength) || styleConfig.maxLength < 100)) {
+            errors.push('Reply style config: maxLength must be an integer of at least 100');
+        }
+        
+        if (styleConfig.signature !== undefined) {
+            const { text, html } = styleConfig.signature || {};
+            if ((text !== undefined && typeof text !== 'string') || (html !== undefined && typeof html !== 'string')) {
+                errors.push('Reply style config: signature.text and signature.html must be strings');
+            }
+        }
+        
+        if (styleConfig.company !== undefined && (typeof styleConfig.company !== 'object' || Object.values(styleConfig.company || {}).some(value => typeof value !== 'string'))) {
+            errors.push('Reply style config: company must be an object of strings (name, website, phone, address)');
+        }
     }
     
     /**
@@ -227,7 +709,9 @@ export class ConfigValidator {
             },
             ai: {
                 provider: 'vertex',
-                timeout: '30000s'
+                timeout: '30000s',
+                concurrency: 4,
+                maxRetries: 3
             },
             autoReply: {
                 enabled: false,
@@ -336,6 +820,34 @@ export class ConfigValidator {
                         }
                     }
                 }
+            },
+            imap: {
+                mode: 'imap',
+                config: {
+                    imap: {
+                        host: 'imap.example.com',
+                        port: 993,
+                        secure: true,
+                        auth: {
+                            user: 'support@example.com',
+                            pass: 'your-app-password'
+                        },
+                        mailbox: 'INBOX',
+                        daysToSearch: 10,
+                        maxResults: 20,
+                        markSeen: false
+                    },
+                    ai: {
+                        provider: 'vertex',
+                        timeout: '30000s'
+                    },
+                    notifications: {
+                        file: {
+                            enabled: true,
+                            path: './feedback-analysis-report.md'
+                        }
+                    }
+                }
             }
         };
         
@@ -372,6 +884,14 @@ export class ConfigValidator {
             }
         }
         
+        if (mode === 'imap') {
+            for (const variable of ['IMAP_HOST', 'IMAP_USER', 'IMAP_PASSWORD']) {
+                if (!process.env[variable]) {
+                    issues.push(`${variable} environment variable not set`);
+                }
+            }
+        }
+        
         // Check for AI provider credentials
         const provider = process.env.NEUROLINK_DEFAULT_PROVIDER || 'vertex';
         
@@ -0,0 +1,78 @@
+/**
+ * Parse CSV text into rows of fields (RFC 4180)
+ * Handles quoted fields with delimiters, escaped quotes ("") and line breaks, CRLF line endings and a UTF-8 BOM
+ * @param {string} text - CSV content
+ * @param {Object} options - { delimiter?: string }
+ * @returns {Array<Array<string>>} Rows of fields; blank lines are skipped
+ */
+export function parseCsv(text, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (text.startsWith(delimiter, i)) {
+            row.push(field);
+            field = '';
+            i += delimiter.length - 1;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('CSV parse error: unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV content
+ * @param {Object} options - { delimiter?: string }
+ * @returns {Array<Object>} One object per data row
+ */
+export function parseCsvRecords(text, options = {}) {
+    const [header, ...rows] = parseCsv(text, options);
+
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(column => column.trim());
+
+    return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])));
+}
@@ -0,0 +1,260 @@
+import { EventEmitter } from 'events';
+import { promises as fs, watch } from 'fs';
+import path from 'path';
+import { FileProcessor } from '../processors/file-processor.js';
+
+const STATE_VERSION = 1;
+
+// Editor swap files and partial downloads
+const TEMPORARY_FILE = /(^\.|~$|\.(tmp|part|crdownload|swp)$)/i;
+
+/**
+ * Directory Watcher
+ * Watches a drop directory and hands new or modified files to onBatch in batches.
+ * Files are remembered by size and modification time in a state file, so restarts
+ * only pick up what changed; a failed batch is retried on the next scan.
+ */
+export class DirectoryWatcher extends EventEmitter {
+    /**
+     * @param {Object} config - { directory, statePath?, extensions?, recursive?, batchSize?, pollInterval?, settleTime? }
+     * @param {Object} options - { onBatch(filePaths): Promise } called once per batch
+     */
+    constructor(config = {}, options = {}) {
+        super();
+
+        this.config = {
+            directory: config.directory,
+            statePath: config.statePath || path.join(process.cwd(), '.feedback-watch-state.json'),
+            extensions: config.extensions || Object.values(FileProcessor.getSupportedFormats()).flatMap(format => format.extensions),
+            recursive: config.recursive || false,
+            batchSize: config.batchSize || 20,
+            pollInterval: config.pollInterval ?? 30000,
+            // Files modified more recently than this may still be being written
+            settleTime: config.settleTime ?? 2000,
+            ...config
+        };
+        this.onBatch = options.onBatch;
+        this.state = null;
+        this.watcher = null;
+        this.pollTimer = null;
+        this.settleTimer = null;
+        this.scanning = null;
+        this.rescan = false;
+
+        if (!this.config.directory) {
+            throw new Error('Directory is required for DirectoryWatcher');
+        }
+
+        if (typeof this.onBatch !== 'function') {
+            throw new Error('onBatch callback is required for DirectoryWatcher');
+        }
+    }
+
+    /**
+     * Process pending files, then watch for changes
+     */
+    async start() {
+        const directory = path.resolve(this.config.directory);
+        const stats = await fs.stat(directory).catch(() => null);
+
+        if (!stats?.isDirectory()) {
+            throw new Error(`Watch directory not found: ${this.config.directory}`);
+        }
+
+        console.log(`👁️  Watching directory for new feedback files: ${directory}`);
+
+        await this.scan();
+
+        this.watcher = watch(directory, { recursive: this.config.recursive }, () => this._scheduleScan(this.config.settleTime));
+        this.watcher.on('error', (error) => console.error('⚠️  Directory watch error:', error.message));
+
+        // fs.watch can miss events (network drives, some editors); poll as a fallback
+        if (this.config.pollInterval > 0) {
+            this.pollTimer = setInterval(() => this._scheduleScan(0), this.config.pollInterval);
+        }
+    }
+
+    /**
+     * Stop watching; waits for a running scan to finish
+     */
+    async stop() {
+        this.watcher?.close();
+        clearInterval(this.pollTimer);
+        clearTimeout(this.settleTimer);
+        this.watcher = null;
+        this.pollTimer = null;
+
+        await this.scanning;
+    }
+
+    /**
+     * Find new or modified files and process them in batches
+     * Concurrent calls are coalesced into one follow-up scan
+     * @returns {Object} { processed, failed, pending } file counts
+     */
+    async scan() {
+        if (this.scanning) {
+            this.rescan = true;
+            return this.scanning;
+        }
+
+        this.scanning = this._scan();
+
+        try {
+            return await this.scanning;
+        } finally {
+            this.scanning = null;
+
+            if (this.rescan) {
+                this.rescan = false;
+                this._scheduleScan(0);
+            }
+        }
+    }
+
+    /**
+     * Run one scan
+     * @private
+     */
+    async _scan() {
+        const state = await this._loadState();
+        const files = await this._listFiles(path.resolve(this.config.directory));
+        const now = Date.now();
+        const changed = files.filter(file => {
+            const seen = state[file.relativePath];
+            return !seen || seen.size !== file.size || seen.mtimeMs !== file.mtimeMs;
+        });
+        // mtimeMs is fractional while Date.now() is whole milliseconds
+        const ready = changed.filter(file => this.config.settleTime <= 0 || now - Math.floor(file.mtimeMs) >= this.config.settleTime);
+        const pending = changed.length - ready.length;
+        let processed = 0;
+        let failed = 0;
+
+        for (let i = 0; i < ready.length; i += this.config.batchSize) {
+            const batch = ready.slice(i, i + this.config.batchSize);
+            const filePaths = batch.map(file => file.path);
+
+            console.log(`📂 Processing ${batch.length} new or modified file(s)`);
+            this.emit('batchStarted', { files: filePaths });
+
+            try {
+                const result = await this.onBatch(filePaths);
+
+                const processedAt = new Date().toISOString();
+                for (const file of batch) {
+                    state[file.relativePath] = { size: file.size, mtimeMs: file.mtimeMs, processedAt };
+                }
+                await this._saveState();
+
+                processed += batch.length;
+                this.emit('batchCompleted', { files: filePaths, result });
+            } catch (error) {
+                // Left out of the state so the batch is retried on the next scan
+                failed += batch.length;
+                console.error(`❌ Processing ${batch.length} file(s) failed:`, error.message);
+                this.emit('batchFailed', { files: filePaths, error });
+            }
+        }
+
+        // Re-check files that were still being written
+        if (pending > 0) {
+            this._scheduleScan(this.config.settleTime);
+        }
+
+        return { processed, failed, pending };
+    }
+
+    /**
+     * Scan after a delay, collapsing bursts of change events
+     * @private
+     */
+    _scheduleScan(delay) {
+        if (!this.watcher && !this.pollTimer) {
+            return;
+        }
+
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => {
+            this.scan().catch(error => console.error('❌ Directory scan failed:', error.message));
+        }, delay);
+    }
+
+    /**
+     * List supported files with their size and modification time
+     * @private
+     */
+    async _listFiles(directory, relativeDir = '') {
+        const entries = await fs.readdir(path.join(directory, relativeDir), { withFileTypes: true });
+        const files = [];
+
+        for (const entry of entries) {
+            const relativePath = path.join(relativeDir, entry.name);
+
+            if (TEMPORARY_FILE.test(entry.name)) {
+                continue;
+            }
+
+            if (entry.isDirectory()) {
+                if (this.config.recursive) {
+                    files.push(...await this._listFiles(directory, relativePath));
+                }
+                continue;
+            }
+
+            if (!entry.isFile() || !this.config.extensions.includes(path.extname(entry.name).toLowerCase())) {
+                continue;
+            }
+
+            const filePath = path.join(directory, relativePath);
+            if (filePath === path.resolve(this.config.statePath)) {
+                continue;
+            }
+
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (stats) {
+                files.push({ path: filePath, relativePath, size: stats.size, mtimeMs: stats.mtimeMs });
+            }
+        }
+
+        // Oldest first, so files are analyzed in the order they were dropped
+        return files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    }
+
+    /**
+     * Load seen files from disk (cached after first load)
+     * @private
+     */
+    async _loadState() {
+        if (this.state) {
+            return this.state;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.config.statePath, 'utf8'));
+            this.state = data.files || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️  Failed to read watch state ${this.config.statePath}:`, error.message);
+            }
+            this.state = {};
+        }
+
+        return this.state;
+    }
+
+    /**
+     * Write seen files to disk
+     * @private
+     */
+    async _saveState() {
+        const data = {
+            version: STATE_VERSION,
+            directory: path.resolve(this.config.directory),
+            updatedAt: new Date().toISOString(),
+            files: await this._loadState()
+        };
+
+        await fs.mkdir(path.dirname(this.config.statePath), { recursive: true });
+        await fs.writeFile(this.config.statePath, JSON.stringify(data, null, 2));
+    }
+}
@@ -0,0 +1,28 @@
+/**
+ * Clean up email body content
+ * Strips signatures, quoted reply and forward headers and excess whitespace
+ * @param {string} body - Plain text body
+ * @returns {string} Cleaned body
+ */
+export function cleanEmailBody(body) {
+    if (!body) return '';
+
+    // Remove common email signatures and footers
+    const cleanPatterns = [
+        /--\s*\r?\n.*$/s, // Signature separator
+        /^\s*On .* wrote:\s*$/m, // Reply headers
+        /^\s*From:\s*.*$/m, // Forward headers
+        /^\s*Sent:\s*.*$/m, // Outlook headers
+    ];
+
+    let cleaned = body;
+    for (const pattern of cleanPatterns) {
+        cleaned = cleaned.replace(pattern, '');
+    }
+
+    // Remove excessive whitespace
+    cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
+    cleaned = cleaned.replace(/[ \t]+/g, ' ');
+
+    return cleaned.trim();
+}
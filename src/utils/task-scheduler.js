@@ -0,0 +1,184 @@
+/**
+ * Default requests-per-minute limits per AI provider
+ * Conservative values for standard tiers; override with ai.requestsPerMinute
+ */
+export const DEFAULT_REQUESTS_PER_MINUTE = {
+    vertex: 60,
+    'google-ai': 60,
+    anthropic: 50,
+    openai: 60,
+    azure: 60,
+    bedrock: 50,
+    mock: null
+};
+
+const RETRYABLE_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+/**
+ * Task Scheduler
+ * Runs async tasks with bounded concurrency, a requests-per-minute limit and
+ * exponential backoff retries for rate-limit (429) and server (5xx) errors
+ */
+export class TaskScheduler {
+    constructor(config = {}) {
+        this.config = {
+            concurrency: config.concurrency || 4,
+            requestsPerMinute: config.requestsPerMinute || null,
+            maxRetries: config.maxRetries ?? 3,
+            retryBaseDelay: config.retryBaseDelay ?? 1000,
+            maxRetryDelay: config.maxRetryDelay ?? 30000
+        };
+
+        // Start times of requests in the current one-minute window (shared across runs)
+        this.requestLog = [];
+    }
+
+    /**
+     * Create a scheduler from AI config, applying per-provider defaults
+     */
+    static fromAIConfig(aiConfig = {}) {
+        const requestsPerMinute = aiConfig.requestsPerMinute !== undefined
+            ? aiConfig.requestsPerMinute
+            : DEFAULT_REQUESTS_PER_MINUTE[aiConfig.provider] ?? null;
+
+        return new TaskScheduler({
+            concurrency: aiConfig.concurrency,
+            requestsPerMinute,
+            maxRetries: aiConfig.maxRetries,
+            retryBaseDelay: aiConfig.retryBaseDelay
+        });
+    }
+
+    /**
+     * Run a worker over every item
+     * @param {Array} items - Items to process
+     * @param {Function} worker - async (item, index) => result
+     * @param {Object} options - { onProgress?(event), onRetry?(event) }
+     * @returns {Array} Settled results in input order: { status: 'fulfilled', value } or { status: 'rejected', reason }
+     */
+    async run(items, worker, options = {}) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        let completed = 0;
+
+        const runNext = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+
+                try {
+                    const value = await this._runWithRetry(() => worker(items[index], index), index, options.onRetry);
+                    results[index] = { status: 'fulfilled', value };
+                } catch (reason) {
+                    results[index] = { status: 'rejected', reason };
+                }
+
+                completed++;
+                if (options.onProgress) {
+                    options.onProgress({
+                        index,
+                        completed,
+                        total: items.length,
+                        success: results[index].status === 'fulfilled'
+                    });
+                }
+            }
+        };
+
+        const workers = Math.min(this.config.concurrency, items.length);
+        await Promise.all(Array.from({ length: workers }, runNext));
+
+        return results;
+    }
+
+    /**
+     * Run a single task, retrying retryable errors with exponential backoff
+     * @private
+     */
+    async _runWithRetry(task, index, onRetry) {
+        for (let attempt = 0; ; attempt++) {
+            await this._acquireSlot();
+
+            try {
+                return await task();
+            } catch (error) {
+                if (attempt >= this.config.maxRetries || !TaskScheduler.isRetryable(error)) {
+                    throw error;
+                }
+
+                const delay = this._getRetryDelay(error, attempt);
+                console.warn(`⏳ Request failed (${error.message}), retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${this.config.maxRetries})`);
+
+                if (onRetry) {
+                    onRetry({ index, attempt: attempt + 1, delay, error: error.message });
+                }
+
+                await this._delay(delay);
+            }
+        }
+    }
+
+    /**
+     * Wait until the requests-per-minute window has room for another request
+     * @private
+     */
+    async _acquireSlot() {
+        if (!this.config.requestsPerMinute) {
+            return;
+        }
+
+        const windowMs = 60 * 1000;
+
+        for (;;) {
+            const now = Date.now();
+            this.requestLog = this.requestLog.filter(startedAt => now - startedAt < windowMs);
+
+            if (this.requestLog.length < this.config.requestsPerMinute) {
+                this.requestLog.push(now);
+                return;
+            }
+
+            await this._delay(windowMs - (now - this.requestLog[0]));
+        }
+    }
+
+    /**
+     * Compute backoff delay, honouring Retry-After when the error carries one
+     * @private
+     */
+    _getRetryDelay(error, attempt) {
+        const retryAfter = Number(error.response?.headers?.['retry-after'] ?? error.retryAfter);
+        if (Number.isFinite(retryAfter) && retryAfter > 0) {
+            return Math.min(retryAfter * 1000, this.config.maxRetryDelay);
+        }
+
+        const exponential = this.config.retryBaseDelay * 2 ** attempt;
+        const jitter = Math.random() * this.config.retryBaseDelay * 0.5;
+        return Math.min(exponential + jitter, this.config.maxRetryDelay);
+    }
+
+    /**
+     * Check whether an error is worth retrying (429, 5xx or transient network errors)
+     */
+    static isRetryable(error) {
+        const status = error.status ?? error.statusCode ?? error.response?.status;
+
+        if (typeof status === 'number') {
+            return status === 429 || (status >= 500 && status < 600);
+        }
+
+        if (RETRYABLE_ERROR_CODES.includes(error.code)) {
+            return true;
+        }
+
+        const message = (error.message || '').toLowerCase();
+        return /\b429\b|rate limit|too many requests|overloaded|\b5\d\d\b|service unavailable/.test(message);
+    }
+
+    /**
+     * Delay helper
+     * @private
+     */
+    _delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Approximate characters per token for English text
+ * Deliberately conservative so estimates err on the side of smaller chunks
+ */
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Context window and output limits (tokens) per provider
+ * Model-specific entries are matched by prefix; override with ai.contextWindow / ai.maxOutputTokens
+ */
+export const MODEL_LIMITS = {
+    vertex: { contextWindow: 1000000, maxOutputTokens: 8192, models: { 'gemini-1.0': { contextWindow: 32000, maxOutputTokens: 2048 } } },
+    'google-ai': { contextWindow: 1000000, maxOutputTokens: 8192, models: { 'gemini-1.0': { contextWindow: 32000, maxOutputTokens: 2048 } } },
+    anthropic: { contextWindow: 200000, maxOutputTokens: 8192, models: {} },
+    openai: { contextWindow: 128000, maxOutputTokens: 4096, models: { 'gpt-4-': { contextWindow: 8192, maxOutputTokens: 4096 }, 'gpt-3.5': { contextWindow: 16385, maxOutputTokens: 4096 } } },
+    azure: { contextWindow: 128000, maxOutputTokens: 4096, models: { 'gpt-4-': { contextWindow: 8192, maxOutputTokens: 4096 }, 'gpt-35': { contextWindow: 16385, maxOutputTokens: 4096 } } },
+    bedrock: { contextWindow: 200000, maxOutputTokens: 4096, models: {} },
+    mock: { contextWindow: 32000, maxOutputTokens: 8192, models: {} }
+};
+
+const DEFAULT_LIMITS = { contextWindow: 32000, maxOutputTokens: 4096 };
+
+/**
+ * Estimate the number of tokens in a piece of text
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Resolve context window and output limits for an AI config
+ * @returns {Object} { contextWindow, maxOutputTokens }
+ */
+export function getModelLimits(aiConfig = {}) {
+    const providerLimits = MODEL_LIMITS[aiConfig.provider] || DEFAULT_LIMITS;
+    const model = (aiConfig.model || '').toLowerCase();
+    const modelPrefix = Object.keys(providerLimits.models || {}).find(prefix => model.startsWith(prefix));
+    const modelLimits = modelPrefix ? providerLimits.models[modelPrefix] : {};
+
+    return {
+        contextWindow: aiConfig.contextWindow || modelLimits.contextWindow || providerLimits.contextWindow,
+        maxOutputTokens: aiConfig.maxOutputTokens || modelLimits.maxOutputTokens || providerLimits.maxOutputTokens
+    };
+}
+
+/**
+ * Split items into consecutive chunks whose combined token cost stays within budget
+ * An item larger than the budget on its own gets a chunk to itself
+ * @param {Array} items - Items to split
+ * @param {Function} costFn - item => estimated tokens
+ * @param {Object} limits - { maxTokens, maxItems? }
+ * @returns {Array<Array>} Chunks in input order
+ */
+export function chunkByTokenBudget(items, costFn, { maxTokens, maxItems = Infinity }) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const item of items) {
+        const cost = costFn(item);
+
+        if (current.length > 0 && (currentTokens + cost > maxTokens || current.length >= maxItems)) {
+            chunks.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+
+        current.push(item);
+        currentTokens += cost;
+    }
+
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * Truncate text so it fits within a token budget
+ */
+export function truncateToTokens(text, maxTokens) {
+    const maxChars = Math.floor(maxTokens * CHARS_PER_TOKEN);
+    if (!text || text.length <= maxChars) {
+        return text;
+    }
+
+    return `${text.substring(0, Math.max(maxChars - 20, 0))}\n[...truncated]`;
+}
@@ -21,7 +21,7 @@ export class ReplyApprovalWorkflow {
     async promptForApproval(replyableEmails) {
         if (!this.config.requireApproval) {
             console.log('⚡ Auto-approval enabled, skipping user prompts');
-            return replyableEmails.map(item => ({
+            return this._withoutStyleIssues(replyableEmails).map(item => ({
                 email: item.email,
                 replyContent: item.suggestedReply
             }));
@@ -78,7 +78,7 @@ export class ReplyApprovalWorkflow {
      * @private
      */
     _displayEmailSummary(item, current, total) {
-        const { email, suggestedReply, replyReason, replyConfidence } = item;
+        const { email, suggestedReply, replyReason, replyConfidence, sources, templateId } = item;
         
         console.log('═'.repeat(80));
         console.log(`📧 Email ${current}/${total}`);
@@ -94,6 +94,18 @@ export class ReplyApprovalWorkflow {
         if (replyReason) {
             console.log(`Reason: ${replyReason}`);
         }
+
+        if (sources?.length > 0) {
+            console.log(`Sources: ${sources.map(source => source.source).join(', ')}`);
+        }
+
+        if (templateId) {
+            console.log(`Template: ${templateId}`);
+        }
+
+        if (item.styleIssues?.length > 0) {
+            console.log(`⚠️  Style issues: ${item.styleIssues.map(issue => issue.message).join('; ')}`);
+        }
         
         console.log('\n--- Original Message (preview) ---');
         const preview = email.body.substring(0, 200);
@@ -158,7 +170,7 @@ export class ReplyApprovalWorkflow {
     autoApprove(replyableEmails, confidenceThreshold = 0.8) {
         console.log(`🤖 Auto-approving emails with confidence >= ${(confidenceThreshold * 100).toFixed(0)}%`);
         
-        const approved = replyableEmails
+        const approved = this._withoutStyleIssues(replyableEmails)
             .filter(item => (item.replyConfidence || 0) >= confidenceThreshold)
             .map(item => ({
                 email: item.email,
@@ -182,10 +194,27 @@ export class ReplyApprovalWorkflow {
             console.log(`   Subject: Re: ${item.email.subject}`);
             console.log(`   Confidence: ${((item.replyConfidence || 0) * 100).toFixed(0)}%`);
             console.log(`   Reply preview: ${item.suggestedReply.substring(0, 100)}...`);
+            if (item.styleIssues?.length > 0) {
+                console.log(`   ⚠️  Style issues: ${item.styleIssues.map(issue => issue.message).join('; ')}`);
+            }
             console.log('');
         });
 
         console.log('💡 Run without --dry-run flag to actually send these replies\n');
         return [];
     }
+
+    /**
+     * Replies that failed the reply style check are never approved automatically
+     * @private
+     */
+    _withoutStyleIssues(replyableEmails) {
+        const flagged = replyableEmails.filter(item => item.styleIssues?.length > 0);
+
+        flagged.forEach(item => {
+            console.log(`✋ Not auto-approving reply to ${item.email.from}: ${item.styleIssues.map(issue => issue.message).join('; ')}`);
+        });
+
+        return replyableEmails.filter(item => !flagged.includes(item));
+    }
 }
\ No newline at end of file
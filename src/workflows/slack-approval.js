@@ -0,0 +1,305 @@
+import axios from 'axios';
+import { SlackApiClient, postToResponseUrl, verifySlackSignature } from '../notifiers/slack-api.js';
+import { escapeMrkdwn } from '../notifiers/slack-blocks.js';
+
+const EDIT_MODAL_CALLBACK = 'edit_reply_modal';
+const PREVIEW_LENGTH = 500;
+const MAX_TEXT_LENGTH = 2900; // Slack section text limit is 3000 characters
+
+/**
+ * Slack Approval Workflow
+ * Posts each queued reply to Slack with Approve / Edit / Skip buttons and applies
+ * the decisions that come back through the interaction endpoint
+ */
+export class SlackApprovalWorkflow {
+    /**
+     * @param {Object} config - Slack config: { botToken?, webhookUrl?, channel?, signingSecret }
+     * @param {FeedbackResolver} resolver - Resolver whose reply queue receives the decisions
+     */
+    constructor(config = {}, resolver) {
+        this.config = {
+            botToken: config.botToken || null,
+            webhookUrl: config.webhookUrl || null,
+            channel: config.channel || null,
+            signingSecret: config.signingSecret || null
+        };
+        this.resolver = resolver;
+        this.client = this.config.botToken ? new SlackApiClient({ botToken: this.config.botToken }) : null;
+        this.backgroundTasks = new Set();
+
+        if (!this.config.signingSecret) {
+            throw new Error('Slack signing secret is required for interactive approvals');
+        }
+
+        console.log('🔘 Slack interactive approvals enabled');
+    }
+
+    /**
+     * Post one approval message per queued reply
+     * @param {Array} items - Reply queue items
+     * @returns {Object} { posted, failed }
+     */
+    async postApprovalRequests(items) {
+        let posted = 0;
+        let failed = 0;
+
+        for (const item of items) {
+            const message = {
+                text: `Reply for review: ${escapeMrkdwn(item.email.subject || 'No subject')}`,
+                blocks: this._buildApprovalBlocks(item)
+            };
+
+            try {
+                if (this.client) {
+                    await this.client.postMessage({ channel: this.config.channel, ...message });
+                } else {
+                    await axios.post(this.config.webhookUrl, message, { timeout: 10000 });
+                }
+                posted++;
+            } catch (error) {
+                failed++;
+                console.error(`❌ Failed to post approval request for ${item.id}:`, error.message);
+            }
+        }
+
+        console.log(`📨 Posted ${posted} reply approval requests to Slack`);
+        return { posted, failed };
+    }
+
+    /**
+     * Check that an interaction request was signed by Slack
+     * @param {Object} headers - Request headers
+     * @param {string} rawBody - Unparsed request body
+     */
+    verifyRequest(headers, rawBody) {
+        return verifySlackSignature({
+            signingSecret: this.config.signingSecret,
+            timestamp: headers['x-slack-request-timestamp'],
+            signature: headers['x-slack-signature'],
+            rawBody
+        });
+    }
+
+    /**
+     * Handle an interaction payload
+     * Returns quickly so Slack gets its acknowledgement within 3 seconds; approvals and
+     * sends continue in the background (see idle())
+     * @param {Object} payload - Parsed `payload` field of the interaction request
+     */
+    async handleInteraction(payload) {
+        if (payload.type === 'block_actions') {
+            const action = payload.actions?.[0];
+            if (!action) {
+                return;
+            }
+
+            const context = {
+                id: action.value,
+                user: payload.user?.id,
+                channel: payload.channel?.id || payload.container?.channel_id,
+                ts: payload.message?.ts || payload.container?.message_ts,
+                responseUrl: payload.response_url
+            };
+
+            if (action.action_id === 'edit_reply') {
+                // trigger_id expires after 3 seconds, so open the modal before acknowledging
+                await this._openEditModal(payload.trigger_id, context);
+            } else if (action.action_id === 'approve_reply') {
+                this._runInBackground(this._approve(context), context);
+            } else if (action.action_id === 'skip_reply') {
+                this._runInBackground(this._skip(context), context);
+            }
+        } else if (payload.type === 'view_submission' && payload.view?.callback_id === EDIT_MODAL_CALLBACK) {
+            let context;
+            try {
+                context = JSON.parse(payload.view.private_metadata);
+            } catch {
+                context = null;
+            }
+
+            // Acknowledge and drop submissions whose metadata does not name a queued reply
+            if (typeof context?.id !== 'string') {
+                console.error('⚠️  Ignoring Slack edit submission with invalid metadata');
+                return;
+            }
+
+            const replyContent = payload.view.state.values.reply_input.reply_text.value;
+
+            this._runInBackground(this._approve({ ...context, user: payload.user?.id }, replyContent), context);
+        }
+    }
+
+    /**
+     * Wait for background decisions to finish
+     */
+    async idle() {
+        await Promise.all([...this.backgroundTasks]);
+    }
+
+    /**
+     * Approve a reply and send it straight away
+     * @private
+     */
+    async _approve(context, replyContent = null) {
+        await this.resolver.approveReply(context.id, replyContent ? { replyContent } : {});
+        await this.resolver.sendApprovedReply(context.id);
+
+        const item = await this.resolver.replyQueue.get(context.id);
+        const approvedBy = `Approved by <@${context.user}>${replyContent ? ' (edited)' : ''}`;
+        const outcome = {
+            sent: `✅ ${approvedBy} and sent`,
+            approved: `📥 ${approvedBy}, queued for the next delivery`,
+            rejected: `🚫 ${approvedBy} but not sent: ${escapeMrkdwn(item.reason || 'rejected')}`,
+            failed: `❌ ${approvedBy} but sending failed: ${escapeMrkdwn(item.result?.error || 'unknown error')}`
+        }[item.status] || `❌ ${approvedBy} but the reply is ${item.status}`;
+
+        await this._updateMessage(context, item, outcome);
+    }
+
+    /**
+     * Skip a reply
+     * @private
+     */
+    async _skip(context) {
+        const item = await this.resolver.skipReply(context.id);
+        await this._updateMessage(context, item, `⏭️ Skipped by <@${context.user}>`);
+    }
+
+    /**
+     * Open a modal for editing the reply before approving it
+     * @private
+     */
+    async _openEditModal(triggerId, context) {
+        if (!this.client) {
+            throw new Error('Editing replies from Slack requires a bot token');
+        }
+
+        const item = await this.resolver.replyQueue.get(context.id);
+        if (!item) {
+            throw new Error(`Reply not found in queue: ${context.id}`);
+        }
+
+        await this.client.openView(triggerId, {
+            type: 'modal',
+            callback_id: EDIT_MODAL_CALLBACK,
+            private_metadata: JSON.stringify(context),
+            title: { type: 'plain_text', text: 'Edit reply' },
+            submit: { type: 'plain_text', text: 'Approve & send' },
+            close: { type: 'plain_text', text: 'Cancel' },
+            blocks: [
+                {
+                    type: 'input',
+                    block_id: 'reply_input',
+                    label: { type: 'plain_text', text: `Reply to ${item.email.from}` },
+                    element: {
+                        type: 'plain_text_input',
+                        action_id: 'reply_text',
+                        multiline: true,
+                        initial_value: item.replyContent || item.suggestedReply || ''
+                    }
+                }
+            ]
+        });
+    }
+
+    /**
+     * Replace the approval message buttons with the decision outcome
+     * @private
+     */
+    async _updateMessage(context, item, outcome) {
+        const message = {
+            text: outcome,
+            blocks: this._buildApprovalBlocks(item, outcome)
+        };
+
+        if (this.client && context.channel && context.ts) {
+            await this.client.updateMessage({ channel: context.channel, ts: context.ts, ...message });
+        } else if (context.responseUrl) {
+            await postToResponseUrl(context.responseUrl, { replace_original: true, ...message });
+        }
+    }
+
+    /**
+     * Build Block Kit blocks for a queued reply; with an outcome the buttons are replaced by it
+     * @private
+     */
+    _buildApprovalBlocks(item, outcome = null) {
+        // Email and model text is untrusted: escaped so it cannot mention channels or add links
+        const { email } = item;
+        const body = email.body || '';
+        const reply = item.replyContent || item.suggestedReply || '';
+        const details = [
+            item.replyConfidence !== null && item.replyConfidence !== undefined ? `Confidence: ${Math.round(item.replyConfidence * 100)}%` : null,
+            item.replyReason ? `Reason: ${escapeMrkdwn(item.replyReason)}` : null,
+            item.sources?.length > 0 ? `Sources: ${escapeMrkdwn(item.sources.map(source => source.source).join(', '))}` : null,
+            item.templateId ? `Template: ${escapeMrkdwn(item.templateId)}` : null,
+            item.styleIssues?.length > 0 ? `:warning: Style: ${escapeMrkdwn(item.styleIssues.map(issue => issue.message).join('; '))}` : null
+        ].filter(Boolean);
+
+        const blocks = [
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*📧 Reply for review*\n*From:* ${escapeMrkdwn(email.from)}\n*Subject:* ${escapeMrkdwn(email.subject || 'No subject')}` }
+            },
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `>${escapeMrkdwn(this._truncate(body, PREVIEW_LENGTH)).replace(/\n/g, '\n>')}` }
+            },
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*Suggested reply:*\n\`\`\`${escapeMrkdwn(this._truncate(reply, MAX_TEXT_LENGTH))}\`\`\`` }
+            }
+        ];
+
+        if (details.length > 0) {
+            blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: details.join(' • ') }] });
+        }
+
+        if (outcome) {
+            blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: outcome }] });
+            return blocks;
+        }
+
+        blocks.push({
+            type: 'actions',
+            block_id: `reply_actions:${item.id}`,
+            elements: [
+                { type: 'button', action_id: 'approve_reply', style: 'primary', value: item.id, text: { type: 'plain_text', text: '✅ Approve' } },
+                // Editing opens a modal, which needs the Web API
+                ...(this.client ? [{ type: 'button', action_id: 'edit_reply', value: item.id, text: { type: 'plain_text', text: '✏️ Edit' } }] : []),
+                { type: 'button', action_id: 'skip_reply', value: item.id, text: { type: 'plain_text', text: '⏭️ Skip' } }
+            ]
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Track a background task; failures are logged and shown only to the user who clicked
+     * @private
+     */
+    _runInBackground(promise, context) {
+        const task = promise
+            .catch(async (error) => {
+                console.error('❌ Slack approval failed:', error.message);
+                if (context.responseUrl) {
+                    await postToResponseUrl(context.responseUrl, {
+                        response_type: 'ephemeral',
+                        replace_original: false,
+                        text: `⚠️ ${error.message}`
+                    }).catch(() => {});
+                }
+            })
+            .finally(() => this.backgroundTasks.delete(task));
+
+        this.backgroundTasks.add(task);
+    }
+
+    /**
+     * Truncate text to a maximum length
+     * @private
+     */
+    _truncate(text, maxLength) {
+        return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+    }
+}
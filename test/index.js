@@ -9,11 +9,32 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
-import FeedbackResolver, { ConfigValidator, OAuthManager } from '../src/index.js';
+import FeedbackResolver, { ConfigValidator, OAuthManager, createDefaultRegistry } from '../src/index.js';
 import { SlackNotifier } from '../src/notifiers/slack-notifier.js';
 import { FileNotifier } from '../src/notifiers/file-notifier.js';
 import { AIAnalyzer } from '../src/analyzers/ai-analyzer.js';
 import { FileProcessor } from '../src/processors/file-processor.js';
+import { GmailProcessor } from '../src/processors/gmail-processor.js';
+import { ImapProcessor } from '../src/processors/imap-processor.js';
+import { ProcessedLedger } from '../src/storage/processed-ledger.js';
+import { REPORT_SCHEMA_VERSION, validateStructuredReport, createReportEntry, createStructuredReport } from '../src/analyzers/report-schema.js';
+import { MockBackend, ResponseRecorder } from '../src/analyzers/backends/index.js';
+import { TaskScheduler } from '../src/utils/task-scheduler.js';
+import { chunkByTokenBudget, getModelLimits } from '../src/utils/token-budget.js';
+import { ApiServer } from '../src/server/api-server.js';
+import { verifySlackSignature } from '../src/notifiers/slack-api.js';
+import { createHmac } from 'crypto';
+import http from 'http';
+import { TeamsNotifier } from '../src/notifiers/teams-notifier.js';
+import { GenericWebhookNotifier } from '../src/notifiers/webhook-notifier.js';
+import { SmtpReplySender } from '../src/senders/smtp-reply-sender.js';
+import { SenderProfileStore, parseSender } from '../src/storage/sender-profiles.js';
+import { DirectoryWatcher } from '../src/utils/directory-watcher.js';
+import { KnowledgeBase } from '../src/knowledge/knowledge-base.js';
+import { ReplyTemplateLibrary } from '../src/knowledge/reply-templates.js';
+import { ReplyStyle } from '../src/analyzers/reply-style.js';
+import { GmailReplySender } from '../src/senders/gmail-reply-sender.js';
+import net from 'net';
 
 // Test results tracking
 const testResults = {
@@ -263,6 +284,2028 @@ Second issue description`;
     expect(multipleResult.length).toBe(2);
 });
 
+// Test Processed-Message Ledger
+const testProcessedLedger = test('Processed-Message Ledger', async () => {
+    const testDir = './test-output';
+    const ledgerPath = path.join(testDir, 'test-ledger.json');
+    
+    const ledger = new ProcessedLedger({ path: ledgerPath });
+    const recorded = await ledger.recordTriage([
+        { id: 'msg-1', threadId: 't-1', from: 'a@example.com', subject: 'Bug', isRelevant: true, isReplyable: true, category: 'Technical' },
+        { id: 'msg-2', threadId: 't-2', from: 'b@example.com', subject: 'Newsletter', isRelevant: false },
+        { id: 'msg-3', threadId: 't-3', from: 'c@example.com', subject: 'Failed', error: 'timeout' }
+    ]);
+    expect(recorded).toBe(2);
+    
+    await ledger.updateReplyStatus(['msg-1'], 'sent');
+    
+    // A fresh instance must see the persisted state
+    const reloaded = new ProcessedLedger({ path: ledgerPath });
+    expect(await reloaded.has('msg-1')).toBeTruthy();
+    expect(await reloaded.has('msg-3')).toBeFalsy();
+    
+    const sent = await reloaded.list({ replyStatus: 'sent' });
+    expect(sent.length).toBe(1);
+    expect(sent[0].verdict.category).toBe('Technical');
+    
+    const removed = await reloaded.reset({ messageIds: ['msg-2'] });
+    expect(removed).toBe(1);
+    expect((await reloaded.getStats()).total).toBe(1);
+    
+    await fs.rm(testDir, { recursive: true, force: true });
+});
+
+// Test Gmail Processor skips ledger entries
+const testGmailProcessorLedger = test('Gmail Processor Skips Processed Emails', async () => {
+    const ledger = new ProcessedLedger({ path: './test-output/unused-ledger.json' });
+    ledger.entries = { 'old-1': {}, 'old-2': {} };
+    
+    const pages = {
+        start: { messages: [{ id: 'old-1' }, { id: 'new-1' }], nextPageToken: 'page-2' },
+        'page-2': { messages: [{ id: 'old-2' }, { id: 'new-2' }, { id: 'new-3' }] }
+    };
+    
+    const processor = new GmailProcessor({ maxResults: 2 }, null, ledger);
+    processor.gmail = {
+        users: {
+            messages: {
+                list: async (params) => ({ data: pages[params.pageToken || 'start'] })
+            }
+        }
+    };
+    
+    const messages = await processor._fetchEmailList('is:unread');
+    expect(messages.map(m => m.id)).toEqual(['new-1', 'new-2']);
+});
+
+// Test Structured Report Generation
+const testStructuredReport = test('Structured Report Generation', async () => {
+    const analyzer = new AIAnalyzer({ provider: 'anthropic' }, {
+        backend: {
+            generate: async () => ({
+                content: JSON.stringify({
+                    entries: [
+                        { index: 0, category: 'technical', analysis: 'API returns 500 on login', suggestedReply: 'We are looking into it.', confidence: 0.9 },
+                        { index: 1, category: 'not-a-category', analysis: 'Newsletter', confidence: 3 }
+                    ],
+                    insights: ['Login failures reported']
+                })
+            })
+        }
+    });
+    
+    const triageResults = [
+        { isRelevant: true, from: 'dev@example.com', cleanedMessage: 'Login broken', email: { id: 'm1', threadId: 't1', from: 'dev@example.com', subject: 'Login 500' } },
+        { isRelevant: false, from: 'news@example.com', cleanedMessage: 'Weekly news', email: { id: 'm2', threadId: 't2', from: 'news@example.com', subject: 'News' } },
+        { isRelevant: true, from: 'pm@example.com', cleanedMessage: 'Can we meet?', category: 'Meeting request', email: { id: 'm3', threadId: 't3', from: 'pm@example.com', subject: 'Sync' } }
+    ];
+    
+    const structured = await analyzer._performConsolidatedAnalysis(triageResults);
+    expect(structured.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+    expect(validateStructuredReport(structured).valid).toBeTruthy();
+    expect(structured.entries.map(e => e.category)).toEqual(['technical', 'general', 'meeting']);
+    expect(structured.entries[0].emailId).toBe('m1');
+    expect(structured.entries[1].confidence).toBe(1);
+    
+    // templateId and messageCount are optional within schema version 1 but must be well-typed
+    const [firstEntry] = structured.entries;
+    const withEntry = (entry) => ({ ...structured, entries: [entry] });
+    const { templateId, messageCount, ...olderEntry } = firstEntry;
+    expect(validateStructuredReport(withEntry(olderEntry)).valid).toBeTruthy();
+    expect(validateStructuredReport(withEntry({ ...firstEntry, templateId: 7, messageCount: 0 })).errors).toEqual([
+        'entries[0].templateId must be a string or null',
+        'entries[0].messageCount must be a positive integer'
+    ]);
+    
+    // Empty runs have the same report shape as normal ones
+    const empty = analyzer._generateEmptyReplyReport();
+    const full = analyzer._generateReport(structured, 2, 3, 1);
+    expect(Object.keys(empty).sort()).toEqual([...Object.keys(full), 'triage', 'replyableEmails'].sort());
+    expect(Object.keys(empty.summary).sort()).toEqual([...Object.keys(full.summary), 'replyableEmails'].sort());
+    expect(empty.triage).toEqual([]);
+    expect(validateStructuredReport(empty.structured).valid).toBeTruthy();
+    
+    const report = analyzer._generateReport(structured, 2, 3, 1);
+    expect(report.summary.categories).toEqual([
+        'Technical Queries & Issues',
+        'Meeting & Scheduling Requests',
+        'General Inquiries & Communications'
+    ]);
+    expect(report.analysis.includes('**Email from dev@example.com**')).toBeTruthy();
+    expect(report.summary.keyInsights.includes('Login failures reported')).toBeTruthy();
+});
+
+// Test Offline Pipeline with Mock AI Provider
+const testMockPipeline = test('Offline Pipeline with Mock AI Provider', async () => {
+    const resolver = new FeedbackResolver({
+        mode: 'file',
+        config: {
+            ai: { provider: 'mock', mock: { record: true } },
+            notifications: {
+                slack: { enabled: false },
+                file: { enabled: false }
+            }
+        }
+    });
+    
+    const result = await resolver.analyze(`From: dev@example.com
+Subject: Login API error
+
+The login API fails with a 500 error since this morning. Can you help?
+
+---
+
+From: deals@example.com
+Subject: Weekly newsletter
+
+Special offer: 50% off, unsubscribe anytime.`);
+    
+    expect(result.emails).toBe(2);
+    expect(result.analysis.summary.relevantEmails).toBe(1);
+    expect(result.analysis.structured.entries[0].category).toBe('technical');
+    expect(resolver.analyzer.backend.calls.map(call => call.stage)).toEqual(['triage', 'triage', 'consolidated']);
+    
+    // Reply detection respects no-reply senders
+    const withReplies = await resolver.analyzer.analyzeWithReplies([
+        { id: 'a', from: 'customer@example.com', subject: 'Refund?', body: 'Could you refund my last invoice?', date: '' },
+        { id: 'b', from: 'noreply@example.com', subject: 'Question?', body: 'Can you help?', date: '' }
+    ]);
+    expect(withReplies.replyableEmails.map(item => item.email.id)).toEqual(['a']);
+});
+
+// Test Mock Backend Rules and Fixture Replay
+const testMockBackendReplay = test('Mock Backend Rules and Fixture Replay', async () => {
+    const testDir = './test-output';
+    const fixturesPath = path.join(testDir, 'test-recording.json');
+    
+    const recorder = new ResponseRecorder(fixturesPath);
+    await recorder.record('recorded prompt', '{"isRelevant": true, "category": "billing"}', 'triage');
+    
+    const backend = new MockBackend({
+        fixtures: fixturesPath,
+        rules: [{ stage: 'triage', match: 'urgent', response: { isRelevant: true, category: 'technical' } }],
+        strict: true
+    });
+    
+    const replayed = await backend.generate({ input: { text: 'recorded prompt' }, stage: 'triage' });
+    expect(JSON.parse(replayed.content).category).toBe('billing');
+    
+    const ruled = await backend.generate({ input: { text: 'This is URGENT' }, stage: 'triage' });
+    expect(JSON.parse(ruled.content).category).toBe('technical');
+    
+    let strictError = null;
+    await backend.generate({ input: { text: 'unknown' }, stage: 'consolidated' }).catch(error => { strictError = error; });
+    expect(strictError).toBeTruthy();
+    
+    // Prompts are only kept when recording is turned on
+    expect(backend.calls.length).toBe(0);
+    
+    // A failed write does not break later recordings
+    const retryPath = path.resolve(testDir, 'test-recording-retry.json');
+    const flaky = new ResponseRecorder(retryPath);
+    await flaky.load();
+    flaky.filePath = path.resolve(fixturesPath, 'nested.json');
+    let writeError = null;
+    await flaky.record('first prompt', '{}', 'triage').catch(error => { writeError = error; });
+    expect(writeError).toBeTruthy();
+    flaky.filePath = retryPath;
+    await flaky.record('second prompt', '{}', 'triage');
+    expect(await new ResponseRecorder(retryPath).lookup('second prompt')).toBe('{}');
+    
+    await fs.rm(testDir, { recursive: true, force: true });
+});
+
+// Test Task Scheduler Concurrency and Retries
+const testTaskScheduler = test('Task Scheduler Concurrency and Retries', async () => {
+    const scheduler = new TaskScheduler({ concurrency: 2, maxRetries: 2, retryBaseDelay: 1 });
+    
+    let running = 0;
+    let maxRunning = 0;
+    const attempts = {};
+    const retries = [];
+    
+    const results = await scheduler.run([1, 2, 3, 4, 5], async (item) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        attempts[item] = (attempts[item] || 0) + 1;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        
+        if (item === 2 && attempts[item] === 1) {
+            throw Object.assign(new Error('Too Many Requests'), { status: 429 });
+        }
+        if (item === 4) {
+            throw Object.assign(new Error('Bad request'), { status: 400 });
+        }
+        return item * 10;
+    }, { onRetry: (event) => retries.push(event) });
+    
+    expect(maxRunning).toBe(2);
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+    expect(results[1].value).toBe(20);
+    expect(attempts[4]).toBe(1); // 4xx errors are not retried
+    expect(retries.length).toBe(1);
+});
+
+// Test Triage Progress Events
+const testTriageProgressEvents = test('Triage Progress Events', async () => {
+    const resolver = new FeedbackResolver({
+        mode: 'file',
+        config: {
+            ai: { provider: 'mock', concurrency: 3 },
+            notifications: { slack: { enabled: false }, file: { enabled: false } }
+        }
+    });
+    
+    const progress = [];
+    resolver.on('triageProgress', (event) => progress.push(event));
+    
+    await resolver.analyze(`From: a@example.com
+Subject: Bug report
+
+The export button throws an error.
+
+---
+
+From: b@example.com
+Subject: Feature idea
+
+It would be great to add support for dark mode.
+
+---
+
+From: c@example.com
+Subject: Meeting
+
+Can we schedule a call next week?`);
+    
+    expect(progress.length).toBe(3);
+    expect(progress[progress.length - 1].completed).toBe(3);
+    expect(progress.every(event => event.stage === 'triage' && event.total === 3)).toBeTruthy();
+});
+
+// Test Token-Aware Chunking
+const testTokenAwareChunking = test('Token-Aware Chunking', async () => {
+    const chunks = chunkByTokenBudget([5, 5, 5, 20, 1, 1, 1], item => item, { maxTokens: 10, maxItems: 2 });
+    expect(chunks).toEqual([[5, 5], [5], [20], [1, 1], [1]]);
+    
+    expect(getModelLimits({ provider: 'openai', model: 'gpt-4-0613' }).contextWindow).toBe(8192);
+    expect(getModelLimits({ provider: 'anthropic', contextWindow: 50000 }).contextWindow).toBe(50000);
+    
+    // A small context window forces the consolidated stage to chunk and merge
+    const backend = new MockBackend({ record: true });
+    const analyzer = new AIAnalyzer({ provider: 'mock', contextWindow: 3000, maxOutputTokens: 1000 }, { backend });
+    const emails = Array.from({ length: 7 }, (_, i) => ({
+        id: `msg-${i}`,
+        from: `user${i}@example.com`,
+        subject: i % 2 ? 'Invoice question' : 'Login error',
+        body: 'Could you help? '.repeat(40)
+    }));
+    
+    const result = await analyzer.analyze(emails);
+    const stages = backend.calls.map(call => call.stage);
+    
+    expect(stages.filter(stage => stage === 'consolidated').length).toBe(4);
+    expect(stages[stages.length - 1]).toBe('merge');
+    expect(result.structured.entries.map(entry => entry.emailId)).toEqual(emails.map(email => email.id));
+    expect(result.structured.insights.includes('7 of 7 messages are business relevant')).toBeTruthy();
+    expect(validateStructuredReport(result.structured).valid).toBeTruthy();
+});
+
+// Create a Gmail-mode resolver with auto-reply, using fakes instead of Gmail APIs
+function createQueueResolver(emails, sentReplies, slackConfig = { enabled: false }) {
+    const resolver = new FeedbackResolver({
+        mode: 'gmail',
+        config: {
+            gmail: { clientId: 'test-client', clientSecret: 'test-secret' },
+            ai: { provider: 'mock' },
+            autoReply: { enabled: true, approvalMode: 'queue', queue: { path: './test-output/reply-queue.json' } },
+            ledger: { path: './test-output/queue-ledger.json' },
+            notifications: { slack: slackConfig, file: { enabled: false } }
+        }
+    });
+    
+    resolver.authenticated = true;
+    resolver.processor = { process: async () => emails };
+    resolver.replySender = {
+        sendBatch: async (repliesData) => {
+            sentReplies.push(...repliesData.map(({ email, replyContent }) => ({ id: email.id, replyContent })));
+            return {
+                sent: repliesData.map(({ email }) => ({ success: true, messageId: `sent-${email.id}`, originalEmail: email })),
+                failed: [],
+                total: repliesData.length
+            };
+        }
+    };
+    
+    return resolver;
+}
+
+// Test API Server Routes
+const testApiServer = test('API Server Routes', async () => {
+    const resolver = new FeedbackResolver({
+        mode: 'file',
+        config: {
+            ai: { provider: 'mock' },
+            notifications: { slack: { enabled: false }, file: { enabled: false } }
+        }
+    });
+    const server = new ApiServer(resolver, { port: 0, apiKey: 'secret', reportsDir: './test-output/reports' });
+    const { url } = await server.start();
+    const headers = { 'Content-Type': 'application/json', Authorization: 'Bearer secret' };
+    
+    try {
+        const health = await (await fetch(`${url}/health`)).json();
+        expect(health.status).toBe('ok');
+        
+        const unauthorized = await fetch(`${url}/reports`);
+        expect(unauthorized.status).toBe(401);
+        
+        const reviewPage = await fetch(`${url}/ui`);
+        expect(reviewPage.headers.get('content-type').startsWith('text/html')).toBeTruthy();
+        
+        const analyzed = await fetch(`${url}/analyze`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ input: 'From: dev@example.com\nSubject: Login error\n\nThe login page throws an error.' })
+        });
+        expect(analyzed.status).toBe(201);
+        const { report } = await analyzed.json();
+        
+        const { reports } = await (await fetch(`${url}/reports`, { headers })).json();
+        expect(reports.map(r => r.id)).toEqual([report.id]);
+        
+        const stored = await (await fetch(`${url}/reports/${report.id}`, { headers })).json();
+        expect(stored.analysis.structured.entries.length).toBe(1);
+        
+        const missing = await fetch(`${url}/reports/does-not-exist`, { headers });
+        expect(missing.status).toBe(404);
+        
+        const malformed = await fetch(`${url}/analyze`, { method: 'POST', headers, body: '{"input": ' });
+        expect(malformed.status).toBe(400);
+        expect((await malformed.json()).error).toBe('Request body must be valid JSON');
+        
+        // Reply content must be text, so it cannot break the reply senders later
+        const numericApproval = await fetch(`${url}/pending-replies/q-1/approve`, { method: 'POST', headers, body: JSON.stringify({ replyContent: 123 }) });
+        expect(numericApproval.status).toBe(400);
+        const objectEdit = await fetch(`${url}/pending-replies/q-1`, { method: 'PUT', headers, body: JSON.stringify({ replyContent: { text: 'Hi' } }) });
+        expect(objectEdit.status).toBe(400);
+        
+        // File mode without auto-reply has no reply queue
+        const noQueue = await fetch(`${url}/pending-replies`, { headers });
+        expect(noQueue.status).toBe(409);
+    } finally {
+        await server.stop();
+        await fs.rm('./test-output/reports', { recursive: true, force: true });
+    }
+});
+
+// Test Queued Reply Approval
+const testQueuedReplyApproval = test('Queued Reply Approval', async () => {
+    const emails = [
+        { id: 'q-1', threadId: 't-1', messageIds: ['q-0', 'q-1'], from: 'alice@example.com', subject: 'Login issue', body: 'Could you help? I cannot log in.' },
+        { id: 'q-2', threadId: 't-2', from: 'bob@example.com', subject: 'Refund', body: 'Can you process a refund please?' },
+        { id: 'q-3', threadId: 't-3', from: 'carol@example.com', subject: 'Schedule', body: 'Can we schedule a demo?' }
+    ];
+    const sentReplies = [];
+    const relabeled = [];
+    const resolver = createQueueResolver(emails, sentReplies);
+    resolver.processor.applyTriageActions = async () => ({ modified: 0 });
+    resolver.processor.applyReplyActions = async (ids) => {
+        relabeled.push(...ids);
+        return { modified: ids.length };
+    };
+    
+    try {
+        const result = await resolver.analyzeAndReply();
+        expect(result.analysis.summary.queuedReplies).toBe(3);
+        expect(sentReplies.length).toBe(0);
+        
+        const pending = await resolver.getQueuedReplies({ status: 'pending' });
+        expect(pending.map(item => item.id)).toEqual(['q-1', 'q-2', 'q-3']);
+        
+        await resolver.editReply('q-1', 'Edited reply');
+        const approved = await resolver.approveReply('q-1');
+        expect(approved.status).toBe('approved');
+        expect(sentReplies.length).toBe(0); // sent on the next delivery tick
+        
+        const delivery = await resolver.sendApprovedReplies();
+        expect(delivery.sent.length).toBe(1);
+        expect(sentReplies).toEqual([{ id: 'q-1', replyContent: 'Edited reply' }]);
+        expect((await resolver.replyQueue.get('q-1')).status).toBe('sent');
+        // Every message of the answered conversation moves to replied
+        expect(relabeled).toEqual(['q-0', 'q-1']);
+        
+        const skipped = await resolver.skipReply('q-3');
+        expect(skipped.status).toBe('skipped');
+        
+        const rejected = await resolver.rejectReply('q-2', { reason: 'Handled by phone' });
+        expect(rejected.reason).toBe('Handled by phone');
+        
+        const ledgerEntries = await resolver.ledger.list();
+        expect(ledgerEntries.find(entry => entry.messageId === 'q-2').replyStatus).toBe('skipped');
+        
+        let error = null;
+        try {
+            await resolver.approveReply('q-2');
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toBe('Reply q-2 is already rejected');
+        expect(error.status).toBe(409);
+        
+        // Saves replace the file in one step and leave no temp files behind
+        expect((await fs.readdir('./test-output')).filter(name => name.startsWith('reply-queue.json.'))).toEqual([]);
+        
+        // A corrupt queue file is reported instead of being replaced by an empty queue
+        const corrupt = '{"version": 1, "replies": {"q-1": ';
+        await fs.writeFile('./test-output/reply-queue.json', corrupt);
+        const reopened = createQueueResolver(emails, sentReplies);
+        let loadError = null;
+        try {
+            await reopened.getQueuedReplies();
+        } catch (e) {
+            loadError = e;
+        }
+        expect(loadError.message.startsWith('Failed to read reply queue')).toBeTruthy();
+        expect(await fs.readFile('./test-output/reply-queue.json', 'utf8')).toBe(corrupt);
+    } finally {
+        await fs.rm('./test-output/reply-queue.json', { force: true });
+        await fs.rm('./test-output/queue-ledger.json', { force: true });
+    }
+});
+
+// Test Slack Interactive Approvals
+const testSlackInteractiveApprovals = test('Slack Interactive Approvals', async () => {
+    const emails = [
+        { id: 'q-1', threadId: 't-1', from: 'alice@example.com', subject: 'Login issue', body: 'Could you help? I cannot log in.' },
+        { id: 'q-2', threadId: 't-2', from: 'bob@example.com', subject: 'Refund', body: 'Can you process a refund please?' },
+        { id: 'q-3', threadId: 't-3', from: 'carol@example.com', subject: 'Export', body: 'Can you help with exports?' },
+        { id: 'q-4', threadId: 't-4', from: 'dan@example.com', subject: 'Billing', body: 'Could you resend my invoice?' }
+    ];
+    const sentReplies = [];
+    const resolver = createQueueResolver(emails, sentReplies, {
+        enabled: false,
+        interactiveApprovals: true,
+        signingSecret: 'signing-secret',
+        botToken: 'xoxb-test',
+        channel: 'C123'
+    });
+    
+    const slackCalls = [];
+    resolver.slackApproval.client = {
+        postMessage: async (message) => slackCalls.push({ method: 'postMessage', message }),
+        updateMessage: async (message) => slackCalls.push({ method: 'updateMessage', message }),
+        openView: async (triggerId, view) => slackCalls.push({ method: 'openView', view })
+    };
+    
+    const server = new ApiServer(resolver, { port: 0, reportsDir: './test-output/reports' });
+    const { url } = await server.start();
+    
+    const postInteraction = (payload, secret = 'signing-secret') => {
+        const rawBody = `payload=${encodeURIComponent(typeof payload === 'string' ? payload : JSON.stringify(payload))}`;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = `v0=${createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+        return fetch(`${url}/slack/interactions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Slack-Request-Timestamp': timestamp,
+                'X-Slack-Signature': signature
+            },
+            body: rawBody
+        });
+    };
+    const buttonPayload = (actionId, id) => ({
+        type: 'block_actions',
+        user: { id: 'U1' },
+        trigger_id: 'trigger-1',
+        channel: { id: 'C123' },
+        message: { ts: '111.222' },
+        actions: [{ action_id: actionId, value: id }]
+    });
+    
+    try {
+        await resolver.analyzeAndReply();
+        const posted = slackCalls.filter(call => call.method === 'postMessage');
+        expect(posted.length).toBe(4);
+        const buttons = posted[0].message.blocks.find(block => block.type === 'actions').elements;
+        expect(buttons.map(button => button.action_id)).toEqual(['approve_reply', 'edit_reply', 'skip_reply']);
+        
+        // Email and model text cannot ping the channel or add links
+        const hostile = resolver.slackApproval._buildApprovalBlocks({
+            id: 'h-1',
+            email: { from: 'Mallory <m@evil.test>', subject: '<!channel> urgent', body: 'Click <https://evil.test|here>' },
+            suggestedReply: 'See <https://evil.test>',
+            replyReason: '<!here> asked'
+        });
+        const hostileText = JSON.stringify(hostile);
+        expect(hostileText.includes('<!channel>') || hostileText.includes('<!here>') || hostileText.includes('<https://evil.test')).toBeFalsy();
+        expect(hostile[0].text.text.includes('&lt;!channel&gt; urgent')).toBeTruthy();
+        
+        const forged = await postInteraction(buttonPayload('approve_reply', 'q-1'), 'wrong-secret');
+        expect(forged.status).toBe(401);
+        
+        const malformed = await postInteraction('{"type": ');
+        expect(malformed.status).toBe(400);
+        
+        // Only the clicked reply is sent, not other approved replies waiting for delivery
+        await resolver.approveReply('q-4');
+        const approve = await postInteraction(buttonPayload('approve_reply', 'q-1'));
+        expect(approve.status).toBe(200);
+        await resolver.slackApproval.idle();
+        expect(sentReplies.map(reply => reply.id)).toEqual(['q-1']);
+        expect((await resolver.replyQueue.get('q-4')).status).toBe('approved');
+        
+        await postInteraction(buttonPayload('edit_reply', 'q-2'));
+        const modal = slackCalls.find(call => call.method === 'openView').view;
+        expect(modal.blocks[0].element.initial_value.length > 0).toBeTruthy();
+        
+        await postInteraction({
+            type: 'view_submission',
+            user: { id: 'U1' },
+            view: {
+                callback_id: modal.callback_id,
+                private_metadata: modal.private_metadata,
+                state: { values: { reply_input: { reply_text: { value: 'Edited in Slack' } } } }
+            }
+        });
+        await resolver.slackApproval.idle();
+        expect(sentReplies[1]).toEqual({ id: 'q-2', replyContent: 'Edited in Slack' });
+        
+        // Edit submissions with unreadable metadata are acknowledged and ignored
+        const badMetadata = await postInteraction({
+            type: 'view_submission',
+            user: { id: 'U1' },
+            view: {
+                callback_id: modal.callback_id,
+                private_metadata: '{"id": ',
+                state: { values: { reply_input: { reply_text: { value: 'Lost edit' } } } }
+            }
+        });
+        expect(badMetadata.status).toBe(200);
+        await resolver.slackApproval.idle();
+        expect(sentReplies.length).toBe(2);
+        
+        // A plugin veto is reported as such, not as a failed send
+        resolver.use({ name: 'no-exports', beforeSend: (reply) => reply.email.id !== 'q-3' });
+        await postInteraction(buttonPayload('approve_reply', 'q-3'));
+        await resolver.slackApproval.idle();
+        expect(sentReplies.length).toBe(2);
+        
+        const updates = slackCalls.filter(call => call.method === 'updateMessage');
+        expect(updates.length).toBe(3);
+        expect(updates[0].message.blocks.some(block => block.type === 'actions')).toBeFalsy();
+        expect(JSON.stringify(updates[0].message.blocks).includes('Approved by <@U1> and sent')).toBeTruthy();
+        expect(JSON.stringify(updates[2].message.blocks).includes('not sent: Vetoed by plugin no-exports')).toBeTruthy();
+        
+        expect(verifySlackSignature({ signingSecret: 's', timestamp: '1', signature: 'v0=abc', rawBody: '' })).toBeFalsy();
+    } finally {
+        await server.stop();
+        await fs.rm('./test-output/reply-queue.json', { force: true });
+        await fs.rm('./test-output/queue-ledger.json', { force: true });
+    }
+});
+
+// Test Slack Block Kit Threaded Report
+const testSlackBlockKitReport = test('Slack Block Kit Threaded Report', async () => {
+    const notifier = new SlackNotifier({ enabled: true, botToken: 'xoxb-test', channel: 'C123', postInterval: 0 });
+    const posted = [];
+    notifier.client = {
+        postMessage: async (message) => {
+            posted.push(message);
+            return { ok: true, channel: 'C123', ts: '100.1' };
+        }
+    };
+    
+    const entries = Array.from({ length: 30 }, (_, i) => createReportEntry({
+        emailId: `m${i}`,
+        sender: `user${i}@example.com`,
+        subject: `Bug ${i}`,
+        category: 'technical',
+        relevant: true,
+        analysis: 'Crash on save <script>',
+        suggestedReply: i === 0 ? 'Thanks!\n'.repeat(600) : null,
+        confidence: 0.9
+    }));
+    entries.push(createReportEntry({ emailId: 'b1', sender: 'ops@example.com', subject: 'Invoice', category: 'billing', relevant: true, analysis: 'Wrong amount' }));
+    
+    const result = await notifier.send({
+        timestamp: new Date().toISOString(),
+        summary: { totalEmails: 31, relevantEmails: 31, categories: ['Technical', 'Billing'], keyInsights: ['Crashes are trending'] },
+        structured: createStructuredReport(entries, ['Crashes are trending'])
+    });
+    
+    expect(result.success).toBeTruthy();
+    expect(posted[0].thread_ts).toBe(undefined);
+    expect(posted.slice(1).every(message => message.thread_ts === '100.1')).toBeTruthy();
+    expect(posted.every(message => message.blocks.length <= 50)).toBeTruthy();
+    
+    const sectionTexts = posted.flatMap(message => message.blocks).filter(block => block.text).map(block => block.text.text);
+    expect(sectionTexts.every(text => text.length <= 3000)).toBeTruthy();
+    expect(sectionTexts.some(text => text.includes('&lt;script&gt;'))).toBeTruthy();
+    
+    // 30 technical entries need two messages; the 4800-character reply is split into two sections
+    const headers = posted.map(message => message.blocks[0]).filter(block => block.type === 'header').map(block => block.text.text);
+    expect(headers.slice(1)).toEqual(['Technical Queries & Issues (30)', 'Service & Billing Changes (1)']);
+    expect(posted.filter(message => message.text === 'Technical Queries & Issues (continued)').length).toBe(1);
+    const replyMessage = posted.find(message => message.text === 'Suggested reply to user0@example.com');
+    expect(replyMessage.blocks.length).toBe(3);
+});
+
+// Test Teams and Generic Webhook Notifiers
+const testTeamsAndWebhookNotifiers = test('Teams and Generic Webhook Notifiers', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ url: req.url, headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+    
+    try {
+        const entries = Array.from({ length: 200 }, (_, i) => createReportEntry({
+            emailId: `m${i}`,
+            sender: `user${i}@example.com`,
+            subject: `Bug ${i}`,
+            category: 'technical',
+            relevant: true,
+            analysis: 'Crash on save. '.repeat(40),
+            suggestedReply: 'Thanks, we are looking into it.'
+        }));
+        const analysisResult = {
+            timestamp: new Date().toISOString(),
+            summary: { totalEmails: 200, relevantEmails: 200, categories: ['Technical'], keyInsights: ['Crashes are trending'] },
+            structured: createStructuredReport(entries, ['Crashes are trending']),
+            analysis: '# Report'
+        };
+        
+        // Teams: Adaptive Card, trimmed to stay under the payload limit
+        const teams = new TeamsNotifier({ webhookUrl: `${baseUrl}/teams` });
+        expect((await teams.send(analysisResult)).success).toBeTruthy();
+        const teamsRequest = received.find(request => request.url === '/teams');
+        const message = JSON.parse(teamsRequest.body);
+        expect(message.attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+        expect(message.attachments[0].content.type).toBe('AdaptiveCard');
+        expect(Buffer.byteLength(teamsRequest.body) <= 28 * 1024).toBeTruthy();
+        const lastBlock = message.attachments[0].content.body.at(-1);
+        expect(lastBlock.text.includes('more emails')).toBeTruthy();
+        
+        // Webhook: report JSON with custom headers and an HMAC signature over timestamp + raw body
+        const webhook = new GenericWebhookNotifier({ url: `${baseUrl}/hook?token=abc`, secret: 'shh', headers: { 'X-Tenant': 'acme' } });
+        expect((await webhook.send(analysisResult)).success).toBeTruthy();
+        const hookRequest = received.find(request => request.url.startsWith('/hook'));
+        const payload = JSON.parse(hookRequest.body);
+        expect(payload.event).toBe('analysis.completed');
+        expect(payload.report.entries.length).toBe(200);
+        expect(payload.markdown).toBe(undefined);
+        expect(hookRequest.headers['x-tenant']).toBe('acme');
+        const timestamp = hookRequest.headers['x-feedbackresolver-timestamp'];
+        const expected = `sha256=${createHmac('sha256', 'shh').update(`${timestamp}.${hookRequest.body}`).digest('hex')}`;
+        expect(hookRequest.headers['x-feedbackresolver-signature']).toBe(expected);
+        expect(webhook.getConfig().url.includes('token')).toBeFalsy();
+        
+        // Failures are reported, not thrown
+        const failing = new GenericWebhookNotifier({ url: 'http://127.0.0.1:1/unreachable', timeout: 2000 });
+        expect((await failing.send(analysisResult)).success).toBeFalsy();
+        
+        // Both are wired through config.notifications
+        const resolver = new FeedbackResolver({
+            mode: 'file',
+            config: {
+                ai: { provider: 'mock' },
+                notifications: {
+                    teams: { enabled: true, webhookUrl: `${baseUrl}/teams` },
+                    webhook: { enabled: true, url: `${baseUrl}/hook` },
+                    file: { enabled: false }
+                },
+                ledger: { enabled: false }
+            }
+        });
+        const types = resolver.notifiers.map(notifier => notifier.constructor.name);
+        expect(types.includes('TeamsNotifier') && types.includes('GenericWebhookNotifier')).toBeTruthy();
+        
+        let validationError = null;
+        try {
+            ConfigValidator.validate('file', { ai: { provider: 'mock' }, notifications: { webhook: { enabled: true, headers: { 'X-Count': 1 } } } });
+        } catch (error) {
+            validationError = error.message;
+        }
+        expect(validationError.includes('url is missing')).toBeTruthy();
+        expect(validationError.includes('headers must be an object of string values')).toBeTruthy();
+    } finally {
+        await new Promise(resolve => receiver.close(resolve));
+    }
+});
+
+// Test Component Registry
+const testComponentRegistry = test('Component Registry', async () => {
+    const registry = createDefaultRegistry();
+    const delivered = [];
+    
+    registry.registerProcessor('inline', (config) => ({
+        process: async () => config.messages.map((body, i) => ({ id: `inline-${i}`, from: 'user@example.com', subject: 'Inline', body }))
+    }));
+    registry.registerNotifier('memory', (config) => ({
+        send: async (analysis) => {
+            delivered.push({ label: config.label, analysis });
+            return { success: true, message: 'stored' };
+        }
+    }));
+    
+    const resolver = new FeedbackResolver({
+        mode: 'inline',
+        registry,
+        config: {
+            inline: { messages: ['The export button crashes the app', 'Please add dark mode'] },
+            ai: { provider: 'mock' },
+            notifications: [
+                { type: 'memory', label: 'first' },
+                { type: 'memory', label: 'second' },
+                { type: 'file', enabled: false }
+            ]
+        }
+    });
+    
+    expect(resolver.notifiers.length).toBe(2);
+    const result = await resolver.analyze();
+    expect(result.emails).toBe(2);
+    expect(delivered.map(entry => entry.label)).toEqual(['first', 'second']);
+    expect(delivered[0].analysis.summary.totalEmails).toBe(2);
+    
+    // Object-form notifications still create the file notifier as a backup
+    const legacy = new FeedbackResolver({ mode: 'file', registry, config: { ai: { provider: 'mock' } } });
+    expect(legacy.notifiers.map(notifier => notifier.constructor.name)).toEqual(['FileNotifier']);
+    
+    const errorOf = (fn) => {
+        try {
+            fn();
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+    
+    expect(errorOf(() => registry.registerNotifier('memory', () => ({}))).includes('already registered')).toBeTruthy();
+    expect(errorOf(() => registry.registerNotifier('memory', () => ({ send: async () => ({}) }), { override: true }))).toBe(null);
+    expect(errorOf(() => registry.create('notifier', 'discord', {})).includes('Unknown notifier type: discord')).toBeTruthy();
+    registry.registerNotifier('broken', () => ({}));
+    expect(errorOf(() => registry.create('notifier', 'broken', {}))).toBe('notifier "broken" must implement send()');
+    expect(errorOf(() => new FeedbackResolver({ mode: 'pop3', registry, config: { ai: { provider: 'mock' } } })).includes('Unsupported mode: pop3')).toBeTruthy();
+    expect(errorOf(() => new FeedbackResolver({ mode: 'file', registry, config: { ai: { provider: 'mock' }, notifications: [{ url: 'https://example.com' }] } }))
+        .includes('Notification entry 0 must have a type')).toBeTruthy();
+});
+
+// Test Plugin Lifecycle Hooks
+const testPluginLifecycleHooks = test('Plugin Lifecycle Hooks', async () => {
+    const resolver = new FeedbackResolver({
+        mode: 'file',
+        config: { ai: { provider: 'mock' }, notifications: { file: { enabled: false } } }
+    });
+    resolver.processor = {
+        process: async (input) => [
+            { id: 'p-1', from: 'alice@example.com', subject: 'Payment failed', body: `${input}: card 4111 1111 1111 1111 was declined` },
+            { id: 'p-2', from: 'news@example.com', subject: 'Weekly newsletter', body: 'Our latest updates' },
+            { id: 'p-3', from: 'bob@example.com', subject: 'Hello', body: 'Just saying hi' }
+        ]
+    };
+    
+    const calls = [];
+    let triagedBodies = [];
+    resolver
+        .use({ name: 'prefix', beforeFetch: (input, context) => { calls.push('beforeFetch'); context.state.runStarted = true; return `[${input}]`; } })
+        // Legacy plugins with process() run as afterFetch
+        .use({ name: 'no-newsletters', process: (emails) => { calls.push('afterFetch'); return emails.filter(email => !email.subject.includes('newsletter')); } })
+        .use({
+            name: 'redact-cards',
+            beforeTriage: (emails) => {
+                calls.push('beforeTriage');
+                return emails.map(email => ({ ...email, body: email.body.replace(/\b\d{4}(?: \d{4}){3}\b/g, '[REDACTED]') }));
+            },
+            afterTriage: (triageResults) => {
+                calls.push('afterTriage');
+                triagedBodies = triageResults.map(result => result.email.body);
+                triageResults.forEach(result => { result.isRelevant = true; });
+            },
+            beforeReport: (analysis, context) => {
+                calls.push('beforeReport');
+                return { ...analysis, enrichedBy: context.state.runStarted ? 'redact-cards' : null };
+            }
+        });
+    
+    const notified = [];
+    resolver.notifiers = [{ send: async (analysis) => { notified.push(analysis); return { success: true }; } }];
+    
+    const result = await resolver.analyze('input');
+    expect(calls).toEqual(['beforeFetch', 'afterFetch', 'beforeTriage', 'afterTriage', 'beforeReport']);
+    expect(result.emails).toBe(2);
+    expect(triagedBodies[0]).toBe('[input]: card [REDACTED] was declined');
+    expect(result.analysis.summary.relevantEmails).toBe(2);
+    expect(notified[0].enrichedBy).toBe('redact-cards');
+    
+    // A failing hook aborts the run instead of letting unfiltered content through
+    resolver.use({ name: 'broken', afterFetch: () => { throw new Error('boom'); } });
+    let error = null;
+    try {
+        await resolver.analyze('input');
+    } catch (e) {
+        error = e;
+    }
+    expect(error.message).toBe('Plugin broken failed in afterFetch: boom');
+    
+    let invalidPluginError = null;
+    try {
+        resolver.use({ name: 'nothing' });
+    } catch (e) {
+        invalidPluginError = e;
+    }
+    expect(invalidPluginError.message.includes('at least one hook')).toBeTruthy();
+    
+    // beforeSend can rewrite or veto replies; vetoed queue items are rejected
+    const emails = [
+        { id: 'v-1', threadId: 't-1', from: 'alice@example.com', subject: 'Login issue', body: 'Could you help? I cannot log in.' },
+        { id: 'v-2', threadId: 't-2', from: 'bob@example.com', subject: 'Refund', body: 'Can you process a refund please?' }
+    ];
+    const sentReplies = [];
+    const queueResolver = createQueueResolver(emails, sentReplies);
+    const afterSend = [];
+    const vetoEvents = [];
+    queueResolver.on('repliesVetoed', (event) => vetoEvents.push(event));
+    queueResolver.use({
+        name: 'refund-guard',
+        beforeSend: (reply) => reply.email.subject === 'Refund' ? false : { ...reply, replyContent: `${reply.replyContent}\n-- Support` },
+        afterSend: (results) => { afterSend.push(results); }
+    });
+    
+    try {
+        await queueResolver.analyzeAndReply();
+        await queueResolver.approveReply('v-1');
+        await queueResolver.approveReply('v-2');
+        const delivery = await queueResolver.sendApprovedReplies();
+        
+        expect(sentReplies.map(reply => reply.id)).toEqual(['v-1']);
+        expect(sentReplies[0].replyContent.endsWith('\n-- Support')).toBeTruthy();
+        expect(delivery.vetoed.length).toBe(1);
+        const vetoed = await queueResolver.replyQueue.get('v-2');
+        expect(vetoed.status).toBe('rejected');
+        expect(vetoed.reason).toBe('Vetoed by plugin refund-guard');
+        expect(vetoEvents[0].vetoed).toEqual([{ id: 'v-2', plugin: 'refund-guard' }]);
+        expect(afterSend[0].sent.length).toBe(1);
+        
+        // afterSend also runs when every approved reply is vetoed
+        queueResolver.config.autoReply.confidenceThreshold = 0.5;
+        queueResolver.processor = { process: async () => [{ ...emails[1], id: 'v-3', threadId: 't-3' }] };
+        const autoResult = await queueResolver.analyzeAndReply({ approvalMode: 'auto' });
+        expect(autoResult.sentReplies.length).toBe(0);
+        expect(afterSend.length).toBe(2);
+        expect(afterSend[1].sent).toEqual([]);
+        expect(afterSend[1].vetoed.map(({ reply, plugin }) => [reply.email.id, plugin])).toEqual([['v-3', 'refund-guard']]);
+        
+        // Emails dropped in afterFetch are recorded so they are not fetched again
+        const filterResolver = createQueueResolver(emails, []);
+        filterResolver.use({ name: 'no-refunds', afterFetch: (fetched) => fetched.filter(email => email.subject !== 'Refund') });
+        await filterResolver.analyze();
+        const ledger = await filterResolver.ledger.load();
+        expect(ledger['v-1'].replyStatus).toBe('none');
+        expect(ledger['v-2'].replyStatus).toBe('filtered');
+    } finally {
+        await fs.rm('./test-output/reply-queue.json', { force: true });
+        await fs.rm('./test-output/queue-ledger.json', { force: true });
+    }
+});
+
+/**
+ * In-memory IMAP stand-in implementing the subset of the ImapFlow client that ImapProcessor uses
+ */
+class FakeImapClient {
+    constructor(messages) {
+        this.messages = messages; // [{ uid, source, seen }]
+        this.mailbox = { uidValidity: 7, exists: messages.length };
+        this.flagged = [];
+        this.loggedOut = false;
+    }
+    
+    async connect() {}
+    
+    async getMailboxLock() {
+        return { release: () => {} };
+    }
+    
+    async search(criteria) {
+        return this.messages.filter(message => criteria.seen === undefined || message.seen === criteria.seen).map(message => message.uid);
+    }
+    
+    async *fetch(uids, query) {
+        for (const message of this.messages.filter(message => uids.includes(message.uid))) {
+            const messageId = message.source.match(/^Message-ID: (.+)$/m)?.[1] || null;
+            yield {
+                uid: message.uid,
+                ...(query.envelope && { envelope: { messageId } }),
+                ...(query.source && { source: Buffer.from(message.source), internalDate: new Date('2024-01-02T10:00:00Z') })
+            };
+        }
+    }
+    
+    async messageFlagsAdd(uids, flags) {
+        this.flagged.push({ uids, flags });
+        this.messages.filter(message => uids.includes(message.uid)).forEach(message => { message.seen = true; });
+    }
+    
+    async logout() {
+        this.loggedOut = true;
+    }
+}
+
+// Test IMAP Processor
+const testImapProcessor = test('IMAP Processor', async () => {
+    const rawMessage = (uid, headers, body) => [
+        'From: "Alice Smith" <alice@example.com>',
+        'To: support@example.com',
+        `Subject: Message ${uid}`,
+        'Date: Tue, 02 Jan 2024 10:00:00 +0000',
+        ...headers,
+        'MIME-Version: 1.0',
+        '',
+        body
+    ].join('\r\n');
+    
+    const fake = new FakeImapClient([
+        { uid: 11, seen: false, source: rawMessage(11, ['Message-ID: <m11@example.com>', 'Content-Type: text/plain; charset=utf-8'], 'The export keeps failing.\r\n\r\n-- \r\nAlice') },
+        { uid: 12, seen: false, source: rawMessage(12, ['Message-ID: <m12@example.com>', 'In-Reply-To: <root@example.com>', 'References: <root@example.com> <m11@example.com>', 'Content-Type: text/html; charset=utf-8'], '<p>Any <b>update</b> on this?</p>') },
+        { uid: 13, seen: true, source: rawMessage(13, ['Message-ID: <m13@example.com>'], 'Already read') },
+        { uid: 14, seen: false, source: rawMessage(14, ['Content-Type: text/plain'], 'No message id here') }
+    ]);
+    let clientConfig = null;
+    const ledger = new ProcessedLedger({ path: './test-output/imap-ledger.json' });
+    const processor = new ImapProcessor(
+        { host: 'imap.example.com', auth: { user: 'support@example.com', pass: 'secret' }, maxResults: 2, markSeen: true },
+        ledger,
+        { createClient: (config) => { clientConfig = config; return fake; } }
+    );
+    
+    try {
+        await ledger.recordTriage([{ id: '<m11@example.com>', subject: 'Message 11', isRelevant: true }]);
+        
+        const emails = await processor.process();
+        expect(clientConfig.host).toBe('imap.example.com');
+        expect(clientConfig.port).toBe(993);
+        expect(emails.map(email => email.id)).toEqual(['imap-INBOX-7-14', '<m12@example.com>']);
+        
+        const reply = emails[1];
+        expect(reply.from).toBe('"Alice Smith" <alice@example.com>');
+        expect(reply.subject).toBe('Message 12');
+        expect(reply.body).toBe('Any update on this?');
+        expect(reply.snippet).toBe('Any update on this?');
+        expect(reply.threadId).toBe('<root@example.com>');
+        expect(reply.date).toBe('Tue, 02 Jan 2024 10:00:00 GMT');
+        
+        // Fetching never flags messages, and the connection is always closed
+        expect(fake.flagged.length).toBe(0);
+        expect(fake.loggedOut).toBeTruthy();
+        
+        // With markSeen, messages are flagged only after their analysis is recorded
+        const resolver = new FeedbackResolver({
+            mode: 'imap',
+            config: {
+                imap: { host: 'imap.example.com', auth: { user: 'support@example.com', pass: 'secret' }, markSeen: true },
+                ai: { provider: 'mock' },
+                ledger: { path: './test-output/imap-ledger.json' },
+                notifications: { slack: { enabled: false }, file: { enabled: false } }
+            }
+        });
+        resolver.processor = processor;
+        resolver.ledger = ledger;
+        
+        const analyze = resolver.analyzer.analyze;
+        resolver.analyzer.analyze = async () => {
+            throw new Error('AI provider unavailable');
+        };
+        let analysisError = null;
+        try {
+            await resolver.analyze();
+        } catch (error) {
+            analysisError = error;
+        }
+        expect(analysisError.message.includes('AI provider unavailable')).toBeTruthy();
+        expect(fake.flagged.length).toBe(0);
+        expect(fake.messages.find(message => message.uid === 12).seen).toBe(false);
+        
+        resolver.analyzer.analyze = analyze;
+        await resolver.analyze();
+        expect(fake.flagged[0].uids).toEqual([14, 12]);
+        expect(fake.flagged[0].flags).toEqual(['\\Seen']);
+        expect(await ledger.has('<m12@example.com>')).toBeTruthy();
+        
+        // Only the ledger-processed message is left unseen
+        const next = await processor.process();
+        expect(next.length).toBe(0);
+        
+        await processor.markAsSeen([{ uid: 11 }]);
+        expect(fake.messages.find(message => message.uid === 11).seen).toBe(true);
+        
+        const connection = await processor.testConnection();
+        expect(connection.success).toBeTruthy();
+        expect(connection.messages).toBe(4);
+        
+        let validationError = null;
+        try {
+            ConfigValidator.validate('imap', { ai: { provider: 'mock' }, imap: { auth: { user: 'support@example.com' } } });
+        } catch (error) {
+            validationError = error.message;
+        }
+        expect(validationError.includes('IMAP config missing required field: host')).toBeTruthy();
+        expect(validationError.includes('auth.pass')).toBeTruthy();
+    } finally {
+        await fs.rm('./test-output/imap-ledger.json', { force: true });
+    }
+});
+
+// Minimal SMTP server that accepts every message and keeps the raw DATA
+function startSmtpSink() {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let inData = false;
+        
+        socket.write('220 localhost ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString();
+            
+            while (true) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+                    messages.push(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    socket.write('250 OK queued\r\n');
+                    continue;
+                }
+                
+                const lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd === -1) return;
+                const command = buffer.slice(0, lineEnd).toUpperCase();
+                buffer = buffer.slice(lineEnd + 2);
+                
+                if (command.startsWith('DATA')) {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command.startsWith('QUIT')) {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, messages }));
+    });
+}
+
+// Test SMTP Reply Sender
+const testSmtpReplySender = test('SMTP Reply Sender', async () => {
+    const { server, port, messages } = await startSmtpSink();
+    const sender = new SmtpReplySender({ host: '127.0.0.1', port, from: 'Support <support@example.com>', delay: 0 });
+    
+    try {
+        expect(sender.config.secure).toBe(false);
+        
+        const results = await sender.sendBatch([
+            {
+                email: { id: '<m12@example.com>', from: '"Alice Smith" <alice@example.com>', subject: 'Export failing', references: ['<root@example.com>'], threadId: '<root@example.com>' },
+                replyContent: 'We are looking into the export.'
+            },
+            {
+                email: { id: 'file-1', from: 'bob@example.com', subject: 'Re: Pricing' },
+                replyContent: 'Thanks for asking.'
+            }
+        ]);
+        
+        expect(results.total).toBe(2);
+        expect(results.sent.length).toBe(2);
+        expect(results.sent[0].to).toBe('alice@example.com');
+        expect(results.sent[0].threadId).toBe('<root@example.com>');
+        expect(results.sent[1].subject).toBe('Re: Pricing');
+        
+        // Threading headers only when the original has a real Message-ID
+        expect(/^In-Reply-To: <m12@example\.com>$/m.test(messages[0])).toBeTruthy();
+        expect(/^References: <root@example\.com> <m12@example\.com>$/m.test(messages[0])).toBeTruthy();
+        expect(/^Subject: Re: Export failing$/m.test(messages[0])).toBeTruthy();
+        expect(/^In-Reply-To:/m.test(messages[1])).toBeFalsy();
+        
+        // Non-Gmail modes use the SMTP sender for auto-reply
+        const resolver = new FeedbackResolver({
+            mode: 'file',
+            config: {
+                ai: { provider: 'mock' },
+                smtp: { host: '127.0.0.1', port, auth: { user: 'support@example.com', pass: 'secret' } },
+                autoReply: { enabled: true, approvalMode: 'queue', queue: { path: './test-output/smtp-queue.json' } },
+                notifications: { slack: { enabled: false }, file: { enabled: false } }
+            }
+        });
+        expect(resolver.replySender).toBeInstanceOf(SmtpReplySender);
+        expect(resolver.replySender.config.from).toBe('support@example.com');
+        resolver.replySender.close();
+        
+        let validationError = null;
+        try {
+            ConfigValidator.validate('file', { ai: { provider: 'mock' }, autoReply: { enabled: true, sender: 'gmail' }, smtp: { host: 'smtp.example.com' } });
+        } catch (error) {
+            validationError = error.message;
+        }
+        expect(validationError.includes('the gmail sender is only available in gmail mode')).toBeTruthy();
+        expect(validationError.includes('from (or auth.user) is required')).toBeTruthy();
+    } finally {
+        sender.close();
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm('./test-output/smtp-queue.json', { force: true });
+    }
+});
+
+// Test Mailbox File Parsing
+const testMailboxFileParsing = test('Mailbox File Parsing', async () => {
+    const mboxPath = './test-output/export.mbox';
+    const mbox = Buffer.concat([
+        Buffer.from([
+            'From alice@example.com Tue Jan  2 10:00:00 2024',
+            'From: =?UTF-8?B?QWxpY2Ugw5xiZXI=?= <alice@example.com>',
+            'Subject: =?ISO-8859-1?Q?Caf=E9_export?=',
+            'Date: Tue, 02 Jan 2024 10:00:00 +0000',
+            'Message-ID: <a1@example.com>',
+            'MIME-Version: 1.0',
+            'Content-Type: multipart/alternative; boundary="b1"',
+            '',
+            '--b1',
+            'Content-Type: text/plain; charset=iso-8859-1',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            ''
+        ].join('\n')),
+        // 8-bit latin1 body bytes, not valid UTF-8
+        Buffer.from('The caf\u00e9 export is broken.\n>From the start it failed.\n', 'latin1'),
+        Buffer.from([
+            '--b1',
+            'Content-Type: text/html; charset=utf-8',
+            '',
+            '<p>The export is broken.</p>',
+            '--b1--',
+            '',
+            'From bob@example.com Wed Jan  3 11:00:00 2024',
+            'From: bob@example.com',
+            'Subject: Re: Export',
+            'Date: Wed, 03 Jan 2024 11:00:00 +0000',
+            'Message-ID: <b2@example.com>',
+            'In-Reply-To: <a1@example.com>',
+            'References: <a1@example.com>',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            Buffer.from('Still broken \u{1F641}').toString('base64'),
+            ''
+        ].join('\n'))
+    ]);
+    
+    try {
+        await fs.writeFile(mboxPath, mbox);
+        const emails = await new FileProcessor({ path: mboxPath }).process();
+        
+        expect(emails.length).toBe(2);
+        expect(emails[0].id).toBe('<a1@example.com>');
+        expect(emails[0].from).toBe('"Alice \u00dcber" <alice@example.com>');
+        expect(emails[0].subject).toBe('Caf\u00e9 export');
+        expect(emails[0].date).toBe('2024-01-02T10:00:00.000Z');
+        expect(emails[0].body).toBe('The caf\u00e9 export is broken.\nFrom the start it failed.');
+        expect(emails[1].body).toBe('Still broken \u{1F641}');
+        
+        // Replies keep the thread of the message they answer
+        expect(emails[1].threadId).toBe('<a1@example.com>');
+        expect(emails[1].references).toEqual(['<a1@example.com>']);
+        
+        // A single message passed as text is detected without an extension
+        const [eml] = await new FileProcessor().process([
+            'From: Carol <carol@example.com>',
+            'Subject: Pricing question',
+            'Message-ID: <c3@example.com>',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: quoted-printable',
+            '',
+            'Is there a discount for non=',
+            'profits?'
+        ].join('\r\n'));
+        expect(eml.from).toBe('"Carol" <carol@example.com>');
+        expect(eml.body).toBe('Is there a discount for nonprofits?');
+        expect(eml.messageId).toBe('<c3@example.com>');
+        
+        // Loose text with From:/Subject: lines still uses the plain text heuristics
+        const [plain] = await new FileProcessor().process('From: Dan\nSubject: Feature idea\n\nPlease add dark mode to the dashboard.');
+        expect(plain.id.startsWith('file_')).toBeTruthy();
+        expect(plain.subject).toBe('Feature idea');
+    } finally {
+        await fs.rm(mboxPath, { force: true });
+    }
+});
+
+// Test Structured Feedback Import
+const testStructuredFeedbackImport = test('Structured Feedback Import', async () => {
+    const csvPath = './test-output/reviews.csv';
+    const fields = { from: 'reviewer', subject: 'title', body: 'review', rating: 'stars', source: 'store', date: 'created' };
+    
+    try {
+        await fs.writeFile(csvPath, [
+            '\uFEFFreviewer,title,review,stars,store,created',
+            'ann@example.com,"Crash, again","It crashes on ""save""',
+            'every time",1,App Store,1704189600',
+            'bob@example.com,,,5,Play Store,',
+            'carol@example.com,Love it,Great app,5,Play Store,2024-01-03'
+        ].join('\r\n'));
+        
+        const emails = await new FileProcessor({ path: csvPath, fields }).process();
+        
+        // Rows without feedback text are skipped
+        expect(emails.length).toBe(2);
+        expect(emails[0].from).toBe('ann@example.com');
+        expect(emails[0].subject).toBe('Crash, again');
+        expect(emails[0].body).toBe('It crashes on "save"\nevery time');
+        expect(emails[0].date).toBe('2024-01-02T10:00:00.000Z');
+        expect(emails[0].metadata.rating).toBe(1);
+        expect(emails[0].metadata.source).toBe('App Store');
+        expect(emails[0].metadata.record.stars).toBe('1');
+        
+        // Metadata reaches the analyzer prompts
+        const analyzer = new AIAnalyzer({ provider: 'mock' });
+        const prompt = analyzer._buildTriageWithReplyPrompt(emails[0]);
+        expect(prompt.includes('Rating: 1\nSource: App Store')).toBeTruthy();
+        expect(analyzer._formatBatchEntry({ ...emails[1], email: emails[1], cleanedMessage: emails[1].body }, 0, 1000).startsWith('[#0] (From: carol@example.com, Rating: 5, Source: Play Store)')).toBeTruthy();
+        
+        // JSON records, passed directly, with nested fields
+        const [review] = await new FileProcessor({ fields: { body: 'text', from: 'user.email', id: 'reviewId' } })
+            .process({ reviews: [{ reviewId: 'r-9', text: 'Needs dark mode', user: { email: 'dan@example.com' }, rating: 4, source: 'survey' }] });
+        expect(review.id).toBe('r-9');
+        expect(review.from).toBe('dan@example.com');
+        expect(review.metadata.rating).toBe(4);
+        expect(review.metadata.source).toBe('survey');
+        
+        let importError = null;
+        try {
+            await new FileProcessor({ format: 'json' }).process('[{"comment": "No body column"}]');
+        } catch (error) {
+            importError = error.message;
+        }
+        expect(importError.includes('Set file.fields.body')).toBeTruthy();
+        
+        let validationError = null;
+        try {
+            ConfigValidator.validate('file', { ai: { provider: 'mock' }, file: { format: 'xlsx', fields: { stars: 'rating' } } });
+        } catch (error) {
+            validationError = error.message;
+        }
+        expect(validationError.includes('format must be one of')).toBeTruthy();
+        expect(validationError.includes('unknown field "stars"')).toBeTruthy();
+    } finally {
+        await fs.rm(csvPath, { force: true });
+    }
+});
+
+// Test Directory Watch Mode
+const testDirectoryWatchMode = test('Directory Watch Mode', async () => {
+    const dropDir = './test-output/drop';
+    const statePath = './test-output/watch-state.json';
+    const resolver = new FeedbackResolver({
+        mode: 'file',
+        config: {
+            ai: { provider: 'mock' },
+            notifications: { slack: { enabled: false }, file: { enabled: false } }
+        }
+    });
+    const runs = [];
+    let failNext = false;
+    const createWatcher = () => new DirectoryWatcher({ directory: dropDir, statePath, settleTime: 0, pollInterval: 0 }, {
+        onBatch: async (files) => {
+            if (failNext) {
+                failNext = false;
+                throw new Error('AI provider unavailable');
+            }
+            resolver.processor.queueFiles(files);
+            const result = await resolver.analyze();
+            runs.push({ files: files.map(file => path.basename(file)), emails: result.emails });
+            return result;
+        }
+    });
+    
+    try {
+        await fs.mkdir(dropDir, { recursive: true });
+        await fs.writeFile(`${dropDir}/survey.csv`, 'email,body\nann@example.com,The export keeps failing\nbob@example.com,Please add SSO\n');
+        await fs.writeFile(`${dropDir}/note.txt`, 'From: carol@example.com\nSubject: Pricing\n\nIs there a discount for nonprofits?');
+        await fs.writeFile(`${dropDir}/.draft.txt`, 'Temporary file that is ignored');
+        // Fixed past modification times, so the scans do not depend on write timing
+        await fs.utimes(`${dropDir}/survey.csv`, new Date(1000000), new Date(1000000));
+        await fs.utimes(`${dropDir}/note.txt`, new Date(1500000), new Date(1500000));
+        
+        const watcher = createWatcher();
+        const first = await watcher.scan();
+        expect(first.processed).toBe(2);
+        expect(runs[0]).toEqual({ files: ['survey.csv', 'note.txt'], emails: 3 });
+        
+        // Nothing new: no run
+        expect((await watcher.scan()).processed).toBe(0);
+        expect(runs.length).toBe(1);
+        
+        // Only the modified file is processed, and a failed batch is retried
+        await fs.appendFile(`${dropDir}/survey.csv`, 'dan@example.com,Dark mode please\n');
+        await fs.utimes(`${dropDir}/survey.csv`, new Date(2000000), new Date(2000000));
+        failNext = true;
+        const failed = await watcher.scan();
+        expect(failed.failed).toBe(1);
+        expect(runs.length).toBe(1);
+        
+        // A new watcher remembers what was processed through the state file
+        const restarted = createWatcher();
+        expect((await restarted.scan()).processed).toBe(1);
+        expect(runs[1]).toEqual({ files: ['survey.csv'], emails: 3 });
+        
+        await restarted.start();
+        await restarted.stop();
+        expect(runs.length).toBe(2);
+    } finally {
+        await fs.rm(dropDir, { recursive: true, force: true });
+        await fs.rm(statePath, { force: true });
+    }
+});
+
+// Gmail API stand-in backed by a simple mailbox description
+function createFakeGmail(mailbox) {
+    const calls = { list: 0, history: 0, modify: [] };
+    const threadOf = (id) => mailbox.threadIds?.[id] || `t-${id}`;
+    const message = (id) => ({
+        id,
+        threadId: threadOf(id),
+        labelIds: mailbox.messageLabels?.[id] || ['INBOX', 'UNREAD'],
+        snippet: '',
+        payload: {
+            headers: [
+                { name: 'From', value: mailbox.senders?.[id] || `customer-${id}@example.com` },
+                { name: 'To', value: mailbox.recipients?.[id] || 'support@example.com' },
+                { name: 'Subject', value: mailbox.subjects?.[id] || `Question ${id}` },
+                ...(mailbox.dates?.[id] ? [{ name: 'Date', value: mailbox.dates[id] }] : [])
+            ],
+            body: { data: Buffer.from(mailbox.bodies?.[id] || `Could you help with ${id}?`).toString('base64') }
+        }
+    });
+    const gmail = {
+        users: {
+            getProfile: async () => ({ data: { emailAddress: 'support@example.com', historyId: mailbox.historyId } }),
+            messages: {
+                batchModify: async ({ requestBody }) => {
+                    calls.modify.push(requestBody);
+                    return { data: {} };
+                },
+                list: async () => {
+                    calls.list++;
+                    return { data: { messages: mailbox.unread.map(id => ({ id, threadId: threadOf(id) })) } };
+                },
+                get: async ({ id }) => ({ data: message(id) })
+            },
+            threads: {
+                get: async ({ id }) => ({ data: { id, messages: (mailbox.threads?.[id] || [id.replace(/^t-/, '')]).map(message) } })
+            },
+            labels: {
+                list: async () => ({ data: { labels: mailbox.labels || [] } }),
+                create: async ({ requestBody }) => {
+                    mailbox.labels = mailbox.labels || [];
+                    const label = { id: `Label_${mailbox.labels.length + 1}`, name: requestBody.name };
+                    mailbox.labels.push(label);
+                    return { data: label };
+                }
+            },
+            history: {
+                list: async () => {
+                    calls.history++;
+                    if (mailbox.expired) {
+                        const error = new Error('Requested entity was not found.');
+                        error.code = 404;
+                        throw error;
+                    }
+                    return {
+                        data: {
+                            historyId: mailbox.historyId,
+                            history: mailbox.added.map(({ id, labelIds }) => ({ messagesAdded: [{ message: { id, threadId: threadOf(id), labelIds } }] }))
+                        }
+                    };
+                }
+            }
+        }
+    };
+    
+    return { gmail, calls };
+}
+
+// Test Gmail History Sync and Push
+const testGmailHistorySync = test('Gmail History Sync and Push', async () => {
+    const historyPath = './test-output/gmail-history.json';
+    const ledgerPath = './test-output/history-ledger.json';
+    const mailbox = { historyId: '100', unread: ['m1', 'm2'], added: [] };
+    const { gmail, calls } = createFakeGmail(mailbox);
+    const resolver = new FeedbackResolver({
+        mode: 'gmail',
+        config: {
+            gmail: { clientId: 'test-client', clientSecret: 'test-secret', targetEmail: 'support@example.com', historySync: true, historyPath },
+            ai: { provider: 'mock' },
+            ledger: { path: ledgerPath },
+            notifications: { slack: { enabled: false }, file: { enabled: false } }
+        }
+    });
+    resolver.authenticated = true;
+    resolver.processor.gmail = gmail;
+    const server = new ApiServer(resolver, { port: 0, gmailPushToken: 'push-secret', reportsDir: './test-output/push-reports' });
+    
+    try {
+        // First run: full query sync, remembering the history position
+        const first = await resolver.analyze();
+        expect(first.emails).toBe(2);
+        expect(JSON.parse(await fs.readFile(historyPath, 'utf8')).historyId).toBe('100');
+        
+        // Later runs only read what was added, without listing the search window again
+        mailbox.historyId = '105';
+        mailbox.added = [
+            { id: 'm3', labelIds: ['INBOX', 'UNREAD'] },
+            { id: 'm4', labelIds: ['SENT'] },
+            { id: 'm5', labelIds: ['INBOX', 'UNREAD'] }
+        ];
+        mailbox.recipients = { m5: 'sales@example.com' };
+        const second = await resolver.analyze();
+        expect(second.emails).toBe(1);
+        expect(second.analysis.triage.map(entry => entry.id)).toEqual(['m3']);
+        expect(calls.list).toBe(1);
+        
+        const state = JSON.parse(await fs.readFile(historyPath, 'utf8'));
+        expect(state.historyId).toBe('105');
+        // Fetched messages stay pending until the ledger confirms their analysis, so a failed run is retried
+        expect(state.pending.map(message => message.id)).toEqual(['m3']);
+        
+        // Push notifications trigger an incremental sync
+        const { url } = await server.start();
+        const notification = Buffer.from(JSON.stringify({ emailAddress: 'support@example.com', historyId: 110 })).toString('base64');
+        const push = (token) => fetch(`${url}/gmail/push?token=${token}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: { data: notification, messageId: '1' }, subscription: 'projects/p/subscriptions/s' })
+        });
+        
+        expect((await push('wrong')).status).toBe(401);
+        
+        mailbox.historyId = '110';
+        mailbox.added = [{ id: 'm6', labelIds: ['INBOX', 'UNREAD'] }];
+        expect((await push('push-secret')).status).toBe(204);
+        await server.pushSync;
+        expect(await resolver.ledger.has('m6')).toBeTruthy();
+        expect((await server.reportStore.list())[0].trigger).toBe('push');
+        
+        // An expired history position falls back to a full sync
+        mailbox.expired = true;
+        mailbox.unread = ['m1', 'm7'];
+        const fallback = await resolver.analyze();
+        expect(fallback.analysis.triage.map(entry => entry.id)).toEqual(['m7']);
+        expect(calls.list).toBe(2);
+    } finally {
+        await server.stop();
+        await fs.rm(historyPath, { force: true });
+        await fs.rm(ledgerPath, { force: true });
+        await fs.rm('./test-output/push-reports', { recursive: true, force: true });
+    }
+});
+
+// Test Gmail Search Filters
+const testGmailSearchFilters = test('Gmail Search Filters', async () => {
+    const filtered = new GmailProcessor({
+        targetEmail: 'support@example.com',
+        daysToSearch: 7,
+        filters: {
+            includeLabels: ['Customer Feedback'],
+            excludeLabels: ['Internal'],
+            excludeCategories: ['promotions', 'social'],
+            fromAllow: ['acme.com', 'partner.io'],
+            fromDeny: ['noreply@acme.com'],
+            subjectKeywords: ['bug', 'feature request']
+        }
+    }, null);
+    expect(filtered.getSearchQuery()).toBe(
+        'is:unread to:support@example.com label:"Customer Feedback" -label:Internal -category:promotions -category:social ' +
+        '{from:acme.com from:partner.io} -from:noreply@acme.com {subject:bug subject:"feature request"} newer_than:7d'
+    );
+    expect(new GmailProcessor({ daysToSearch: 3 }, null).getSearchQuery()).toBe('is:unread newer_than:3d');
+    expect(new GmailProcessor({ rawQuery: 'in:inbox -from:me' }, null).getSearchQuery()).toBe('in:inbox -from:me');
+    
+    const gmailErrors = (gmail) => {
+        try {
+            ConfigValidator.validate('gmail', { ai: { provider: 'mock' }, gmail: { clientId: 'id', clientSecret: 'secret', ...gmail } });
+            return '';
+        } catch (error) {
+            return error.message;
+        }
+    };
+    expect(gmailErrors({ filters: { excludeCategories: ['spam'] } }).includes('unknown categories spam')).toBeTruthy();
+    expect(gmailErrors({ filters: { fromDeny: 'noreply@acme.com' } }).includes('filters.fromDeny must be an array')).toBeTruthy();
+    expect(gmailErrors({ rawQuery: 'in:inbox', historySync: true }).includes('rawQuery cannot be used with historySync')).toBeTruthy();
+    expect(() => new GmailProcessor({ rawQuery: 'in:inbox', historySync: true }, null)).toThrow();
+    expect(gmailErrors({ filters: { unreadOnly: false, excludeCategories: ['promotions'] } })).toBe('');
+    
+    // History sync applies the same filters to newly added mail
+    const historyPath = './test-output/filtered-history.json';
+    const mailbox = {
+        historyId: '200',
+        unread: [],
+        added: [],
+        labels: [{ id: 'Label_7', name: 'Customer Feedback' }, { id: 'INBOX', name: 'INBOX' }],
+        senders: { h2: 'Alerts <noreply@acme.com>', h3: 'Pat <pat@acme.com>', h5: 'Sam <sam@partner.io>' },
+        subjects: { h2: 'Bug digest', h3: 'Feature request: exports', h5: 'Found a bug in search' }
+    };
+    const { gmail } = createFakeGmail(mailbox);
+    const processor = new GmailProcessor({ targetEmail: 'support@example.com', historySync: true, historyPath, filters: filtered.config.filters }, null);
+    processor.gmail = gmail;
+    
+    try {
+        await processor.process();
+        
+        mailbox.historyId = '210';
+        mailbox.added = [
+            { id: 'h1', labelIds: ['INBOX', 'UNREAD', 'Label_7', 'CATEGORY_PROMOTIONS'] },
+            { id: 'h2', labelIds: ['INBOX', 'UNREAD', 'Label_7'] },
+            { id: 'h3', labelIds: ['INBOX', 'UNREAD', 'Label_7'] },
+            { id: 'h4', labelIds: ['INBOX', 'UNREAD'] },
+            { id: 'h5', labelIds: ['INBOX', 'UNREAD', 'Label_7', 'CATEGORY_PERSONAL'] }
+        ];
+        const emails = await processor.process();
+        expect(emails.map(email => email.id)).toEqual(['h3', 'h5']);
+    } finally {
+        await fs.rm(historyPath, { force: true });
+    }
+});
+
+// Test Gmail Label Workflow
+const testGmailLabelWorkflow = test('Gmail Label Workflow', async () => {
+    const mailbox = { historyId: '300', unread: ['w1'], added: [], labels: [{ id: 'Label_1', name: 'feedback/relevant' }] };
+    const { gmail, calls } = createFakeGmail(mailbox);
+    const resolver = new FeedbackResolver({
+        mode: 'gmail',
+        config: {
+            gmail: { clientId: 'test-client', clientSecret: 'test-secret', actions: { enabled: true, markAsRead: true, archiveIrrelevant: true } },
+            ai: { provider: 'mock' },
+            ledger: { enabled: false },
+            notifications: { slack: { enabled: false }, file: { enabled: false } }
+        }
+    });
+    resolver.authenticated = true;
+    resolver.processor.gmail = gmail;
+    expect(resolver.oauthManager.scopes.includes('https://www.googleapis.com/auth/gmail.modify')).toBeTruthy();
+    expect(resolver.oauthManager._hasScopes({ scope: 'https://www.googleapis.com/auth/gmail.readonly https://www.googleapis.com/auth/gmail.send' })).toBeFalsy();
+    
+    // A run labels relevant mail and marks it read, reusing the existing label
+    await resolver.analyze();
+    expect(calls.modify).toEqual([{ ids: ['w1'], addLabelIds: ['Label_1'], removeLabelIds: ['UNREAD'] }]);
+    
+    // Replies decide between replied and needs-human; irrelevant mail is archived; failed triage is left alone
+    calls.modify.length = 0;
+    const processor = resolver.processor;
+    await processor.applyTriageActions([
+        { id: 'a', isRelevant: true, isReplyable: true },
+        { id: 'b', isRelevant: true, isReplyable: true },
+        { id: 'c', isRelevant: false, isReplyable: false },
+        { id: 'd', isRelevant: false, isReplyable: false, error: 'timeout' }
+    ], { replied: ['a'] });
+    const labelId = (name) => mailbox.labels.find(label => label.name === name).id;
+    expect(calls.modify).toEqual([
+        { ids: ['a'], addLabelIds: ['Label_1', labelId('feedback/replied')], removeLabelIds: ['UNREAD'] },
+        { ids: ['b'], addLabelIds: ['Label_1', labelId('feedback/needs-human')], removeLabelIds: ['UNREAD'] },
+        { ids: ['c'], addLabelIds: [], removeLabelIds: ['INBOX', 'UNREAD'] }
+    ]);
+    
+    // Replies sent later from the review queue move the email to replied
+    calls.modify.length = 0;
+    await processor.applyReplyActions(['b']);
+    expect(calls.modify).toEqual([{ ids: ['b'], addLabelIds: [labelId('feedback/replied')], removeLabelIds: [labelId('feedback/needs-human')] }]);
+    
+    // Disabled by default
+    const plain = new GmailProcessor({}, null);
+    expect((await plain.applyTriageActions([{ id: 'x', isRelevant: true }])).modified).toBe(0);
+});
+
+// Test Thread-Aware Analysis
+const testThreadAwareAnalysis = test('Thread-Aware Analysis', async () => {
+    const ledgerPath = './test-output/thread-ledger.json';
+    const customer = 'Dana <dana@customer.com>';
+    const mailbox = {
+        unread: ['r3', 'r2', 'q1'],
+        threadIds: { r1: 'conv', s1: 'conv', r2: 'conv', r3: 'conv' },
+        threads: { conv: ['r1', 's1', 'r2', 'r3'] },
+        messageLabels: { s1: ['SENT'] },
+        senders: { r1: customer, s1: 'Support <support@example.com>', r2: customer, r3: customer },
+        dates: {
+            r1: 'Mon, 5 Oct 2026 09:00:00 +0000',
+            s1: 'Mon, 5 Oct 2026 11:00:00 +0000',
+            r2: 'Wed, 7 Oct 2026 09:00:00 +0000',
+            r3: 'Fri, 9 Oct 2026 09:00:00 +0000'
+        },
+        bodies: {
+            r1: 'The CSV export fails with a timeout. Can you help?',
+            s1: 'Thanks Dana, we are investigating the export timeout.\n\n> The CSV export fails with a timeout.',
+            r2: 'Any update?',
+            r3: 'Still broken today, please advise.'
+        }
+    };
+    const { gmail } = createFakeGmail(mailbox);
+    const resolver = new FeedbackResolver({
+        mode: 'gmail',
+        config: {
+            gmail: { clientId: 'test-client', clientSecret: 'test-secret', threadContext: true },
+            ai: { provider: 'mock' },
+            ledger: { path: ledgerPath },
+            notifications: { slack: { enabled: false }, file: { enabled: false } }
+        }
+    });
+    resolver.authenticated = true;
+    resolver.processor.gmail = gmail;
+    
+    try {
+        // New messages of one thread become a single conversation, analyzed at its latest message
+        const emails = await resolver.processor.process();
+        expect(emails.map(email => email.id)).toEqual(['r3', 'q1']);
+        const conversation = emails[0];
+        expect(conversation.messageIds).toEqual(['r2', 'r3']);
+        expect(conversation.threadHistory.map(message => [message.id, message.fromUs])).toEqual([['r1', false], ['s1', true], ['r2', false]]);
+        expect(conversation.threadHistory[1].body).toBe('Thanks Dana, we are investigating the export timeout.');
+        
+        // Without threadContext every message is analyzed on its own
+        const perMessage = new GmailProcessor({ clientId: 'test-client', clientSecret: 'test-secret' });
+        perMessage.gmail = gmail;
+        expect((await perMessage.process()).map(email => email.id)).toEqual(['r3', 'r2', 'q1']);
+        
+        // Earlier messages, including our reply, go into the triage prompt; the oldest are dropped first
+        const prompt = resolver.analyzer._buildTriageWithReplyPrompt(conversation);
+        expect(prompt.includes('[Us (Support <support@example.com>), Mon, 5 Oct 2026 11:00:00 +0000]')).toBeTruthy();
+        expect(prompt.includes('Any update?')).toBeTruthy();
+        expect(resolver.analyzer._buildTriageWithReplyPrompt(emails[1]).includes('earlier conversation')).toBeFalsy();
+        const trimmed = resolver.analyzer._formatThreadHistory(conversation, 20);
+        expect(trimmed.startsWith('(2 earlier messages not shown)')).toBeTruthy();
+        expect(trimmed.includes('Any update?')).toBeTruthy();
+        
+        // The report has one entry per conversation and the ledger covers every message in it
+        const result = await resolver.analyze();
+        expect(result.emails).toBe(2);
+        const entry = result.analysis.structured.entries.find(item => item.emailId === 'r3');
+        expect(entry.messageCount).toBe(4);
+        expect(result.analysis.analysis.includes('**Conversation:** 4 messages')).toBeTruthy();
+        expect(await resolver.ledger.has('r2')).toBeTruthy();
+        expect(await resolver.ledger.has('r3')).toBeTruthy();
+        expect((await resolver.ledger.load()).r2.replyStatus).toBe('none');
+    } finally {
+        await fs.rm(ledgerPath, { force: true });
+    }
+});
+
+// Test Sender Profile Store
+const testSenderProfiles = test('Sender Profile Store', async () => {
+    const profilesPath = './test-output/sender-profiles.json';
+    
+    try {
+        expect(parseSender('"Dana Lee" <Dana@Customer.com>')).toEqual({ address: 'dana@customer.com', name: 'Dana Lee', domain: 'customer.com' });
+        expect(parseSender('Unknown')).toBe(null);
+        
+        const store = new SenderProfileStore({ path: profilesPath });
+        const triage = [
+            { id: 'p1', from: 'Dana Lee <dana@customer.com>', subject: 'Export fails', isRelevant: true, isReplyable: true, category: 'bug', sentiment: 'negative' },
+            { id: 'p2', from: 'sam@customer.com', subject: 'Pricing', isRelevant: true, isReplyable: false, category: 'billing', sentiment: 'neutral' },
+            { id: 'p3', from: 'Unknown', subject: 'No address', isRelevant: false },
+            { id: 'p4', from: 'lee@gmail.com', subject: 'Timeout', isRelevant: true, error: 'triage failed' }
+        ];
+        const entries = [{ emailId: 'p1', category: 'technical', analysis: 'CSV export times out for large accounts.' }];
+        expect(await store.recordAnalysis(triage, entries)).toBe(2);
+        // Recording the same emails again does not count them twice
+        expect(await store.recordAnalysis(triage, entries)).toBe(0);
+        await store.recordReplies([{ email: { id: 'p1', from: 'Dana Lee <dana@customer.com>' }, replyContent: 'We are on it.' }]);
+        
+        const reloaded = new SenderProfileStore({ path: profilesPath });
+        const dana = await reloaded.getProfile('Dana@customer.com');
+        expect(dana.name).toBe('Dana Lee');
+        expect(dana.categories).toEqual({ technical: 1 });
+        expect(dana.sentiment).toEqual({ positive: 0, neutral: 0, negative: 1 });
+        expect(dana.repliesSent).toBe(1);
+        expect(dana.history[0].reply.excerpt).toBe('We are on it.');
+        
+        const domain = await reloaded.getDomainProfile('@customer.com');
+        expect(domain.senders.length).toBe(2);
+        expect(domain.categories).toEqual({ technical: 1, billing: 1 });
+        
+        // A returning sender's profile is summarized into the reply prompt
+        const resolver = new FeedbackResolver({
+            mode: 'file',
+            config: {
+                ai: { provider: 'mock' },
+                senderProfiles: { enabled: true, path: profilesPath },
+                notifications: { file: { enabled: false } }
+            }
+        });
+        const [email] = await resolver._attachSenderProfiles([{ id: 'p5', from: 'Dana Lee <dana@customer.com>', subject: 'Still failing', date: 'today', body: 'Export still fails.' }]);
+        expect(email.senderProfile.domain).toEqual({ name: 'customer.com', senders: 2, emailCount: 2 });
+        const prompt = resolver.analyzer._buildTriageWithReplyPrompt(email);
+        expect(prompt.includes('What we know about this sender')).toBeTruthy();
+        expect(prompt.includes('"Export fails" (technical): CSV export times out for large accounts. [we replied]')).toBeTruthy();
+        
+        // Analysis runs add to the profile, with sentiment from triage
+        await resolver.analyze('From: Dana Lee <dana@customer.com>\nSubject: Still failing\n\nThe export is still broken, please help.');
+        const updated = await new SenderProfileStore({ path: profilesPath }).getProfile('dana@customer.com');
+        expect(updated.emailCount).toBe(2);
+        expect(updated.sentiment.negative).toBe(2);
+        
+        // An unreadable profiles file is left as it is rather than overwritten
+        await fs.writeFile(profilesPath, '{"senders": ');
+        let loadError = null;
+        try {
+            await new SenderProfileStore({ path: profilesPath }).recordAnalysis(triage, entries);
+        } catch (e) {
+            loadError = e;
+        }
+        expect(loadError.message.startsWith('Failed to read sender profiles')).toBeTruthy();
+        expect(await fs.readFile(profilesPath, 'utf8')).toBe('{"senders": ');
+    } finally {
+        await fs.rm(profilesPath, { force: true });
+    }
+});
+
+// Test Knowledge Base Retrieval
+const testKnowledgeBase = test('Knowledge Base Retrieval', async () => {
+    const kbDir = './test-output/kb';
+    
+    try {
+        await fs.mkdir(path.join(kbDir, 'faq'), { recursive: true });
+        await fs.writeFile(path.join(kbDir, 'exports.md'), [
+            '---', 'title: Exports', '---',
+            '# Exports',
+            'Exports turn account data into files.',
+            '## CSV Export Limits',
+            'CSV exports are limited to 50,000 rows. Larger exports are split into several files and emailed as a zip.',
+            '```', '# not a heading inside a code block', '```',
+            '## PDF Reports',
+            'PDF reports are generated nightly.'
+        ].join('\n'));
+        await fs.writeFile(path.join(kbDir, 'faq', 'billing.md'), '# Billing\n\nInvoices are sent on the first day of each month.');
+        await fs.writeFile(path.join(kbDir, 'notes.json'), '{"ignored": true}');
+        
+        const kb = new KnowledgeBase({ directory: kbDir, refreshInterval: 0 });
+        expect(await kb.load()).toEqual({ documents: 2, passages: 4 });
+        
+        const [best] = await kb.search('My CSV export stops at 50,000 rows');
+        expect(best.source).toBe('exports.md#csv-export-limits');
+        expect(best.title).toBe('Exports › CSV Export Limits');
+        expect(best.text.includes('# not a heading inside a code block')).toBeTruthy();
+        expect((await kb.search('invoice')).length).toBe(0);
+        expect((await kb.search('invoices'))[0].source).toBe('faq/billing.md#billing');
+        
+        // Passages are cited in the reply prompt and the cited sources come back with the reply
+        const citingReply = {
+            stage: 'triage-reply',
+            match: '[KB1] exports.md#csv-export-limits',
+            response: {
+                isRelevant: true,
+                isReplyable: true,
+                category: 'technical',
+                suggestedReply: 'Hello,\n\nCSV exports are limited to 50,000 rows; larger exports arrive as a zip.',
+                replyConfidence: 0.8,
+                // Unknown ids and bracketed or lowercase ids are handled
+                sources: ['[kb1]', 'KB9']
+            }
+        };
+        const resolver = new FeedbackResolver({
+            mode: 'file',
+            config: {
+                ai: { provider: 'mock', mock: { rules: [citingReply], record: true } },
+                knowledgeBase: { directory: kbDir, refreshInterval: 0 },
+                notifications: { file: { enabled: false } }
+            }
+        });
+        const email = { id: 'kb1', from: 'dana@customer.com', subject: 'CSV export', date: 'today', body: 'Can you help? My CSV export only has 50,000 rows.' };
+        const passages = await resolver.analyzer._findPassages(email);
+        const prompt = resolver.analyzer._buildTriageWithReplyPrompt(email, passages);
+        expect(prompt.includes('[KB1] exports.md#csv-export-limits (Exports › CSV Export Limits)')).toBeTruthy();
+        expect(prompt.includes('"sources"')).toBeTruthy();
+        expect(resolver.analyzer._buildTriageWithReplyPrompt(email).includes('Knowledge base passages')).toBeFalsy();
+        
+        const triage = await resolver.analyzer._triageEmailWithReply(email);
+        const [call] = resolver.analyzer.backend.calls;
+        expect(call.stage).toBe('triage-reply');
+        expect(call.prompt.includes('CSV exports are limited to 50,000 rows.')).toBeTruthy();
+        expect(triage.sources).toEqual([{ id: 'KB1', source: 'exports.md#csv-export-limits', title: 'Exports › CSV Export Limits' }]);
+        
+        // Replies without citations carry no sources
+        expect(resolver.analyzer._getCitedSources(undefined, passages)).toEqual([]);
+        
+        // Changed documents are picked up without a restart
+        await fs.writeFile(path.join(kbDir, 'faq', 'billing.md'), '# Billing\n\nRefunds are processed within 5 days.');
+        expect((await kb.search('refunds'))[0].source).toBe('faq/billing.md#billing');
+        
+        // A missing folder does not block replies
+        const missing = new AIAnalyzer({ provider: 'mock' }, { knowledgeBase: new KnowledgeBase({ directory: './test-output/kb-missing' }) });
+        expect(await missing._findPassages(email)).toEqual([]);
+        
+        let validationError = null;
+        try {
+            ConfigValidator.validate('file', { ai: { provider: 'mock' }, knowledgeBase: { directory: '', topK: 0 } });
+        } catch (error) {
+            validationError = error.message;
+        }
+        expect(validationError.includes('directory must be a non-empty string')).toBeTruthy();
+        expect(validationError.includes('topK must be an integer between 1 and 20')).toBeTruthy();
+    } finally {
+        await fs.rm(kbDir, { recursive: true, force: true });
+    }
+});
+
+// Test Reply Templates
+const testReplyTemplates = test('Reply Templates', async () => {
+    const templatesDir = './test-output/templates';
+    
+    try {
+        await fs.mkdir(path.join(templatesDir, 'meetings'), { recursive: true });
+        await fs.writeFile(path.join(templatesDir, 'refund.md'), [
+            '---',
+            'id: refund-policy',
+            'categories: [billing]',
+            'keywords: [refund, "money back"]',
+            'description: Refund requests',
+            '---',
+            'Hi {{senderName|there}},',
+            '',
+            'Your refund for order {{orderNumber}} will arrive {{eta|within 5 business days}}.'
+        ].join('\n'));
+        await fs.writeFile(path.join(templatesDir, 'outage.md'), '---\nkeywords: [outage]\n---\nHi {{ senderName|there }}, we are aware of the outage and are working on it.');
+        await fs.writeFile(path.join(templatesDir, 'meetings', 'schedule.txt'), '---\ncategories: [meeting]\nkeywords:\n  - schedule a call\n  - demo\n---\nHappy to meet: {{bookingLink}}');
+        
+        const library = new ReplyTemplateLibrary({ directory: templatesDir });
+        const templates = await library.load();
+        expect(templates.map(template => template.id)).toEqual(['meetings/schedule', 'outage', 'refund-policy']);
+        
+        const refund = await library.getTemplate('refund-policy');
+        expect(refund.keywords).toEqual(['refund', 'money back']);
+        expect(refund.variables).toEqual([
+            { name: 'senderName', required: false },
+            { name: 'orderNumber', required: true },
+            { name: 'eta', required: false }
+        ]);
+        expect((await library.getTemplate('meetings/schedule')).keywords).toEqual(['schedule a call', 'demo']);
+        
+        const [candidate] = await library.findCandidates({ subject: 'Money back?', body: 'I would like my money back for order A-1042.' });
+        expect(candidate.id).toBe('refund-policy');
+        expect((await library.findCandidates({ subject: 'Hello', body: 'Just saying hi' })).length).toBe(0);
+        
+        expect(library.render(refund, {}, { from: 'dana@customer.com' })).toEqual({ text: null, missing: ['orderNumber'] });
+        expect(library.render(refund, { orderNumber: 'A-1042' }, { from: 'Dana Lee <dana@customer.com>' }).text)
+            .toBe('Hi Dana,\n\nYour refund for order A-1042 will arrive within 5 business days.');
+        expect(library.matchesCategory(refund, 'Billing question')).toBeTruthy();
+        expect(library.matchesCategory(refund, 'technical')).toBeFalsy();
+        
+        // The model picks a template offered in the prompt and extracts its variables
+        const chooseTemplate = (templateId, match) => ({
+            stage: 'triage-reply',
+            match,
+            response: {
+                isRelevant: true,
+                isReplyable: true,
+                category: templateId === 'outage' ? 'technical' : 'billing',
+                suggestedReply: 'Hello,\n\nThank you for your email. We will follow up shortly.',
+                replyConfidence: 0.8,
+                templateId,
+                templateVariables: {}
+            }
+        });
+        const resolver = new FeedbackResolver({
+            mode: 'file',
+            config: {
+                ai: {
+                    provider: 'mock',
+                    mock: { rules: [chooseTemplate('refund-policy', '[refund-policy]'), chooseTemplate('outage', '[outage]')] }
+                },
+                replyTemplates: { directory: templatesDir },
+                notifications: { file: { enabled: false } }
+            }
+        });
+        const analyzer = resolver.analyzer;
+        const email = { id: 't1', from: 'dana@customer.com', subject: 'Refund', date: 'today', body: 'Please refund order A-1042.' };
+        const prompt = analyzer._buildTriageWithReplyPrompt(email, [], await analyzer._findTemplates(email));
+        expect(prompt.includes('[refund-policy] Refund requests; categories: billing; variables: senderName (optional), orderNumber, eta (optional)')).toBeTruthy();
+        expect(prompt.includes('"templateVariables"')).toBeTruthy();
+        
+        // The chosen template is filled in with the extracted variables
+        const filled = analyzer._fillTemplate({ templateId: 'refund-policy', templateVariables: { orderNumber: 'A-1042' }, category: 'billing' }, email, [refund]);
+        expect(filled.id).toBe('refund-policy');
+        expect(filled.text.includes('order A-1042')).toBeTruthy();
+        expect(analyzer._fillTemplate({ templateId: 'refund-policy', templateVariables: { orderNumber: 'A-1042' }, category: 'meeting' }, email, [refund])).toBe(null);
+        
+        // Without the order number the generated reply is kept
+        const fallback = await analyzer._triageEmailWithReply(email);
+        expect(fallback.templateId).toBe(null);
+        expect(fallback.suggestedReply.includes('Thank you for your email')).toBeTruthy();
+        
+        // A template that needs no extracted variables is used with its exact wording
+        const report = await analyzer.analyzeWithReplies([
+            { id: 't2', from: 'Sam Park <sam@customer.com>', subject: 'Outage?', date: 'today', body: 'Is there an outage? Nothing loads.' }
+        ]);
+        expect(report.replyableEmails[0].templateId).toBe('outage');
+        expect(report.replyableEmails[0].suggestedReply).toBe('Hi Sam, we are aware of the outage and are working on it.');
+        expect(report.structured.entries[0].templateId).toBe('outage');
+        expect(report.structured.entries[0].suggestedReply).toBe('Hi Sam, we are aware of the outage and are working on it.');
+        expect(report.analysis.includes('- **Reply Template:** outage')).toBeTruthy();
+    } finally {
+        await fs.rm(templatesDir, { recursive: true, force: true });
+    }
+});
+
+// Test Reply Style Profile
+const testReplyStyle = test('Reply Style Profile', async () => {
+    const style = new ReplyStyle({
+        userName: 'Dana Lee',
+        userDesignation: 'Support Lead',
+        company: { name: 'Acme Inc.', website: 'https://acme.example' },
+        greetings: { en: 'Hi {name},', de: 'Hallo {name},' },
+        bannedPhrases: ['Unfortunately'],
+        disclaimers: ['Replies may be monitored.'],
+        signature: { html: '<p><strong>Dana Lee</strong>, Acme Inc.</p>' }
+    });
+    expect(style.getSignature()).toBe('Best regards,\nDana Lee\nSupport Lead\nAcme Inc.\nhttps://acme.example');
+    
+    const { text, issues } = style.apply('Hi Sam,\n\nThe export is fixed.', { language: 'en' });
+    expect(text).toBe('Hi Sam,\n\nThe export is fixed.\n\nBest regards,\nDana Lee\nSupport Lead\nAcme Inc.\nhttps://acme.example\n\nReplies may be monitored.');
+    expect(issues).toEqual([]);
+    expect(style.validate(text, { language: 'de' }).map(issue => issue.rule)).toEqual(['greeting']);
+    expect(style.validate('Hi [Your Name], unfortunately no.').map(issue => issue.rule)).toEqual(['banned-phrase', 'disclaimer', 'placeholder']);
+    
+    const html = style.toHtml(text.replace('fixed', 'fixed <today>'));
+    expect(html).toBe('<div><p>Hi Sam,</p>\n<p>The export is fixed &lt;today&gt;.</p>\n<p><strong>Dana Lee</strong>, Acme Inc.</p>\n<p>Replies may be monitored.</p></div>');
+    expect(style.toHtml('Hi Sam,\n\nDone.')).toBe('<div><p>Hi Sam,</p>\n<p>Done.</p>\n<p><strong>Dana Lee</strong>, Acme Inc.</p></div>');
+    expect(new ReplyStyle({ signature: { html: '<p>Acme</p>' } }).toHtml('Done.')).toBe('<div><p>Done.</p>\n<p>Acme</p></div>');
+    
+    // The prompt describes the profile and no longer asks the model to sign
+    const analyzer = new AIAnalyzer({ provider: 'mock', userName: 'Dana Lee', userDesignation: 'Support Lead' }, { replyStyle: style });
+    const prompt = analyzer._buildTriageWithReplyPrompt({ from: 'sam@customer.com', subject: 'Export', date: 'today', body: 'Is it fixed?' });
+    expect(prompt.includes('Never use these phrases: "Unfortunately"')).toBeTruthy();
+    expect(prompt.includes('en: "Hi {name},", de: "Hallo {name},"')).toBeTruthy();
+    expect(prompt.includes('"language"')).toBeTruthy();
+    expect(prompt.includes('Sign all replies')).toBeFalsy();
+    
+    // Replies failing the check are held back from auto-approval; the rest are sent with the HTML signature
+    const sent = [];
+    const resolver = new FeedbackResolver({
+        mode: 'gmail',
+        config: {
+            gmail: { clientId: 'test-client', clientSecret: 'test-secret' },
+            ai: { provider: 'mock', userName: 'Dana Lee', userDesignation: 'Support Lead' },
+            autoReply: { enabled: true, approvalMode: 'auto', confidenceThreshold: 0.7 },
+            replyStyle: { greetings: { en: 'Hello' }, bannedPhrases: ['ASAP'], signature: { html: '<p>Dana</p>' } },
+            ledger: { path: './test-output/style-ledger.json' },
+            notifications: { file: { enabled: false } }
+        }
+    });
+    resolver.authenticated = true;
+    resolver.processor = {
+        process: async () => [
+            { id: 's1', threadId: 's1', from: 'sam@customer.com', subject: 'Export question', date: 'today', body: 'Can you help with exports?' },
+            { id: 's2', threadId: 's2', from: 'kim@customer.com', subject: 'Fix this ASAP', date: 'today', body: 'Can you help?' }
+        ]
+    };
+    resolver.replySender = {
+        sendBatch: async (replies) => {
+            sent.push(...replies);
+            return { sent: replies.map(({ email }) => ({ success: true, originalEmail: email })), failed: [], total: replies.length };
+        }
+    };
+    
+    try {
+        const result = await resolver.analyzeAndReply();
+        const flagged = result.analysis.replyableEmails.find(item => item.email.id === 's2');
+        expect(flagged.styleIssues).toEqual([{ rule: 'banned-phrase', message: 'Uses banned phrase "ASAP"' }]);
+        expect(sent.map(reply => reply.email.id)).toEqual(['s1']);
+        expect(sent[0].replyContent.endsWith('Best regards,\nDana Lee\nSupport Lead')).toBeTruthy();
+        expect(sent[0].replyHtml.endsWith('<p>Dana</p></div>')).toBeTruthy();
+    } finally {
+        await fs.rm('./test-output/style-ledger.json', { force: true });
+    }
+    
+    // Gmail sends the HTML version as a multipart/alternative part
+    const raw = [];
+    const sender = new GmailReplySender(null);
+    sender.gmail = { users: { messages: { send: async ({ requestBody }) => {
+        raw.push(Buffer.from(requestBody.raw, 'base64url').toString());
+        return { data: { id: 'm1', threadId: 't1' } };
+    } } } };
+    await sender.sendReply({ id: 'o1', threadId: 't1', from: 'sam@customer.com', subject: 'Export' }, 'Hello Sam', { html: '<div>Hello Sam</div>' });
+    expect(raw[0].includes('Content-Type: multipart/alternative')).toBeTruthy();
+    expect(raw[0].includes('Content-Type: text/html; charset=utf-8\r\n\r\n<div>Hello Sam</div>')).toBeTruthy();
+});
+
 // Test Environment Configuration
 const testEnvironmentConfig = skip('Environment Configuration', 'Requires environment variables');
 
@@ -289,6 +2332,34 @@ async function runTests() {
         testSlackNotifier,
         testAIAnalyzer,
         testFileProcessingEdgeCases,
+        testProcessedLedger,
+        testGmailProcessorLedger,
+        testStructuredReport,
+        testMockPipeline,
+        testMockBackendReplay,
+        testTaskScheduler,
+        testTriageProgressEvents,
+        testTokenAwareChunking,
+        testApiServer,
+        testQueuedReplyApproval,
+        testSlackInteractiveApprovals,
+        testSlackBlockKitReport,
+        testTeamsAndWebhookNotifiers,
+        testComponentRegistry,
+        testPluginLifecycleHooks,
+        testImapProcessor,
+        testSmtpReplySender,
+        testMailboxFileParsing,
+        testStructuredFeedbackImport,
+        testDirectoryWatchMode,
+        testGmailHistorySync,
+        testGmailSearchFilters,
+        testGmailLabelWorkflow,
+        testThreadAwareAnalysis,
+        testSenderProfiles,
+        testKnowledgeBase,
+        testReplyTemplates,
+        testReplyStyle,
         testEnvironmentConfig,
         testGmailIntegration,
         testLiveAIAnalysis,